@@ -0,0 +1,242 @@
+// api/agent-schedules.js — Runs scheduled agent prompts into chat threads
+// Agent schedules are the data/schedules.json entries with an agentId + prompt.
+// Each run prefetches the schedule's `context` (same endpoints as the agent
+// tools), asks the agent, and appends prompt + reply to the schedule's own
+// chat thread. Run status goes to agent_schedule_status for the Reports tab.
+// GET          → runs every due schedule (Vercel cron, every 15 minutes)
+// GET ?run=ID  → runs one schedule now (Reports → Schedules "Run now")
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { complete } from '../js/services/llm-client.js';
+import { toThreadRow, toMessageRow, getMessageNodeId } from '../js/services/chat-persistence.js';
+import { mergeAgentConfigs } from '../js/services/agent-store.js';
+import { normalizeUsage, estimateCost } from '../js/services/chat-usage.js';
+import {
+  isAgentSchedule, isScheduleDue, getScheduleThreadId,
+  normalizeStatus, toStatusRow, DEFAULT_TIMEZONE
+} from '../js/services/agent-schedules.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
+const MAX_CONTEXT_CHARS = 12000; // per source, same cap as agent tool results
+
+const sbHeaders = {
+  'apikey': SUPABASE_KEY,
+  'Authorization': `Bearer ${SUPABASE_KEY}`,
+  'Content-Type': 'application/json',
+};
+
+// ── Supabase REST ──────────────────────────────────────────────────
+async function sbGet(table, query = '') {
+  const res = await fetch(`${SUPABASE_URL}/rest/v1/${table}?${query}`, { headers: sbHeaders });
+  if (!res.ok) throw new Error(`Supabase GET ${table}: ${res.status} ${await res.text()}`);
+  return res.json();
+}
+
+// `resolution` is 'merge-duplicates' or 'ignore-duplicates'
+async function sbUpsert(table, onConflict, body, resolution = 'merge-duplicates') {
+  const res = await fetch(`${SUPABASE_URL}/rest/v1/${table}?on_conflict=${onConflict}`, {
+    method: 'POST',
+    headers: { ...sbHeaders, 'Prefer': `resolution=${resolution},return=minimal` },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) throw new Error(`Supabase UPSERT ${table}: ${res.status} ${await res.text()}`);
+}
+
+async function sbPatch(table, query, body) {
+  const res = await fetch(`${SUPABASE_URL}/rest/v1/${table}?${query}`, {
+    method: 'PATCH',
+    headers: { ...sbHeaders, 'Prefer': 'return=minimal' },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) throw new Error(`Supabase PATCH ${table}: ${res.status} ${await res.text()}`);
+}
+
+// ── Config ─────────────────────────────────────────────────────────
+async function readDataFile(name) {
+  return JSON.parse(await readFile(path.join(process.cwd(), 'data', name), 'utf8'));
+}
+
+// Seed agents with the agent editor's saved overrides applied
+async function loadAgents() {
+  const seed = await readDataFile('agents.json');
+  const rows = await sbGet('agent_configs', 'user_id=eq.dan&select=id,config,archived,version');
+  const configs = Object.fromEntries(rows.map(r => [r.id, { config: r.config, archived: r.archived, version: r.version }]));
+  return mergeAgentConfigs(seed.agents || seed, configs);
+}
+
+async function loadStatuses() {
+  const rows = await sbGet('agent_schedule_status', 'select=*');
+  return Object.fromEntries(rows.map(r => [r.schedule_id, normalizeStatus(r)]));
+}
+
+// ── Context ────────────────────────────────────────────────────────
+// Schedule `context` entries are { tool, input } using agent tool names;
+// these map them to the endpoints the tools call (js/agent-tools.js).
+
+function funnelRangeToParams(range) {
+  const today = new Date();
+  const yesterday = new Date();
+  yesterday.setDate(yesterday.getDate() - 1);
+  const fmt = d => d.toISOString().slice(0, 10);
+
+  switch (range) {
+    case 'today':     return `start=${fmt(today)}&end=${fmt(today)}`;
+    case 'yesterday': return `start=${fmt(yesterday)}&end=${fmt(yesterday)}`;
+    case '7d':        return 'days=7';
+    case '90d':       return 'days=90';
+    case '30d':
+    default:          return 'days=30';
+  }
+}
+
+const CONTEXT_SOURCES = {
+  get_funnel_stats: ({ range = 'yesterday', slug } = {}) =>
+    `/api/funnel-stats?${funnelRangeToParams(range)}${slug ? `&slug=${encodeURIComponent(slug)}` : ''}`,
+  get_meta_campaigns: ({ preset = 'yesterday' } = {}) =>
+    `/api/meta-refresh?preset=${encodeURIComponent(preset)}`,
+  search_vip_clients: () => '/api/vip-clients',
+  get_social_stats: ({ platform = 'instagram' } = {}) =>
+    platform === 'youtube' ? '/api/youtube-stats' : '/api/instagram-stats',
+};
+
+// Failed sources are reported to the agent instead of failing the run
+async function gatherContext(entries, baseUrl) {
+  const blocks = await Promise.all((entries || []).map(async ({ tool, input }) => {
+    const route = CONTEXT_SOURCES[tool];
+    if (!route) return `## ${tool}\nUnknown context source.`;
+    try {
+      const res = await fetch(baseUrl + route(input));
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      let json = JSON.stringify(data);
+      if (json.length > MAX_CONTEXT_CHARS) json = json.slice(0, MAX_CONTEXT_CHARS) + '… [truncated]';
+      return `## ${tool}${input ? ` ${JSON.stringify(input)}` : ''}\n${json}`;
+    } catch (err) {
+      console.warn(`[agent-schedules] context ${tool} failed:`, err.message);
+      return `## ${tool}\nUnavailable: ${err.message}`;
+    }
+  }));
+  return blocks;
+}
+
+// ── Run ────────────────────────────────────────────────────────────
+// Same shape as app.js generateId, so scheduled messages look like any other
+function newId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+}
+
+async function runSchedule(schedule, { agents, baseUrl }) {
+  const agent = agents.find(a => a.id === schedule.agentId && !a.archived);
+  if (!agent?.systemPrompt) throw new Error(`Agent "${schedule.agentId}" not found`);
+
+  const threadId = getScheduleThreadId(schedule);
+  const startedAt = new Date().toISOString();
+  const day = new Date().toLocaleDateString('en-US', {
+    timeZone: schedule.timezone || DEFAULT_TIMEZONE,
+    weekday: 'long', month: 'long', day: 'numeric', year: 'numeric',
+  });
+
+  const context = await gatherContext(schedule.context, baseUrl);
+  const prompt = [
+    `Scheduled run: ${schedule.name} — ${day}`,
+    '',
+    schedule.prompt,
+    ...(context.length ? ['', '# Data', '', context.join('\n\n')] : []),
+  ].join('\n');
+
+  const result = await complete({
+    feature: 'chat',
+    model: agent.defaultModel,
+    system: agent.systemPrompt,
+    messages: [{ role: 'user', content: prompt }],
+    maxTokens: 4096,
+  });
+  if (!result.text.trim()) throw new Error('Empty reply');
+
+  // Thread is created on the first run; later runs continue it
+  await sbUpsert('chat_threads', 'id', [toThreadRow({
+    id: threadId, title: `🕒 ${schedule.name}`, agentId: agent.id, createdAt: startedAt, updatedAt: startedAt,
+  })], 'ignore-duplicates');
+
+  const [last] = await sbGet('chat_messages',
+    `thread_id=eq.${encodeURIComponent(threadId)}&select=message_uid,role,created_at&order=created_at.desc&limit=1`);
+  const parentId = last ? getMessageNodeId({ uid: last.message_uid, role: last.role, timestamp: last.created_at }) : null;
+
+  const usage = normalizeUsage(result.usage);
+  if (usage) usage.costUsd = estimateCost(result.model, usage);
+  const finishedAt = new Date().toISOString();
+  const userMsg = { uid: newId(), parentId, role: 'user', content: schedule.prompt, resolvedContent: prompt, timestamp: startedAt };
+  const reply = { uid: newId(), parentId: userMsg.uid, role: 'assistant', content: result.text, model: result.model, usage, timestamp: finishedAt };
+
+  await sbUpsert('chat_messages', 'thread_id,message_uid', [userMsg, reply].map(m => toMessageRow(threadId, m)), 'ignore-duplicates');
+  await sbPatch('chat_threads', `id=eq.${encodeURIComponent(threadId)}`, { updated_at: finishedAt });
+
+  return { threadId, model: result.model, chars: result.text.length };
+}
+
+async function recordStatus(schedule, status) {
+  try {
+    await sbUpsert('agent_schedule_status', 'schedule_id', [toStatusRow(schedule.id, {
+      ...status, threadId: getScheduleThreadId(schedule),
+    })]);
+  } catch (err) {
+    console.error(`[agent-schedules] status update for ${schedule.id} failed`, err);
+  }
+}
+
+// ── Handler ────────────────────────────────────────────────────────
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  if (!SUPABASE_URL || !SUPABASE_KEY) {
+    return res.status(500).json({ error: 'SUPABASE_URL / SUPABASE_SERVICE_KEY not configured' });
+  }
+
+  const runId = req.query.run;
+  // Vercel sends CRON_SECRET as a bearer token; single manual runs stay open like ?generate
+  const secret = process.env.CRON_SECRET;
+  if (!runId && secret && req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { schedules = [] } = await readDataFile('schedules.json');
+    const [agents, statuses] = await Promise.all([loadAgents(), loadStatuses()]);
+    const now = new Date();
+
+    const targets = runId
+      ? schedules.filter(s => s.id === runId && isAgentSchedule(s))
+      : schedules.filter(s => isScheduleDue(s, statuses[s.id], now));
+    if (runId && !targets.length) {
+      return res.status(404).json({ error: `No agent schedule "${runId}"` });
+    }
+
+    const baseUrl = `${req.headers['x-forwarded-proto'] || 'https'}://${req.headers.host}`;
+    const results = [];
+
+    // One at a time — runs share the function's time budget
+    for (const schedule of targets) {
+      const startedAt = new Date().toISOString();
+      // Marks the run as taken so an overlapping cron invocation skips it
+      await recordStatus(schedule, { lastRun: startedAt, lastStatus: 'running' });
+      try {
+        const run = await runSchedule(schedule, { agents, baseUrl });
+        await recordStatus(schedule, { lastRun: startedAt, lastStatus: 'success' });
+        results.push({ id: schedule.id, status: 'success', ...run });
+      } catch (err) {
+        console.error(`[agent-schedules] ${schedule.id} failed`, err);
+        await recordStatus(schedule, { lastRun: startedAt, lastStatus: 'error', lastError: err.message });
+        results.push({ id: schedule.id, status: 'error', error: err.message });
+      }
+    }
+
+    return res.status(200).json({ ran: results, checkedAt: now.toISOString() });
+  } catch (err) {
+    console.error('[agent-schedules]', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
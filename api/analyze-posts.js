@@ -1,9 +1,10 @@
-// api/analyze-posts.js — GPT-powered post analysis for unanalyzed ig_posts
+// api/analyze-posts.js — AI-powered post analysis for unanalyzed ig_posts
 // GET → analyzes up to 5 unanalyzed posts, returns { success, analyzed, remaining }
 
+import { complete, parseJSONResponse, isFeatureConfigured } from '../js/services/llm-client.js';
+
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 
 const sbHeaders = {
   'apikey': SUPABASE_KEY,
@@ -29,7 +30,7 @@ async function sbPatch(table, query, body) {
   return res.json();
 }
 
-// ── GPT analysis ────────────────────────────────────────────────────
+// ── AI analysis ─────────────────────────────────────────────────────
 async function analyzePost(post) {
   const caption = (post.caption || '').substring(0, 1500);
   if (!caption.trim()) {
@@ -60,30 +61,17 @@ Return a JSON object with these fields (use short, lowercase values):
 
 Return ONLY valid JSON, no markdown fences.`;
 
-  const res = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${OPENAI_API_KEY}`,
-    },
-    body: JSON.stringify({
-      model: 'gpt-4.1-mini',
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.3,
-      max_tokens: 500,
-    }),
+  const { text } = await complete({
+    feature: 'analyze-posts',
+    messages: [{ role: 'user', content: prompt }],
+    temperature: 0.3,
+    maxTokens: 500,
+    json: true,
   });
-
-  if (!res.ok) {
-    const errText = await res.text();
-    throw new Error(`OpenAI error (${res.status}): ${errText.slice(0, 200)}`);
-  }
-
-  const data = await res.json();
-  const raw = (data.choices?.[0]?.message?.content || '').trim();
+  const raw = (text || '').trim();
 
   try {
-    const parsed = JSON.parse(raw);
+    const parsed = parseJSONResponse(raw);
     return {
       hook_framework: (parsed.hook_framework || '').substring(0, 200),
       hook_structure: (parsed.hook_structure || '').substring(0, 50),
@@ -100,7 +88,7 @@ Return ONLY valid JSON, no markdown fences.`;
       analyzed_at: new Date().toISOString(),
     };
   } catch {
-    console.warn('[analyze-posts] Failed to parse GPT response for post', post.id, raw.slice(0, 100));
+    console.warn('[analyze-posts] Failed to parse model response for post', post.id, raw.slice(0, 100));
     return { is_analyzed: true, analyzed_at: new Date().toISOString() };
   }
 }
@@ -114,8 +102,8 @@ export default async function handler(req, res) {
   if (!SUPABASE_URL || !SUPABASE_KEY) {
     return res.status(500).json({ error: 'SUPABASE_URL / SUPABASE_SERVICE_KEY not configured' });
   }
-  if (!OPENAI_API_KEY) {
-    return res.status(500).json({ error: 'OPENAI_API_KEY not configured' });
+  if (!isFeatureConfigured('analyze-posts')) {
+    return res.status(500).json({ error: 'No API key configured for the analyze-posts model' });
   }
 
   try {
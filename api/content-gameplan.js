@@ -2,9 +2,13 @@
 // GET             → returns existing plan for current week
 // GET ?refresh=true → regenerates plan from competitor hook data
 
+import { completeJSON } from '../js/services/llm-client.js';
+
 const SUPABASE_URL  = process.env.SUPABASE_URL;
 const SUPABASE_KEY  = process.env.SUPABASE_SERVICE_KEY;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+
+// Single try, under the 60s maxDuration in vercel.json
+const LLM_TIMEOUT_MS = 55000;
 
 const sbHeaders = {
   'apikey': SUPABASE_KEY,
@@ -47,7 +51,7 @@ async function getTopPosts(limit = 30) {
   return rows;
 }
 
-// ── GPT generation ──────────────────────────────────────────────────
+// ── AI generation ───────────────────────────────────────────────────
 async function generateGameplan(topPosts) {
   const postSummaries = topPosts.map((p, i) =>
     `${i + 1}. (${p.likes} likes) — Hook: "${(p.hook_framework || '').slice(0, 80)}" | Structure: ${p.hook_structure || '?'} | Topic: ${p.topic || '?'} | Format: ${p.content_structure || '?'}`
@@ -88,34 +92,15 @@ Return valid JSON:
   ]
 }`;
 
-  const res = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${OPENAI_API_KEY}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: 'gpt-4.1-mini',
-      response_format: { type: 'json_object' },
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-      temperature: 0.8,
-      max_tokens: 2000,
-    }),
+  return completeJSON({
+    feature: 'content-gameplan',
+    system: systemPrompt,
+    messages: [{ role: 'user', content: userPrompt }],
+    temperature: 0.8,
+    maxTokens: 2000,
+    timeoutMs: LLM_TIMEOUT_MS,
+    retries: 0,
   });
-
-  if (!res.ok) {
-    const err = await res.text();
-    throw new Error(`OpenAI API error: ${res.status} ${err}`);
-  }
-
-  const data = await res.json();
-  const content = data.choices?.[0]?.message?.content;
-  if (!content) throw new Error('Empty response from OpenAI');
-
-  return JSON.parse(content);
 }
 
 // ── Handler ─────────────────────────────────────────────────────────
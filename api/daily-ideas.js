@@ -6,9 +6,14 @@
 // GET ?generate → forces fresh generation
 // Called by Vercel cron daily at 4am PT
 
+import { completeJSON } from '../js/services/llm-client.js';
+
 const SUPABASE_URL   = process.env.SUPABASE_URL;
 const SUPABASE_KEY   = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+
+// One attempt that ends before the function's 60s maxDuration (vercel.json),
+// so a slow model returns an error instead of the function being killed
+const LLM_TIMEOUT_MS = 55000;
 
 const sbHeaders = {
   'apikey': SUPABASE_KEY,
@@ -147,7 +152,7 @@ function decodeHtmlEntities(str) {
     .replace(/&#x27;/g, "'");
 }
 
-// ── 3. GPT analyzes real data using 8 Viral Content Archetypes ─────
+// ── 3. AI analyzes real data using 8 Viral Content Archetypes ──────
 async function generateIdeas(competitorPosts, articles) {
   // Build competitor context with real URLs
   const competitorContext = competitorPosts.slice(0, 30).map((p, i) => {
@@ -260,34 +265,15 @@ Return valid JSON:
   ]
 }`;
 
-  const res = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${OPENAI_API_KEY}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: 'gpt-4.1-mini',
-      response_format: { type: 'json_object' },
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-      temperature: 0.8,
-      max_tokens: 4000,
-    }),
+  return completeJSON({
+    feature: 'daily-ideas',
+    system: systemPrompt,
+    messages: [{ role: 'user', content: userPrompt }],
+    temperature: 0.8,
+    maxTokens: 4000,
+    timeoutMs: LLM_TIMEOUT_MS,
+    retries: 0,
   });
-
-  if (!res.ok) {
-    const err = await res.text();
-    throw new Error(`OpenAI API error: ${res.status} ${err}`);
-  }
-
-  const data = await res.json();
-  const content = data.choices?.[0]?.message?.content;
-  if (!content) throw new Error('Empty response from OpenAI');
-
-  return JSON.parse(content);
 }
 
 // ── Handler ────────────────────────────────────────────────────────
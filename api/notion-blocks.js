@@ -170,7 +170,7 @@ export default async function handler(req, res) {
         properties: {
           title: { title: [{ text: { content: title || 'Untitled' } }] },
         },
-        children: blocks && blocks.length > 0 ? blocks.slice(0, 100) : [],
+        children: [],
       };
 
       const r = await fetch(`${NOTION_API}/pages`, {
@@ -179,17 +179,10 @@ export default async function handler(req, res) {
       const data = await r.json();
       if (data.object === 'error') return res.status(400).json({ error: data.message });
 
-      // Append remaining blocks if > 100
-      if (blocks && blocks.length > 100) {
-        const chunks = chunkArray(blocks.slice(100), 100);
-        for (const chunk of chunks) {
-          await fetch(`${NOTION_API}/blocks/${data.id}/children`, {
-            method: 'PATCH', headers, body: JSON.stringify({ children: chunk }),
-          });
-        }
-      }
-
-      return res.status(200).json({ pageId: data.id, url: data.url });
+      // The page exists now: its id goes back even when the content
+      // didn't all make it, or the next sync would create it again
+      const appendError = await fillNewPage(data.id, blocks, headers);
+      return res.status(200).json({ pageId: data.id, url: data.url, ...(appendError ? { appendError } : {}) });
     }
 
     // ── POST ?action=create — create new page under workspace parent (legacy)
@@ -205,7 +198,7 @@ export default async function handler(req, res) {
         properties: {
           title: { title: [{ text: { content: title || 'Untitled' } }] },
         },
-        children: blocks && blocks.length > 0 ? blocks.slice(0, 100) : [],
+        children: [],
       };
 
       const r = await fetch(`${NOTION_API}/pages`, {
@@ -216,18 +209,10 @@ export default async function handler(req, res) {
         return res.status(400).json({ error: data.message });
       }
 
-      if (blocks && blocks.length > 100) {
-        const remaining = blocks.slice(100);
-        const chunks = chunkArray(remaining, 100);
-        for (const chunk of chunks) {
-          await fetch(`${NOTION_API}/blocks/${data.id}/children`, {
-            method: 'PATCH', headers,
-            body: JSON.stringify({ children: chunk }),
-          });
-        }
-      }
-
-      return res.status(200).json({ pageId: data.id, url: data.url });
+      // The page exists now: its id goes back even when the content
+      // didn't all make it, or the next sync would create it again
+      const appendError = await fillNewPage(data.id, blocks, headers);
+      return res.status(200).json({ pageId: data.id, url: data.url, ...(appendError ? { appendError } : {}) });
     }
 
     // ── POST ?action=move-doc ──────────────────────────────────
@@ -327,18 +312,11 @@ export default async function handler(req, res) {
         });
       }
 
-      // 3. Append new blocks (Notion limits to 100 per request)
-      const chunks = chunkArray(blocks, 100);
-      for (const chunk of chunks) {
-        const r = await fetch(`${NOTION_API}/blocks/${pageId}/children`, {
-          method: 'PATCH',
-          headers,
-          body: JSON.stringify({ children: chunk }),
-        });
-        const data = await r.json();
-        if (data.object === 'error') {
-          return res.status(400).json({ error: data.message });
-        }
+      // 3. Append new blocks (nested tables/columns included)
+      try {
+        await appendBlocks(pageId, blocks, headers);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
       }
 
       return res.status(200).json({ success: true });
@@ -442,6 +420,117 @@ async function fetchBlockIds(blockId, headers) {
   return ids;
 }
 
+// ── Appending nested blocks ────────────────────────────────────────
+// One append request takes 100 blocks with two levels of nested children
+// (in `block[type].children`), and no more than 1,000 blocks in all.
+// Tables need their rows and column lists their columns (each with
+// content) in the request that creates them, so anything that doesn't fit
+// is cut at that point and appended to the created block afterwards,
+// keeping the original order.
+
+const MAX_CHILDREN = 100;
+const MAX_BLOCKS = 1000;
+const MAX_NESTING = 2;
+const MIN_NESTING = { table: 1, column_list: 2, column: 1 }; // levels a block can't be created without
+
+function nestedChildren(block) {
+  return block[block.type]?.children || [];
+}
+
+// { payload, sent, tail, placeholder }: what one request can create with
+// `levels` of nesting left, and the children to append to it later.
+// `budget.left` is the blocks the request still has room for; null when
+// the block can't be created within it
+function planBlock(block, levels, budget) {
+  const before = budget.left;
+  if (budget.left < 1) return null;
+  budget.left--;
+  const children = nestedChildren(block);
+  if (!children.length) return { payload: block, sent: [], tail: [], placeholder: false };
+
+  const sent = [];
+  if (levels > 0) {
+    for (const child of children.slice(0, MAX_CHILDREN)) {
+      if ((MIN_NESTING[child.type] || 0) > levels - 1) break;
+      const plan = planBlock(child, levels - 1, budget);
+      if (!plan) break;
+      sent.push(plan);
+    }
+  }
+  // A column whose first block can't be created here starts with an empty
+  // paragraph, removed once the rest is appended
+  const placeholder = !sent.length && block.type === 'column';
+  if (placeholder) budget.left--;
+  // A table needs a row, a column list all its columns
+  const incomplete = (block.type === 'table' && !sent.length)
+    || (block.type === 'column_list' && sent.length < children.length)
+    || budget.left < 0;
+  if (incomplete) {
+    budget.left = before;
+    return null;
+  }
+  const body = { ...block[block.type] };
+  if (sent.length) body.children = sent.map(p => p.payload);
+  else if (placeholder) body.children = [{ object: 'block', type: 'paragraph', paragraph: { rich_text: [] } }];
+  else delete body.children;
+
+  return { payload: { ...block, [block.type]: body }, sent, tail: children.slice(sent.length), placeholder };
+}
+
+function needsMore(plan) {
+  return plan.tail.length > 0 || plan.placeholder || plan.sent.some(needsMore);
+}
+
+async function completeBlock(blockId, plan, headers) {
+  if (plan.sent.some(needsMore)) {
+    const ids = await fetchBlockIds(blockId, headers);
+    for (let i = 0; i < plan.sent.length; i++) {
+      if (needsMore(plan.sent[i])) await completeBlock(ids[i], plan.sent[i], headers);
+    }
+  }
+  if (plan.tail.length) await appendBlocks(blockId, plan.tail, headers);
+  if (plan.placeholder) {
+    const [first] = await fetchBlockIds(blockId, headers);
+    if (first) await fetch(`${NOTION_API}/blocks/${first}`, { method: 'DELETE', headers });
+  }
+}
+
+// Appends a new page's content; the Notion error message if that failed
+async function fillNewPage(pageId, blocks, headers) {
+  if (!blocks?.length) return null;
+  try {
+    await appendBlocks(pageId, blocks, headers);
+    return null;
+  } catch (err) {
+    console.warn('[notion-blocks] new page', pageId, 'is incomplete:', err.message);
+    return err.message;
+  }
+}
+
+/** Append blocks (with any nesting) under a page or block; throws on Notion errors */
+async function appendBlocks(parentId, blocks, headers) {
+  for (let rest = blocks; rest.length;) {
+    const budget = { left: MAX_BLOCKS };
+    const plans = [];
+    for (const block of rest.slice(0, MAX_CHILDREN)) {
+      const plan = planBlock(block, MAX_NESTING, budget);
+      if (!plan) break;
+      plans.push(plan);
+    }
+    if (!plans.length) throw new Error(`A ${rest[0].type} block is too large to send to Notion`);
+    rest = rest.slice(plans.length);
+
+    const r = await fetch(`${NOTION_API}/blocks/${parentId}/children`, {
+      method: 'PATCH', headers, body: JSON.stringify({ children: plans.map(p => p.payload) }),
+    });
+    const data = await r.json();
+    if (data.object === 'error') throw new Error(data.message);
+    for (let i = 0; i < plans.length; i++) {
+      if (needsMore(plans[i])) await completeBlock(data.results[i].id, plans[i], headers);
+    }
+  }
+}
+
 function chunkArray(arr, size) {
   const chunks = [];
   for (let i = 0; i < arr.length; i += size) {
@@ -0,0 +1,111 @@
+// api/workspace-upload.js — Signed Supabase Storage upload for a block editor image or attachment
+// POST { name, type, size } → { uploadUrl, url, name, size, type }; the browser then PUTs the
+// file to uploadUrl with that Content-Type. Vercel caps a function's request body at 4.5MB,
+// so the file itself never comes through here.
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+const BUCKET = 'workspace-files';
+const MAX_BYTES = 20 * 1024 * 1024;
+
+// The bucket is public, so a file is served with the type it was stored
+// as. Only these keep theirs; anything else (text/html, SVG — both can run
+// script) is stored as a plain download. The bucket enforces the same list.
+const FALLBACK_TYPE = 'application/octet-stream';
+const ALLOWED_TYPES = [
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif', 'image/heic',
+  'application/pdf', 'text/plain', 'text/csv', 'text/markdown', 'application/json', 'application/zip',
+  'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint', 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'audio/mpeg', 'audio/mp4', 'audio/wav', 'audio/webm', 'audio/ogg',
+  'video/mp4', 'video/quicktime', 'video/webm',
+  FALLBACK_TYPE,
+];
+
+const headers = {
+  'apikey': SUPABASE_KEY,
+  'Authorization': `Bearer ${SUPABASE_KEY}`,
+  'Content-Type': 'application/json',
+};
+
+let bucketReady = null; // once per instance
+
+// Keeps the original name readable in the URL (Notion shows it on file blocks)
+function safeName(name) {
+  const clean = String(name || '')
+    .normalize('NFKD')
+    .replace(/[^\w.\- ]+/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/^[.-]+/, '')
+    .slice(-100);
+  return clean || 'file';
+}
+
+function storedType(type) {
+  const clean = String(type || '').split(';')[0].trim().toLowerCase();
+  return ALLOWED_TYPES.includes(clean) ? clean : FALLBACK_TYPE;
+}
+
+// Applies the type and size limits to the bucket, creating it if needed.
+// Public, so Notion can show the files from their URLs
+function ensureBucket() {
+  if (!bucketReady) {
+    const settings = { public: true, file_size_limit: MAX_BYTES, allowed_mime_types: ALLOWED_TYPES };
+    bucketReady = (async () => {
+      const updateRes = await fetch(`${SUPABASE_URL}/storage/v1/bucket/${BUCKET}`, {
+        method: 'PUT', headers, body: JSON.stringify(settings),
+      });
+      if (updateRes.ok) return;
+      const createRes = await fetch(`${SUPABASE_URL}/storage/v1/bucket`, {
+        method: 'POST', headers, body: JSON.stringify({ id: BUCKET, name: BUCKET, ...settings }),
+      });
+      if (!createRes.ok) throw new Error(`Failed to create bucket: ${await createRes.text()}`);
+    })().catch(err => {
+      bucketReady = null;
+      throw err;
+    });
+  }
+  return bucketReady;
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  if (!SUPABASE_URL || !SUPABASE_KEY) {
+    return res.status(500).json({ error: 'SUPABASE_URL or SUPABASE_SERVICE_KEY not configured' });
+  }
+
+  try {
+    const { name: rawName, type: rawType, size } = req.body || {};
+    if (!Number.isFinite(size) || size <= 0) return res.status(400).json({ error: 'File size missing' });
+    if (size > MAX_BYTES) return res.status(400).json({ error: 'File too large (max 20MB)' });
+
+    const name = String(rawName || 'file');
+    const type = storedType(rawType);
+    // A folder per upload keeps the file's own name without collisions
+    const path = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}/${safeName(name)}`;
+
+    await ensureBucket();
+
+    const signRes = await fetch(`${SUPABASE_URL}/storage/v1/object/upload/sign/${BUCKET}/${path}`, {
+      method: 'POST', headers, body: '{}',
+    });
+    if (!signRes.ok) {
+      return res.status(500).json({ error: `Could not sign the upload: ${await signRes.text()}` });
+    }
+    const signed = await signRes.json();
+
+    return res.status(200).json({
+      uploadUrl: `${SUPABASE_URL}/storage/v1${signed.url}`,
+      url: `${SUPABASE_URL}/storage/v1/object/public/${BUCKET}/${path}`,
+      name, size, type,
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,214 @@
+// js/agent-actions.js — Actions agents can propose for Dan to approve
+// ──────────────────────────────────────────────────────────────────────
+//
+// Action tools look like regular Anthropic tools to the model, but calling
+// one only records a proposal on the assistant message. Chat renders it as
+// a confirm/reject card and nothing runs until Dan approves. Agents opt in
+// via the `actions` array in data/agents.json.
+
+import { escapeHtml } from './app.js';
+import { createTaskFromAgent } from './google-tasks.js';
+import { saveDraftFromAgent } from './email.js';
+import { getMergedClients, updateClientStatusFromAgent, STATUS_OPTIONS } from './vip-clients.js';
+import { sendMessageFromAgent } from './messages.js';
+import { recordActivity } from './services/activity-log.js';
+
+// The one client an ID, full name or part of a name points to. Throws
+// (the message goes back to the model) when none or several do
+function resolveClient(name) {
+  const q = (name || '').toLowerCase().trim();
+  if (!q) throw new Error('No client given');
+  const clients = getMergedClients();
+  const byId = clients.find(c => c.id === name);
+  if (byId) return byId;
+  const exact = clients.filter(c => (c.name || '').toLowerCase() === q);
+  const matches = exact.length ? exact : clients.filter(c => (c.name || '').toLowerCase().includes(q));
+  if (matches.length === 1) return matches[0];
+  if (!matches.length) throw new Error(`No VIP client matching "${name}". Use search_vip_clients to find the exact name.`);
+  const names = matches.slice(0, 5).map(c => `${c.name} (${c.id})`).join(', ');
+  throw new Error(`"${name}" matches ${matches.length} VIP clients: ${names}. Propose again with the client's ID.`);
+}
+
+// ── Action registry ──────────────────────────────────────────────────
+// `fields` are shown on the card; `execute` returns the activity log text.
+// `resolve`, when there is one, runs as the action is proposed and returns
+// the input the card shows and execute gets — or throws to refuse it.
+const ACTIONS = {
+  propose_google_task: {
+    label: 'Create Google Task',
+    description: 'Propose a new Google Task. Dan must approve it before it is created.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        notes: { type: 'string' },
+        due:   { type: 'string', description: 'Due date as YYYY-MM-DD.' },
+        list:  { type: 'string', description: 'Task list name. Omit for the default list.' },
+      },
+      required: ['title'],
+    },
+    fields: i => [['Task', i.title], ['List', i.list], ['Due', i.due], ['Notes', i.notes]],
+    async execute({ title, notes, due, list }) {
+      const dueISO = due ? new Date(due + 'T00:00:00').toISOString() : undefined;
+      const task = await createTaskFromAgent({ list, title, notes, due: dueISO });
+      return { action: `Created task "${title}"`, details: `List: ${task.listTitle}` };
+    },
+  },
+
+  propose_email_draft: {
+    label: 'Save email draft',
+    description: 'Propose an email draft. On approval it is saved to Email → Drafts (not sent).',
+    input_schema: {
+      type: 'object',
+      properties: {
+        to:      { type: 'string', description: 'Recipient email address.' },
+        subject: { type: 'string' },
+        body:    { type: 'string' },
+      },
+      required: ['subject', 'body'],
+    },
+    fields: i => [['To', i.to], ['Subject', i.subject], ['Body', i.body]],
+    async execute({ to, subject, body }) {
+      saveDraftFromAgent({ to, subject, body });
+      return { action: `Saved email draft "${subject}"`, details: to ? `To: ${to}` : '' };
+    },
+  },
+
+  propose_client_status: {
+    label: 'Change VIP status',
+    description: "Propose changing a VIP client's status. Use search_vip_clients first to get the exact name.",
+    input_schema: {
+      type: 'object',
+      properties: {
+        client: { type: 'string', description: 'Client name (or ID).' },
+        status: { type: 'string', enum: STATUS_OPTIONS },
+        reason: { type: 'string', description: 'One line on why.' },
+      },
+      required: ['client', 'status'],
+    },
+    resolve(input) {
+      const client = resolveClient(input.client);
+      return { ...input, clientId: client.id, clientName: client.name };
+    },
+    fields: i => [
+      ['Client', i.clientId ? `${i.clientName} · ${i.clientId}` : i.client],
+      ['New status', i.status], ['Reason', i.reason],
+    ],
+    async execute({ client, clientId, status, reason }) {
+      // Proposals recorded before clients were resolved up front have no ID
+      const id = clientId || resolveClient(client).id;
+      const result = await updateClientStatusFromAgent(id, status);
+      return {
+        action: `Changed ${result.name} to ${status}`,
+        details: [`Was ${result.previous}`, reason].filter(Boolean).join(' · '),
+      };
+    },
+  },
+
+  propose_sendblue_message: {
+    label: 'Send text message',
+    description: 'Propose an iMessage/SMS via Sendblue. It is only sent after Dan approves.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        number:  { type: 'string', description: 'Phone number in E.164 format, e.g. +15551234567.' },
+        content: { type: 'string' },
+      },
+      required: ['number', 'content'],
+    },
+    fields: i => [['To', i.number], ['Message', i.content]],
+    async execute({ number, content }) {
+      await sendMessageFromAgent(number, content);
+      return { action: `Sent text to ${number}`, details: content };
+    },
+  },
+};
+
+// ── Public API ───────────────────────────────────────────────────────
+
+export function getActionDefinitions(names) {
+  return (names || [])
+    .filter(name => ACTIONS[name])
+    .map(name => ({
+      name,
+      description: ACTIONS[name].description,
+      input_schema: ACTIONS[name].input_schema,
+    }));
+}
+
+export function isActionTool(name) {
+  return !!ACTIONS[name];
+}
+
+/**
+ * Records a proposal from an action tool call. Returns { ok, output,
+ * action }: output is the tool result for the model, action (when ok) the
+ * pending card. Not ok when the input can't be resolved, e.g. a client
+ * name that matches nobody or several people.
+ */
+export function proposeAction({ id, name, input }) {
+  const def = ACTIONS[name];
+  let resolved = input || {};
+  try {
+    if (def?.resolve) resolved = def.resolve(resolved);
+  } catch (err) {
+    return { ok: false, output: `Not proposed: ${err.message}`, action: null };
+  }
+  return {
+    ok: true,
+    output: `Proposed "${def?.label || name}" — shown to Dan as a confirmation card. It has NOT run yet; do not assume it succeeded.`,
+    action: { id, type: name, input: resolved, status: 'pending' },
+  };
+}
+
+const STATUS_LABELS = {
+  approved: '✓ Approved', rejected: '✕ Rejected', failed: '⚠ Failed', running: 'Running…',
+};
+
+export function renderActionCard(action) {
+  const def = ACTIONS[action.type];
+  const rows = (def ? def.fields(action.input || {}) : Object.entries(action.input || {}))
+    .filter(([, v]) => v)
+    .map(([k, v]) => `
+      <div class="agent-action-row">
+        <span class="agent-action-key">${escapeHtml(k)}</span>
+        <span class="agent-action-value">${escapeHtml(String(v))}</span>
+      </div>`).join('');
+
+  const footer = action.status === 'pending'
+    ? `<div class="agent-action-buttons">
+        <button class="btn btn-sm btn-primary" data-action-decision="approve" data-action-id="${escapeHtml(action.id)}">Approve</button>
+        <button class="btn btn-sm btn-ghost" data-action-decision="reject" data-action-id="${escapeHtml(action.id)}">Reject</button>
+      </div>`
+    : `<div class="agent-action-status">${STATUS_LABELS[action.status] || escapeHtml(action.status)}${action.error ? ` — ${escapeHtml(action.error)}` : ''}</div>`;
+
+  return `
+    <div class="agent-action-card is-${escapeHtml(action.status)}" data-action-card="${escapeHtml(action.id)}">
+      <div class="agent-action-title">${escapeHtml(def?.label || action.type)}</div>
+      ${rows}
+      ${footer}
+    </div>`;
+}
+
+// Runs an approved action, mutating its status. Never throws.
+export async function executeAgentAction(action, { agentName, threadId } = {}) {
+  const def = ACTIONS[action.type];
+  action.status = 'running';
+  try {
+    if (!def) throw new Error(`Unknown action: ${action.type}`);
+    const { action: summary, details } = await def.execute(action.input || {});
+    action.status = 'approved';
+    action.resolvedAt = new Date().toISOString();
+    recordActivity({
+      type: 'agent',
+      action: `${agentName ? agentName + ': ' : ''}${summary}`,
+      details: details || '',
+      session: threadId ? `chat:${threadId}` : 'chat',
+    });
+  } catch (err) {
+    console.warn(`[agent-actions] ${action.type} failed`, err);
+    action.status = 'failed';
+    action.error = err.message;
+  }
+  return action;
+}
@@ -0,0 +1,391 @@
+// js/agent-editor.js — "Manage agents" panel: create, clone, edit, archive
+// ──────────────────────────────────────────────────────────────────────
+//
+// data/agents.json is the seed. Saved edits are layered on top via
+// services/agent-store.js (Supabase + localStorage) and pushed into the
+// 'agents' state, which chat.js re-renders from. Every save is a version;
+// any earlier version (or the seed) can be rolled back to.
+
+import {
+  getState, setState, escapeHtml, formatRelativeTime,
+  $, openModal, showToast
+} from './app.js';
+import {
+  mergeAgentConfigs, fetchAgentConfigs, saveAgentConfig, fetchAgentVersions
+} from './services/agent-store.js';
+import { getKnownModels } from './services/chat-usage.js';
+import { getAvailableKnowledgeFiles, getAgentKnowledgeFiles } from './knowledge-retrieval.js';
+
+const DEFAULT_MODEL = 'claude-opus-4-6';
+
+// ── State ────────────────────────────────────────────────────────────
+let seedAgents = [];      // data/agents.json as loaded, before overrides
+let view = 'list';        // 'list' | 'edit'
+let draft = null;         // agent being edited (a copy)
+let isNewAgent = false;
+let versions = [];
+let showArchived = false;
+let eventsBound = false;
+
+// ── Public API ───────────────────────────────────────────────────────
+export function initAgentEditor() {
+  const data = getState('agents');
+  seedAgents = data?.agents || [];
+  applyAgentConfigs();
+  // Fire-and-forget Supabase pull (edits made on another device); it also
+  // pushes edits saved offline, so it runs again once back online
+  const pull = () => fetchAgentConfigs().then(configs => { if (configs) applyAgentConfigs(configs); });
+  pull();
+  window.addEventListener('online', pull);
+}
+
+export function openAgentEditor(agentId) {
+  bindEvents();
+  const agent = agentId && getAgents().find(a => a.id === agentId);
+  if (agent) {
+    startEditing(agent, false);
+  } else {
+    view = 'list';
+    render();
+  }
+  openModal('agentEditorModal');
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+function applyAgentConfigs(configs) {
+  const data = getState('agents') || {};
+  setState('agents', { ...data, agents: mergeAgentConfigs(seedAgents, configs) });
+}
+
+function getAgents() {
+  return getState('agents')?.agents || [];
+}
+
+function slugify(name) {
+  const base = (name || 'agent').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'agent';
+  const taken = new Set(getAgents().map(a => a.id));
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+function startEditing(agent, isNew) {
+  draft = structuredClone(agent);
+  if (!isNew) draft.knowledgeFiles = getAgentKnowledgeFiles(agent);
+  draft.chips = draft.chips || [];
+  isNewAgent = isNew;
+  view = 'edit';
+  versions = [];
+  render();
+  if (!isNew) loadVersions(agent.id);
+}
+
+async function loadVersions(agentId) {
+  const list = await fetchAgentVersions(agentId);
+  if (view !== 'edit' || draft?.id !== agentId) return;
+  versions = list;
+  const el = $('#agentVersionList');
+  if (el) el.innerHTML = renderVersionItems();
+}
+
+// ── Rendering ────────────────────────────────────────────────────────
+function render() {
+  const body = $('#agentEditorBody');
+  const footer = $('#agentEditorFooter');
+  const title = $('#agentEditorTitle');
+  if (!body || !footer) return;
+
+  if (view === 'edit') {
+    if (title) title.textContent = isNewAgent ? 'New Agent' : `Edit ${draft.name || 'Agent'}`;
+    body.innerHTML = renderForm();
+    footer.innerHTML = `
+      <button class="btn btn-ghost" data-agent-editor="back">&larr; All agents</button>
+      <div class="footer-right">
+        <input type="text" class="form-input agent-editor-note" id="agentSaveNote" placeholder="What changed? (optional)">
+        <button class="btn btn-primary" data-agent-editor="save">${isNewAgent ? 'Create Agent' : 'Save Version'}</button>
+      </div>
+    `;
+  } else {
+    if (title) title.textContent = 'Manage Agents';
+    body.innerHTML = renderList();
+    footer.innerHTML = `
+      <label class="agent-editor-toggle text-sm text-secondary">
+        <input type="checkbox" id="agentShowArchived" ${showArchived ? 'checked' : ''}> Show archived
+      </label>
+      <button class="btn btn-primary" data-agent-editor="new">+ New Agent</button>
+    `;
+  }
+}
+
+function renderList() {
+  const agents = getAgents().filter(a => a.systemPrompt && (showArchived || !a.archived));
+  if (!agents.length) return '<div class="empty-state"><p>No agents yet.</p></div>';
+
+  return `
+    <div class="agent-editor-list">
+      ${agents.map(a => `
+        <div class="agent-editor-row${a.archived ? ' is-archived' : ''}">
+          <span class="agent-panel-icon" style="background-color: ${escapeHtml(a.color || '#888888')}20; color: ${escapeHtml(a.color || '#888888')}">${escapeHtml(a.emoji || '🤖')}</span>
+          <div class="agent-editor-row-info">
+            <span class="agent-editor-row-name">${escapeHtml(a.name)}${a.archived ? ' <span class="badge badge-sm badge-neutral">Archived</span>' : ''}</span>
+            <span class="text-xs text-tertiary">${escapeHtml(a.defaultModel || DEFAULT_MODEL)}${a.version ? ` · v${a.version}` : ' · original'}</span>
+          </div>
+          <div class="agent-editor-row-actions">
+            <button class="btn btn-ghost btn-sm" data-agent-editor="edit" data-agent-id="${escapeHtml(a.id)}">Edit</button>
+            <button class="btn btn-ghost btn-sm" data-agent-editor="clone" data-agent-id="${escapeHtml(a.id)}">Clone</button>
+            <button class="btn btn-ghost btn-sm" data-agent-editor="${a.archived ? 'unarchive' : 'archive'}" data-agent-id="${escapeHtml(a.id)}">${a.archived ? 'Restore' : 'Archive'}</button>
+          </div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+function renderForm() {
+  const models = getKnownModels().filter(m => m.startsWith('claude'));
+  const files = getAvailableKnowledgeFiles();
+  const selectedFiles = new Set(draft.knowledgeFiles || []);
+
+  return `
+    <div class="agent-editor-grid">
+      <div class="form-group">
+        <label class="form-label" for="agentName">Name</label>
+        <input type="text" class="form-input" id="agentName" value="${escapeHtml(draft.name || '')}" placeholder="The Closer">
+      </div>
+      <div class="form-group agent-editor-narrow">
+        <label class="form-label" for="agentEmoji">Emoji</label>
+        <input type="text" class="form-input" id="agentEmoji" value="${escapeHtml(draft.emoji || '')}" maxlength="4">
+      </div>
+      <div class="form-group agent-editor-narrow">
+        <label class="form-label" for="agentColor">Color</label>
+        <input type="color" class="form-input agent-editor-color" id="agentColor" value="${escapeHtml(draft.color || '#6B7280')}">
+      </div>
+    </div>
+    <div class="form-group">
+      <label class="form-label" for="agentRole">Role</label>
+      <input type="text" class="form-input" id="agentRole" value="${escapeHtml(draft.role || '')}" placeholder="One-line description">
+    </div>
+    <div class="form-group">
+      <label class="form-label" for="agentModel">Model</label>
+      <input type="text" class="form-input" id="agentModel" list="agentModelOptions" value="${escapeHtml(draft.defaultModel || DEFAULT_MODEL)}">
+      <datalist id="agentModelOptions">
+        ${models.map(m => `<option value="${escapeHtml(m)}">`).join('')}
+      </datalist>
+    </div>
+    <div class="form-group">
+      <label class="form-label" for="agentPrompt">System prompt</label>
+      <textarea class="form-input agent-editor-prompt" id="agentPrompt" rows="14">${escapeHtml(draft.systemPrompt || '')}</textarea>
+    </div>
+    <div class="form-group">
+      <span class="form-label">Knowledge files</span>
+      ${files.length ? `
+        <div class="agent-editor-files">
+          ${files.map(f => `
+            <label class="agent-editor-file">
+              <input type="checkbox" data-knowledge-file="${escapeHtml(f)}" ${selectedFiles.has(f) ? 'checked' : ''}>
+              ${escapeHtml(f)}
+            </label>
+          `).join('')}
+        </div>
+      ` : '<span class="text-xs text-tertiary">No knowledge files listed in data/knowledge-index.json.</span>'}
+    </div>
+    <div class="form-group">
+      <span class="form-label">Suggested chips</span>
+      <div class="agent-editor-chips" id="agentChipRows">
+        ${draft.chips.map(renderChipRow).join('')}
+      </div>
+      <button class="btn btn-ghost btn-sm" data-agent-editor="add-chip">+ Add chip</button>
+    </div>
+    ${isNewAgent ? '' : `
+      <div class="form-group">
+        <span class="form-label">Version history</span>
+        <div class="agent-editor-versions" id="agentVersionList">${renderVersionItems()}</div>
+      </div>
+    `}
+  `;
+}
+
+function renderChipRow(chip) {
+  return `
+    <div class="agent-editor-chip">
+      <input type="text" class="form-input agent-editor-chip-icon" data-chip-field="icon" value="${escapeHtml(chip.icon || '')}" placeholder="🙂" maxlength="4">
+      <input type="text" class="form-input agent-editor-chip-label" data-chip-field="label" value="${escapeHtml(chip.label || '')}" placeholder="Label">
+      <input type="text" class="form-input agent-editor-chip-prefill" data-chip-field="prefill" value="${escapeHtml(chip.prefill || '')}" placeholder="Text put in the chat box">
+      <button class="btn-icon" data-agent-editor="remove-chip" title="Remove chip" aria-label="Remove chip">&times;</button>
+    </div>
+  `;
+}
+
+function renderVersionItems() {
+  const current = getAgents().find(a => a.id === draft.id);
+  const seed = seedAgents.find(a => a.id === draft.id);
+  const items = versions.map(v => `
+    <div class="agent-editor-version">
+      <span class="agent-editor-version-label">v${v.version}${v.version === current?.version ? ' · current' : ''}</span>
+      <span class="text-xs text-tertiary">${formatRelativeTime(v.createdAt)}${v.note ? ` — ${escapeHtml(v.note)}` : ''}</span>
+      ${v.version === current?.version ? '' : `<button class="btn btn-ghost btn-xs" data-agent-editor="rollback" data-version="${v.version}">Roll back</button>`}
+    </div>
+  `);
+  if (seed) {
+    items.push(`
+      <div class="agent-editor-version">
+        <span class="agent-editor-version-label">Original${current?.version ? '' : ' · current'}</span>
+        <span class="text-xs text-tertiary">data/agents.json</span>
+        ${current?.version ? '<button class="btn btn-ghost btn-xs" data-agent-editor="rollback" data-version="seed">Roll back</button>' : ''}
+      </div>
+    `);
+  }
+  return items.join('') || '<span class="text-xs text-tertiary">No saved versions yet.</span>';
+}
+
+// ── Form → draft ─────────────────────────────────────────────────────
+function readForm() {
+  const val = id => $(`#${id}`)?.value ?? '';
+  draft.name = val('agentName').trim();
+  draft.emoji = val('agentEmoji').trim();
+  draft.color = val('agentColor');
+  draft.role = val('agentRole').trim();
+  draft.defaultModel = val('agentModel').trim() || DEFAULT_MODEL;
+  draft.systemPrompt = val('agentPrompt');
+  draft.knowledgeFiles = [...document.querySelectorAll('#agentEditorBody [data-knowledge-file]')]
+    .filter(cb => cb.checked)
+    .map(cb => cb.dataset.knowledgeFile);
+  draft.chips = readChipRows();
+}
+
+function readChipRows() {
+  return [...document.querySelectorAll('#agentChipRows .agent-editor-chip')].map((row, i) => {
+    const field = name => row.querySelector(`[data-chip-field="${name}"]`)?.value || '';
+    const label = field('label').trim();
+    return {
+      key: label.toLowerCase().replace(/[^a-z0-9]+/g, '-') || `chip-${i + 1}`,
+      icon: field('icon').trim(),
+      label,
+      prefill: field('prefill'),
+    };
+  });
+}
+
+// ── Actions ──────────────────────────────────────────────────────────
+async function persist(agent, options, message) {
+  const { synced } = await saveAgentConfig(agent, options);
+  applyAgentConfigs();
+  showToast(synced ? message : `${message} (saved locally — Supabase unavailable)`, synced ? 'success' : 'warning');
+}
+
+async function handleSave() {
+  readForm();
+  if (!draft.name) {
+    showToast('Agent needs a name', 'error');
+    return;
+  }
+  if (!draft.systemPrompt.trim()) {
+    showToast('Agent needs a system prompt', 'error');
+    return;
+  }
+  draft.chips = draft.chips.filter(c => c.label && c.prefill);
+  const note = $('#agentSaveNote')?.value.trim() || (isNewAgent ? 'Created' : '');
+  const wasNew = isNewAgent;
+
+  await persist(draft, { archived: !!draft.archived, note }, wasNew ? `Created ${draft.name}` : `Saved ${draft.name}`);
+  startEditing(getAgents().find(a => a.id === draft.id) || draft, false);
+}
+
+async function handleRollback(versionValue) {
+  const current = getAgents().find(a => a.id === draft.id);
+  const target = versionValue === 'seed'
+    ? seedAgents.find(a => a.id === draft.id)
+    : versions.find(v => String(v.version) === versionValue)?.config;
+  if (!current || !target) return;
+
+  const label = versionValue === 'seed' ? 'the original' : `v${versionValue}`;
+  if (!confirm(`Roll ${current.name} back to ${label}? This saves it as a new version.`)) return;
+
+  await persist({ ...target, id: current.id }, { archived: !!current.archived, note: `Rolled back to ${label}` },
+    `Rolled back to ${label}`);
+  startEditing(getAgents().find(a => a.id === current.id), false);
+}
+
+async function handleArchive(agentId, archived) {
+  const agent = getAgents().find(a => a.id === agentId);
+  if (!agent) return;
+  if (archived && !confirm(`Archive ${agent.name}? Its threads stay, but it leaves the agents panel.`)) return;
+  await persist(agent, { archived, note: archived ? 'Archived' : 'Restored' },
+    archived ? `Archived ${agent.name}` : `Restored ${agent.name}`);
+  render();
+}
+
+function handleClone(agentId) {
+  const agent = getAgents().find(a => a.id === agentId);
+  if (!agent) return;
+  const name = `${agent.name} (copy)`;
+  const { version, archived, ...rest } = agent;
+  startEditing({
+    ...rest,
+    id: slugify(name),
+    name,
+    knowledgeFiles: getAgentKnowledgeFiles(agent),
+    recentActivity: [],
+    tasksCompleted: 0,
+  }, true);
+}
+
+function handleNew() {
+  const name = 'New Agent';
+  startEditing({
+    id: slugify(name),
+    name,
+    role: '',
+    emoji: '🤖',
+    color: '#6B7280',
+    status: 'online',
+    defaultModel: DEFAULT_MODEL,
+    systemPrompt: '',
+    knowledgeFiles: [],
+    chips: [],
+    capabilities: [],
+    recentActivity: [],
+  }, true);
+}
+
+// ── Events ───────────────────────────────────────────────────────────
+function bindEvents() {
+  if (eventsBound) return;
+  const modal = $('#agentEditorModal');
+  if (!modal) return;
+  eventsBound = true;
+
+  modal.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-agent-editor]');
+    if (!btn) return;
+    const { agentEditor: action, agentId } = btn.dataset;
+
+    switch (action) {
+      case 'new': handleNew(); break;
+      case 'edit': {
+        const agent = getAgents().find(a => a.id === agentId);
+        if (agent) startEditing(agent, false);
+        break;
+      }
+      case 'clone': handleClone(agentId); break;
+      case 'archive': handleArchive(agentId, true); break;
+      case 'unarchive': handleArchive(agentId, false); break;
+      case 'back': view = 'list'; draft = null; render(); break;
+      case 'save': handleSave(); break;
+      case 'rollback': handleRollback(btn.dataset.version); break;
+      case 'add-chip':
+        $('#agentChipRows')?.insertAdjacentHTML('beforeend', renderChipRow({}));
+        break;
+      case 'remove-chip':
+        btn.closest('.agent-editor-chip')?.remove();
+        break;
+    }
+  });
+
+  modal.addEventListener('change', (e) => {
+    if (e.target.id === 'agentShowArchived') {
+      showArchived = e.target.checked;
+      render();
+    }
+  });
+}
@@ -0,0 +1,262 @@
+// js/agent-tools.js — Live-data tools agents can call from chat
+// ──────────────────────────────────────────────────────────────────────
+//
+// Each tool is an Anthropic tool definition plus a `run` function backed
+// by the same /api/* endpoints the dashboard tabs use. Agents opt in via
+// the `tools` array in data/agents.json.
+
+import { getState, loadJSON } from './app.js';
+import { getMergedClients } from './vip-clients.js';
+import { getPostsByCreator, getTopPosts } from './services/creator-scraper.js';
+
+const MAX_RESULT_CHARS = 12000; // keep tool results from flooding the context
+
+// ── Helpers ──────────────────────────────────────────────────────────
+async function getJSON(url) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || `HTTP ${res.status}`);
+  }
+  return res.json();
+}
+
+// Same ranges as the Reports → Funnels toolbar
+function funnelRangeToParams(range) {
+  const today = new Date();
+  const yesterday = new Date();
+  yesterday.setDate(yesterday.getDate() - 1);
+  const fmt = d => d.toISOString().slice(0, 10);
+
+  switch (range) {
+    case 'today':     return `start=${fmt(today)}&end=${fmt(today)}`;
+    case 'yesterday': return `start=${fmt(yesterday)}&end=${fmt(yesterday)}`;
+    case '7d':        return 'days=7';
+    case '90d':       return 'days=90';
+    case '30d':
+    default:          return 'days=30';
+  }
+}
+
+function summarizePost(p) {
+  return {
+    creator: p.creator,
+    type: p.type,
+    date: p.date,
+    likes: p.likes,
+    comments: p.comments,
+    views: p.views,
+    hook: p.spokenHook || p.textHook || '',
+    hookFramework: p.hookFramework,
+    topic: p.topic,
+    caption: (p.caption || '').slice(0, 300),
+    permalink: p.permalink,
+  };
+}
+
+function summarizeSwipe(s) {
+  return {
+    advertiser: s.advertiser,
+    headline: s.headline,
+    primaryText: (s.primaryText || '').slice(0, 400),
+    cta: s.cta,
+    hookType: s.hookType,
+    hookFramework: s.hookFramework,
+    copyStructure: s.copyStructure,
+    whyItWorks: s.whyItWorks,
+    foundDate: s.foundDate,
+    adsLibraryUrl: s.adsLibraryUrl,
+  };
+}
+
+// ── Tool registry ────────────────────────────────────────────────────
+const TOOLS = {
+  get_funnel_stats: {
+    label: 'Funnel stats',
+    description: 'Page views, form submissions and conversion rate for the tracked funnel pages, with a daily breakdown.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        range: { type: 'string', enum: ['today', 'yesterday', '7d', '30d', '90d'], description: 'Date range. Defaults to 30d.' },
+        slug:  { type: 'string', description: 'Funnel page slug, e.g. "free-skool" or "application". Omit for all funnels.' },
+      },
+    },
+    async run({ range = '30d', slug } = {}) {
+      let url = `/api/funnel-stats?${funnelRangeToParams(range)}`;
+      if (slug && slug !== 'all') url += `&slug=${encodeURIComponent(slug)}`;
+      return getJSON(url);
+    },
+  },
+
+  get_meta_campaigns: {
+    label: 'Meta campaigns',
+    description: 'Meta ad account summary (spend, leads, CPL, applications, ROAS, CTR) and per-campaign breakdown.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        preset: { type: 'string', enum: ['today', 'yesterday', 'last_7d', 'last_30d', 'this_month', 'last_month'], description: 'Meta date preset. Defaults to last_7d.' },
+      },
+    },
+    async run({ preset = 'last_7d' } = {}) {
+      const data = await getJSON(`/api/meta-refresh?preset=${encodeURIComponent(preset)}`);
+      return { period: preset, summary: data.summary, campaigns: data.campaigns || [] };
+    },
+  },
+
+  search_vip_clients: {
+    label: 'VIP clients',
+    description: 'Search the VIP & 1:1 client roster by name, email, status or program. An empty query returns everyone.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Case-insensitive text to match, e.g. "at risk" or a client name.' },
+      },
+    },
+    async run({ query = '' } = {}) {
+      let clients;
+      try {
+        clients = (await getJSON('/api/vip-clients')).clients || [];
+      } catch (err) {
+        console.warn('[agent-tools] /api/vip-clients failed, using loaded roster', err);
+        clients = getMergedClients();
+      }
+      const q = query.toLowerCase().trim();
+      const matches = clients.filter(c => !q || [
+        c.name, c.email, c.status, c.payment, ...(Array.isArray(c.program) ? c.program : [c.program]),
+      ].some(v => v && String(v).toLowerCase().includes(q)));
+      return {
+        total: clients.length,
+        matches: matches.map(c => ({
+          id: c.id, name: c.name, status: c.status || 'Active', program: c.program,
+          payment: c.payment, joined: c.joined, programLength: c.programLength, email: c.email,
+        })),
+      };
+    },
+  },
+
+  get_competitor_posts: {
+    label: 'Competitor posts',
+    description: 'Recent analyzed Instagram posts (hooks, topics, engagement) for one tracked competitor, or the top posts across all competitors.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        username: { type: 'string', description: 'Instagram username without @. Omit for top posts across all creators.' },
+        limit:    { type: 'integer', description: 'Max posts to return (default 15, max 40).' },
+      },
+    },
+    async run({ username, limit = 15 } = {}) {
+      const n = Math.min(Math.max(parseInt(limit, 10) || 15, 1), 40);
+      const posts = username
+        ? await getPostsByCreator(username.replace(/^@/, '').toLowerCase(), n)
+        : await getTopPosts(n);
+      return { username: username || null, posts: posts.map(summarizePost) };
+    },
+  },
+
+  get_ad_swipes: {
+    label: 'Ad swipes',
+    description: 'The competitor ad swipe file: Meta ads with their hooks, copy structure and why they work. Filter by advertiser or by text.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        advertiser: { type: 'string', description: 'Advertiser name, e.g. "Will Nelson". Omit for all competitors.' },
+        query:      { type: 'string', description: 'Case-insensitive text to match in the copy, hook or notes.' },
+        limit:      { type: 'integer', description: 'Max swipes to return (default 15, max 40).' },
+      },
+    },
+    async run({ advertiser, query, limit = 15 } = {}) {
+      const n = Math.min(Math.max(parseInt(limit, 10) || 15, 1), 40);
+      const data = getState('adSwipes') || await loadJSON('ad-swipes.json');
+      const swipes = Array.isArray(data) ? data : data?.swipes || [];
+      const who = (advertiser || '').toLowerCase().trim();
+      const q = (query || '').toLowerCase().trim();
+      const matches = swipes.filter(s =>
+        (!who || (s.advertiser || '').toLowerCase().includes(who)) &&
+        (!q || [s.headline, s.primaryText, s.hookType, s.hookFramework, s.copyStructure, s.whyItWorks, s.notes]
+          .some(v => v && String(v).toLowerCase().includes(q))));
+      return {
+        lastResearch: data?.lastResearch || null,
+        competitors: data?.competitors || [],
+        total: matches.length,
+        swipes: matches.slice(0, n).map(summarizeSwipe),
+      };
+    },
+  },
+
+  list_google_tasks: {
+    label: 'Google Tasks',
+    description: 'Open tasks from a Google Tasks list. Lists are matched by name; omit to use the first list.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        list: { type: 'string', description: 'Task list name (or ID).' },
+      },
+    },
+    async run({ list } = {}) {
+      const lists = await getJSON('/api/lists');
+      const q = (list || '').toLowerCase();
+      const match = q
+        ? lists.find(l => l.id === list || (l.title || '').toLowerCase().includes(q))
+        : lists[0];
+      if (!match) {
+        return { error: `No task list matching "${list}"`, lists: lists.map(l => l.title) };
+      }
+      const data = await getJSON(`/api/tasks?list=${encodeURIComponent(match.id)}&showCompleted=false`);
+      return {
+        list: match.title,
+        tasks: (data.tasks || []).map(t => ({ title: t.title, notes: t.notes || '', due: t.due || null })),
+      };
+    },
+  },
+
+  get_social_stats: {
+    label: 'Social stats',
+    description: "Dan's own Instagram or YouTube channel stats (followers/subscribers, engagement, recent performance).",
+    input_schema: {
+      type: 'object',
+      properties: {
+        platform: { type: 'string', enum: ['instagram', 'youtube'] },
+      },
+      required: ['platform'],
+    },
+    async run({ platform } = {}) {
+      if (platform === 'youtube') return getJSON('/api/youtube-stats');
+      return getJSON('/api/instagram-stats');
+    },
+  },
+};
+
+// ── Public API ───────────────────────────────────────────────────────
+
+// Anthropic `tools` payload for the given tool names (unknown names skipped)
+export function getToolDefinitions(names) {
+  return (names || [])
+    .filter(name => TOOLS[name])
+    .map(name => ({
+      name,
+      description: TOOLS[name].description,
+      input_schema: TOOLS[name].input_schema,
+    }));
+}
+
+export function getToolLabel(name) {
+  return TOOLS[name]?.label || name;
+}
+
+// Runs a tool and returns its result as a string for the tool_result block.
+// Never throws — errors go back to the model so it can recover.
+export async function runAgentTool(name, input) {
+  const tool = TOOLS[name];
+  if (!tool) return { ok: false, output: `Unknown tool: ${name}` };
+  try {
+    const result = await tool.run(input || {});
+    let output = JSON.stringify(result);
+    if (output.length > MAX_RESULT_CHARS) {
+      output = output.slice(0, MAX_RESULT_CHARS) + '… [truncated]';
+    }
+    return { ok: !result?.error, output };
+  } catch (err) {
+    console.warn(`[agent-tools] ${name} failed`, err);
+    return { ok: false, output: `Error: ${err.message}` };
+  }
+}
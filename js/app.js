@@ -7,8 +7,16 @@ import { initHome } from './home.js';
 import { initProjects } from './projects.js';
 import { getProjects } from './project-store.js';
 import { initContent, loadContentData, loadMetaAdsData } from './content.js';
-import { initKnowledge, onKnowledgeTabVisit } from './knowledge.js';
-import { initChat } from './chat.js';
+import { initKnowledge, onKnowledgeTabVisit, getWorkspaceDocs, getWorkspaceFolders, getFolderPath } from './knowledge.js';
+import { initChat, openChatMessage } from './chat.js';
+import {
+  searchChatMessages, searchLocalMessages, getSearchTerms, highlightTerms, DATE_RANGES
+} from './services/chat-search.js';
+import { syncDocIndex, searchDocs, getIndexedDocs } from './services/doc-search.js';
+import {
+  isSemanticSearchOn, setSemanticSearch, refreshDocEmbeddings, semanticScores
+} from './services/doc-embeddings.js';
+import { initAgentEditor } from './agent-editor.js';
 import { initVipClients } from './vip-clients.js';
 import { initCompetitors, loadCompetitorData } from './competitors.js';
 import { initGoogleTasks, loadGoogleTaskData } from './google-tasks.js';
@@ -18,6 +26,7 @@ import { initBlockEditor, openBlockEditor, closeBlockEditor, isEditorModalOpen }
 import { initEmail } from './email.js';
 import { initFunnels, loadFunnelData } from './funnels.js';
 import { initMessages, loadMessageData } from './messages.js';
+import { mergeLocalActivity } from './services/activity-log.js';
 import { initSkoolDms, loadSkoolDmData } from './skool-dms.js';
 import { initNoteAi } from './note-ai.js';
 
@@ -199,6 +208,9 @@ function cacheElements() {
     searchOverlay: $('#searchOverlay'),
     globalSearchInput: $('#globalSearchInput'),
     searchResults: $('#searchResults'),
+    searchDocFolder: $('#searchDocFolder'),
+    searchDocRange: $('#searchDocRange'),
+    searchSemantic: $('#searchSemantic'),
     // Theme
     themeToggle: $('#themeToggle'),
     iconSun: $('.icon-sun'),
@@ -663,6 +675,21 @@ function initSearch() {
     debouncedSearch(input.value.trim());
   });
 
+  // Workspace doc filters
+  if (elCache.searchDocRange) {
+    elCache.searchDocRange.innerHTML = Object.entries(DATE_RANGES)
+      .map(([key, r]) => `<option value="${key}">${r.label}</option>`)
+      .join('');
+  }
+  [elCache.searchDocFolder, elCache.searchDocRange].forEach(select => {
+    select?.addEventListener('change', () => performSearch(input.value.trim(), results));
+  });
+  elCache.searchSemantic?.addEventListener('change', () => {
+    setSemanticSearch(elCache.searchSemantic.checked);
+    if (elCache.searchSemantic.checked) refreshEmbeddings();
+    performSearch(input.value.trim(), results);
+  });
+
   // Navigate results with keyboard
   input.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
@@ -690,6 +717,11 @@ function initSearch() {
     if (!item) return;
     const tab = item.dataset.tab;
     if (tab) switchTab(tab);
+    if (item.dataset.docId) openBlockEditor({ docId: item.dataset.docId });
+    if (item.dataset.chatThread) {
+      const hit = chatSearchHits.find(h => h.threadId === item.dataset.chatThread && h.nodeId === item.dataset.id);
+      openChatMessage(item.dataset.chatThread, item.dataset.id, hit?.thread);
+    }
     closeSearch();
   });
 }
@@ -707,6 +739,26 @@ function openSearch() {
   if (elCache.searchResults) {
     elCache.searchResults.innerHTML = renderSearchHint();
   }
+
+  // Folders change between opens; the filters themselves stick
+  const folderSelect = elCache.searchDocFolder;
+  if (folderSelect) {
+    const folders = getWorkspaceFolders();
+    const selected = folderSelect.value;
+    folderSelect.innerHTML = '<option value="">All folders</option>' + folders
+      .map(f => ({ id: f.id, label: getFolderPath(folders, f.id) }))
+      .sort((a, b) => a.label.localeCompare(b.label))
+      .map(f => `<option value="${escapeHtml(f.id)}"${f.id === selected ? ' selected' : ''}>${escapeHtml(f.label)}</option>`)
+      .join('');
+  }
+  if (elCache.searchSemantic) elCache.searchSemantic.checked = isSemanticSearchOn();
+  if (isSemanticSearchOn()) refreshEmbeddings();
+}
+
+// Embeds new and changed docs in the background
+function refreshEmbeddings() {
+  syncDocIndex(getWorkspaceDocs());
+  refreshDocEmbeddings(getIndexedDocs());
 }
 
 function closeSearch() {
@@ -717,10 +769,16 @@ function closeSearch() {
 }
 
 function renderSearchHint() {
-  return '<div class="search-hint">Type to search projects, notes, documents, and clients...</div>';
+  return '<div class="search-hint">Type to search workspace docs, projects, notes, clients, and chats...</div>';
 }
 
+const MAX_CHAT_RESULTS = 6;
+
+let chatSearchHits = []; // hits behind the chat results currently shown
+let chatSearchSeq = 0;
+
 function performSearch(query, container) {
+  const seq = ++chatSearchSeq;
   if (!query || query.length < 2) {
     container.innerHTML = renderSearchHint();
     return;
@@ -729,6 +787,11 @@ function performSearch(query, container) {
   const lowerQ = query.toLowerCase();
   const results = [];
 
+  // Workspace docs: full text, with the folder / date filters
+  syncDocIndex(getWorkspaceDocs());
+  const docOptions = getDocSearchOptions();
+  let docHits = searchDocs(query, docOptions);
+
   // Search projects (from project-store)
   const { projects } = getProjects();
   projects.forEach(project => {
@@ -798,17 +861,87 @@ function performSearch(query, container) {
     });
   }
 
-  if (results.length === 0) {
-    container.innerHTML = '<div class="search-hint">No results found</div>';
+  // Chat messages: local threads now, Supabase-only threads when they arrive.
+  // Semantic ranking, when it's on, re-sorts the docs once the query is embedded.
+  let chatHits = searchLocalMessages(query);
+  let pending = true;
+  const render = () => renderSearchResults([...docSearchResults(docHits, query), ...results], chatHits, query, container, pending);
+  render();
+  searchChatMessages(query, { limit: MAX_CHAT_RESULTS }).then(hits => {
+    if (seq !== chatSearchSeq || !state.ui.searchOpen) return;
+    chatHits = hits;
+    pending = false;
+    render();
+  });
+  if (isSemanticSearchOn()) {
+    semanticScores(query).then(scores => {
+      if (!scores || seq !== chatSearchSeq || !state.ui.searchOpen) return;
+      docHits = searchDocs(query, { ...docOptions, semantic: scores });
+      render();
+    });
+  }
+}
+
+function getDocSearchOptions() {
+  const days = DATE_RANGES[elCache.searchDocRange?.value]?.days;
+  return {
+    folder: elCache.searchDocFolder?.value || null,
+    folders: getWorkspaceFolders(),
+    since: days ? new Date(Date.now() - days * 86400000) : null,
+  };
+}
+
+function docSearchResults(hits, query) {
+  const folders = getWorkspaceFolders();
+  const terms = getSearchTerms(query);
+  return hits.map(hit => {
+    const folder = getFolderPath(folders, hit.folder) || 'Workspace';
+    return {
+      type: hit.semanticOnly ? 'related' : 'doc',
+      icon: 'doc',
+      title: hit.title,
+      subtitleHtml: `${escapeHtml(folder)}${hit.snippet ? ` · ${highlightTerms(hit.snippet, terms)}` : ''}`,
+      tab: 'knowledge',
+      id: hit.id,
+      docId: hit.id,
+    };
+  });
+}
+
+function renderSearchResults(results, chatHits, query, container, pending) {
+  chatSearchHits = chatHits
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .slice(0, MAX_CHAT_RESULTS);
+
+  const terms = getSearchTerms(query);
+  const all = [
+    ...results.slice(0, 20 - chatSearchHits.length),
+    ...chatSearchHits.map(hit => ({
+      type: 'chat',
+      icon: 'chat',
+      title: hit.thread.title || 'Conversation',
+      subtitleHtml: highlightTerms(hit.snippet, terms),
+      tab: 'chat',
+      id: hit.nodeId,
+      threadId: hit.threadId,
+    })),
+  ];
+
+  if (all.length === 0) {
+    container.innerHTML = `<div class="search-hint">${pending ? 'Searching…' : 'No results found'}</div>`;
     return;
   }
 
-  container.innerHTML = results.slice(0, 20).map((r, i) => `
-    <div class="search-result-item ${i === 0 ? 'is-active' : ''}" data-tab="${escapeHtml(r.tab)}" data-id="${escapeHtml(r.id)}">
+  // Keep the keyboard selection when remote chat hits re-render the list
+  const activeIndex = pending ? 0
+    : Math.max(0, $$('.search-result-item', container).findIndex(el => el.classList.contains('is-active')));
+
+  container.innerHTML = all.map((r, i) => `
+    <div class="search-result-item ${i === activeIndex ? 'is-active' : ''}" data-tab="${escapeHtml(r.tab)}" data-id="${escapeHtml(r.id)}"${r.threadId ? ` data-chat-thread="${escapeHtml(r.threadId)}"` : ''}${r.docId ? ` data-doc-id="${escapeHtml(r.docId)}"` : ''}>
       <span class="search-result-icon">${searchIcon(r.icon)}</span>
       <div class="search-result-text">
         <span class="search-result-title">${highlightMatch(r.title, query)}</span>
-        <span class="search-result-subtitle">${escapeHtml(r.subtitle)}</span>
+        <span class="search-result-subtitle">${r.subtitleHtml ?? escapeHtml(r.subtitle)}</span>
       </div>
       <span class="search-result-type">${escapeHtml(r.type)}</span>
     </div>
@@ -834,6 +967,7 @@ function searchIcon(type) {
     note: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/></svg>',
     client: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"/><circle cx="12" cy="7" r="4"/></svg>',
     project: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/></svg>',
+    chat: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/></svg>',
   };
   return icons[type] || '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="11" cy="11" r="8"/></svg>';
 }
@@ -1042,7 +1176,7 @@ async function init() {
 
     setState('business', business);
     setState('tasks', tasks);
-    setState('activities', activities);
+    setState('activities', mergeLocalActivity(activities));
     setState('content', content);
     setState('agents', agents);
     setState('status', statusData);
@@ -1050,17 +1184,17 @@ async function init() {
     setState('notes', notes);
     setState('vipClients', vipClients);
 
-    // Load agent knowledge bases
+    // Load agent knowledge bases (every listed file, so agents can share them)
     const knowledgeIndex = await loadJSON('knowledge-index.json');
     if (knowledgeIndex?.agents) {
+      const files = knowledgeIndex.files || [...new Set(Object.values(knowledgeIndex.agents))];
       const results = await Promise.all(
-        Object.entries(knowledgeIndex.agents).map(([id, file]) =>
-          loadText(`knowledge/${file}`).then(text => [id, text])
-        )
+        files.map(file => loadText(`knowledge/${file}`).then(text => [file, text]))
       );
       const map = {};
-      results.forEach(([id, text]) => { if (text) map[id] = text; });
-      setState('agentKnowledge', map);
+      results.forEach(([file, text]) => { if (text) map[file] = text; });
+      setState('knowledgeFiles', map);
+      setState('agentKnowledgeFiles', knowledgeIndex.agents);
     }
   } catch (err) {
     console.error('[forge] Failed to load initial data', err);
@@ -1072,6 +1206,7 @@ async function init() {
   initProjects();
   initContent();
   initKnowledge();
+  initAgentEditor();
   initChat();
   initVipClients();
   initCompetitors();
@@ -5,9 +5,23 @@ import { $, showToast, debounce } from './app.js';
 import { updatePageBlocks, createPage } from './services/notion-blocks.js';
 import { tiptapToNotionBlocks } from './notion-converter.js';
 import { createSlashCommandSuggestion } from './slash-commands.js';
+import { createBlockNodes, extendTable } from './editor-blocks.js';
+import { initEditorUploads, insertFiles, pickFiles, watchUpload } from './editor-uploads.js';
 import { attachVoiceInput } from './voice-input.js';
-import { upsertDoc as sbUpsertDoc, deleteDoc as sbDeleteDoc } from './services/workspace-persistence.js';
+import { queueDeleteDoc } from './services/workspace-persistence.js';
 import { pushDocToNotion, pullDocContent, createDocInNotion, getFolderMap } from './services/workspace-sync.js';
+import {
+  pushDocRevision, getConflict, clearConflict, onConflictsChanged, contentHash
+} from './services/doc-revisions.js';
+import { openConflictResolver } from './conflict-resolver.js';
+import { startCollabSession } from './doc-collab.js';
+import { createMentionExtensions, openMention, hideMentionMenu, mentionAttrsFromElement } from './doc-mentions.js';
+import { getBacklinks } from './doc-links.js';
+import { deleteDocVersions } from './services/doc-versions.js';
+import { TEMPLATES_FOLDER } from './doc-templates.js';
+import {
+  initDocHistory, recordSave, onDocChanged, resetDocHistory, closeDocHistory, isDocHistoryOpen
+} from './doc-history.js';
 
 // ── Workspace Storage (shared keys with knowledge.js) ─────
 const DOCS_KEY = 'forge-workspace-docs';
@@ -42,6 +56,8 @@ let isSaving = false;
 let isDirty = false;
 let tiptapModules = null;
 let onCloseCallback = null;
+let collab = null;       // live editing session for the open doc (doc-collab.js)
+let collabToken = 0;     // drops sessions that connect after the doc was left
 
 const AUTOSAVE_DELAY = 2000;
 
@@ -52,6 +68,31 @@ export async function initBlockEditor() {
 
   // Mobile voice input — uses lazy getter since editor initializes later
   attachVoiceInput({ button: $('#beVoiceBtn'), getEditor: () => editor });
+
+  initDocHistory({
+    getEditor: () => editor,
+    getDoc: ({ save } = {}) => {
+      if (save && editor && (isDirty || !currentDocId)) saveToLocal();
+      const doc = currentDocId && getWorkspaceDocs().find(d => d.id === currentDocId);
+      return doc ? { id: doc.id, title: doc.title, content: doc.content } : null;
+    },
+    onRestore: restoreVersion,
+  });
+
+  // Uploads that finish after their note was left patch the saved note
+  initEditorUploads({
+    getEditor: () => editor,
+    getDocId: ({ save } = {}) => {
+      if (save && editor && !currentDocId) saveToLocal();
+      return editor ? currentDocId : null;
+    },
+    onDocPatched: pushPatchedDoc,
+  });
+
+  // A conflict found for the open note (by autosave or a background sync)
+  onConflictsChanged((conflicts) => {
+    if (isModalOpen && currentDocId && conflicts[currentDocId]) showConflictStatus();
+  });
 }
 
 /**
@@ -107,12 +148,15 @@ export async function openBlockEditor(opts = {}) {
     loadDoc(opts.docId);
   } else {
     // New note
+    stopLiveEditing();
     currentDocId = null;
     currentDocTitle = '';
     setEditorTitle('');
     editor.commands.clearContent();
     isDirty = false;
     setSyncStatus('idle', 'New note');
+    resetDocHistory();
+    renderBacklinks();
 
     // Set folder from opts
     const folderSelect = $('#beDocFolder');
@@ -129,6 +173,8 @@ export function closeBlockEditor() {
   if (isDirty) {
     saveToLocal();
   }
+  hideMentionMenu();
+  stopLiveEditing();
 
   const modal = $('#blockEditorModal');
   const backdrop = $('#blockEditorBackdrop');
@@ -136,6 +182,7 @@ export function closeBlockEditor() {
   if (backdrop) backdrop.hidden = true;
   document.body.classList.remove('block-editor-open');
   isModalOpen = false;
+  closeDocHistory();
 
   if (onCloseCallback) {
     onCloseCallback();
@@ -159,6 +206,7 @@ async function loadTiptap() {
       coreModule, starterKitModule, taskListModule, taskItemModule,
       placeholderModule, highlightModule, linkModule, colorModule,
       textStyleModule, underlineModule, textAlignModule, imageModule,
+      tableModule, tableRowModule, tableHeaderModule, tableCellModule,
     ] = await Promise.all([
       import('https://esm.sh/@tiptap/core@2.11.5'),
       import('https://esm.sh/@tiptap/starter-kit@2.11.5'),
@@ -172,6 +220,10 @@ async function loadTiptap() {
       import('https://esm.sh/@tiptap/extension-underline@2.11.5'),
       import('https://esm.sh/@tiptap/extension-text-align@2.11.5'),
       import('https://esm.sh/@tiptap/extension-image@2.11.5'),
+      import('https://esm.sh/@tiptap/extension-table@2.11.5'),
+      import('https://esm.sh/@tiptap/extension-table-row@2.11.5'),
+      import('https://esm.sh/@tiptap/extension-table-header@2.11.5'),
+      import('https://esm.sh/@tiptap/extension-table-cell@2.11.5'),
     ]);
 
     const Editor = coreModule.Editor;
@@ -188,6 +240,10 @@ async function loadTiptap() {
     const Underline = underlineModule.Underline || underlineModule.default;
     const TextAlign = textAlignModule.TextAlign || textAlignModule.default;
     const Image = imageModule.Image || imageModule.default;
+    const Table = tableModule.Table || tableModule.default;
+    const TableRow = tableRowModule.TableRow || tableRowModule.default;
+    const TableHeader = tableHeaderModule.TableHeader || tableHeaderModule.default;
+    const TableCell = tableCellModule.TableCell || tableCellModule.default;
 
     if (!Editor || !Extension || !StarterKit) {
       throw new Error('Core Tiptap modules failed to load');
@@ -197,6 +253,7 @@ async function loadTiptap() {
     return {
       Editor, Node, StarterKit, TaskList, TaskItem, Placeholder,
       Highlight, Link, TxtColor, TextStyle, Underline, TextAlign, Image, Extension,
+      Table, TableRow, TableHeader, TableCell,
     };
   } catch (err) {
     console.error('[block-editor] Failed to load Tiptap:', err);
@@ -207,16 +264,23 @@ async function loadTiptap() {
 
 // ── Editor Instance ───────────────────────────────────────
 
-function createEditorInstance() {
+// `session` binds the editor to a live editing session's Y.Doc; its
+// content then comes from the session, and undo is per person
+function createEditorInstance(session = null) {
   const {
     Editor, Node, StarterKit, TaskList, TaskItem, Placeholder,
     Highlight, Link, TxtColor, TextStyle, Underline, TextAlign, Image, Extension,
+    Table, TableRow, TableHeader, TableCell,
   } = tiptapModules;
 
   const mountEl = $('#blockEditorContent');
   if (!mountEl) return;
 
   const SlashCommands = createSlashExtension(Extension);
+  // [[doc]] links and @client / @project mentions
+  const [Mention, MentionTriggers] = createMentionExtensions(Node, Extension, { getDocId: () => currentDocId });
+  // Tables, columns, embeds, attachments and synced blocks — the Notion block types beyond basic text
+  const { ColumnList, Column, Embed, Attachment, SyncedBlock } = createBlockNodes(Node);
 
   // Extend Image with resizable width attribute + drag-handle NodeView
   const ResizableImage = Image.extend({
@@ -291,10 +355,29 @@ function createEditorInstance() {
         wrap.appendChild(img);
         wrap.appendChild(handle);
 
+        // Upload progress while a pasted or dropped image goes to storage
+        const progressBar = document.createElement('div');
+        progressBar.className = 'be-upload-progress';
+        progressBar.appendChild(document.createElement('span'));
+        let unwatch = () => {};
+        function watch(src) {
+          unwatch();
+          unwatch = watchUpload(src, (progress) => {
+            wrap.classList.toggle('is-uploading', progress != null);
+            if (progress == null) progressBar.remove();
+            else {
+              progressBar.firstChild.style.width = Math.round(progress * 100) + '%';
+              if (!progressBar.isConnected) wrap.appendChild(progressBar);
+            }
+          });
+        }
+        watch(node.attrs.src);
+
         return {
           dom: wrap,
           update: (updatedNode) => {
             if (updatedNode.type.name !== 'image') return false;
+            if (updatedNode.attrs.src !== node.attrs.src) watch(updatedNode.attrs.src);
             img.src = updatedNode.attrs.src;
             if (updatedNode.attrs.alt) img.alt = updatedNode.attrs.alt;
             if (updatedNode.attrs.width) {
@@ -306,6 +389,7 @@ function createEditorInstance() {
             node = updatedNode;
             return true;
           },
+          destroy: () => unwatch(),
         };
       };
     },
@@ -440,7 +524,7 @@ function createEditorInstance() {
   editor = new Editor({
     element: mountEl,
     extensions: [
-      StarterKit.configure({ heading: { levels: [1, 2, 3] } }),
+      StarterKit.configure({ heading: { levels: [1, 2, 3] }, ...(session ? { history: false } : {}) }),
       TaskList,
       TaskItem.configure({ nested: true }),
       Placeholder.configure({ placeholder: 'Type "/" for commands...' }),
@@ -448,55 +532,44 @@ function createEditorInstance() {
       Link.configure({ openOnClick: false }),
       ResizableImage,
       ToggleBlock,
+      // Notion has no column widths, so tables aren't resizable
+      extendTable(Table).configure({ resizable: false }), TableRow, TableHeader, TableCell,
+      ColumnList, Column, Embed, Attachment, SyncedBlock,
       TextStyle, TxtColor, Underline,
       TextAlign.configure({ types: ['heading', 'paragraph'] }),
       SlashCommands,
+      Mention, MentionTriggers,
+      ...(session ? session.extensions() : []),
     ],
-    content: '<p></p>',
+    ...(session ? {} : { content: '<p></p>' }),
     autofocus: false,
     editorProps: {
       attributes: { class: 'block-editor-prose' },
-      handleDrop(view, event) {
+      // Dropped and pasted files upload to storage (editor-uploads.js):
+      // images as image blocks, anything else as an attachment
+      handleDrop(view, event, slice, moved) {
         const files = event.dataTransfer?.files;
-        if (!files || files.length === 0) return false;
-        const file = files[0];
-        if (!file.type.startsWith('image/')) return false;
+        if (moved || !files || files.length === 0) return false;
         event.preventDefault();
-        if (file.size > 5 * 1024 * 1024) { showToast('Image must be under 5MB', 'warning'); return true; }
-        const reader = new FileReader();
-        reader.onload = () => {
-          const pos = view.posAtCoords({ left: event.clientX, top: event.clientY });
-          const node = view.state.schema.nodes.image.create({ src: reader.result });
-          const tr = view.state.tr.insert(pos?.pos ?? view.state.selection.from, node);
-          view.dispatch(tr);
-        };
-        reader.readAsDataURL(file);
+        const pos = view.posAtCoords({ left: event.clientX, top: event.clientY });
+        insertFiles(editor, files, pos?.pos ?? view.state.selection.from);
         return true;
       },
       handlePaste(view, event) {
         const items = event.clipboardData?.items;
         if (!items) return false;
-        for (const item of items) {
-          if (item.type.startsWith('image/')) {
-            event.preventDefault();
-            const file = item.getAsFile();
-            if (!file) return true;
-            if (file.size > 5 * 1024 * 1024) { showToast('Image must be under 5MB', 'warning'); return true; }
-            const reader = new FileReader();
-            reader.onload = () => {
-              editor.chain().focus().setImage({ src: reader.result }).run();
-            };
-            reader.readAsDataURL(file);
-            return true;
-          }
-        }
-        return false;
+        const files = [...items].filter(item => item.kind === 'file').map(item => item.getAsFile()).filter(Boolean);
+        if (!files.length) return false;
+        event.preventDefault();
+        insertFiles(editor, files);
+        return true;
       },
     },
     onUpdate: () => {
       isDirty = true;
       setSyncStatus('editing', 'Editing...');
       debouncedAutoSave();
+      onDocChanged();
     },
   });
 
@@ -512,6 +585,12 @@ function createSlashExtension(Extension) {
     addKeyboardShortcuts() {
       return {
         '/': () => {
+          // With text selected, "/" lists the AI commands for it instead of replacing it
+          const { from, to, empty } = editor.state.selection;
+          if (!empty) {
+            showSlashMenu({ selection: { from, to } });
+            return true;
+          }
           setTimeout(() => showSlashMenu(), 10);
           return false;
         },
@@ -524,11 +603,10 @@ let slashMenuVisible = false;
 let slashMenuQuery = '';
 let slashMenuEl = null;
 
-function showSlashMenu() {
+function showSlashMenu({ selection = null } = {}) {
   if (slashMenuVisible || !editor) return;
 
-  const { from } = editor.state.selection;
-  const coords = editor.view.coordsAtPos(from);
+  const coords = editor.view.coordsAtPos(selection ? selection.to : editor.state.selection.from);
 
   slashMenuVisible = true;
   slashMenuQuery = '';
@@ -536,9 +614,25 @@ function showSlashMenu() {
   slashMenuEl = document.createElement('div');
   slashMenuEl.className = 'slash-command-menu';
   let selectedIndex = 0;
+  // Once set, the "/query" text is out of the note and typing only filters the menu
+  let target = selection;
+  let submenu = null; // item whose options (tone, language) are listed
+
+  function getItems() {
+    if (!submenu) return createSlashCommandSuggestion().items({ query: slashMenuQuery, aiOnly: !!selection, editor });
+    const query = slashMenuQuery.toLowerCase();
+    return submenu.options
+      .filter(option => option.toLowerCase().includes(query))
+      .map(option => ({
+        title: option,
+        description: submenu.title,
+        icon: submenu.icon,
+        command: (props) => submenu.command({ ...props, option }),
+      }));
+  }
 
   function render() {
-    const filtered = createSlashCommandSuggestion().items({ query: slashMenuQuery });
+    const filtered = getItems();
     slashMenuEl.innerHTML = '';
 
     if (filtered.length === 0) {
@@ -563,21 +657,38 @@ function showSlashMenu() {
     });
   }
 
+  // Removes the typed "/query" from the note and returns where it was
+  function takeTarget() {
+    if (target) return target;
+    const { from: curFrom } = editor.state.selection;
+    const slashPos = Math.max(0, curFrom - slashMenuQuery.length - 1);
+    editor.chain().focus().deleteRange({ from: slashPos, to: curFrom }).run();
+    target = { from: slashPos, to: slashPos };
+    return target;
+  }
+
   function selectItem(filtered, index) {
     const item = filtered[index];
     if (!item) return;
-    const { from: curFrom } = editor.state.selection;
-    const slashPos = curFrom - slashMenuQuery.length - 1;
-    editor.chain().focus().deleteRange({ from: Math.max(0, slashPos), to: curFrom }).run();
-    item.command({ editor, range: { from: Math.max(0, slashPos), to: Math.max(0, slashPos) } });
+    const range = takeTarget();
+    if (item.options) {
+      submenu = item;
+      slashMenuQuery = '';
+      selectedIndex = 0;
+      render();
+      return;
+    }
+    item.command({ editor, range });
     hideSlashMenu();
   }
 
   function handleKeydown(e) {
-    const filtered = createSlashCommandSuggestion().items({ query: slashMenuQuery });
+    const filtered = getItems();
     if (e.key === 'ArrowDown') { e.preventDefault(); selectedIndex = (selectedIndex + 1) % Math.max(filtered.length, 1); render(); return; }
     if (e.key === 'ArrowUp') { e.preventDefault(); selectedIndex = (selectedIndex - 1 + filtered.length) % Math.max(filtered.length, 1); render(); return; }
     if (e.key === 'Enter') { e.preventDefault(); selectItem(filtered, selectedIndex); return; }
+    // Keep keystrokes out of the note (and off the selection) once the query lives only here
+    if (target && !e.metaKey && !e.ctrlKey && (e.key.length === 1 || e.key === 'Backspace')) e.preventDefault();
     if (e.key === 'Escape' || e.key === ' ') { hideSlashMenu(); return; }
     if (e.key === 'Backspace') {
       if (slashMenuQuery.length > 0) { slashMenuQuery = slashMenuQuery.slice(0, -1); selectedIndex = 0; render(); }
@@ -620,6 +731,8 @@ function hideSlashMenu() {
 // ── Doc Loading (from localStorage) ──────────────────────
 
 async function loadDoc(docId) {
+  hideMentionMenu();
+  stopLiveEditing();
   if (!editor) return;
 
   const docs = getWorkspaceDocs();
@@ -635,6 +748,8 @@ async function loadDoc(docId) {
   isDirty = false;
 
   setEditorTitle(doc.title || '');
+  resetDocHistory();
+  renderBacklinks();
 
   // Set folder in dropdown
   const folderSelect = $('#beDocFolder');
@@ -643,7 +758,7 @@ async function loadDoc(docId) {
   }
 
   // Check if we need to pull fresh content from Notion
-  if (doc.notionPageId && (doc.needsNotionPull || !doc.content)) {
+  if (doc.notionPageId && (doc.needsNotionPull || !doc.content) && !getConflict(doc.id)) {
     setSyncStatus('loading', 'Pulling from Notion...');
     try {
       const notionContent = await pullDocContent(doc.notionPageId);
@@ -652,14 +767,18 @@ async function loadDoc(docId) {
         // Save the pulled content locally
         const updatedDocs = getWorkspaceDocs().map(d => {
           if (d.id === docId) {
-            return { ...d, content: notionContent, needsNotionPull: false, updatedAt: new Date().toISOString() };
+            return {
+              ...d, content: notionContent, needsNotionPull: false, updatedAt: new Date().toISOString(),
+              notionHash: contentHash({ title: d.title, content: notionContent }),
+            };
           }
           return d;
         });
         saveWorkspaceDocs(updatedDocs);
-        sbUpsertDoc({ ...doc, content: notionContent, needsNotionPull: false });
+        pushDocRevision(doc.id);
         setSyncStatus('saved', 'Pulled from Notion');
         updateToolbarState();
+        startLiveEditing(doc.id);
         return;
       }
     } catch (err) {
@@ -676,8 +795,116 @@ async function loadDoc(docId) {
     editor.commands.clearContent();
   }
 
-  setSyncStatus('saved', 'Loaded');
+  if (getConflict(doc.id)) showConflictStatus();
+  else setSyncStatus('saved', 'Loaded');
   updateToolbarState();
+  startLiveEditing(doc.id);
+}
+
+// ── Links ─────────────────────────────────────────────────
+
+// Follows a [[doc]] link or backlink without leaving the editor
+function openLinkedDoc(docId) {
+  if (docId === currentDocId) return;
+  if (isDirty) saveToLocal();
+  loadDoc(docId);
+}
+
+// Docs that link here, under the note
+function renderBacklinks() {
+  const el = $('#beBacklinks');
+  if (!el) return;
+  const doc = currentDocId && getWorkspaceDocs().find(d => d.id === currentDocId);
+  const links = doc ? getBacklinks({ kind: 'doc', id: doc.id, notionPageId: doc.notionPageId }) : [];
+  el.hidden = links.length === 0;
+  el.innerHTML = links.length === 0 ? '' : `
+    <div class="be-backlinks-header">Linked from ${links.length} doc${links.length !== 1 ? 's' : ''}</div>
+    ${links.map(({ doc: from, snippet }) => `
+      <button type="button" class="be-backlink" data-doc-id="${escapeHtml(from.id)}">
+        <span class="be-backlink-title">${escapeHtml(from.title || 'Untitled')}</span>
+        <span class="be-backlink-snippet">${escapeHtml(snippet)}</span>
+      </button>`).join('')}`;
+}
+
+// ── Live Editing ──────────────────────────────────────────
+
+// Joins the doc's live session (doc-collab.js) and rebuilds the editor on
+// its Y.Doc. Read-only until then, so nothing typed meanwhile is lost.
+async function startLiveEditing(docId) {
+  const token = ++collabToken;
+  const doc = getWorkspaceDocs().find(d => d.id === docId);
+  if (!doc || !editor) return;
+
+  const status = $('#beSyncStatus')?.textContent;
+  editor.setEditable(false);
+  setSyncStatus('loading', 'Connecting...');
+
+  const session = await startCollabSession(docId, {
+    content: editor.getJSON(),
+    title: doc.title || '',
+    schema: editor.schema,
+    onPeersChanged: renderPresence,
+    onTitleChanged: (title) => {
+      setEditorTitle(title);
+      isDirty = true;
+      debouncedAutoSave();
+    },
+  });
+
+  if (token !== collabToken || !isModalOpen || currentDocId !== docId) {
+    session?.stop();
+    return;
+  }
+  if (session) {
+    collab = session;
+    editor.destroy();
+    editor = null;
+    createEditorInstance(session);
+    setEditorTitle(session.title() || doc.title || '');
+    renderPresence(session.peers());
+  } else {
+    editor.setEditable(true);
+  }
+  if (getConflict(docId)) showConflictStatus();
+  else setSyncStatus('saved', status === 'Pulled from Notion' ? status : 'Loaded');
+  updateToolbarState();
+}
+
+// Leaves the live session and puts a plain editor back for the next doc
+function stopLiveEditing() {
+  collabToken++;
+  if (!collab) {
+    editor?.setEditable(true);
+    return;
+  }
+  collab.stop();
+  collab = null;
+  renderPresence([]);
+  if (editor) {
+    editor.destroy();
+    editor = null;
+    createEditorInstance();
+  }
+}
+
+// Only the leader writes to Supabase / Notion while others edit along
+function pushesRemote() {
+  return !collab || collab.isLeader();
+}
+
+function announceSaved(docId) {
+  if (collab) collab.announceSaved(getWorkspaceDocs().find(d => d.id === docId));
+}
+
+function renderPresence(peers) {
+  const el = $('#bePresence');
+  if (!el) return;
+  el.hidden = peers.length < 2;
+  el.innerHTML = peers.map(p => {
+    const label = `${p.name}${p.isSelf ? ' (you — click to rename)' : ''}${p.isLeader ? ' · saves to Supabase and Notion' : ''}`;
+    return `<button class="be-presence-chip${p.isSelf ? ' is-self' : ''}" style="--peer-color:${escapeHtml(p.color)}"
+      title="${escapeHtml(label)}" ${p.isSelf ? 'data-rename' : 'tabindex="-1"'}>${escapeHtml(p.name.charAt(0).toUpperCase())}</button>`;
+  }).join('');
 }
 
 // ── Saving ────────────────────────────────────────────────
@@ -698,6 +925,7 @@ function saveToLocal() {
   const now = new Date().toISOString();
 
   let docs = getWorkspaceDocs();
+  const previous = currentDocId ? docs.find(d => d.id === currentDocId) : null;
 
   if (currentDocId) {
     // Update existing
@@ -724,32 +952,74 @@ function saveToLocal() {
 
   saveWorkspaceDocs(docs);
 
-  // Fire-and-forget Supabase sync
+  // Fire-and-forget Supabase sync — only over the revision this note is based on
   const savedDoc = docs.find(d => d.id === currentDocId);
-  if (savedDoc) sbUpsertDoc(savedDoc);
+  const remote = pushesRemote();
+  if (savedDoc && remote) {
+    pushDocRevision(savedDoc.id).then(status => {
+      if (status === 'conflict') onSyncConflict(savedDoc.id);
+      else if (status === 'saved') announceSaved(savedDoc.id);
+    });
+  }
+
+  // Keeps the content this save replaces as a version when a snapshot is due
+  if (savedDoc && remote) recordSave(savedDoc, previous);
 
   currentDocTitle = title;
   isDirty = false;
+  if (getConflict(currentDocId)) {
+    // Keeps saving here; Supabase and Notion wait for the conflict
+    showConflictStatus();
+    return;
+  }
+  if (!remote) {
+    setSyncStatus('saved', 'Saved — live');
+    return;
+  }
+  // Templates stay out of Notion (see workspace-sync.js)
+  if (savedDoc?.folder === TEMPLATES_FOLDER) {
+    setSyncStatus('saved', 'Saved');
+    return;
+  }
   setSyncStatus('saved', 'Saved locally');
 
   // Auto-sync to Notion (debounced)
   debouncedNotionSync();
 }
 
+// A note that isn't open changed in localStorage (a finished upload);
+// it goes to Supabase and Notion the way a background sync would send it
+async function pushPatchedDoc(docId) {
+  const status = await pushDocRevision(docId);
+  if (status === 'conflict') return;
+  const doc = getWorkspaceDocs().find(d => d.id === docId);
+  if (!doc?.notionPageId || doc.folder === TEMPLATES_FOLDER || getConflict(docId)) return;
+  if (await pushDocToNotion(doc) === false) showToast(`Couldn't sync "${doc.title}" to Notion — saved locally`, 'warning');
+}
+
 async function syncToNotion() {
-  if (!editor || !currentDocId) return;
+  if (!editor || !currentDocId || !pushesRemote()) return;
 
   const docs = getWorkspaceDocs();
   const doc = docs.find(d => d.id === currentDocId);
-  if (!doc) return;
+  if (!doc || doc.folder === TEMPLATES_FOLDER) return;
+  if (getConflict(doc.id)) {
+    showConflictStatus();
+    return;
+  }
 
   setSyncStatus('saving', 'Syncing to Notion...');
 
   try {
     if (doc.notionPageId) {
-      // Update existing Notion page
-      const success = await pushDocToNotion(doc);
-      if (success) {
+      // Update existing Notion page — unless it changed there since the last sync
+      const status = await pushDocToNotion(doc);
+      if (status === 'conflict') {
+        onSyncConflict(doc.id);
+      } else if (status === 'queued') {
+        setSyncStatus('saved', 'Saved — Notion update queued');
+      } else if (status) {
+        announceSaved(doc.id);
         setSyncStatus('saved', 'Synced to Notion');
       } else {
         setSyncStatus('error', 'Notion sync failed');
@@ -868,7 +1138,8 @@ export function execToolbarCommand(cmd) {
     'h2': () => editor.chain().focus().toggleHeading({ level: 2 }).run(),
     'h3': () => editor.chain().focus().toggleHeading({ level: 3 }).run(),
     'divider': () => editor.chain().focus().setHorizontalRule().run(),
-    'image': () => insertImage(),
+    'image': () => pickFiles(editor, { accept: 'image/*' }),
+    'file': () => pickFiles(editor),
     'toggle': () => editor.chain().focus().setToggleBlock().run(),
     'align-left': () => editor.chain().focus().setTextAlign('left').run(),
     'align-center': () => editor.chain().focus().setTextAlign('center').run(),
@@ -886,6 +1157,38 @@ function setSyncStatus(state, text) {
   if (!el) return;
   el.className = `be-sync-status be-sync-${state}`;
   el.textContent = text;
+  el.title = state === 'conflict' ? 'Changed here and elsewhere — click to compare' : '';
+}
+
+// ── Sync Conflicts ────────────────────────────────────────
+
+function showConflictStatus() {
+  setSyncStatus('conflict', 'Conflict — review');
+}
+
+function onSyncConflict(docId) {
+  if (docId !== currentDocId) return;
+  showConflictStatus();
+  showToast('This note changed elsewhere too — saved here only until you review it', 'warning', 5000);
+}
+
+function openCurrentConflict() {
+  if (!currentDocId || !getConflict(currentDocId)) return;
+  // The resolver compares the saved note, so unsaved edits go in first
+  if (isDirty) saveToLocal();
+  openConflictResolver(currentDocId, {
+    onResolved: (docId) => {
+      if (!isModalOpen || docId !== currentDocId) return;
+      if (!collab) { loadDoc(docId); return; }
+      // Live: the resolved copy goes to everyone as an edit
+      const doc = getWorkspaceDocs().find(d => d.id === docId);
+      if (!doc) return;
+      editor.commands.setContent(doc.content || '', true);
+      setEditorTitle(doc.title || '');
+      collab.setTitle(doc.title || '');
+      setSyncStatus('saved', 'Conflict resolved');
+    },
+  });
 }
 
 // ── Editor Title ──────────────────────────────────────────
@@ -924,15 +1227,56 @@ function bindModalEvents() {
   if (titleInput) {
     titleInput.addEventListener('input', () => {
       currentDocTitle = titleInput.value;
+      collab?.setTitle(titleInput.value);
       isDirty = true;
       debouncedAutoSave();
     });
   }
 
+  // Sync status — opens the conflict resolver while there's a conflict
+  const syncStatus = $('#beSyncStatus');
+  if (syncStatus) {
+    syncStatus.addEventListener('click', () => {
+      if (syncStatus.classList.contains('be-sync-conflict')) openCurrentConflict();
+    });
+  }
+
+  // Mentions — open the doc, client or project they point at
+  const content = $('#blockEditorContent');
+  if (content) {
+    content.addEventListener('click', (e) => {
+      const mention = e.target.closest('.be-mention');
+      if (!mention) return;
+      e.preventDefault();
+      openMention(mentionAttrsFromElement(mention), { openDoc: openLinkedDoc, leave: closeBlockEditor });
+    });
+  }
+
+  // Backlinks
+  const backlinks = $('#beBacklinks');
+  if (backlinks) {
+    backlinks.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-doc-id]');
+      if (item) openLinkedDoc(item.dataset.docId);
+    });
+  }
+
+  // Presence — your own chip renames you for the others
+  const presence = $('#bePresence');
+  if (presence) {
+    presence.addEventListener('click', (e) => {
+      if (!e.target.closest('[data-rename]') || !collab) return;
+      const name = prompt('Your name, as others see it:', collab.peers().find(p => p.isSelf)?.name || '');
+      if (name !== null) collab.setName(name.trim());
+    });
+  }
+
   // Escape key
   document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape' && isModalOpen) {
-      closeBlockEditor();
+      // Esc closes the history sidebar first
+      if (isDocHistoryOpen()) closeDocHistory();
+      else closeBlockEditor();
     }
   });
 
@@ -958,7 +1302,9 @@ function bindModalEvents() {
       let docs = getWorkspaceDocs();
       docs = docs.filter(d => d.id !== currentDocId);
       saveWorkspaceDocs(docs);
-      sbDeleteDoc(currentDocId); // fire-and-forget Supabase delete
+      queueDeleteDoc(currentDocId); // Supabase, now or once back online
+      deleteDocVersions(currentDocId);
+      clearConflict(currentDocId);
       showToast('Note deleted');
       isDirty = false;
       closeBlockEditor();
@@ -966,39 +1312,17 @@ function bindModalEvents() {
   }
 }
 
-// ── Image Insert ──────────────────────────────────────────
+// ── Version Restore ───────────────────────────────────────
 
-function insertImage() {
+// Replaces the note with a version from the history sidebar as one
+// undoable change, then saves it
+function restoreVersion(version) {
   if (!editor) return;
-
-  // Create a hidden file input to pick an image
-  const input = document.createElement('input');
-  input.type = 'file';
-  input.accept = 'image/*';
-  input.style.display = 'none';
-
-  input.addEventListener('change', () => {
-    const file = input.files?.[0];
-    if (!file) return;
-
-    // Validate size (max 5MB for localStorage)
-    if (file.size > 5 * 1024 * 1024) {
-      showToast('Image must be under 5MB', 'warning');
-      return;
-    }
-
-    const reader = new FileReader();
-    reader.onload = () => {
-      editor.chain().focus().setImage({ src: reader.result }).run();
-      isDirty = true;
-      debouncedAutoSave();
-    };
-    reader.readAsDataURL(file);
-  });
-
-  document.body.appendChild(input);
-  input.click();
-  input.remove();
+  editor.chain().setContent(version.content || '', true).focus('start').run();
+  setEditorTitle(version.title === 'Untitled' ? '' : version.title);
+  collab?.setTitle(currentDocTitle);
+  isDirty = true;
+  saveToLocal();
 }
 
 // ── Helpers ───────────────────────────────────────────────
@@ -0,0 +1,170 @@
+// js/chat-export.js — Save chat messages/threads to Workspace, export threads
+// ──────────────────────────────────────────────────────────────────────
+//
+// "Save to Workspace" converts chat markdown to Tiptap JSON and files it
+// as a workspace doc in the chosen folder (addWorkspaceDoc → Supabase +
+// queued Notion push). Threads can also be downloaded as standalone
+// Markdown or HTML for sharing with the team.
+
+import { $, escapeHtml, formatDate, generateId, openModal, closeModal, showToast } from './app.js';
+import { addWorkspaceDoc, getWorkspaceFolders, getFolderPath } from './knowledge.js';
+import { markdownToTiptap, tiptapToHtml, EXPORT_CSS, slugify } from './markdown-converter.js';
+
+const FOLDER_KEY = 'forge-chat-save-folder'; // last folder picked
+
+let pendingSave = null; // { markdown, source }
+
+// ── Markdown ─────────────────────────────────────────────────────────
+
+// [K1] markers mean nothing outside chat — list what they point at
+function sourcesMarkdown(sources) {
+  if (!sources?.length) return '';
+  return '\n\n**Sources**\n\n' + sources
+    .map(s => `- [${s.id}] ${[s.title, s.heading].filter(Boolean).join(' › ')}`)
+    .join('\n');
+}
+
+export function messageToMarkdown(msg) {
+  return (msg.content || '').trim() + sourcesMarkdown(msg.sources);
+}
+
+/**
+ * The visible branch of a thread as one markdown document.
+ * `messages` is the active path (chat.js owns branch selection).
+ */
+export function threadToMarkdown(thread, messages, agent) {
+  const agentName = agent?.name || 'Assistant';
+  const header = [
+    `# ${thread.title || 'Conversation'}`,
+    '',
+    `_${agentName} · ${formatDate(thread.createdAt || new Date().toISOString())} · ${messages.length} message${messages.length !== 1 ? 's' : ''}_`,
+  ];
+  const body = messages.map(m => [
+    `**${m.role === 'user' ? 'You' : agentName}** · ${formatTimestamp(m.timestamp)}`,
+    '',
+    messageToMarkdown(m),
+  ].join('\n'));
+
+  return [header.join('\n'), ...body].join('\n\n---\n\n') + '\n';
+}
+
+function formatTimestamp(ts) {
+  const d = new Date(ts);
+  if (isNaN(d)) return '';
+  return d.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+// ── Downloads ────────────────────────────────────────────────────────
+
+function download(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// `format` is 'md' or 'html'
+export function downloadThread(thread, messages, agent, format) {
+  const markdown = threadToMarkdown(thread, messages, agent);
+  const name = slugify(thread.title, 'conversation');
+
+  if (format === 'html') {
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(thread.title || 'Conversation')}</title>
+<style>${EXPORT_CSS}</style>
+</head>
+<body>
+${tiptapToHtml(markdownToTiptap(markdown))}
+</body>
+</html>
+`;
+    download(`${name}.html`, html, 'text/html');
+  } else {
+    download(`${name}.md`, markdown, 'text/markdown');
+  }
+}
+
+// ── Save to Workspace ────────────────────────────────────────────────
+
+// First heading or line of the text, for a default doc title
+export function suggestTitle(markdown, fallback = 'Chat note') {
+  const line = (markdown || '').split('\n').map(l => l.replace(/^#+\s*|[*_`>]/g, '').trim()).find(Boolean);
+  if (!line) return fallback;
+  return line.length > 60 ? line.slice(0, 57) + '…' : line;
+}
+
+/**
+ * Opens the folder picker for saving markdown as a workspace doc.
+ * `source` is stored on the doc so it can be traced back to the chat.
+ */
+export function openSaveToWorkspace({ title, markdown, source }) {
+  const folders = getWorkspaceFolders().filter(f => f.type !== 'divider');
+  if (!folders.length) {
+    showToast('Create a Workspace folder first', 'warning');
+    return;
+  }
+
+  pendingSave = { markdown, source };
+  const last = localStorage.getItem(FOLDER_KEY);
+  const selected = folders.some(f => f.id === last) ? last : folders[0].id;
+
+  const titleInput = $('#chatSaveDocTitle');
+  const folderSelect = $('#chatSaveDocFolder');
+  if (!titleInput || !folderSelect) return;
+
+  titleInput.value = title || suggestTitle(markdown);
+  folderSelect.innerHTML = folders
+    .map(f => ({ id: f.id, label: getFolderPath(getWorkspaceFolders(), f.id) }))
+    .sort((a, b) => a.label.localeCompare(b.label))
+    .map(f => `<option value="${escapeHtml(f.id)}"${f.id === selected ? ' selected' : ''}>${escapeHtml(f.label)}</option>`)
+    .join('');
+
+  const words = (markdown || '').split(/\s+/).filter(Boolean).length;
+  const summary = $('#chatSaveDocSummary');
+  if (summary) summary.textContent = `${words.toLocaleString()} words · synced to Supabase and queued for Notion`;
+
+  openModal('chatSaveDocModal');
+}
+
+function confirmSave() {
+  if (!pendingSave) return;
+  const title = $('#chatSaveDocTitle')?.value.trim() || 'Untitled';
+  const folder = $('#chatSaveDocFolder')?.value;
+  if (!folder) return;
+
+  const now = new Date().toISOString();
+  addWorkspaceDoc({
+    id: `doc-${generateId()}`,
+    title,
+    folder,
+    content: markdownToTiptap(pendingSave.markdown),
+    notionPageId: null,
+    source: pendingSave.source || null,
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  localStorage.setItem(FOLDER_KEY, folder);
+  pendingSave = null;
+  closeModal();
+  const folderName = getWorkspaceFolders().find(f => f.id === folder)?.name || 'Workspace';
+  showToast(`Saved to ${folderName}`, 'success');
+}
+
+export function initChatExport() {
+  $('#chatSaveDocConfirm')?.addEventListener('click', confirmSave);
+  $('#chatSaveDocTitle')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      confirmSave();
+    }
+  });
+}
@@ -2,89 +2,63 @@
 // ──────────────────────────────────────────────────────────────────────
 
 import {
-  getState, escapeHtml, formatRelativeTime,
-  generateId, $, $$, showToast
+  getState, subscribe, escapeHtml, formatRelativeTime, formatNumber,
+  generateId, debounce, $, $$, showToast, openBlockEditor
 } from './app.js';
 import {
   getThreads as sbGetThreads,
   getMessages as sbGetMessages,
   createThread as sbCreateThread,
   updateThreadTitle as sbUpdateTitle,
-  saveMessage as sbSaveMessage
+  saveMessage as sbSaveMessage,
+  updateMessageActions as sbUpdateMessageActions,
+  getMessageNodeId as getNodeId
 } from './services/chat-persistence.js';
 import { attachVoiceInput } from './voice-input.js';
+import { retrieveKnowledge } from './knowledge-retrieval.js';
+import { openAgentEditor } from './agent-editor.js';
+import {
+  initChatExport, openSaveToWorkspace, messageToMarkdown, threadToMarkdown, downloadThread
+} from './chat-export.js';
+import {
+  normalizeUsage, addUsage, estimateCost, formatCost, noteUsageRecord, checkBudget
+} from './services/chat-usage.js';
+import { complete } from './services/llm-client.js';
+import {
+  searchChatMessages, searchLocalMessages, getSearchTerms, highlightTerms, DATE_RANGES
+} from './services/chat-search.js';
+import { getToolDefinitions, getToolLabel, runAgentTool } from './agent-tools.js';
+import {
+  getActionDefinitions, isActionTool, proposeAction,
+  renderActionCard, executeAgentAction
+} from './agent-actions.js';
 
 // ── Constants ────────────────────────────────────────────────────────
 const THREADS_KEY = 'forge-chat-threads';
-const PROXY_KEY   = 'forge-anthropic-proxy';
-const DEFAULT_PROXY = 'https://anthropic-proxy.dan-a14.workers.dev';
 const PANEL_KEY   = 'forge-agents-panel-open';
+const MAX_TOOL_ROUNDS = 5; // model ↔ tool round-trips per reply
 
 // ── Chip configs ─────────────────────────────────────────────────────
-const AGENT_CHIPS = {
-  'king-consultant': [
-    { key: 'strategy',   icon: '&#9889;',    label: 'Strategy',   prefill: 'Help me create a strategy for ' },
-    { key: 'metrics',    icon: '&#128202;',   label: 'Metrics',    prefill: 'Break down my current metrics and tell me ' },
-    { key: 'clients',    icon: '&#128101;',   label: 'Clients',    prefill: 'Review my VIP clients and ' },
-    { key: 'ads',        icon: '&#127919;',   label: 'Ads',        prefill: 'Analyze my Meta ad performance and ' },
-    { key: 'content',    icon: '&#128221;',   label: 'Content',    prefill: 'Review my content performance and ' },
-  ],
-  multiplier: [
-    { key: 'brainstorm', icon: '&#128161;',   label: 'Brainstorm',  prefill: 'Brainstorm time — give me 10 viral content ideas on ' },
-    { key: 'angles',     icon: '&#127919;',   label: 'Angles',      prefill: 'Help me find the sharpest angle for this topic: ' },
-    { key: 'hooks',      icon: '&#127907;',   label: 'Hooks',       prefill: 'Generate 10 hooks for this angle: ' },
-    { key: 'script',     icon: '&#127916;',   label: 'Script',      prefill: 'Write a script for ' },
-    { key: 'unpack',     icon: '&#128269;',   label: 'Unpack',      prefill: 'Help me unpack this idea and find the deeper insight: ' },
-    { key: 'carousel',   icon: '&#127912;',   label: 'Carousel',    prefill: 'Create a carousel about ' },
-  ],
-  'the-closer': [
-    { key: 'coach',      icon: '&#128172;',   label: 'Coach a DM',   prefill: 'Here\'s a DM conversation — tell me what ECAFI™ stage it\'s in and what to say next:\n\n' },
-    { key: 'objection',  icon: '&#128170;',   label: 'Objection',    prefill: 'How do I handle this objection: ' },
-    { key: 'stage',      icon: '&#127919;',   label: 'Stage Check',  prefill: 'I\'m at this stage in a DM convo — what should I do next? ' },
-    { key: 'followup',   icon: '&#128233;',   label: 'Follow Up',    prefill: 'They went dark. Here\'s the context: ' },
-  ],
-  'the-coach': [
-    { key: 'start',      icon: '&#10024;',    label: 'Start 10.0',   prefill: 'I\'m ready to build my 10.0 vision. Let\'s go.' },
-    { key: 'beliefs',    icon: '&#129504;',   label: 'Beliefs',      prefill: 'Help me rewire this limiting belief: ' },
-    { key: 'vision',     icon: '&#127752;',   label: 'Vision',       prefill: 'Help me expand my vision for ' },
-    { key: 'goals',      icon: '&#127919;',   label: 'Goals',        prefill: 'Help me define goals for ' },
-  ],
-  'the-workshop-maker': [
-    { key: 'buildpage',  icon: '&#128196;',   label: 'Build Page',   prefill: 'Build a landing page for my workshop about ' },
-    { key: 'bullets',    icon: '&#127919;',   label: 'Bullets',      prefill: 'Write 10-12 high-converting bullets for a workshop on ' },
-    { key: 'cta',        icon: '&#128293;',   label: 'CTA',          prefill: 'Write a closing paragraph and CTA buttons for my workshop on ' },
-    { key: 'bonuses',    icon: '&#127873;',   label: 'Bonuses',      prefill: 'Help me create 5-7 named bonuses for my workshop on ' },
-  ],
-  'the-offer-wizard': [
-    { key: 'offer',      icon: '&#10024;',    label: 'Build Offer',  prefill: 'Help me create a new offer. I\'m ready to go through the process.' },
-    { key: 'refine',     icon: '&#128296;',   label: 'Refine',       prefill: 'Help me refine my existing offer: ' },
-    { key: 'mini',       icon: '&#128230;',   label: 'Mini Products', prefill: 'Break my offer into micro-products and lead magnets: ' },
-    { key: 'messaging',  icon: '&#128172;',   label: 'Messaging',    prefill: 'Help me create messaging for my offer: ' },
-  ],
-  'the-skool-savant': [
-    { key: 'engage',     icon: '&#128293;',   label: 'Engagement',   prefill: 'How do I boost engagement for ' },
-    { key: 'welcome',    icon: '&#128075;',   label: 'Welcome Flow', prefill: 'Design a welcome flow for ' },
-    { key: 'post',       icon: '&#128221;',   label: 'Skool Post',   prefill: 'Write a Skool post about ' },
-  ],
-  'the-ads-master': [
-    { key: 'adcopy',     icon: '&#128203;',   label: 'Ad Copy',     prefill: 'Write ad copy for ' },
-    { key: 'targeting',  icon: '&#127919;',   label: 'Targeting',   prefill: 'Help me build an audience for ' },
-    { key: 'diagnose',   icon: '&#128269;',   label: 'Diagnose',    prefill: 'Why is my ad underperforming? Here\'s the data: ' },
-  ],
-};
-
-// Default chips for agents not in the map
+// Per-agent chips live on the agent (`chips` in data/agents.json, editable
+// in the agent editor). Fallback for agents without any:
 const DEFAULT_CHIPS = [
-  { key: 'ask', icon: '&#128172;', label: 'Ask', prefill: 'Help me with ' },
+  { key: 'ask', icon: '💬', label: 'Ask', prefill: 'Help me with ' },
 ];
 
 // ── State ────────────────────────────────────────────────────────────
 let activeAgentId  = 'king-consultant';
 let activeThreadId = null;
 let isSending      = false;
+let checkingBudget = false; // guards double-sends while spend totals load
 let chatState      = 'landing'; // 'landing' | 'conversation'
 let attachedFiles  = [];
 let searchQuery    = '';
+let searchFilters  = { agentId: '', range: 'all' }; // '' = all agents
+let searchHits     = null; // message hits for searchQuery; null while loading
+let searchSeq      = 0;    // drops results from superseded searches
+let activeRequest  = null; // AbortController for the in-flight generation
+let streamingText  = '';
+let streamingFrame = null;
 
 // ── Public init ──────────────────────────────────────────────────────
 export function initChat() {
@@ -93,10 +67,21 @@ export function initChat() {
   updateTopbar();
   restorePanelState();
   bindEvents();
+  initChatExport();
 
   // Mobile voice input
   attachVoiceInput({ button: $('#chatVoiceBtn'), textarea: $('#chatInput') });
 
+  // Agent editor saves replace the 'agents' state
+  subscribe((key) => {
+    if (key !== 'agents') return;
+    if (getAgent(activeAgentId)?.archived) {
+      activeAgentId = getAgents().find(a => a.systemPrompt && !a.archived)?.id || activeAgentId;
+    }
+    renderAgentsPanel();
+    updateTopbar();
+  });
+
   // Fire-and-forget Supabase sync (doesn't block render)
   syncChatsFromSupabase();
 }
@@ -152,7 +137,7 @@ function setActiveAgent(agentId) {
 
 // ── Agents Panel ─────────────────────────────────────────────────────
 function renderAgentsPanel() {
-  const agents = getAgents().filter(a => a.systemPrompt);
+  const agents = getAgents().filter(a => a.systemPrompt && !a.archived);
   const countEl = $('#agentsCount');
   const listEl = $('#agentsList');
   if (countEl) countEl.textContent = agents.length;
@@ -166,7 +151,12 @@ function renderAgentsPanel() {
         <span class="agent-panel-name">${escapeHtml(a.name)}</span>
       </button>
     `;
-  }).join('');
+  }).join('') + `
+    <button class="agent-panel-item agent-panel-manage" data-manage-agents>
+      <span class="agent-panel-icon">&#9881;</span>
+      <span class="agent-panel-name">Manage agents</span>
+    </button>
+  `;
 }
 
 function highlightActiveAgent() {
@@ -176,6 +166,10 @@ function highlightActiveAgent() {
 }
 
 function handleAgentClick(e) {
+  if (e.target.closest('[data-manage-agents]')) {
+    openAgentEditor(activeAgentId);
+    return;
+  }
   const item = e.target.closest('.agent-panel-item');
   if (!item) return;
   const agentId = item.dataset.agentId;
@@ -372,6 +366,16 @@ async function syncChatsFromSupabase() {
         const localMessages = localThread.messages || [];
         base.messages = mergeMessages(localMessages, remoteMessages);
         base.updatedAt = remoteTime >= localTime ? rt.updatedAt : localThread.updatedAt;
+        // Which branch is showing is per-device; follow replies added elsewhere
+        if (localThread.activeLeafId) {
+          base.activeLeafId = getLatestLeaf(buildMessageTree(base), localThread.activeLeafId);
+        }
+
+        // Push branched messages that never reached Supabase (upserted by uid)
+        const remoteIds = new Set(remoteMessages.map(getNodeId));
+        for (const m of localMessages) {
+          if (m.uid && !remoteIds.has(m.uid)) syncMessageToSupabase(rt.id, m);
+        }
         mergedMap.set(rt.id, base);
       } else {
         // Remote-only thread — fetch its messages
@@ -398,7 +402,7 @@ async function syncChatsFromSupabase() {
     // If we're viewing a conversation, refresh its messages
     if (activeThreadId && chatState === 'conversation') {
       const active = merged.find(t => t.id === activeThreadId);
-      if (active) renderMessages(active.messages || []);
+      if (active) renderThreadMessages(active);
     }
 
     console.log('[chat] Synced from Supabase:', merged.length, 'threads');
@@ -409,15 +413,17 @@ async function syncChatsFromSupabase() {
 
 function mergeMessages(local, remote) {
   const map = new Map();
-  // Index remote by timestamp+role (no stable ID across systems)
+  // Index remote by node ID — uid, or timestamp+role for older messages
   for (const m of remote) {
-    const key = `${m.timestamp || m.created_at}|${m.role}`;
-    map.set(key, m);
+    map.set(getNodeId(m), m);
   }
   // Add local messages that don't exist in remote
   for (const m of local) {
-    const key = `${m.timestamp}|${m.role}`;
-    if (!map.has(key)) map.set(key, m);
+    const key = getNodeId(m);
+    const remoteMsg = map.get(key);
+    if (!remoteMsg) map.set(key, m);
+    // An approve/reject that hasn't reached Supabase yet must not revert to pending
+    else if (m.actions?.some(a => a.status !== 'pending')) map.set(key, { ...remoteMsg, actions: m.actions });
   }
   // Sort by timestamp
   return Array.from(map.values()).sort((a, b) => {
@@ -432,17 +438,13 @@ function renderHistoryList() {
   const el = $('#historyList');
   if (!el) return;
 
-  // Get threads for the active agent, filtered by search
-  let threads = getThreads().filter(t => t.agentId === activeAgentId);
-
   if (searchQuery) {
-    const q = searchQuery.toLowerCase();
-    threads = threads.filter(t =>
-      (t.title || '').toLowerCase().includes(q) ||
-      (t.messages || []).some(m => (m.content || '').toLowerCase().includes(q))
-    );
+    renderSearchResults(el);
+    return;
   }
 
+  const threads = getThreads().filter(t => t.agentId === activeAgentId);
+
   if (!threads.length) {
     el.innerHTML = `<div class="history-empty">No conversations yet</div>`;
     return;
@@ -489,7 +491,7 @@ function renderHistoryList() {
 function renderHistoryItem(thread) {
   const agent = getAgent(thread.agentId);
   const icon = agent ? (agent.emoji || '🤖') : '🤖';
-  const msgCount = (thread.messages || []).length;
+  const msgCount = getActivePath(thread).length;
   const time = thread.updatedAt ? formatRelativeTime(thread.updatedAt) : '';
 
   return `
@@ -503,6 +505,144 @@ function renderHistoryItem(thread) {
   `;
 }
 
+// ── History Search ───────────────────────────────────────────────────
+// Searches message bodies across every agent's threads, including ones
+// that only exist in Supabase. Title matches are listed first.
+function renderSearchResults(el) {
+  const terms = getSearchTerms(searchQuery);
+  const { agentId, range } = searchFilters;
+
+  const agentOptions = getAgents()
+    .filter(a => a.systemPrompt)
+    .map(a => `<option value="${escapeHtml(a.id)}"${a.id === agentId ? ' selected' : ''}>${escapeHtml(a.name)}</option>`)
+    .join('');
+  const rangeOptions = Object.entries(DATE_RANGES)
+    .map(([key, r]) => `<option value="${key}"${key === range ? ' selected' : ''}>${r.label}</option>`)
+    .join('');
+
+  let html = `
+    <div class="history-search-filters">
+      <select class="history-search-filter" data-search-filter="agentId" aria-label="Filter by agent">
+        <option value="">All agents</option>${agentOptions}
+      </select>
+      <select class="history-search-filter" data-search-filter="range" aria-label="Filter by date">
+        ${rangeOptions}
+      </select>
+    </div>
+  `;
+
+  const titleMatches = getThreads().filter(t =>
+    (!agentId || t.agentId === agentId) &&
+    terms.every(term => (t.title || '').toLowerCase().includes(term))
+  );
+  if (titleMatches.length) {
+    html += `<div class="history-date-header">Conversations</div>`;
+    html += titleMatches.map(t => renderHistoryItem(t)).join('');
+  }
+
+  html += `<div class="history-date-header">Messages</div>`;
+  if (!searchHits) {
+    html += `<div class="history-empty">Searching…</div>`;
+  } else if (!searchHits.length) {
+    html += `<div class="history-empty">No messages match</div>`;
+  } else {
+    html += searchHits.map(hit => renderSearchHit(hit, terms)).join('');
+  }
+
+  el.innerHTML = html;
+}
+
+function renderSearchHit(hit, terms) {
+  const agent = getAgent(hit.thread.agentId);
+  const who = hit.role === 'user' ? 'You' : (agent?.name || 'Assistant');
+  const time = hit.timestamp ? formatRelativeTime(hit.timestamp) : '';
+
+  return `
+    <button class="history-item history-hit" data-thread-id="${escapeHtml(hit.threadId)}" data-node-id="${escapeHtml(hit.nodeId)}">
+      <span class="history-item-icon">${agent?.emoji || '🤖'}</span>
+      <div class="history-item-info">
+        <div class="history-item-title">${escapeHtml(hit.thread.title || 'New conversation')}</div>
+        <div class="history-hit-snippet">${highlightTerms(hit.snippet, terms)}</div>
+        <div class="history-item-meta">${escapeHtml(who)} · ${escapeHtml(time)}</div>
+      </div>
+    </button>
+  `;
+}
+
+async function runHistorySearch() {
+  const seq = ++searchSeq;
+  if (!searchQuery) return;
+
+  const options = { agentId: searchFilters.agentId || null, range: searchFilters.range };
+  // Local hits show immediately; Supabase-only threads follow
+  searchHits = searchLocalMessages(searchQuery, options)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  renderHistoryList();
+
+  const hits = await searchChatMessages(searchQuery, options);
+  if (seq !== searchSeq) return;
+  searchHits = hits;
+  renderHistoryList();
+  highlightActiveHistory();
+}
+
+const debouncedHistorySearch = debounce(runHistorySearch, 250);
+
+function handleSearchFilterChange(e) {
+  const select = e.target.closest('[data-search-filter]');
+  if (!select) return;
+  searchFilters = { ...searchFilters, [select.dataset.searchFilter]: select.value };
+  searchHits = null;
+  runHistorySearch();
+}
+
+/**
+ * Opens a thread scrolled to one of its messages, switching to the branch
+ * that contains it. Threads that only exist in Supabase are fetched first;
+ * `meta` ({ title, agentId, createdAt, updatedAt }) describes them.
+ */
+export async function openChatMessage(threadId, nodeId, meta = null) {
+  let threads = getThreads();
+  let thread = threads.find(t => t.id === threadId);
+
+  if (!thread) {
+    const messages = await sbGetMessages(threadId);
+    if (!messages) {
+      showToast('Could not load that conversation', 'error');
+      return;
+    }
+    thread = { id: threadId, title: meta?.title || 'Conversation', agentId: meta?.agentId || activeAgentId,
+      createdAt: meta?.createdAt, updatedAt: meta?.updatedAt, messages };
+    threads = getThreads();
+    if (!threads.some(t => t.id === threadId)) threads.unshift(thread);
+    saveThreads(threads);
+  }
+
+  const tree = buildMessageTree(thread);
+  if (nodeId && tree.nodes.has(nodeId)) {
+    thread.activeLeafId = getLatestLeaf(tree, nodeId);
+    saveThreads(threads);
+  }
+
+  activeThreadId = threadId;
+  if (thread.agentId) activeAgentId = thread.agentId;
+  updateTopbar();
+  highlightActiveAgent();
+  renderThreadMessages(thread);
+  renderHistoryList();
+  highlightActiveHistory();
+  transitionToConversation();
+
+  // After transitionToConversation's scroll-to-bottom has run
+  requestAnimationFrame(() => requestAnimationFrame(() => {
+    const bubble = $$('#chatMessages [data-node-id]').find(b => b.dataset.nodeId === nodeId);
+    if (!bubble) return;
+    bubble.scrollIntoView({ block: 'center' });
+    bubble.classList.add('is-search-target');
+    setTimeout(() => bubble.classList.remove('is-search-target'), 2000);
+  }));
+}
+
 function highlightActiveHistory() {
   $$('#historyList .history-item').forEach(item => {
     item.classList.toggle('is-active', item.dataset.threadId === activeThreadId);
@@ -515,6 +655,13 @@ function handleHistoryClick(e) {
   const threadId = item.dataset.threadId;
   if (!threadId) return;
 
+  if (item.dataset.nodeId) {
+    const hit = searchHits?.find(h => h.threadId === threadId && h.nodeId === item.dataset.nodeId);
+    openChatMessage(threadId, item.dataset.nodeId, hit?.thread);
+    if (window.innerWidth <= 768) closeAgentsPanel();
+    return;
+  }
+
   activeThreadId = threadId;
   const thread = getActiveThread();
   if (!thread) return;
@@ -522,7 +669,7 @@ function handleHistoryClick(e) {
   if (thread.agentId) activeAgentId = thread.agentId;
   updateTopbar();
   highlightActiveAgent();
-  renderMessages(thread.messages || []);
+  renderThreadMessages(thread);
   highlightActiveHistory();
   transitionToConversation();
 
@@ -534,43 +681,138 @@ function handleHistoryClick(e) {
 
 function handleHistorySearch(e) {
   searchQuery = (e.target.value || '').trim();
+  searchHits = null;
   renderHistoryList();
+  debouncedHistorySearch();
 }
 
 // ═══════════════════════════════════════════════════════════════════════
 //  MESSAGES
 // ═══════════════════════════════════════════════════════════════════════
-function renderMessages(messages) {
+// `tree` (from buildMessageTree) adds branch arrows to forked messages
+function renderMessages(messages, tree = null) {
   const el = $('#chatMessages');
   if (!el) return;
+  renderThreadActions();
 
   if (!messages || messages.length === 0) {
     el.innerHTML = '';
     return;
   }
 
-  el.innerHTML = messages.map(m => renderSingleMessage(m)).join('');
+  el.innerHTML = messages.map(m => renderSingleMessage(m, tree && getBranchInfo(tree, m))).join('');
+  refreshRegenerateAction();
   scrollToBottom();
 }
 
-function renderSingleMessage(msg) {
+// Renders the branch currently selected in the thread
+function renderThreadMessages(thread) {
+  const tree = buildMessageTree(thread);
+  renderMessages(getActivePath(thread, tree), tree);
+}
+
+function renderSingleMessage(msg, branch = null) {
   const isUser  = msg.role === 'user';
   const classes = isUser ? 'message message-user' : 'message message-assistant';
-  const content = isUser ? escapeHtml(msg.content) : formatMarkdown(msg.content);
+  const content = isUser ? escapeHtml(msg.content) : linkCitations(formatMarkdown(msg.content), msg.sources);
   const time    = msg.timestamp ? formatRelativeTime(msg.timestamp) : '';
+  const stopped = msg.stopped ? ' · stopped' : '';
+  const cost    = msg.usage ? ` · ${formatCost(msg.usage.costUsd)}` : '';
+  const usageTitle = msg.usage
+    ? ` title="${escapeHtml(`${msg.model || ''} · ${formatNumber(msg.usage.inputTokens + msg.usage.cacheReadTokens + msg.usage.cacheWriteTokens)} in / ${formatNumber(msg.usage.outputTokens)} out`)}"`
+    : '';
+  const tools   = msg.toolCalls?.length
+    ? `<div class="message-tools">${renderToolCalls(msg.toolCalls)}</div>`
+    : '';
+  const actions = msg.actions?.length
+    ? `<div class="message-agent-actions">${msg.actions.map(renderActionCard).join('')}</div>`
+    : '';
+  const branchNav = branch?.total > 1 ? `
+    <span class="message-branch">
+      <button class="message-branch-btn" data-message-action="branch-prev" title="Previous version"${branch.index === 0 ? ' disabled' : ''}>&#8249;</button>
+      <span class="message-branch-count">${branch.index + 1}/${branch.total}</span>
+      <button class="message-branch-btn" data-message-action="branch-next" title="Next version"${branch.index === branch.total - 1 ? ' disabled' : ''}>&#8250;</button>
+    </span>` : '';
+  const editBtn = isUser
+    ? `<button class="message-footer-btn" data-message-action="edit" title="Edit and resend">&#9998;</button>`
+    : '';
+  const saveBtn = `<button class="message-footer-btn" data-message-action="save-doc" title="Save to Workspace">&#128190;</button>`;
 
   return `
-    <div class="${classes}">
+    <div class="${classes}" data-node-id="${escapeHtml(getNodeId(msg))}">
+      ${tools}
       <div class="message-content">${content}</div>
-      <div class="message-time">${escapeHtml(time)}</div>
+      ${actions}
+      ${msg.sources?.length ? renderSources(msg.sources) : ''}
+      <div class="message-footer">
+        ${editBtn}${saveBtn}${branchNav}
+        <div class="message-time"${usageTitle}>${escapeHtml(time + stopped + cost)}</div>
+      </div>
     </div>
   `;
 }
 
-function appendMessage(msg) {
+// Collapsible block per tool call: name + input in the summary, result inside
+function renderToolCalls(toolCalls) {
+  return toolCalls.map(call => {
+    const status = call.pending ? '&#8943;' : call.ok === false ? '&#9888;' : '&#10003;';
+    const input = call.input && Object.keys(call.input).length ? JSON.stringify(call.input) : '';
+    return `
+      <details class="message-tool${call.pending ? ' is-pending' : ''}">
+        <summary>
+          <span class="message-tool-status">${status}</span>
+          <span class="message-tool-name">${escapeHtml(getToolLabel(call.name))}</span>
+          ${input ? `<code class="message-tool-input">${escapeHtml(input)}</code>` : ''}
+        </summary>
+        <pre class="message-tool-output">${call.pending ? 'Running…' : escapeHtml(call.output || '')}</pre>
+      </details>
+    `;
+  }).join('');
+}
+
+// ── Knowledge citations ──────────────────────────────────────────────
+// [K1]-style markers become superscript links to the cited source
+function linkCitations(html, sources) {
+  if (!sources?.length) return html;
+  const byId = new Map(sources.map(s => [s.id, s]));
+  return html.replace(/\[(K\d+)\]/g, (match, id) => byId.has(id)
+    ? `<sup><button class="message-cite" ${sourceAttrs(byId.get(id))}>${id}</button></sup>`
+    : match);
+}
+
+function sourceAttrs(src) {
+  return src.type === 'doc'
+    ? `data-source-doc="${escapeHtml(src.docId)}" title="Open workspace doc"`
+    : `data-source-file="${escapeHtml(src.file)}" title="Open knowledge file"`;
+}
+
+function renderSources(sources) {
+  return `
+    <div class="message-sources">
+      <span class="message-sources-label">Sources</span>
+      ${sources.map(src => `
+        <button class="message-source" ${sourceAttrs(src)}>
+          <span class="message-source-id">${escapeHtml(src.id)}</span>
+          ${escapeHtml([src.title, src.heading].filter(Boolean).join(' › '))}
+        </button>
+      `).join('')}
+    </div>
+  `;
+}
+
+function openCitedSource(btn) {
+  const { sourceDoc, sourceFile } = btn.dataset;
+  if (sourceDoc) {
+    openBlockEditor({ docId: sourceDoc });
+  } else if (sourceFile) {
+    window.open(`data/knowledge/${encodeURIComponent(sourceFile)}`, '_blank', 'noopener');
+  }
+}
+
+function appendMessage(msg, branch = null) {
   const el = $('#chatMessages');
   if (!el) return;
-  el.insertAdjacentHTML('beforeend', renderSingleMessage(msg));
+  el.insertAdjacentHTML('beforeend', renderSingleMessage(msg, branch));
   scrollToBottom();
 }
 
@@ -580,6 +822,410 @@ function scrollToBottom() {
   requestAnimationFrame(() => { el.scrollTop = el.scrollHeight; });
 }
 
+// ── Streaming bubble ─────────────────────────────────────────────────
+function startStreamingMessage() {
+  const el = $('#chatMessages');
+  if (!el || $('#streamingMessage')) return;
+  $('#typingIndicator')?.remove();
+  el.insertAdjacentHTML('beforeend',
+    `<div class="message message-assistant message-streaming" id="streamingMessage">
+      <div class="message-tools"></div>
+      <div class="message-content"></div>
+      <div class="message-agent-actions"></div>
+    </div>`
+  );
+}
+
+function updateStreamingMessage(text) {
+  streamingText = text;
+  if (streamingFrame) return;
+  // Re-render at most once per frame — long answers emit hundreds of deltas
+  streamingFrame = requestAnimationFrame(() => {
+    streamingFrame = null;
+    const content = $('#streamingMessage .message-content');
+    if (!content) return;
+    // Close a dangling code fence so the partial block renders as code
+    const fences = (streamingText.match(/```/g) || []).length;
+    const text = fences % 2 ? streamingText + '\n```' : streamingText;
+    content.innerHTML = formatMarkdown(text);
+    scrollToBottom();
+  });
+}
+
+function updateStreamingTools(toolCalls) {
+  const tools = $('#streamingMessage .message-tools');
+  if (!tools) return;
+  tools.innerHTML = renderToolCalls(toolCalls);
+  scrollToBottom();
+}
+
+function updateStreamingActions(actions) {
+  const el = $('#streamingMessage .message-agent-actions');
+  if (!el) return;
+  el.innerHTML = actions.map(renderActionCard).join('');
+  scrollToBottom();
+}
+
+function endStreamingMessage(finalMsg, branch = null) {
+  if (streamingFrame) cancelAnimationFrame(streamingFrame);
+  streamingFrame = null;
+  streamingText = '';
+  const bubble = $('#streamingMessage');
+  if (!finalMsg) {
+    bubble?.remove();
+    return;
+  }
+  if (bubble) {
+    bubble.outerHTML = renderSingleMessage(finalMsg, branch);
+    scrollToBottom();
+  } else {
+    appendMessage(finalMsg, branch);
+  }
+}
+
+// ── Regenerate ───────────────────────────────────────────────────────
+function refreshRegenerateAction() {
+  $$('#chatMessages .message-actions').forEach(a => a.remove());
+  if (isSending) return;
+
+  const thread = getActiveThread();
+  const last = thread ? getActivePath(thread).at(-1) : null;
+  if (!last || last.role !== 'assistant') return;
+
+  const bubbles = $$('#chatMessages .message-assistant:not(.message-typing)');
+  const bubble = bubbles[bubbles.length - 1];
+  if (!bubble) return;
+  bubble.insertAdjacentHTML('beforeend', `
+    <div class="message-actions">
+      <button class="message-action-btn" data-message-action="regenerate" title="Regenerate response">&#8635; Regenerate</button>
+    </div>
+  `);
+}
+
+// ── Thread actions ───────────────────────────────────────────────────
+// Save / export the whole conversation, from the topbar while a thread
+// with messages is open. The group is added to the static topbar markup
+// on first render.
+function renderThreadActions() {
+  const topbar = $('.chat-topbar');
+  if (!topbar) return;
+  let el = $('#chatThreadActions');
+  if (!el) {
+    el = document.createElement('div');
+    el.id = 'chatThreadActions';
+    el.className = 'chat-thread-actions';
+    el.innerHTML = `
+      <button class="chat-thread-action-btn" data-thread-action="save-thread" title="Save this conversation as a Workspace doc">Save thread</button>
+      <button class="chat-thread-action-btn" data-thread-action="export-md" title="Download as Markdown">Export .md</button>
+      <button class="chat-thread-action-btn" data-thread-action="export-html" title="Download as HTML">Export .html</button>
+    `;
+    el.addEventListener('click', handleThreadAction);
+    topbar.appendChild(el);
+  }
+  const thread = getActiveThread();
+  el.hidden = !thread || !getActivePath(thread).length;
+}
+
+function handleThreadAction(e) {
+  const btn = e.target.closest('[data-thread-action]');
+  if (!btn) return;
+  switch (btn.dataset.threadAction) {
+    case 'save-thread': saveThreadToWorkspace(); break;
+    case 'export-md':   exportThread('md'); break;
+    case 'export-html': exportThread('html'); break;
+  }
+}
+
+function handleMessageAction(e) {
+  const cite = e.target.closest('[data-source-doc], [data-source-file]');
+  if (cite) {
+    openCitedSource(cite);
+    return;
+  }
+  const decision = e.target.closest('[data-action-decision]');
+  if (decision) {
+    handleActionDecision(decision.dataset.actionId, decision.dataset.actionDecision);
+    return;
+  }
+  const btn = e.target.closest('[data-message-action]');
+  if (!btn) return;
+  const nodeId = btn.closest('[data-node-id]')?.dataset.nodeId;
+  switch (btn.dataset.messageAction) {
+    case 'regenerate':  handleRegenerate(); break;
+    case 'branch-prev': switchBranch(nodeId, -1); break;
+    case 'branch-next': switchBranch(nodeId, 1); break;
+    case 'edit':        startEditMessage(btn.closest('.message')); break;
+    case 'edit-cancel': cancelEditMessage(); break;
+    case 'edit-submit': submitEditedMessage(nodeId, btn.closest('.message')?.querySelector('.message-edit-input')?.value || ''); break;
+    case 'save-doc':    saveMessageToWorkspace(nodeId); break;
+  }
+}
+
+// ── Proposed actions ─────────────────────────────────────────────────
+// Agents only propose; the action runs here once Dan clicks Approve.
+// 'running' is saved before the action runs, and ids in flight are kept
+// here too, so a re-render from storage mid-run can't offer Approve again.
+const runningActions = new Set();
+
+function findAction(threads, threadId, actionId) {
+  const thread = threads.find(t => t.id === threadId);
+  const msg = thread?.messages.find(m => m.actions?.some(a => a.id === actionId));
+  const action = msg?.actions.find(a => a.id === actionId);
+  return action ? { thread, msg, action } : null;
+}
+
+async function handleActionDecision(actionId, decision) {
+  if (runningActions.has(actionId)) return;
+  const threadId = activeThreadId;
+  const found = findAction(getThreads(), threadId, actionId);
+  if (!found || found.action.status !== 'pending') return;
+
+  // Writes into a fresh read of the threads, so changes saved while the
+  // action ran (a Supabase merge, a new message) aren't overwritten
+  const persist = (changes) => {
+    const threads = getThreads();
+    const current = findAction(threads, threadId, actionId);
+    if (!current) return;
+    Object.assign(current.action, changes);
+    saveThreads(threads);
+    refreshActionCard(current.action);
+    sbUpdateMessageActions(threadId, current.msg).catch(() => { /* silent */ });
+  };
+
+  if (decision === 'reject') {
+    persist({ status: 'rejected', resolvedAt: new Date().toISOString() });
+    return;
+  }
+
+  runningActions.add(actionId);
+  try {
+    persist({ status: 'running' });
+    const action = { ...found.action, status: 'running' };
+    const agent = getAgent(found.thread.agentId || activeAgentId);
+    await executeAgentAction(action, { agentName: agent?.name, threadId });
+    persist({ status: action.status, resolvedAt: action.resolvedAt, error: action.error });
+
+    if (action.status === 'approved') showToast('Action completed', 'success');
+    else showToast(`Action failed: ${action.error}`, 'error');
+  } finally {
+    runningActions.delete(actionId);
+  }
+}
+
+function refreshActionCard(action) {
+  const card = $(`#chatMessages [data-action-card="${CSS.escape(action.id)}"]`);
+  if (card) card.outerHTML = renderActionCard(action);
+}
+
+// The previous reply stays as a sibling branch of the new one
+async function handleRegenerate() {
+  if (isSending || !activeThreadId) return;
+  if (!await confirmWithinBudget(getActiveThread()) || isSending) return;
+
+  const threads = getThreads();
+  const thread = threads.find(t => t.id === activeThreadId);
+  if (!thread) return;
+  const tree = buildMessageTree(thread);
+  const last = getActivePath(thread, tree).at(-1);
+  if (!last || last.role !== 'assistant') return;
+
+  thread.activeLeafId = tree.nodes.get(getNodeId(last)).parent;
+  saveThreads(threads);
+  renderThreadMessages(thread);
+
+  await generateReply(thread.id);
+}
+
+// ── Save / export ────────────────────────────────────────────────────
+function saveMessageToWorkspace(nodeId) {
+  const thread = getActiveThread();
+  const msg = thread?.messages.find(m => getNodeId(m) === nodeId);
+  if (!msg) return;
+  openSaveToWorkspace({
+    markdown: messageToMarkdown(msg),
+    source: { type: 'chat', threadId: thread.id, agentId: thread.agentId, messageId: nodeId },
+  });
+}
+
+function saveThreadToWorkspace() {
+  const thread = getActiveThread();
+  if (!thread) return;
+  openSaveToWorkspace({
+    title: thread.title,
+    markdown: threadToMarkdown(thread, getActivePath(thread), getAgent(thread.agentId)),
+    source: { type: 'chat', threadId: thread.id, agentId: thread.agentId },
+  });
+}
+
+function exportThread(format) {
+  const thread = getActiveThread();
+  if (!thread) return;
+  downloadThread(thread, getActivePath(thread), getAgent(thread.agentId), format);
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  BRANCHES
+// ═══════════════════════════════════════════════════════════════════════
+// `thread.messages` holds every message of every branch. Each message
+// points at its parent (`uid` / `parentId`), so editing a prompt or
+// regenerating a reply adds a sibling instead of replacing history.
+// `thread.activeLeafId` — local only — picks the branch that is shown
+// and sent to the model.
+//
+// Messages from before branching have no uid: their node ID (see
+// getMessageNodeId) is derived from timestamp + role and they chain to the
+// message before them, which every device computes identically, so sync
+// never duplicates them.
+
+function byTimestamp(a, b) {
+  return new Date(a.timestamp || 0).getTime() - new Date(b.timestamp || 0).getTime();
+}
+
+// { nodes: id → { msg, parent }, children: parent id|null → [msg] (oldest first), last }
+function buildMessageTree(thread) {
+  const nodes = new Map();
+  const children = new Map();
+  let prev = null;
+
+  for (const msg of [...(thread.messages || [])].sort(byTimestamp)) {
+    const id = getNodeId(msg);
+    if (nodes.has(id)) continue;
+    let parent = msg.uid ? (msg.parentId ?? null) : prev;
+    // Parent not synced yet — hang it off the previous message so it stays visible
+    if (parent && !nodes.has(parent)) parent = prev;
+    nodes.set(id, { msg, parent });
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(msg);
+    prev = id;
+  }
+  return { nodes, children, last: prev };
+}
+
+// Follows the newest child down to a leaf
+function getLatestLeaf(tree, id) {
+  let current = id;
+  while (tree.children.get(current)?.length) {
+    current = getNodeId(tree.children.get(current).at(-1));
+  }
+  return current;
+}
+
+// Messages on the selected branch, root first
+function getActivePath(thread, tree = buildMessageTree(thread)) {
+  const start = tree.nodes.has(thread.activeLeafId) ? thread.activeLeafId : tree.last;
+  const path = [];
+  for (let id = start; id; id = tree.nodes.get(id)?.parent) {
+    const node = tree.nodes.get(id);
+    if (!node) break;
+    path.unshift(node.msg);
+  }
+  return path;
+}
+
+// { index, total } among the message's siblings
+function getBranchInfo(tree, msg) {
+  const id = getNodeId(msg);
+  const siblings = tree.children.get(tree.nodes.get(id)?.parent ?? null) || [];
+  return { index: siblings.findIndex(m => getNodeId(m) === id), total: siblings.length };
+}
+
+function switchBranch(nodeId, step) {
+  if (isSending || !nodeId) return;
+  const threads = getThreads();
+  const thread = threads.find(t => t.id === activeThreadId);
+  if (!thread) return;
+
+  const tree = buildMessageTree(thread);
+  const node = tree.nodes.get(nodeId);
+  if (!node) return;
+  const siblings = tree.children.get(node.parent) || [];
+  const target = siblings[siblings.findIndex(m => getNodeId(m) === nodeId) + step];
+  if (!target) return;
+
+  thread.activeLeafId = getLatestLeaf(tree, getNodeId(target));
+  saveThreads(threads);
+  renderThreadMessages(thread);
+}
+
+// ── Editing ──────────────────────────────────────────────────────────
+// Editing a user message forks a new branch from its parent; the
+// original prompt and everything after it stay reachable via the arrows.
+function startEditMessage(bubble) {
+  if (isSending || !bubble) return;
+  cancelEditMessage();
+
+  const msg = getActiveThread()?.messages.find(m => getNodeId(m) === bubble.dataset.nodeId);
+  if (!msg) return;
+
+  bubble.classList.add('is-editing');
+  const content = bubble.querySelector('.message-content');
+  content.innerHTML = `
+    <textarea class="message-edit-input" rows="3">${escapeHtml(msg.content)}</textarea>
+    <div class="message-edit-actions">
+      <button class="message-action-btn" data-message-action="edit-cancel">Cancel</button>
+      <button class="btn btn-primary btn-xs" data-message-action="edit-submit">Send</button>
+    </div>
+  `;
+  const input = content.querySelector('.message-edit-input');
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      submitEditedMessage(bubble.dataset.nodeId, input.value);
+    } else if (e.key === 'Escape') {
+      cancelEditMessage();
+    }
+  });
+  autoResize(input);
+  input.addEventListener('input', () => autoResize(input));
+  input.focus();
+  input.setSelectionRange(input.value.length, input.value.length);
+}
+
+function cancelEditMessage() {
+  const bubble = $('#chatMessages .message.is-editing');
+  if (!bubble) return;
+  const thread = getActiveThread();
+  if (thread) renderThreadMessages(thread);
+}
+
+async function submitEditedMessage(nodeId, text) {
+  const content = text.trim();
+  if (isSending || !content) return;
+  if (!await confirmWithinBudget(getActiveThread(), content) || isSending) return;
+
+  const threads = getThreads();
+  const thread = threads.find(t => t.id === activeThreadId);
+  const node = thread && buildMessageTree(thread).nodes.get(nodeId);
+  if (!node || node.msg.role !== 'user') return;
+
+  const original = node.msg;
+  if (content === original.content) {
+    cancelEditMessage();
+    return;
+  }
+
+  // Files attached to the original prompt carry over to the edit
+  const full = original.fullContent || original.content;
+  const attachments = full.startsWith(original.content) ? full.slice(original.content.length) : '';
+
+  const now = new Date().toISOString();
+  const userMsg = {
+    uid: generateId(), parentId: node.parent,
+    role: 'user', content, fullContent: content + attachments, timestamp: now,
+  };
+  thread.messages.push(userMsg);
+  thread.activeLeafId = userMsg.uid;
+  thread.updatedAt = now;
+  saveThreads(threads);
+
+  renderThreadMessages(thread);
+  syncMessageToSupabase(thread.id, userMsg);
+  renderHistoryList();
+  highlightActiveHistory();
+
+  await generateReply(thread.id);
+}
+
 // ═══════════════════════════════════════════════════════════════════════
 //  MARKDOWN RENDERING
 // ═══════════════════════════════════════════════════════════════════════
@@ -618,14 +1264,6 @@ function formatMarkdown(content) {
 // ═══════════════════════════════════════════════════════════════════════
 //  AUTO-CONTEXT INJECTION
 // ═══════════════════════════════════════════════════════════════════════
-async function fetchJSON(path) {
-  try {
-    const res = await fetch(`./data/${path}`);
-    if (!res.ok) return null;
-    return await res.json();
-  } catch { return null; }
-}
-
 async function buildDashboardContext(agentId) {
   const parts = [];
 
@@ -649,9 +1287,10 @@ async function buildDashboardContext(agentId) {
 - At-risk: ${atRisk}${atRisk > 0 && biz.clients?.atRisk ? ' (' + biz.clients.atRisk.map(c => c.name || c).join(', ') + ')' : ''}`);
   }
 
-  // VIP clients (fields: name, status, program[], joined, payment, pif, email)
-  const vip = getState('vipClients');
-  if (vip && Array.isArray(vip)) {
+  // VIP clients — counts only; agents look up details via search_vip_clients
+  const vipRaw = getState('vipClients');
+  const vip = Array.isArray(vipRaw) ? vipRaw : vipRaw?.clients;
+  if (Array.isArray(vip)) {
     const active = vip.filter(c => c.status === 'Active' || !c.status);
     const atRiskVip = vip.filter(c => c.status === 'At Risk');
     const recent = vip.filter(c => {
@@ -660,18 +1299,11 @@ async function buildDashboardContext(agentId) {
       return (Date.now() - d.getTime()) < 30 * 24 * 60 * 60 * 1000;
     });
 
-    if (agentId === 'king-consultant') {
-      const vipLines = vip.map(c => {
-        const prog = Array.isArray(c.program) ? c.program.join(', ') : (c.program || '?');
-        return `- ${c.name} | ${c.status || 'Active'} | ${prog} | joined ${c.joined || '?'} | ${c.payment || '?'}`;
-      });
-      parts.push(`## VIP Client Roster (${vip.length} total, ${active.length} active, ${atRiskVip.length} at-risk)\n${vipLines.join('\n')}`);
-    } else {
-      parts.push(`## VIP Clients
+    parts.push(`## VIP Clients
+- Total: ${vip.length}
 - Active: ${active.length}
 - At-risk: ${atRiskVip.length}${atRiskVip.length > 0 ? ' (' + atRiskVip.map(c => c.name).join(', ') + ')' : ''}
 - Joined last 30 days: ${recent.length}`);
-    }
   }
 
   // Tasks
@@ -692,80 +1324,9 @@ async function buildDashboardContext(agentId) {
     parts.push(`## Trending Content\n${topics.join('\n')}`);
   }
 
-  // ── King Consultant: inject ALL data sources ──────────────────────
+  // Ads, competitors, funnels, tasks and channel stats are fetched on
+  // demand through agent tools (js/agent-tools.js) instead of injected here.
   if (agentId === 'king-consultant') {
-    // Meta Ads (fields: summary.spend/leads/cpl/applications/roas, campaigns[])
-    const metaAds = getState('metaAds') || await fetchJSON('meta-ads.json');
-    if (metaAds) {
-      const s = metaAds.summary || metaAds;
-      const cpa = (s.spend && s.applications) ? (s.spend / s.applications).toFixed(2) : '?';
-      parts.push(`## Meta Ads Performance
-- Total spend: $${s.spend ?? '?'}
-- Leads: ${s.leads ?? '?'}
-- CPL: $${s.cpl ?? '?'}
-- Applications: ${s.applications ?? '?'}
-- CPA: $${cpa}
-- ROAS: ${s.roas ?? '?'}
-- Impressions: ${s.impressions ?? '?'}
-- Clicks: ${s.clicks ?? '?'}
-- CTR: ${s.ctr ?? '?'}%`);
-      if (metaAds.campaigns && Array.isArray(metaAds.campaigns)) {
-        const campLines = metaAds.campaigns.map(c =>
-          `- ${c.name}: $${c.spend ?? '?'} spend | ${c.leads ?? '?'} leads | ${c.applications ?? '?'} apps | ${c.status || 'unknown'}`
-        );
-        parts.push(`### Campaigns\n${campLines.join('\n')}`);
-      }
-    }
-
-    // Ad Swipes (fields: swipes[].advertiser, .headline, .primaryText, .hookFramework)
-    const adSwipes = getState('adSwipes') || await fetchJSON('ad-swipes.json');
-    if (adSwipes) {
-      const swipeArr = Array.isArray(adSwipes) ? adSwipes : adSwipes.swipes || [];
-      if (swipeArr.length > 0) {
-        const swipeLines = swipeArr.slice(0, 10).map(s =>
-          `- ${s.advertiser || 'Unknown'}: "${(s.headline || s.primaryText || '').slice(0, 80)}" [${s.hookFramework || s.hookType || ''}]`
-        );
-        parts.push(`## Ad Swipes (Competitor Hooks)\n${swipeLines.join('\n')}`);
-      }
-    }
-
-    // Instagram (fields: currentStats.followers/engagementRate/posts/avgLikes/avgComments)
-    const ig = getState('instagram') || await fetchJSON('instagram.json');
-    if (ig) {
-      const stats = ig.currentStats || ig;
-      parts.push(`## Instagram Performance
-- Handle: ${ig.handle ?? '?'}
-- Followers: ${stats.followers ?? '?'}
-- Engagement rate: ${stats.engagementRate ?? '?'}%
-- Total posts: ${stats.posts ?? '?'}
-- Avg likes: ${stats.avgLikes ?? '?'}
-- Avg comments: ${stats.avgComments ?? '?'}`);
-    }
-
-    // YouTube (fields: manualStats.subscribers/totalViews/totalVideos/avgViewsPerVideo)
-    const yt = getState('youtube') || await fetchJSON('youtube.json');
-    if (yt) {
-      const stats = yt.manualStats || yt.channelStats || yt;
-      parts.push(`## YouTube Performance
-- Subscribers: ${stats.subscribers ?? '?'}
-- Total views: ${stats.totalViews ?? '?'}
-- Videos: ${stats.totalVideos ?? '?'}
-- Avg views/video: ${stats.avgViewsPerVideo ?? '?'}`);
-    }
-
-    // Competitor analysis (fields: creators[].fullName/username/followers/engagementRate)
-    const creators = await fetchJSON('creators.json');
-    if (creators) {
-      const creatorArr = Array.isArray(creators) ? creators : creators.creators || [];
-      if (creatorArr.length > 0) {
-        const creatorLines = creatorArr.map(c =>
-          `- ${c.fullName || c.username}: @${c.username} | ${c.followers ?? '?'} followers | ${c.engagementRate ?? '?'}% engagement | ${c.niche || 'coaching'}`
-        );
-        parts.push(`## Competitor Analysis (Organic)\n${creatorLines.join('\n')}`);
-      }
-    }
-
-    // Content pipeline
     const pipeline = content?.pipeline || content?.upcoming || [];
     if (Array.isArray(pipeline) && pipeline.length > 0) {
       const pipeLines = pipeline.slice(0, 10).map(p =>
@@ -791,6 +1352,8 @@ async function handleSend() {
   const text = input.value.trim();
   if (!text) return;
 
+  if (!await confirmWithinBudget(chatState === 'landing' ? null : getActiveThread(), text)) return;
+
   // If on landing, create thread and transition
   if (chatState === 'landing') {
     const now = new Date().toISOString();
@@ -826,15 +1389,20 @@ async function handleSend() {
     fullContent = text + '\n\n' + fileContext;
   }
 
-  const now = new Date().toISOString();
-  const userMsg = { role: 'user', content: text, fullContent, timestamp: now };
-
-  // Add to thread
+  // Add to thread, continuing the branch on screen
   const threads = getThreads();
   const thread = threads.find(t => t.id === activeThreadId);
   if (!thread) return;
 
+  const now = new Date().toISOString();
+  const leaf = getActivePath(thread).at(-1);
+  const userMsg = {
+    uid: generateId(), parentId: leaf ? getNodeId(leaf) : null,
+    role: 'user', content: text, fullContent, timestamp: now,
+  };
+
   thread.messages.push(userMsg);
+  thread.activeLeafId = userMsg.uid;
   thread.updatedAt = now;
   saveThreads(threads);
 
@@ -851,38 +1419,143 @@ async function handleSend() {
   autoResize(input);
   clearAttachedFiles();
 
-  // Call LLM
+  await generateReply(thread.id);
+}
+
+// Asks before anything is sent once a chat budget is used up or close to
+// it (send, regenerate and edit all call this). `extraText` is the prompt
+// not yet in the thread. Returns false when Dan cancels.
+async function confirmWithinBudget(thread, extraText = '') {
+  if (checkingBudget) return false;
+  checkingBudget = true;
+  let warning;
+  try {
+    const agent = getAgent(thread?.agentId || activeAgentId);
+    const history = thread ? getActivePath(thread) : [];
+    const promptChars = history.reduce((n, m) => n + (m.fullContent || m.content || '').length, extraText.length);
+    warning = await checkBudget({ model: agent?.defaultModel, promptChars }).catch(() => null);
+  } finally {
+    checkingBudget = false;
+  }
+  return !warning || confirm(`${warning}\n\nSend anyway?`);
+}
+
+// Streams a reply for the thread's current messages. Shared by send and
+// regenerate; a stopped generation keeps whatever text had arrived.
+// Agents with tools run an agentic loop: each tool_use round is executed
+// locally and fed back until the model answers (or MAX_TOOL_ROUNDS).
+async function generateReply(threadId) {
+  const thread = getThreads().find(t => t.id === threadId);
+  if (!thread) return;
+
   isSending = true;
+  activeRequest = new AbortController();
+  const { signal } = activeRequest;
   setSendingState(true);
+  refreshRegenerateAction();
+
+  const isVisible = () => activeThreadId === threadId;
+  const history = getActivePath(thread);
+  const parentId = history.length ? getNodeId(history.at(-1)) : null;
+  const toolCalls = [];
+  const actions = [];
+  let usage = null;
+  let model = null;
+  let sources = [];
+  let priorText = '';
+  let partial = '';
 
   try {
-    const agent = getAgent(activeAgentId);
-    const apiMessages = thread.messages.map(m => ({
+    const agent = getAgent(thread.agentId || activeAgentId);
+    const dataTools = getToolDefinitions(agent?.tools);
+    const actionTools = getActionDefinitions(agent?.actions);
+    const tools = [...dataTools, ...actionTools];
+    const knowledge = retrieveKnowledge(agent, getRetrievalQuery(history));
+    sources = knowledge.sources;
+    const system = await buildSystemPrompt(agent, {
+      hasTools: dataTools.length > 0,
+      hasActions: actionTools.length > 0,
+      knowledge,
+    });
+    const apiMessages = history.map(m => ({
       role: m.role, content: m.fullContent || m.content,
     }));
 
-    const response = await callLLM(apiMessages, agent);
+    for (let round = 0; ; round++) {
+      const result = await callLLM(apiMessages, agent, {
+        system,
+        tools,
+        // Last round: force a text answer instead of another tool call
+        toolChoice: round >= MAX_TOOL_ROUNDS ? 'none' : 'auto',
+        signal,
+        onDelta: (text) => {
+          partial = joinText(priorText, text);
+          if (!isVisible()) return;
+          startStreamingMessage();
+          updateStreamingMessage(partial);
+        },
+      });
 
-    const assistantMsg = {
-      role: 'assistant',
-      content: response,
-      timestamp: new Date().toISOString(),
-    };
+      priorText = joinText(priorText, result.text);
+      partial = priorText;
+      usage = addUsage(usage, result.usage);
+      model = result.model;
+
+      const toolUses = result.blocks.filter(b => b.type === 'tool_use');
+      if (result.stopReason !== 'tool_use' || !toolUses.length) break;
+
+      apiMessages.push({ role: 'assistant', content: result.blocks });
+      const toolResults = [];
+
+      for (const use of toolUses) {
+        // Action tools never run here — they become confirm/reject cards
+        if (isActionTool(use.name)) {
+          const { ok, output, action } = proposeAction(use);
+          if (action) {
+            actions.push(action);
+            if (isVisible()) {
+              startStreamingMessage();
+              updateStreamingActions(actions);
+            }
+          }
+          toolResults.push({ type: 'tool_result', tool_use_id: use.id, content: output, is_error: !ok });
+          continue;
+        }
+
+        const call = { name: use.name, input: use.input, pending: true };
+        toolCalls.push(call);
+        if (isVisible()) {
+          startStreamingMessage();
+          updateStreamingTools(toolCalls);
+        }
+
+        const { ok, output } = await runAgentTool(use.name, use.input);
+        signal.throwIfAborted();
+
+        delete call.pending;
+        call.ok = ok;
+        call.output = output.length > 2000 ? output.slice(0, 2000) + '…' : output;
+        if (isVisible()) updateStreamingTools(toolCalls);
 
-    const updatedThreads = getThreads();
-    const updatedThread = updatedThreads.find(t => t.id === activeThreadId);
-    if (updatedThread) {
-      updatedThread.messages.push(assistantMsg);
-      updatedThread.updatedAt = assistantMsg.timestamp;
-      saveThreads(updatedThreads);
+        toolResults.push({ type: 'tool_result', tool_use_id: use.id, content: output, is_error: !ok });
+      }
+
+      apiMessages.push({ role: 'user', content: toolResults });
     }
 
-    appendMessage(assistantMsg);
-    syncMessageToSupabase(activeThreadId, assistantMsg);
-    renderHistoryList();
-    highlightActiveHistory();
+    saveAssistantReply(threadId, { content: priorText || 'No response received.', parentId, toolCalls, actions, usage, model, sources });
   } catch (err) {
+    if (err.name === 'AbortError') {
+      const done = toolCalls.filter(c => !c.pending);
+      if (partial || done.length || actions.length) {
+        saveAssistantReply(threadId, { content: partial, parentId, toolCalls: done, actions, usage, model, sources, stopped: true });
+      } else {
+        endStreamingMessage(null);
+      }
+      return;
+    }
     console.error('[chat] Send failed:', err);
+    endStreamingMessage(null);
     appendMessage({
       role: 'assistant',
       content: `Sorry, I encountered an error: ${err.message}. Check your proxy configuration or try again.`,
@@ -891,15 +1564,84 @@ async function handleSend() {
     showToast('Message failed to send', 'error');
   } finally {
     isSending = false;
+    activeRequest = null;
     setSendingState(false);
+    refreshRegenerateAction();
+    renderThreadActions();
+  }
+}
+
+function joinText(a, b) {
+  if (!a) return b || '';
+  if (!b) return a;
+  return a + '\n\n' + b;
+}
+
+function saveAssistantReply(threadId, { content, parentId, toolCalls, actions, usage, model, sources, stopped }) {
+  const assistantMsg = {
+    uid: generateId(),
+    parentId,
+    role: 'assistant',
+    content,
+    timestamp: new Date().toISOString(),
+  };
+  if (toolCalls?.length) assistantMsg.toolCalls = toolCalls;
+  if (actions?.length) assistantMsg.actions = actions;
+  if (model) assistantMsg.model = model;
+  // Keep only the knowledge excerpts the answer actually cited
+  const cited = (sources || []).filter(src => content?.includes(`[${src.id}]`));
+  if (cited.length) assistantMsg.sources = cited;
+  if (usage) assistantMsg.usage = { ...usage, costUsd: estimateCost(model, usage) };
+  if (stopped) assistantMsg.stopped = true;
+
+  const threads = getThreads();
+  const thread = threads.find(t => t.id === threadId);
+  if (thread) {
+    thread.messages.push(assistantMsg);
+    thread.activeLeafId = assistantMsg.uid;
+    thread.updatedAt = assistantMsg.timestamp;
+    saveThreads(threads);
+  }
+  if (assistantMsg.usage) {
+    noteUsageRecord({
+      timestamp: assistantMsg.timestamp, agentId: thread?.agentId, model, ...assistantMsg.usage,
+    });
   }
+
+  const branch = thread ? getBranchInfo(buildMessageTree(thread), assistantMsg) : null;
+  endStreamingMessage(activeThreadId === threadId ? assistantMsg : null, branch);
+  syncMessageToSupabase(threadId, assistantMsg);
+  renderHistoryList();
+  highlightActiveHistory();
 }
 
+function stopGeneration() {
+  if (activeRequest) activeRequest.abort();
+}
+
+const STOP_ICON = '<svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><rect x="6" y="6" width="12" height="12" rx="2"/></svg>';
+
 function setSendingState(sending) {
   const input = $('#chatInput');
   const btn = $('#chatSendBtn');
   if (input) input.disabled = sending;
-  if (btn) btn.disabled = sending;
+
+  // The send button doubles as Stop while a reply is generating
+  if (btn) {
+    if (sending && !btn.classList.contains('is-stop')) {
+      btn.dataset.sendHtml = btn.innerHTML;
+      btn.innerHTML = STOP_ICON;
+      btn.classList.add('is-stop');
+      btn.title = 'Stop generating';
+      btn.setAttribute('aria-label', 'Stop generating');
+    } else if (!sending && btn.classList.contains('is-stop')) {
+      btn.innerHTML = btn.dataset.sendHtml || '';
+      delete btn.dataset.sendHtml;
+      btn.classList.remove('is-stop');
+      btn.title = 'Send';
+      btn.setAttribute('aria-label', 'Send');
+    }
+  }
 
   if (sending) {
     const el = $('#chatMessages');
@@ -917,58 +1659,76 @@ function setSendingState(sending) {
   }
 }
 
-function getAgentKnowledge(agentId) {
-  const map = getState('agentKnowledge');
-  if (!map?.[agentId]) return '';
-  const text = map[agentId];
-  const MAX_CHARS = 200000;
-  return text.length > MAX_CHARS
-    ? text.slice(0, MAX_CHARS) + '\n\n[... Knowledge truncated]'
-    : text;
+// Retrieval query: the latest user message, plus the one before it so
+// short follow-ups ("go deeper on #2") still match the topic
+function getRetrievalQuery(messages) {
+  return messages
+    .filter(m => m.role === 'user')
+    .slice(-2)
+    .map(m => m.content)
+    .join('\n');
 }
 
-async function callLLM(messages, agent) {
-  const proxyUrl = localStorage.getItem(PROXY_KEY) || DEFAULT_PROXY;
-  const model = agent?.defaultModel || 'claude-opus-4-6';
-
+// `knowledge` is a retrieveKnowledge() result for the current message
+async function buildSystemPrompt(agent, { hasTools = false, hasActions = false, knowledge = null } = {}) {
   let systemPrompt = agent?.systemPrompt || 'You are a helpful assistant for Dan Harrison, founder of Lifestyle Founders Group. Be direct, concise, and actionable.';
 
-  const knowledge = getAgentKnowledge(agent?.id);
-  if (knowledge) {
-    systemPrompt += '\n\n---\n\n# Knowledge Base\n\n' + knowledge;
+  if (knowledge?.outline?.length || knowledge?.context) {
+    systemPrompt += '\n\n---\n\n# Knowledge Base';
+    if (knowledge.outline.length) {
+      systemPrompt += `\n\nYour knowledge file covers: ${knowledge.outline.join('; ')}.`;
+    }
+    if (knowledge.context) {
+      systemPrompt += '\n\nThe excerpts below were retrieved for this message from your knowledge file and Dan\'s workspace docs. '
+        + 'When your answer draws on one, cite it inline as [K1], [K2] etc. Only cite excerpts you actually used. '
+        + 'If the excerpts don\'t cover the question, say so rather than inventing framework details.\n\n'
+        + knowledge.context;
+    }
   }
 
   systemPrompt += await buildDashboardContext(agent?.id);
 
-  const res = await fetch(`${proxyUrl}/anthropic`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      model,
-      max_tokens: 4096,
-      system: systemPrompt,
-      messages: messages.map(m => ({ role: m.role, content: m.content })),
-    }),
-  });
-
-  if (!res.ok) {
-    const errorText = await res.text().catch(() => '');
-    throw new Error(`API error ${res.status}: ${errorText.slice(0, 200)}`);
+  if (hasTools) {
+    systemPrompt += '\n\n---\n\n# Live Data Tools\n\nThe snapshot above is only a summary. Call your tools whenever a question needs funnel, ad, client, competitor, task or channel numbers — never guess a figure you can look up.';
   }
+  if (hasActions) {
+    systemPrompt += '\n\n---\n\n# Proposing Actions\n\nYour propose_* tools do not act on their own: each call shows Dan a card he must approve. Propose an action when he asks for one or it is clearly the next step, and tell him it is waiting for his approval.';
+  }
+  return systemPrompt;
+}
 
-  const data = await res.json();
-  return data.content?.[0]?.text || data.choices?.[0]?.message?.content || 'No response received.';
+// Returns { text, blocks, stopReason, usage, model }. `blocks` is the raw
+// assistant content (text + tool_use) so it can be echoed back in the tool
+// loop. Provider routing, retries and streaming live in llm-client.js.
+async function callLLM(messages, agent, { system, tools, toolChoice, signal, onDelta } = {}) {
+  const result = await complete({
+    feature: 'chat',
+    model: agent?.defaultModel,
+    system: system ?? await buildSystemPrompt(agent),
+    messages: messages.map(m => ({ role: m.role, content: m.content })),
+    tools,
+    toolChoice,
+    maxTokens: 4096,
+    stream: true,
+    signal,
+    onDelta,
+  });
+  return { ...result, usage: normalizeUsage(result.usage) };
 }
 
 // ═══════════════════════════════════════════════════════════════════════
 //  CHIPS
 // ═══════════════════════════════════════════════════════════════════════
+function getAgentChips(agentId) {
+  const chips = getAgent(agentId)?.chips;
+  return chips?.length ? chips : DEFAULT_CHIPS;
+}
+
 function renderChips() {
   const container = $('#chatChips');
   if (!container) return;
-  const chips = AGENT_CHIPS[activeAgentId] || DEFAULT_CHIPS;
-  container.innerHTML = chips.map(c =>
-    `<button class="chat-chip" data-chip="${c.key}"><span class="chip-icon">${c.icon}</span> ${c.label}</button>`
+  container.innerHTML = getAgentChips(activeAgentId).map(c =>
+    `<button class="chat-chip" data-chip="${escapeHtml(c.key)}"><span class="chip-icon">${escapeHtml(c.icon || '')}</span> ${escapeHtml(c.label)}</button>`
   ).join('');
 }
 
@@ -977,8 +1737,7 @@ function handleChipClick(e) {
   if (!chip) return;
 
   const chipKey = chip.dataset.chip;
-  const chips = AGENT_CHIPS[activeAgentId] || DEFAULT_CHIPS;
-  const config = chips.find(c => c.key === chipKey);
+  const config = getAgentChips(activeAgentId).find(c => c.key === chipKey);
   if (!config) return;
 
   // Prefill input
@@ -1081,8 +1840,11 @@ function autoResize(el) {
 //  EVENTS
 // ═══════════════════════════════════════════════════════════════════════
 function bindEvents() {
-  // Send button
-  $('#chatSendBtn')?.addEventListener('click', () => handleSend());
+  // Send button (acts as Stop while generating)
+  $('#chatSendBtn')?.addEventListener('click', () => {
+    if (isSending) stopGeneration();
+    else handleSend();
+  });
 
   // Enter to send
   const input = $('#chatInput');
@@ -1114,6 +1876,7 @@ function bindEvents() {
 
   // History list clicks
   $('#historyList')?.addEventListener('click', handleHistoryClick);
+  $('#historyList')?.addEventListener('change', handleSearchFilterChange);
 
   // History search
   $('#historySearch')?.addEventListener('input', handleHistorySearch);
@@ -1123,6 +1886,14 @@ function bindEvents() {
     transitionToLanding();
   });
 
+  // Message actions (regenerate)
+  $('#chatMessages')?.addEventListener('click', handleMessageAction);
+
+  // Escape stops an in-flight generation
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && isSending && chatState === 'conversation') stopGeneration();
+  });
+
   // Chips
   $('#chatChips')?.addEventListener('click', handleChipClick);
 
@@ -0,0 +1,204 @@
+// js/conflict-resolver.js — Side-by-side resolver for doc sync conflicts
+// ──────────────────────────────────────────────────────────────────────
+//
+// services/doc-revisions.js records a conflict when a doc changed here and
+// in Supabase (another device) or Notion since they last agreed. This shows
+// both copies with the blocks only one side has highlighted, and settles it
+// by keeping one copy or merging the blocks of both. The copy that loses is
+// kept as a named version first, so nothing is gone for good.
+
+import { $, escapeHtml, showToast, formatRelativeTime } from './app.js';
+import { tiptapToHtml } from './markdown-converter.js';
+import { diffBlocks, mergeBlocks } from './doc-diff.js';
+import {
+  getConflict, clearConflict, patchLocalDoc, pushDocRevision, docHash, contentHash,
+} from './services/doc-revisions.js';
+import { pushDocToNotion } from './services/workspace-sync.js';
+import { saveVersion } from './services/doc-versions.js';
+
+const DOCS_KEY = 'forge-workspace-docs'; // shared with knowledge.js / block-editor.js
+
+const SOURCE_LABELS = {
+  supabase: 'Other device',
+  notion: 'Notion',
+};
+
+let current = null;  // { docId, onResolved }
+let isBusy = false;
+let isBound = false;
+
+function getLocalDoc(docId) {
+  try { return JSON.parse(localStorage.getItem(DOCS_KEY) || '[]').find(d => d.id === docId) || null; }
+  catch { return null; }
+}
+
+const blocksOf = doc => doc?.content?.content || [];
+const blockHtml = node => tiptapToHtml({ type: 'doc', content: [node] });
+
+// ── Rendering ────────────────────────────────────────────────────────
+// Each pane shows its own copy; blocks the other side doesn't have are
+// marked. A block both sides edited is 'changed' on both.
+
+function renderPane(side, label, time, doc, ops, otherTitle) {
+  const title = doc.title || 'Untitled';
+  let body;
+  if (!ops) {
+    body = `<div class="be-history-note">Too long to compare — showing it whole.</div>${tiptapToHtml(doc.content || { type: 'doc', content: [] })}`;
+  } else {
+    const own = side === 'local' ? 'del' : 'ins';
+    body = ops.map(op => {
+      if (op.type === 'same') return `<div class="be-diff-block be-diff-same">${blockHtml(op.node)}</div>`;
+      if (op.type === 'changed') {
+        const node = side === 'local' ? op.before : op.node;
+        return `<div class="be-diff-block doc-conflict-changed">${blockHtml(node)}</div>`;
+      }
+      return op.type === own ? `<div class="be-diff-block doc-conflict-only">${blockHtml(op.node)}</div>` : '';
+    }).join('') || '<div class="be-history-note">Empty</div>';
+  }
+  return `
+    <section class="doc-conflict-pane">
+      <div class="doc-conflict-pane-header">
+        <span class="doc-conflict-pane-label">${escapeHtml(label)}</span>
+        <span class="doc-conflict-pane-time">${time ? escapeHtml(formatRelativeTime(time)) : ''}</span>
+      </div>
+      <div class="doc-conflict-pane-title${title !== otherTitle ? ' doc-conflict-changed' : ''}">${escapeHtml(title)}</div>
+      <div class="be-diff doc-conflict-pane-body">${body}</div>
+    </section>`;
+}
+
+function render() {
+  const conflict = getConflict(current.docId);
+  const local = getLocalDoc(current.docId);
+  if (!conflict || !local) return false;
+
+  const { remote, source } = conflict;
+  const label = SOURCE_LABELS[source] || source;
+  const ops = diffBlocks(blocksOf(local), blocksOf(remote));
+  const remoteTitle = remote.title || 'Untitled';
+  const localTitle = local.title || 'Untitled';
+
+  $('#docConflictTitle').textContent = `Sync conflict — ${localTitle}`;
+  $('#docConflictSubtitle').textContent = source === 'notion'
+    ? 'Edited here and in Notion since the last sync.'
+    : 'Edited here and on another device since the last sync.';
+  $('#docConflictPanes').innerHTML =
+    renderPane('local', 'This device', local.updatedAt, local, ops, remoteTitle) +
+    renderPane('remote', label, remote.lastEdited || conflict.detectedAt, remote, ops, localTitle);
+
+  $('#docConflictKeepRemote').textContent = source === 'notion' ? 'Keep Notion' : 'Keep other device';
+  const mergeBtn = $('#docConflictMerge');
+  mergeBtn.disabled = !ops;
+  $('#docConflictHint').textContent = ops
+    ? 'Merge keeps the blocks of both; a block edited on both sides appears twice, this device\'s first.'
+    : '';
+  return true;
+}
+
+// ── Resolving ────────────────────────────────────────────────────────
+
+async function resolve(choice) {
+  if (!current || isBusy) return;
+  const { docId, onResolved } = current;
+  const conflict = getConflict(docId);
+  const local = getLocalDoc(docId);
+  if (!conflict || !local) { closeConflictResolver(); return; }
+
+  const { remote, source } = conflict;
+  const label = SOURCE_LABELS[source] || source;
+  let result;
+  if (choice === 'local') {
+    result = { title: local.title, content: local.content };
+  } else if (choice === 'remote') {
+    result = { title: remote.title, content: remote.content };
+  } else {
+    const blocks = mergeBlocks(blocksOf(local), blocksOf(remote));
+    if (!blocks) return;
+    result = { title: local.title, content: { type: 'doc', content: blocks } };
+  }
+
+  isBusy = true;
+  setButtonsDisabled(true);
+  try {
+    // The copy being replaced stays in version history
+    if (choice === 'remote') {
+      await saveVersion(local, { kind: 'named', name: 'This device (sync conflict)' });
+    } else if (choice === 'local') {
+      await saveVersion({ id: docId, ...remote }, { kind: 'named', name: `${label} copy (sync conflict)` });
+    }
+
+    // The remote copy becomes the base, so whatever differs from it is
+    // this device's change and goes out as a normal push
+    const base = source === 'supabase'
+      ? { rev: remote.rev, syncedHash: docHash({ ...local, title: remote.title, folder: remote.folder, content: remote.content }) }
+      : { notionLastEdited: remote.lastEdited, notionHash: contentHash(remote), needsNotionPull: false };
+    patchLocalDoc(docId, { ...result, ...base, updatedAt: new Date().toISOString() });
+    clearConflict(docId);
+
+    const status = await pushDocRevision(docId);
+    const doc = getLocalDoc(docId);
+    const notionStatus = doc?.notionPageId ? await pushDocToNotion(doc) : null;
+    if (status === 'conflict' || notionStatus === 'conflict') {
+      showToast('It changed again meanwhile — review the new conflict', 'warning');
+    } else {
+      showToast('Conflict resolved', 'success');
+    }
+  } catch (err) {
+    console.error('[conflict-resolver] resolve failed:', err);
+    showToast('Could not resolve the conflict', 'error');
+  } finally {
+    isBusy = false;
+    setButtonsDisabled(false);
+  }
+
+  closeConflictResolver();
+  onResolved?.(docId);
+}
+
+function setButtonsDisabled(disabled) {
+  ['#docConflictKeepLocal', '#docConflictKeepRemote', '#docConflictMerge'].forEach(sel => {
+    const btn = $(sel);
+    if (btn) btn.disabled = disabled;
+  });
+}
+
+// ── Open / close ─────────────────────────────────────────────────────
+
+/**
+ * Shows the conflict recorded for a doc. `onResolved(docId)` runs after
+ * it's settled and the local copy has changed.
+ */
+export function openConflictResolver(docId, { onResolved } = {}) {
+  bindEvents();
+  current = { docId, onResolved };
+  if (!render()) {
+    current = null;
+    showToast('No conflict to resolve', 'info');
+    return;
+  }
+  $('#docConflictModal').hidden = false;
+  $('#docConflictBackdrop').hidden = false;
+}
+
+export function closeConflictResolver() {
+  if (isBusy) return;
+  current = null;
+  $('#docConflictModal').hidden = true;
+  $('#docConflictBackdrop').hidden = true;
+}
+
+function bindEvents() {
+  if (isBound) return;
+  isBound = true;
+  $('#docConflictClose')?.addEventListener('click', closeConflictResolver);
+  $('#docConflictBackdrop')?.addEventListener('click', closeConflictResolver);
+  $('#docConflictKeepLocal')?.addEventListener('click', () => resolve('local'));
+  $('#docConflictKeepRemote')?.addEventListener('click', () => resolve('remote'));
+  $('#docConflictMerge')?.addEventListener('click', () => resolve('merge'));
+
+  // Capture phase, so Esc closes this and not the editor underneath
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape' || !current) return;
+    e.stopPropagation();
+    closeConflictResolver();
+  }, true);
+}
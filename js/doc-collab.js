@@ -0,0 +1,315 @@
+// js/doc-collab.js — Live multi-user editing for the block editor (Yjs)
+// ──────────────────────────────────────────────────────────────────────
+//
+// Each open doc is a Y.Doc shared over services/collab-channel.js. The
+// editor binds to it with Tiptap's Collaboration extension, so everyone's
+// edits merge as they type, and CollaborationCursor shows the others'
+// cursors from Yjs awareness. The title lives in the Y.Doc too.
+//
+// Joining: ask whoever is there for their state (sync1 → sync2). Alone —
+// Realtime presence shows nobody else, or nobody answers within
+// SYNC_TIMEOUT — start from the doc as saved. When several people open it
+// at once, none has a state to give yet: the leader (below) seeds and
+// answers the others' sync1s, which they wait for up to CONNECT_TIMEOUT.
+// sync1 carries a hash of the joiner's saved copy. Only when every copy
+// heard of is the same is the seed written with a fixed Yjs client id —
+// then anyone who seeds anyway makes identical history that merges into
+// one copy. Otherwise it gets a random id: two different copies written
+// with one id would look like the same edits and never converge.
+//
+// Saving stays as it was — every editor keeps its local copy — but only
+// one of them, the leader (earliest to join), writes to Supabase and
+// Notion and tells the rest which revision that made, so the others don't
+// see each other's saves as conflicts. Notion stays a downstream backup.
+
+import { patchLocalDoc, contentHash } from './services/doc-revisions.js';
+import { openCollabChannel } from './services/collab-channel.js';
+
+const YJS = 'yjs@13.6.20';
+const Y_PROSEMIRROR = 'y-prosemirror@1.2.12';
+const LIBS = {
+  yjs: `https://esm.sh/${YJS}`,
+  yProsemirror: `https://esm.sh/${Y_PROSEMIRROR}?deps=${YJS}`,
+  awareness: `https://esm.sh/y-protocols@1.0.6/awareness?deps=${YJS}`,
+  collaboration: `https://esm.sh/@tiptap/extension-collaboration@2.11.5?deps=${YJS},${Y_PROSEMIRROR}`,
+  cursor: `https://esm.sh/@tiptap/extension-collaboration-cursor@2.11.5?deps=${YJS},${Y_PROSEMIRROR}`,
+};
+
+const SYNC_TIMEOUT = 1500;     // wait for peers' state after joining
+const CONNECT_TIMEOUT = 6000;  // give up on the channel and edit alone
+const SEED_CLIENT_ID = 0;      // Yjs client id for a first state everyone agrees on
+const FIELD = 'default';       // Collaboration extension's default fragment
+const NAME_KEY = 'forge-collab-name';
+
+const COLORS = ['#E8A33D', '#4C9AFF', '#36B37E', '#FF5630', '#6554C0', '#00B8D9', '#FF8B00', '#DE350B'];
+
+let libsPromise = null;
+
+function loadCollabLibs() {
+  if (!libsPromise) {
+    libsPromise = Promise.all([
+      import(LIBS.yjs), import(LIBS.yProsemirror), import(LIBS.awareness),
+      import(LIBS.collaboration), import(LIBS.cursor),
+    ]).then(([Y, yProsemirror, awareness, collaboration, cursor]) => ({
+      Y,
+      prosemirrorJSONToYXmlFragment: yProsemirror.prosemirrorJSONToYXmlFragment,
+      Awareness: awareness.Awareness,
+      encodeAwarenessUpdate: awareness.encodeAwarenessUpdate,
+      applyAwarenessUpdate: awareness.applyAwarenessUpdate,
+      removeAwarenessStates: awareness.removeAwarenessStates,
+      Collaboration: collaboration.Collaboration || collaboration.default,
+      CollaborationCursor: cursor.CollaborationCursor || cursor.default,
+    })).catch(err => {
+      console.warn('[doc-collab] Failed to load Yjs — editing without live collaboration', err);
+      libsPromise = null;
+      return null;
+    });
+  }
+  return libsPromise;
+}
+
+// ── Identity ─────────────────────────────────────────────────────────
+
+export function getCollabName() {
+  return localStorage.getItem(NAME_KEY) || '';
+}
+
+export function setCollabName(name) {
+  if (name) localStorage.setItem(NAME_KEY, name);
+  else localStorage.removeItem(NAME_KEY);
+}
+
+function colorFor(name) {
+  let h = 0;
+  for (const ch of name) h = (h * 31 + ch.charCodeAt(0)) | 0;
+  return COLORS[Math.abs(h) % COLORS.length];
+}
+
+// ── Encoding ─────────────────────────────────────────────────────────
+// Broadcast payloads are JSON, so Yjs updates travel as base64
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(str) {
+  const binary = atob(str);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// ── Session ──────────────────────────────────────────────────────────
+
+/**
+ * Joins live editing for a doc. Resolves once the Y.Doc holds the doc
+ * (from peers, or `content`/`title` as saved), or null when Yjs or the
+ * channel isn't available — the editor then works as before.
+ *
+ * `schema` is the editor's ProseMirror schema. Callbacks:
+ *   onPeersChanged(peers)  — [{ clientId, name, color, isSelf, isLeader }]
+ *   onTitleChanged(title)  — someone else renamed the doc
+ *
+ * The session: { ydoc, extensions(), isLeader(), peers(), setTitle(),
+ * setName(), announceSaved(doc), stop() }.
+ */
+export async function startCollabSession(docId, { content, title, schema, onPeersChanged, onTitleChanged }) {
+  const libs = await loadCollabLibs();
+  if (!libs) return null;
+  const { Y, Awareness, encodeAwarenessUpdate, applyAwarenessUpdate, removeAwarenessStates } = libs;
+
+  const ydoc = new Y.Doc();
+  const awareness = new Awareness(ydoc);
+  const meta = ydoc.getMap('meta');
+  const self = ydoc.clientID;
+  const remote = {}; // transaction origin for everything received
+  const seedHash = contentHash({ title, content });
+  const peerSeeds = new Map(); // clientId → seedHash of the others joining
+  const waiting = new Map();   // clientId → state vector, sync1s to answer once synced
+  let synced = false;
+  let stopped = false;
+
+  const name = getCollabName() || `Guest ${String(self).slice(-3)}`;
+  awareness.setLocalState({ user: { name, color: colorFor(name) }, joinedAt: Date.now() });
+
+  let resolveReady;
+  const ready = new Promise(resolve => { resolveReady = resolve; });
+
+  const channel = openCollabChannel(docId, {
+    onReady: () => {
+      send({ type: 'sync1', sv: toBase64(Y.encodeStateVector(ydoc)), seed: seedHash });
+      send({ type: 'awareness', update: toBase64(encodeAwarenessUpdate(awareness, [self])) });
+      // Others joining at the same time wait for the leader's seed
+      setTimeout(() => { if (leaderId() === self) finishSync(false); }, SYNC_TIMEOUT);
+    },
+    onPeerCount: (count) => {
+      if (count === 0) finishSync(false);
+    },
+    onMessage,
+  });
+  if (!channel) return null;
+  const connectTimer = setTimeout(() => finishSync(false), CONNECT_TIMEOUT);
+
+  function send(message) {
+    if (!stopped) channel.send({ ...message, from: self });
+  }
+
+  function finishSync(fromPeer) {
+    if (synced || stopped) return;
+    synced = true;
+    clearTimeout(connectTimer);
+    if (!fromPeer && ydoc.getXmlFragment(FIELD).length === 0) seed();
+    waiting.forEach((sv, to) => sendState(to, sv));
+    waiting.clear();
+    resolveReady(true);
+  }
+
+  function sendState(to, sv) {
+    send({ type: 'sync2', to, update: toBase64(Y.encodeStateAsUpdate(ydoc, sv && fromBase64(sv))) });
+  }
+
+  // Every other joiner heard of has the same saved copy
+  function seedIsShared() {
+    return peerSeeds.size > 0 && [...peerSeeds.values()].every(hash => hash === seedHash);
+  }
+
+  // The saved doc as a Y update — the same bytes for everyone who starts
+  // from the same saved doc when written as SEED_CLIENT_ID
+  function seed() {
+    const seedDoc = new Y.Doc();
+    if (seedIsShared()) seedDoc.clientID = SEED_CLIENT_ID;
+    try {
+      libs.prosemirrorJSONToYXmlFragment(schema, content || { type: 'doc', content: [{ type: 'paragraph' }] },
+        seedDoc.getXmlFragment(FIELD));
+    } catch (err) {
+      console.warn('[doc-collab] Could not convert the saved doc', err);
+    }
+    seedDoc.getMap('meta').set('title', title || '');
+    Y.applyUpdate(ydoc, Y.encodeStateAsUpdate(seedDoc));
+    seedDoc.destroy();
+  }
+
+  function onMessage(message) {
+    if (stopped || !message || message.from === self) return;
+    switch (message.type) {
+      case 'sync1':
+        // Unsynced peers answer once they are, or two people joining
+        // together would each take the other's empty doc as the state
+        if (message.seed) peerSeeds.set(message.from, message.seed);
+        if (synced) sendState(message.from, message.sv);
+        else waiting.set(message.from, message.sv);
+        send({ type: 'awareness', update: toBase64(encodeAwarenessUpdate(awareness, [self])) });
+        break;
+      case 'sync2':
+        if (message.to !== self) break;
+        Y.applyUpdate(ydoc, fromBase64(message.update), remote);
+        finishSync(true);
+        break;
+      case 'update':
+        Y.applyUpdate(ydoc, fromBase64(message.update), remote);
+        break;
+      case 'awareness':
+        applyAwarenessUpdate(awareness, fromBase64(message.update), remote);
+        break;
+      case 'saved':
+        // The leader saved to Supabase / Notion: that's this copy's base too
+        if (message.base) patchLocalDoc(docId, message.base);
+        break;
+    }
+  }
+
+  const onDocUpdate = (update, origin) => {
+    if (origin !== remote) send({ type: 'update', update: toBase64(update) });
+  };
+  ydoc.on('update', onDocUpdate);
+
+  const onAwarenessUpdate = ({ added, updated, removed }, origin) => {
+    if (origin === remote) return;
+    const changed = added.concat(updated, removed);
+    send({ type: 'awareness', update: toBase64(encodeAwarenessUpdate(awareness, changed)) });
+  };
+  awareness.on('update', onAwarenessUpdate);
+  awareness.on('change', () => onPeersChanged?.(peers()));
+
+  const onMetaChange = (event) => {
+    if (event.transaction.origin === remote && event.keysChanged.has('title')) {
+      onTitleChanged?.(meta.get('title') || '');
+    }
+  };
+  meta.observe(onMetaChange);
+
+  function leaderId() {
+    let leader = null;
+    awareness.getStates().forEach((state, clientId) => {
+      if (!state?.joinedAt) return;
+      if (!leader || state.joinedAt < leader.joinedAt || (state.joinedAt === leader.joinedAt && clientId < leader.clientId)) {
+        leader = { clientId, joinedAt: state.joinedAt };
+      }
+    });
+    return leader?.clientId ?? self;
+  }
+
+  function peers() {
+    const leader = leaderId();
+    return [...awareness.getStates()]
+      .filter(([, state]) => state?.user)
+      .map(([clientId, state]) => ({
+        clientId,
+        name: state.user.name,
+        color: state.user.color,
+        isSelf: clientId === self,
+        isLeader: clientId === leader,
+      }))
+      .sort((a, b) => (b.isSelf - a.isSelf) || a.name.localeCompare(b.name));
+  }
+
+  await ready;
+
+  const session = {
+    ydoc,
+    kind: channel.kind,
+    extensions() {
+      const user = awareness.getLocalState().user;
+      return [
+        libs.Collaboration.configure({ document: ydoc, field: FIELD }),
+        libs.CollaborationCursor.configure({ provider: { awareness }, user }),
+      ];
+    },
+    isLeader: () => leaderId() === self,
+    peers,
+    title: () => meta.get('title') || '',
+    setTitle(value) {
+      if ((meta.get('title') || '') !== value) meta.set('title', value);
+    },
+    setName(value) {
+      setCollabName(value);
+      const display = value || `Guest ${String(self).slice(-3)}`;
+      awareness.setLocalStateField('user', { name: display, color: colorFor(display) });
+    },
+    // Passes the revision the leader just saved on to everyone else
+    announceSaved(doc) {
+      if (!doc) return;
+      const base = {};
+      for (const key of ['rev', 'syncedHash', 'notionLastEdited', 'notionHash']) {
+        if (doc[key] != null) base[key] = doc[key];
+      }
+      send({ type: 'saved', base });
+    },
+    stop() {
+      if (stopped) return;
+      removeAwarenessStates(awareness, [self], 'left');
+      stopped = true;
+      clearTimeout(connectTimer);
+      ydoc.off('update', onDocUpdate);
+      meta.unobserve(onMetaChange);
+      awareness.destroy();
+      channel.close();
+      ydoc.destroy();
+    },
+  };
+  return session;
+}
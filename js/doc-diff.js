@@ -0,0 +1,85 @@
+// js/doc-diff.js — Block-level diff of two Tiptap docs
+// ──────────────────────────────────────────────────────────────────────
+// Used by the version history sidebar and the sync conflict resolver.
+// Top-level blocks are matched whole (LCS on their JSON); a removed block
+// directly followed by an added one of the same type is one changed block.
+
+import { mentionText } from './doc-links.js';
+
+const MAX_DIFF_CELLS = 1000000;  // block-level LCS table size before giving up
+
+// JSON with object keys sorted — Supabase returns jsonb with its keys
+// reordered, and a block shouldn't differ from itself because of that
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+const INLINE_TYPES = new Set(['text', 'hardBreak', 'mention']);
+
+export function blockText(node) {
+  if (node.type === 'text') return node.text || '';
+  if (node.type === 'hardBreak') return '\n';
+  if (node.type === 'mention') return mentionText(node.attrs);
+  const parts = (node.content || []).map(blockText);
+  return node.content?.some(c => INLINE_TYPES.has(c.type)) ? parts.join('') : parts.join('\n');
+}
+
+/**
+ * Ops turning `before` (an array of top-level blocks) into `after`:
+ * { type: 'same' | 'del' | 'ins', node } and { type: 'changed', before, node }.
+ * Null when the docs are too long to compare.
+ */
+export function diffBlocks(before, after) {
+  const a = before.map(stableStringify);
+  const b = after.map(stableStringify);
+  if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) return null;
+
+  const w = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * w);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * w + j] = a[i] === b[j] ? lcs[(i + 1) * w + j + 1] + 1 : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { ops.push({ type: 'same', node: after[j] }); i++; j++; }
+    else if (lcs[(i + 1) * w + j] >= lcs[i * w + j + 1]) ops.push({ type: 'del', node: before[i++] });
+    else ops.push({ type: 'ins', node: after[j++] });
+  }
+  while (i < a.length) ops.push({ type: 'del', node: before[i++] });
+  while (j < b.length) ops.push({ type: 'ins', node: after[j++] });
+
+  // del + ins of the same kind of block → one changed block
+  const merged = [];
+  for (const op of ops) {
+    const prev = merged[merged.length - 1];
+    if (op.type === 'ins' && prev?.type === 'del' && prev.node.type === op.node.type) {
+      merged[merged.length - 1] = { type: 'changed', before: prev.node, node: op.node };
+    } else {
+      merged.push(op);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Both docs' blocks in one: shared blocks once, blocks only one side has
+ * where they were, and both copies of a block each side changed (`a`'s
+ * first). Null when the docs are too long to compare.
+ */
+export function mergeBlocks(a, b) {
+  const ops = diffBlocks(a, b);
+  if (!ops) return null;
+  return ops.flatMap(op => op.type === 'changed' ? [op.before, op.node] : [op.node]);
+}
@@ -0,0 +1,192 @@
+// js/doc-graph.js — Graph of how workspace docs, clients and projects link
+// ──────────────────────────────────────────────────────────────────────
+//
+// The Graph modal on the Workspace tab. buildDocGraph() (doc-links.js)
+// finds the links — `[[doc]]` links and @mentions — and this lays them out
+// with a small force simulation and draws them as SVG. Hovering a node
+// picks out what it's linked to; clicking one opens it the way clicking a
+// mention in a note does.
+
+import { $, escapeHtml, openModal, closeModal, openBlockEditor } from './app.js';
+import { getWorkspaceDocs } from './knowledge.js';
+import { getMergedClients } from './vip-clients.js';
+import { getProjects } from './project-store.js';
+import { buildDocGraph } from './doc-links.js';
+import { openMention } from './doc-mentions.js';
+import { TEMPLATES_FOLDER } from './doc-templates.js';
+
+const WIDTH = 720;
+const HEIGHT = 480;
+const PADDING = 40;
+const ITERATIONS = 300;
+const GRAVITY = 0.3;
+const LABEL_LENGTH = 24;
+
+let isBound = false;
+let onDocClose = null;
+let graph = null; // { nodes, edges } as drawn
+
+/** Opens the graph; `onClose` runs when a doc opened from it is closed */
+export function openDocGraph({ onClose = null } = {}) {
+  bindEvents();
+  onDocClose = onClose;
+  const docs = getWorkspaceDocs().filter(d => d.folder !== TEMPLATES_FOLDER);
+  graph = buildDocGraph(docs, { clients: getMergedClients(), projects: getProjects().projects || [] });
+  layout(graph.nodes, graph.edges);
+  render(docs.length);
+  openModal('wsGraphModal');
+}
+
+// ── Layout ───────────────────────────────────────────────────────────
+// Fruchterman–Reingold: every pair of nodes pushes apart, every edge pulls
+// its ends together, a pull to the middle keeps unlinked groups close, and
+// moves shrink step by step until it settles. Nodes start on a circle, so
+// the same links always draw the same way; the result is then fitted into
+// the view.
+
+function layout(nodes, edges) {
+  const index = new Map(nodes.map((node, i) => {
+    const angle = (2 * Math.PI * i) / nodes.length;
+    node.x = WIDTH / 2 + Math.cos(angle) * (WIDTH / 2 - PADDING);
+    node.y = HEIGHT / 2 + Math.sin(angle) * (HEIGHT / 2 - PADDING);
+    return [node.key, i];
+  }));
+  const k = Math.sqrt((WIDTH * HEIGHT) / Math.max(nodes.length, 1)) * 0.5;
+
+  for (let step = 0; step < ITERATIONS; step++) {
+    const maxMove = (WIDTH / 10) * (1 - step / ITERATIONS);
+    const moves = nodes.map(() => ({ x: 0, y: 0 }));
+
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const dx = nodes[i].x - nodes[j].x || 0.1;
+        const dy = nodes[i].y - nodes[j].y;
+        const push = (k * k) / (dx * dx + dy * dy);
+        moves[i].x += dx * push; moves[i].y += dy * push;
+        moves[j].x -= dx * push; moves[j].y -= dy * push;
+      }
+    }
+    for (const edge of edges) {
+      const i = index.get(edge.from), j = index.get(edge.to);
+      const dx = nodes[i].x - nodes[j].x, dy = nodes[i].y - nodes[j].y;
+      const pull = Math.sqrt(dx * dx + dy * dy) / k;
+      moves[i].x -= dx * pull; moves[i].y -= dy * pull;
+      moves[j].x += dx * pull; moves[j].y += dy * pull;
+    }
+
+    nodes.forEach((node, i) => {
+      const cx = WIDTH / 2 - node.x, cy = HEIGHT / 2 - node.y;
+      const gravity = (GRAVITY * Math.sqrt(cx * cx + cy * cy)) / k;
+      const mx = moves[i].x + cx * gravity, my = moves[i].y + cy * gravity;
+      const length = Math.sqrt(mx * mx + my * my) || 1;
+      const scale = Math.min(length, maxMove) / length;
+      node.x += mx * scale;
+      node.y += my * scale;
+    });
+  }
+
+  if (!nodes.length) return;
+  const xs = nodes.map(n => n.x), ys = nodes.map(n => n.y);
+  const minX = Math.min(...xs), minY = Math.min(...ys);
+  const spanX = Math.max(...xs) - minX, spanY = Math.max(...ys) - minY;
+  const fit = Math.min(1, (WIDTH - 2 * PADDING) / (spanX || 1), (HEIGHT - 2 * PADDING) / (spanY || 1));
+  nodes.forEach((node) => {
+    node.x = (WIDTH - spanX * fit) / 2 + (node.x - minX) * fit;
+    node.y = (HEIGHT - spanY * fit) / 2 + (node.y - minY) * fit;
+  });
+}
+
+// ── Render ───────────────────────────────────────────────────────────
+
+const radius = node => 5 + Math.min(9, Math.sqrt(node.degree) * 2);
+
+function shortTitle(title) {
+  const text = title || 'Untitled';
+  return text.length > LABEL_LENGTH ? `${text.slice(0, LABEL_LENGTH - 1)}…` : text;
+}
+
+function render(docCount) {
+  const canvas = $('#wsGraphCanvas');
+  const summary = $('#wsGraphSummary');
+  if (!canvas) return;
+  const { nodes, edges } = graph;
+
+  if (summary) {
+    const linkedDocs = nodes.filter(n => n.kind === 'doc').length;
+    summary.textContent = edges.length
+      ? `${linkedDocs} of ${docCount} doc${docCount === 1 ? '' : 's'} linked · ${edges.length} link${edges.length === 1 ? '' : 's'}`
+      : '';
+  }
+  if (!edges.length) {
+    canvas.innerHTML = `
+      <div class="empty-state">
+        <p>No links between docs yet.</p>
+        <p class="text-secondary">Type [[ in a note to link a doc, or @ for a client or project.</p>
+      </div>`;
+    return;
+  }
+
+  const byKey = new Map(nodes.map(n => [n.key, n]));
+  canvas.innerHTML = `
+    <svg class="ws-graph" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="Links between workspace docs">
+      ${edges.map(e => {
+        const a = byKey.get(e.from), b = byKey.get(e.to);
+        return `<line class="ws-graph-edge" data-from="${escapeHtml(e.from)}" data-to="${escapeHtml(e.to)}"
+          x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}"
+          stroke-width="${Math.min(4, e.count)}"/>`;
+      }).join('')}
+      ${nodes.map(n => `
+        <g class="ws-graph-node is-${escapeHtml(n.kind)}" data-key="${escapeHtml(n.key)}" tabindex="0" role="button"
+          transform="translate(${n.x.toFixed(1)} ${n.y.toFixed(1)})">
+          <title>${escapeHtml(n.title || 'Untitled')} · ${n.degree} link${n.degree === 1 ? '' : 's'}</title>
+          <circle r="${radius(n)}"/>
+          <text y="${radius(n) + 12}">${escapeHtml(shortTitle(n.title))}</text>
+        </g>`).join('')}
+    </svg>`;
+}
+
+// Dims everything not linked to `key`; null shows it all again
+function focusNode(key) {
+  const svg = $('#wsGraphCanvas .ws-graph');
+  if (!svg) return;
+  svg.classList.toggle('is-focused', !!key);
+  const near = new Set(key ? [key] : []);
+  svg.querySelectorAll('.ws-graph-edge').forEach(line => {
+    const linked = !!key && (line.dataset.from === key || line.dataset.to === key);
+    line.classList.toggle('is-near', linked);
+    if (linked) near.add(line.dataset.from).add(line.dataset.to);
+  });
+  svg.querySelectorAll('.ws-graph-node').forEach(g => g.classList.toggle('is-near', near.has(g.dataset.key)));
+}
+
+function openNode(key) {
+  const node = graph?.nodes.find(n => n.key === key);
+  if (!node) return;
+  openMention({ kind: node.kind, id: node.id, label: node.title }, {
+    openDoc: (docId) => {
+      closeModal();
+      openBlockEditor({ docId, onClose: onDocClose });
+    },
+    leave: closeModal,
+  });
+}
+
+function bindEvents() {
+  if (isBound) return;
+  isBound = true;
+  const canvas = $('#wsGraphCanvas');
+  if (!canvas) return;
+  canvas.addEventListener('mouseover', (e) => focusNode(e.target.closest('.ws-graph-node')?.dataset.key || null));
+  canvas.addEventListener('mouseleave', () => focusNode(null));
+  canvas.addEventListener('focusin', (e) => focusNode(e.target.closest('.ws-graph-node')?.dataset.key || null));
+  canvas.addEventListener('click', (e) => {
+    const node = e.target.closest('.ws-graph-node');
+    if (node) openNode(node.dataset.key);
+  });
+  canvas.addEventListener('keydown', (e) => {
+    const node = e.target.closest('.ws-graph-node');
+    if (!node || (e.key !== 'Enter' && e.key !== ' ')) return;
+    e.preventDefault();
+    openNode(node.dataset.key);
+  });
+}
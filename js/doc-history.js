@@ -0,0 +1,311 @@
+// js/doc-history.js — Version history sidebar for the block editor
+// ──────────────────────────────────────────────────────────────────────
+//
+// Autosave overwrites the doc every couple of seconds, so the editor hands
+// each save here and the doc as it was before it is kept as a snapshot:
+// on the first save of a session, then at most every SNAPSHOT_INTERVAL,
+// and right away when a save changes a lot at once (a paste, a big
+// delete). Named versions are saved from the sidebar. Picking a version
+// shows what restoring it would change; restoring snapshots the current
+// doc first and is a normal editor change, so ⌘Z also undoes it.
+
+import { $, escapeHtml, showToast, formatRelativeTime, debounce } from './app.js';
+import { tiptapToHtml } from './markdown-converter.js';
+import { diffWords } from './note-ai-edits.js';
+import { diffBlocks, blockText } from './doc-diff.js';
+import { fetchVersions, fetchVersion, saveVersion, renameVersion } from './services/doc-versions.js';
+
+const SNAPSHOT_INTERVAL = 10 * 60 * 1000;
+const BIG_CHANGE_CHARS = 500;    // change in serialized size that snapshots right away
+const CONTEXT_BLOCKS = 1;        // unchanged blocks shown around each change
+
+const KIND_LABELS = {
+  auto: 'Auto-saved',
+  restore: 'Before restore',
+  named: 'Named version',
+};
+
+// Set by initDocHistory: { getEditor, getDoc, onRestore }
+let host = null;
+let isOpen = false;
+let versions = [];
+let selected = null;   // open version, with content
+let listToken = 0;     // drops list responses for a doc that's no longer open
+let listDocId = null;
+
+// docId → { at, json } of the last snapshot taken this session
+const lastSnapshots = new Map();
+
+// ── Snapshots ────────────────────────────────────────────────────────
+
+/**
+ * Called after each save with the doc as saved and as it was before
+ * ({ id, title, content } each). Takes a snapshot of `previous` when due.
+ */
+export function recordSave(doc, previous) {
+  if (!doc?.id || !previous?.content) return;
+  const before = JSON.stringify(previous.content);
+  const after = JSON.stringify(doc.content);
+  if (before === after) return;
+
+  const last = lastSnapshots.get(doc.id);
+  const due = !last || Date.now() - last.at >= SNAPSHOT_INTERVAL;
+  const big = Math.abs(after.length - before.length) >= BIG_CHANGE_CHARS;
+  if ((!due && !big) || last?.json === before) return;
+
+  lastSnapshots.set(doc.id, { at: Date.now(), json: before });
+  saveVersion({ id: doc.id, title: previous.title, content: previous.content }).then(version => {
+    if (version && isOpen && listDocId === doc.id) {
+      versions = [version, ...versions];
+      renderList();
+    }
+  });
+}
+
+// ── Diff ─────────────────────────────────────────────────────────────
+
+const blockHtml = node => tiptapToHtml({ type: 'doc', content: [node] });
+
+function renderDiff(current, version) {
+  const ops = diffBlocks(current?.content || [], version?.content || []);
+  if (!ops) {
+    return `<div class="be-history-note">Too long to compare — showing this version as it was.</div>
+      <div class="be-diff">${tiptapToHtml(version || { type: 'doc', content: [] })}</div>`;
+  }
+  if (!ops.some(op => op.type !== 'same')) {
+    return '<div class="be-history-note">Same as the current note.</div>';
+  }
+
+  // Unchanged blocks far from any change are folded
+  const near = ops.map((op, i) => ops
+    .slice(Math.max(0, i - CONTEXT_BLOCKS), i + CONTEXT_BLOCKS + 1)
+    .some(o => o.type !== 'same'));
+  const html = [];
+  let folded = 0;
+  const flushFolded = () => {
+    if (folded) html.push(`<div class="be-diff-fold">${folded} unchanged block${folded === 1 ? '' : 's'}</div>`);
+    folded = 0;
+  };
+  ops.forEach((op, i) => {
+    if (op.type === 'same' && !near[i]) { folded++; return; }
+    flushFolded();
+    if (op.type === 'changed') {
+      const parts = diffWords(blockText(op.before), blockText(op.node));
+      html.push(`<div class="be-diff-block be-diff-changed">${parts.map(p =>
+        p.type === 'same' ? escapeHtml(p.text) : `<${p.type}>${escapeHtml(p.text)}</${p.type}>`
+      ).join('')}</div>`);
+    } else {
+      html.push(`<div class="be-diff-block be-diff-${op.type}">${blockHtml(op.node)}</div>`);
+    }
+  });
+  flushFolded();
+  return `<div class="be-diff">${html.join('')}</div>`;
+}
+
+// ── Rendering ────────────────────────────────────────────────────────
+
+function versionLabel(version) {
+  return version.name || KIND_LABELS[version.kind] || KIND_LABELS.auto;
+}
+
+function renderList() {
+  const list = $('#beHistoryList');
+  if (!list) return;
+  if (!versions.length) {
+    list.innerHTML = '<div class="be-history-note">No versions yet. Snapshots are taken as you edit.</div>';
+    return;
+  }
+  list.innerHTML = versions.map(v => `
+    <button class="be-history-item${v.id === selected?.id ? ' is-selected' : ''}${v.kind === 'named' ? ' is-named' : ''}"
+      type="button" data-version-id="${escapeHtml(v.id)}" title="${escapeHtml(new Date(v.createdAt).toLocaleString())}">
+      <span class="be-history-item-name">${escapeHtml(versionLabel(v))}</span>
+      <span class="be-history-item-time">${formatRelativeTime(v.createdAt)}</span>
+    </button>
+  `).join('');
+}
+
+function renderPreview() {
+  const preview = $('#beHistoryPreview');
+  if (!preview) return;
+  const editor = host?.getEditor();
+  if (!selected || !editor) {
+    preview.hidden = true;
+    preview.innerHTML = '';
+    return;
+  }
+  const currentTitle = $('#bePageTitle')?.value?.trim() || 'Untitled';
+  preview.hidden = false;
+  preview.innerHTML = `
+    <div class="be-history-preview-header">
+      <div>
+        <div class="be-history-preview-name">${escapeHtml(versionLabel(selected))}</div>
+        <div class="be-history-legend"><ins>In this version</ins> <del>Only in the current note</del></div>
+      </div>
+      <div class="be-history-preview-actions">
+        <button class="btn btn-ghost btn-xs" type="button" data-history-action="name">${selected.kind === 'named' ? 'Rename' : 'Name'}</button>
+        <button class="btn btn-primary btn-xs" type="button" data-history-action="restore">Restore</button>
+      </div>
+    </div>
+    ${selected.title !== currentTitle ? `<div class="be-history-note">Title: <del>${escapeHtml(currentTitle)}</del> <ins>${escapeHtml(selected.title)}</ins></div>` : ''}
+    ${renderDiff(editor.getJSON(), selected.content)}
+  `;
+}
+
+// Re-diffs the open version while the note is edited
+const refreshPreview = debounce(renderPreview, 500);
+
+export function onDocChanged() {
+  if (isOpen && selected) refreshPreview();
+}
+
+// ── Actions ──────────────────────────────────────────────────────────
+
+async function loadList() {
+  const doc = host?.getDoc({ save: false });
+  const token = ++listToken;
+  listDocId = doc?.id || null;
+  selected = null;
+  renderPreview();
+
+  const list = $('#beHistoryList');
+  if (!listDocId) {
+    versions = [];
+    if (list) list.innerHTML = '<div class="be-history-note">Versions start once the note is saved.</div>';
+    return;
+  }
+  if (list) list.innerHTML = '<div class="be-history-note">Loading…</div>';
+  const result = await fetchVersions(listDocId);
+  if (token !== listToken) return;
+  if (!result) {
+    versions = [];
+    if (list) list.innerHTML = '<div class="be-history-note">Version history is unavailable offline.</div>';
+    return;
+  }
+  versions = result;
+  renderList();
+}
+
+async function selectVersion(id) {
+  const token = listToken;
+  const version = await fetchVersion(id);
+  if (token !== listToken || !isOpen) return;
+  if (!version) {
+    showToast('Could not load that version', 'error');
+    return;
+  }
+  selected = version;
+  renderList();
+  renderPreview();
+}
+
+async function saveNamedVersion() {
+  const doc = host?.getDoc({ save: true });
+  if (!doc) return;
+  const name = prompt('Name this version:', '')?.trim();
+  if (!name) return;
+  const version = await saveVersion(doc, { kind: 'named', name });
+  if (!version) {
+    showToast('Could not save the version', 'error');
+    return;
+  }
+  showToast(`Saved version "${name}"`);
+  if (isOpen && listDocId === doc.id) {
+    versions = [version, ...versions];
+    renderList();
+  }
+}
+
+async function nameSelected() {
+  if (!selected) return;
+  const name = prompt('Version name:', selected.name || '')?.trim();
+  if (!name || name === selected.name) return;
+  if (!await renameVersion(selected.id, name)) {
+    showToast('Could not rename the version', 'error');
+    return;
+  }
+  for (const v of [selected, ...versions.filter(v => v.id === selected.id)]) {
+    v.name = name;
+    v.kind = 'named';
+  }
+  renderList();
+  renderPreview();
+}
+
+async function restoreSelected() {
+  const version = selected;
+  const doc = host?.getDoc({ save: true });
+  if (!version || !doc) return;
+  const token = listToken;
+
+  // The current doc becomes a version first, so the restore can be undone later too
+  const backup = await saveVersion(doc, { kind: 'restore' });
+  if (backup) lastSnapshots.set(doc.id, { at: Date.now(), json: JSON.stringify(doc.content) });
+  // Closed, or another doc opened, while the backup saved: not restored into it
+  if (token !== listToken || host.getDoc()?.id !== doc.id) return;
+  host.onRestore(version);
+  showToast(`Restored the version from ${formatRelativeTime(version.createdAt)}${backup ? '' : ' · ⌘Z to undo'}`);
+
+  if (backup && listDocId === doc.id) versions = [backup, ...versions];
+  selected = null;
+  renderList();
+  renderPreview();
+}
+
+// ── Open / close ─────────────────────────────────────────────────────
+
+export function isDocHistoryOpen() {
+  return isOpen;
+}
+
+export function openDocHistory() {
+  const panel = $('#beHistory');
+  if (!panel) return;
+  isOpen = true;
+  panel.hidden = false;
+  $('#beHistoryBtn')?.classList.add('is-active');
+  loadList();
+}
+
+export function closeDocHistory() {
+  const panel = $('#beHistory');
+  if (panel) panel.hidden = true;
+  $('#beHistoryBtn')?.classList.remove('is-active');
+  isOpen = false;
+  selected = null;
+  listToken++;
+}
+
+export function toggleDocHistory() {
+  if (isOpen) closeDocHistory();
+  else openDocHistory();
+}
+
+// Another doc was loaded into the editor
+export function resetDocHistory() {
+  if (isOpen) loadList();
+}
+
+/**
+ * host.getEditor() → the Tiptap editor
+ * host.getDoc({ save }) → { id, title, content } of the open doc, or null
+ *   while it has never been saved; `save` flushes pending edits first
+ * host.onRestore(version) → puts the version's title and content in the editor
+ */
+export function initDocHistory(opts) {
+  host = opts;
+
+  $('#beHistoryBtn')?.addEventListener('click', toggleDocHistory);
+  $('#beHistoryClose')?.addEventListener('click', closeDocHistory);
+  $('#beHistorySaveVersion')?.addEventListener('click', saveNamedVersion);
+
+  $('#beHistoryList')?.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-version-id]');
+    if (item) selectVersion(item.dataset.versionId);
+  });
+
+  $('#beHistoryPreview')?.addEventListener('click', (e) => {
+    const action = e.target.closest('[data-history-action]')?.dataset.historyAction;
+    if (action === 'restore') restoreSelected();
+    if (action === 'name') nameSelected();
+  });
+}
@@ -0,0 +1,154 @@
+// js/doc-links.js — Links from workspace docs to docs, clients and projects
+// ──────────────────────────────────────────────────────────────────────
+//
+// `[[` and `@` in the block editor insert a mention node (doc-mentions.js)
+// with attrs { kind, id, label, notionPageId }:
+//   doc     — a workspace doc; notionPageId is its Notion page, if it had one
+//   client  — a VIP client; its id is the client's Notion page id
+//   project — a project from project-store.js (never in Notion)
+//   page    — a Notion page mention pulled in from Notion; id is the page id,
+//             which turns out to be a doc's notionPageId or a client's id
+// `label` is the name at the time of linking, shown once the target is gone.
+//
+// Backlinks are read from the saved docs on demand rather than indexed —
+// the docs are in localStorage already and there are only so many. The
+// workspace graph (doc-graph.js) is built from them the same way.
+
+const DOCS_KEY = 'forge-workspace-docs'; // shared with knowledge.js / block-editor.js
+const SNIPPET_LENGTH = 160;
+
+export function mentionText(attrs = {}) {
+  const label = attrs.label || 'Untitled';
+  return attrs.kind === 'client' || attrs.kind === 'project' ? `@${label}` : label;
+}
+
+// Notion ids come with and without dashes
+const pageKey = id => String(id || '').replace(/-/g, '').toLowerCase();
+
+// The Notion page a mention stands for, if any
+export function mentionPageId(attrs = {}) {
+  if (attrs.kind === 'page' || attrs.kind === 'client') return attrs.id || null;
+  if (attrs.kind === 'doc') return attrs.notionPageId || null;
+  return null;
+}
+
+/**
+ * Whether a mention points at `target` — { kind: 'doc' | 'client' |
+ * 'project', id, notionPageId } — directly or through its Notion page.
+ */
+export function mentionMatches(attrs, target) {
+  if (!attrs || !target?.id) return false;
+  if (attrs.kind === target.kind && attrs.id === target.id) return true;
+  const page = pageKey(mentionPageId(attrs));
+  if (!page) return false;
+  if (target.kind === 'client') return page === pageKey(target.id);
+  if (target.kind === 'doc') return page === pageKey(target.notionPageId);
+  return false;
+}
+
+/**
+ * What a mention points at among `docs`, `clients` and `projects` now:
+ * { kind: 'doc' | 'client' | 'project', id, title }, or null when it's gone.
+ */
+export function findMentionTarget(attrs = {}, { docs = [], clients = [], projects = [] } = {}) {
+  const { kind, id } = attrs;
+  if (kind === 'project') {
+    const project = projects.find(p => p.id === id);
+    return project ? { kind, id, title: project.name } : null;
+  }
+  if (kind === 'doc') {
+    const doc = docs.find(d => d.id === id);
+    if (doc) return { kind, id: doc.id, title: doc.title || 'Untitled' };
+  }
+  const page = pageKey(mentionPageId(attrs));
+  if (!page) return null;
+  if (kind !== 'client') {
+    const doc = docs.find(d => d.notionPageId && pageKey(d.notionPageId) === page);
+    if (doc) return { kind: 'doc', id: doc.id, title: doc.title || 'Untitled' };
+  }
+  const client = clients.find(c => pageKey(c.id) === page);
+  return client ? { kind: 'client', id: client.id, title: client.name } : null;
+}
+
+function inlineText(node) {
+  if (node.type === 'text') return node.text || '';
+  if (node.type === 'mention') return mentionText(node.attrs);
+  if (node.type === 'hardBreak') return ' ';
+  return (node.content || []).map(inlineText).join('');
+}
+
+/**
+ * Every mention in a Tiptap doc, in order: [{ attrs, text }], where `text`
+ * is the text of the block it sits in.
+ */
+export function extractMentions(content) {
+  const found = [];
+  const walk = (node, parent) => {
+    if (node.type === 'mention') found.push({ attrs: node.attrs || {}, text: inlineText(parent) });
+    (node.content || []).forEach(child => walk(child, node));
+  };
+  if (content && typeof content === 'object') walk(content, content);
+  return found;
+}
+
+function snippet(text) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  return clean.length > SNIPPET_LENGTH ? `${clean.slice(0, SNIPPET_LENGTH - 1)}…` : clean;
+}
+
+/**
+ * Docs that mention `target`, most recently edited first:
+ * [{ doc, count, snippet }]. A doc linking to itself doesn't count.
+ */
+export function findBacklinks(docs, target) {
+  return docs
+    .filter(doc => !(target.kind === 'doc' && doc.id === target.id))
+    .map(doc => {
+      const hits = extractMentions(doc.content).filter(m => mentionMatches(m.attrs, target));
+      return hits.length ? { doc, count: hits.length, snippet: snippet(hits[0].text) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.doc.updatedAt || 0) - new Date(a.doc.updatedAt || 0));
+}
+
+/**
+ * Docs and what they mention, as a graph: { nodes, edges }.
+ *   nodes — [{ key, kind, id, title, degree }]; key is "kind:id"
+ *   edges — [{ from, to, count }] by node key, from the mentioning doc
+ * Only what is linked is in it; links to a doc itself or to something
+ * gone are left out.
+ */
+export function buildDocGraph(docs, { clients = [], projects = [] } = {}) {
+  const nodes = new Map();
+  const edges = new Map();
+  const nodeFor = ({ kind, id, title }) => {
+    const key = `${kind}:${id}`;
+    if (!nodes.has(key)) nodes.set(key, { key, kind, id, title, degree: 0 });
+    return nodes.get(key);
+  };
+
+  for (const doc of docs) {
+    for (const { attrs } of extractMentions(doc.content)) {
+      const target = findMentionTarget(attrs, { docs, clients, projects });
+      if (!target || (target.kind === 'doc' && target.id === doc.id)) continue;
+      const from = nodeFor({ kind: 'doc', id: doc.id, title: doc.title || 'Untitled' });
+      const to = nodeFor(target);
+      const edge = edges.get(`${from.key}|${to.key}`);
+      if (edge) {
+        edge.count++;
+        continue;
+      }
+      edges.set(`${from.key}|${to.key}`, { from: from.key, to: to.key, count: 1 });
+      from.degree++;
+      to.degree++;
+    }
+  }
+  return { nodes: [...nodes.values()], edges: [...edges.values()] };
+}
+
+export function getBacklinks(target) {
+  let docs;
+  try { docs = JSON.parse(localStorage.getItem(DOCS_KEY) || '[]'); }
+  catch { docs = []; }
+  return findBacklinks(docs, target);
+}
@@ -0,0 +1,306 @@
+// js/doc-mentions.js — `[[doc]]` links and @mentions in the block editor
+// ──────────────────────────────────────────────────────────────────────
+//
+// Typing `[[` lists workspace docs, `@` lists VIP clients and projects;
+// picking one inserts a mention node (attrs are described in doc-links.js).
+// A mention shows its target's current name, so renames carry through,
+// and clicking it opens the doc, client or project.
+// Tiptap is loaded from esm.sh, so Node and Extension are passed in.
+
+import { escapeHtml, showToast, switchTab } from './app.js';
+import { getMergedClients, navigateToClient } from './vip-clients.js';
+import { getProjects } from './project-store.js';
+import { openProjectDetail } from './projects.js';
+import { mentionText, findMentionTarget } from './doc-links.js';
+
+const DOCS_KEY = 'forge-workspace-docs'; // shared with knowledge.js / block-editor.js
+const MAX_ITEMS = 8;
+const MAX_QUERY = 60;
+
+const KIND_ICONS = { doc: '📄', client: '@', project: '◆' };
+
+function getDocs() {
+  try { return JSON.parse(localStorage.getItem(DOCS_KEY) || '[]'); }
+  catch { return []; }
+}
+
+// ── Resolving ────────────────────────────────────────────────────────
+
+/**
+ * What a mention points at now: { kind: 'doc' | 'client' | 'project', id,
+ * title }, or null when it's gone.
+ */
+export function resolveMention(attrs = {}) {
+  return findMentionTarget(attrs, {
+    docs: getDocs(), clients: getMergedClients(), projects: getProjects().projects,
+  });
+}
+
+/**
+ * Follows a mention. `openDoc(id)` shows a doc in the editor; clients and
+ * projects live in their tabs, so `leave()` closes the editor first.
+ */
+export function openMention(attrs, { openDoc, leave }) {
+  const target = resolveMention(attrs);
+  if (!target) {
+    showToast(`"${attrs.label || 'That link'}" no longer exists`, 'warning');
+    return;
+  }
+  if (target.kind === 'doc') {
+    openDoc(target.id);
+    return;
+  }
+  leave?.();
+  if (target.kind === 'client') {
+    switchTab('vip-clients');
+    navigateToClient(target.id);
+  } else {
+    switchTab('calendar');
+    openProjectDetail(target.id);
+  }
+}
+
+// ── Candidates ───────────────────────────────────────────────────────
+
+function rank(items, query) {
+  const q = query.trim().toLowerCase();
+  return items
+    .map(item => ({ item, at: item.title.toLowerCase().indexOf(q) }))
+    .filter(({ at }) => at !== -1)
+    .sort((a, b) => (a.at !== 0) - (b.at !== 0) || a.item.title.localeCompare(b.item.title))
+    .slice(0, MAX_ITEMS)
+    .map(({ item }) => item);
+}
+
+// `[[` → docs; `@` → clients and projects
+function getCandidates(trigger, query, excludeDocId) {
+  if (trigger === '[[') {
+    return rank(getDocs()
+      .filter(d => d.id !== excludeDocId)
+      .map(d => ({
+        kind: 'doc', id: d.id, title: d.title || 'Untitled',
+        description: d.folder || 'Doc', notionPageId: d.notionPageId || null,
+      })), query);
+  }
+  const clients = getMergedClients().map(c => ({
+    kind: 'client', id: c.id, title: c.name || 'Client', description: c.status ? `Client · ${c.status}` : 'Client',
+  }));
+  const projects = getProjects().projects.map(p => ({
+    kind: 'project', id: p.id, title: p.name || 'Project', description: 'Project',
+  }));
+  return rank([...clients, ...projects], query);
+}
+
+// ── Menu ─────────────────────────────────────────────────────────────
+// The typed query stays in the note; the menu reads it back from between
+// the trigger and the cursor, and swaps all of it for the mention.
+
+let menu = null; // { el, editor, trigger, from, selectedIndex, items, onChange, onKeydown, onMousedown }
+
+export function isMentionMenuOpen() {
+  return !!menu;
+}
+
+function showMentionMenu(editor, trigger, excludeDocId) {
+  hideMentionMenu();
+  const from = editor.state.selection.from;
+  const el = document.createElement('div');
+  el.className = 'slash-command-menu mention-menu';
+  menu = { el, editor, trigger, from, excludeDocId, selectedIndex: 0, items: [] };
+
+  menu.onChange = () => renderMenu();
+  menu.onKeydown = (e) => {
+    if (!menu) return;
+    const count = Math.max(menu.items.length, 1);
+    if (e.key === 'ArrowDown') { e.preventDefault(); menu.selectedIndex = (menu.selectedIndex + 1) % count; paintMenu(); }
+    else if (e.key === 'ArrowUp') { e.preventDefault(); menu.selectedIndex = (menu.selectedIndex - 1 + count) % count; paintMenu(); }
+    else if ((e.key === 'Enter' || e.key === 'Tab') && menu.items.length) { e.preventDefault(); e.stopPropagation(); selectItem(menu.selectedIndex); }
+    else if (e.key === 'Escape') { e.preventDefault(); e.stopPropagation(); hideMentionMenu(); }
+  };
+  menu.onMousedown = (e) => { if (!el.contains(e.target)) hideMentionMenu(); };
+
+  editor.on('update', menu.onChange);
+  editor.on('selectionUpdate', menu.onChange);
+  document.addEventListener('keydown', menu.onKeydown, true);
+  document.addEventListener('mousedown', menu.onMousedown);
+
+  const coords = editor.view.coordsAtPos(from);
+  el.style.position = 'fixed';
+  el.style.left = `${coords.left}px`;
+  el.style.top = `${coords.bottom + 4}px`;
+  el.style.zIndex = '10000';
+  document.body.appendChild(el);
+  renderMenu();
+}
+
+export function hideMentionMenu() {
+  if (!menu) return;
+  const { el, editor, onChange, onKeydown, onMousedown } = menu;
+  menu = null;
+  if (!editor.isDestroyed) {
+    editor.off('update', onChange);
+    editor.off('selectionUpdate', onChange);
+  }
+  document.removeEventListener('keydown', onKeydown, true);
+  document.removeEventListener('mousedown', onMousedown);
+  el.remove();
+}
+
+// The text typed since the trigger, or null once the cursor has left it
+function currentQuery() {
+  const { state } = menu.editor;
+  const { from, empty } = state.selection;
+  if (!empty || from < menu.from) return null;
+  const $from = state.doc.resolve(menu.from);
+  if (from > $from.end()) return null;
+  const query = state.doc.textBetween(menu.from, from, '\n');
+  if (query.length > MAX_QUERY || query.includes('\n') || (menu.trigger === '[[' && query.includes(']'))) return null;
+  return query;
+}
+
+function renderMenu() {
+  if (menu.editor.isDestroyed) { hideMentionMenu(); return; }
+  const query = currentQuery();
+  if (query === null) { hideMentionMenu(); return; }
+  const items = getCandidates(menu.trigger, query, menu.excludeDocId);
+  // A space after a query nothing matches means it was just an @ in a sentence
+  if (!items.length && /\s$/.test(query)) { hideMentionMenu(); return; }
+  menu.items = items;
+  menu.selectedIndex = Math.min(menu.selectedIndex, Math.max(items.length - 1, 0));
+  paintMenu();
+}
+
+function paintMenu() {
+  const { el, items, selectedIndex, trigger } = menu;
+  if (!items.length) {
+    el.innerHTML = `<div class="slash-command-empty">${trigger === '[[' ? 'No matching docs' : 'No matching clients or projects'}</div>`;
+    return;
+  }
+  el.innerHTML = items.map((item, i) => `
+    <button type="button" class="slash-command-item${i === selectedIndex ? ' is-selected' : ''}" data-index="${i}">
+      <span class="slash-command-icon">${KIND_ICONS[item.kind]}</span>
+      <span class="slash-command-label">
+        <span class="slash-command-title">${escapeHtml(item.title)}</span>
+        <span class="slash-command-desc">${escapeHtml(item.description)}</span>
+      </span>
+    </button>`).join('');
+  el.querySelectorAll('.slash-command-item').forEach(btn => {
+    const index = Number(btn.dataset.index);
+    btn.addEventListener('mousedown', (e) => { e.preventDefault(); selectItem(index); });
+    btn.addEventListener('mouseenter', () => { menu.selectedIndex = index; paintMenu(); });
+  });
+}
+
+function selectItem(index) {
+  const item = menu?.items[index];
+  if (!item) return;
+  const { editor, trigger, from } = menu;
+  const to = editor.state.selection.from;
+  hideMentionMenu();
+  editor.chain().focus().insertContentAt({ from: from - trigger.length, to }, [
+    { type: 'mention', attrs: { kind: item.kind, id: item.id, label: item.title, notionPageId: item.notionPageId || null } },
+    { type: 'text', text: ' ' },
+  ]).run();
+}
+
+// ── Tiptap extensions ────────────────────────────────────────────────
+
+/**
+ * The mention node and the `[[` / `@` triggers. `getDocId()` is the open
+ * doc, left out of the `[[` list.
+ */
+export function createMentionExtensions(Node, Extension, { getDocId } = {}) {
+  const Mention = Node.create({
+    name: 'mention',
+    group: 'inline',
+    inline: true,
+    atom: true,
+    selectable: false,
+
+    addAttributes() {
+      return {
+        kind: { default: 'doc', parseHTML: el => el.getAttribute('data-mention-kind'), renderHTML: attrs => ({ 'data-mention-kind': attrs.kind }) },
+        id: { default: null, parseHTML: el => el.getAttribute('data-mention-id'), renderHTML: attrs => ({ 'data-mention-id': attrs.id }) },
+        label: { default: '', parseHTML: el => el.getAttribute('data-label') || el.textContent, renderHTML: attrs => ({ 'data-label': attrs.label }) },
+        notionPageId: {
+          default: null,
+          parseHTML: el => el.getAttribute('data-notion-page-id'),
+          renderHTML: attrs => (attrs.notionPageId ? { 'data-notion-page-id': attrs.notionPageId } : {}),
+        },
+      };
+    },
+
+    parseHTML() {
+      return [{ tag: 'span[data-mention-kind]' }];
+    },
+
+    renderHTML({ node, HTMLAttributes }) {
+      return ['span', { ...HTMLAttributes, class: `be-mention be-mention-${node.attrs.kind}` }, mentionText(node.attrs)];
+    },
+
+    renderText({ node }) {
+      return mentionText(node.attrs);
+    },
+
+    addNodeView() {
+      return ({ node }) => {
+        const dom = document.createElement('span');
+        dom.contentEditable = 'false';
+        const paint = (attrs) => {
+          const target = resolveMention(attrs);
+          dom.className = `be-mention be-mention-${target?.kind || attrs.kind}${target ? '' : ' is-missing'}`;
+          dom.title = target ? `Open ${target.title}` : `${attrs.label || 'This'} no longer exists`;
+          dom.textContent = mentionText({ kind: target?.kind || attrs.kind, label: target?.title || attrs.label });
+          Object.assign(dom.dataset, { mentionKind: attrs.kind || '', mentionId: attrs.id || '', label: attrs.label || '' });
+          if (attrs.notionPageId) dom.dataset.notionPageId = attrs.notionPageId;
+          else delete dom.dataset.notionPageId;
+        };
+        paint(node.attrs);
+        return {
+          dom,
+          update: (updated) => {
+            if (updated.type.name !== 'mention') return false;
+            paint(updated.attrs);
+            return true;
+          },
+        };
+      };
+    },
+  });
+
+  const MentionTriggers = Extension.create({
+    name: 'mentionTriggers',
+    addKeyboardShortcuts() {
+      const open = (trigger) => {
+        const ed = this.editor;
+        setTimeout(() => { if (!ed.isDestroyed) showMentionMenu(ed, trigger, getDocId?.()); }, 10);
+        return false;
+      };
+      return {
+        '@': () => {
+          // Only at the start of a word, so emails don't open it
+          const { $from, empty } = this.editor.state.selection;
+          const before = $from.parent.textBetween(0, $from.parentOffset, '\n', ' ');
+          return empty && (!before || /\s$/.test(before)) ? open('@') : false;
+        },
+        '[': () => {
+          const { $from, empty } = this.editor.state.selection;
+          const before = $from.parent.textBetween(0, $from.parentOffset, '\n', ' ');
+          return empty && before.endsWith('[') ? open('[[') : false;
+        },
+      };
+    },
+  });
+
+  return [Mention, MentionTriggers];
+}
+
+// Attrs of a rendered mention, for click handlers
+export function mentionAttrsFromElement(el) {
+  return {
+    kind: el.dataset.mentionKind,
+    id: el.dataset.mentionId || null,
+    label: el.dataset.label || '',
+    notionPageId: el.dataset.notionPageId || null,
+  };
+}
@@ -0,0 +1,257 @@
+// js/doc-templates.js — Workspace doc templates and their {{variables}}
+// ──────────────────────────────────────────────────────────────────────
+//
+// Templates are ordinary workspace docs in the Templates folder, so they
+// are edited in the block editor and synced through Supabase like any doc
+// (the folder is kept out of Notion). Creating a doc from one copies its
+// title and content with the variables filled in:
+//
+//   {{today}} {{date}} {{weekday}} {{time}}
+//   {{client.name}} {{client.email}} {{client.status}} {{client.program}} {{client.joined}}
+//   {{project.name}} {{project.description}} {{project.status}}
+//   {{client}} {{project}} — a mention of the client / project, so the
+//                            new doc shows up under its "Mentioned in Docs"
+//
+// A variable with nothing to fill it (no client picked, a typo) is left
+// as typed, so it's easy to spot and fill by hand.
+
+export const TEMPLATES_FOLDER = 'templates';
+
+const VARIABLE_RE = /\{\{\s*([a-z]+(?:\.[a-z]+)?)\s*\}\}/gi;
+
+const PROJECT_STATUS_LABELS = { todo: 'To Do', progress: 'In Progress', done: 'Done' };
+
+// Seeded into the Templates folder the first time the workspace loads
+export const DEFAULT_TEMPLATES = [
+  {
+    id: 'template-client-onboarding',
+    title: '{{client.name}} — Onboarding Notes',
+    markdown: `# Onboarding: {{client}}
+
+**Date:** {{today}} · **Program:** {{client.program}} · **Email:** {{client.email}}
+
+## Where they are now
+
+- Offer:
+- Monthly revenue:
+- Biggest bottleneck:
+
+## Goals for the program
+
+1. Main goal:
+2. Numbers to hit by the end:
+
+## Access & assets
+
+- [ ] Ad account access
+- [ ] Brand assets and past creatives
+- [ ] Calendar link for weekly calls
+
+## Next steps
+
+- [ ] Send welcome pack
+- [ ] Book the first strategy call`,
+  },
+  {
+    id: 'template-call-recap',
+    title: 'Call Recap — {{client.name}} ({{today}})',
+    markdown: `# Call Recap: {{client}}
+
+**{{weekday}}, {{today}}** · Status: {{client.status}}
+
+## Wins since last call
+
+- Win:
+
+## What we covered
+
+- Topic:
+
+## Blockers
+
+- Blocker:
+
+## Action items
+
+- [ ] Who — what — by when
+
+## Next call
+
+- Date:
+- Focus:`,
+  },
+  {
+    id: 'template-workshop-outline',
+    title: 'Workshop Outline — {{project.name}}',
+    markdown: `# Workshop: {{project}}
+
+_{{project.description}}_
+
+Drafted {{today}}
+
+## Outcome
+
+By the end, attendees will be able to…
+
+## Agenda
+
+1. Welcome and context (10 min)
+2. Teaching block (25 min)
+3. Hot seats (20 min)
+4. Q&A and next steps (5 min)
+
+## Materials
+
+- [ ] Slides
+- [ ] Worksheet
+- [ ] Replay and follow-up email`,
+  },
+  {
+    id: 'template-ad-script',
+    title: 'Ad Script — {{project.name}}',
+    markdown: `# Ad Script: {{project}}
+
+Draft {{date}}
+
+## Hook (0–3s)
+
+> The first line they hear
+
+## Problem
+
+What's it costing them right now?
+
+## Solution
+
+How the offer fixes it.
+
+## Proof
+
+Result, testimonial or screenshot.
+
+## Call to action
+
+What to click and why now.
+
+---
+
+**Format:** · **Length:** · **Angle:**`,
+  },
+];
+
+// ── Values ───────────────────────────────────────────────────────────
+
+function localIsoDate(d) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function formatLongDate(value) {
+  const d = new Date(value);
+  if (isNaN(d.getTime())) return '';
+  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Variable values for a new doc. A value is a string, or mention attrs
+ * for {{client}} / {{project}}. Values left out stay as typed.
+ */
+export function templateValues({ now = new Date(), client = null, project = null } = {}) {
+  const values = {
+    today: formatLongDate(now),
+    date: localIsoDate(now),
+    weekday: now.toLocaleDateString('en-US', { weekday: 'long' }),
+    time: now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }),
+  };
+
+  if (client) {
+    values.client = { kind: 'client', id: client.id, label: client.name || 'Untitled', notionPageId: null };
+    values['client.name'] = client.name || '';
+    values['client.email'] = client.email || '';
+    values['client.status'] = client.status || '';
+    values['client.program'] = (client.program || []).join(', ');
+    values['client.joined'] = client.joined ? formatLongDate(client.joined) : '';
+  }
+
+  if (project) {
+    values.project = { kind: 'project', id: project.id, label: project.name || 'Untitled', notionPageId: null };
+    values['project.name'] = project.name || '';
+    values['project.description'] = project.description || '';
+    values['project.status'] = PROJECT_STATUS_LABELS[project.status] || project.status || '';
+  }
+
+  return values;
+}
+
+const valueText = value => (typeof value === 'object' ? value.label : value);
+
+// ── Filling ──────────────────────────────────────────────────────────
+
+function fillString(str, values) {
+  return str.replace(VARIABLE_RE, (match, name) => {
+    const value = values[name.toLowerCase()];
+    return value == null ? match : valueText(value);
+  });
+}
+
+// One text node → the nodes it becomes: text with the node's marks, and
+// mention nodes for {{client}} / {{project}} (as text inside code)
+function fillTextNode(node, values, inCode) {
+  const out = [];
+  const pushText = (text) => {
+    if (!text) return;
+    const last = out[out.length - 1];
+    if (last?.type === 'text') last.text += text;
+    else out.push(node.marks ? { type: 'text', text, marks: node.marks } : { type: 'text', text });
+  };
+
+  let index = 0;
+  for (const match of node.text.matchAll(VARIABLE_RE)) {
+    pushText(node.text.slice(index, match.index));
+    index = match.index + match[0].length;
+    const value = values[match[1].toLowerCase()];
+    if (value == null) pushText(match[0]);
+    else if (typeof value === 'object' && !inCode) out.push({ type: 'mention', attrs: { ...value } });
+    else pushText(valueText(value));
+  }
+  pushText(node.text.slice(index));
+  return out;
+}
+
+function fillNode(node, values, inCode = false) {
+  if (node.type === 'text') return fillTextNode(node, values, inCode);
+  if (!node.content) return [{ ...node }];
+  const code = inCode || node.type === 'codeBlock';
+  return [{ ...node, content: node.content.flatMap(child => fillNode(child, values, code)) }];
+}
+
+/**
+ * A new doc's { title, content } from a template doc. The template is
+ * left untouched.
+ */
+export function fillTemplate(template, values) {
+  const content = template.content && typeof template.content === 'object'
+    ? fillNode(template.content, values)[0]
+    : { type: 'doc', content: [{ type: 'paragraph' }] };
+  return { title: fillString(template.title || '', values).trim() || 'Untitled', content };
+}
+
+/** The variable names a template uses, in order of first use */
+export function templateVariables(template) {
+  const names = new Set();
+  const collect = (str) => {
+    for (const match of str.matchAll(VARIABLE_RE)) names.add(match[1].toLowerCase());
+  };
+  collect(template.title || '');
+  const walk = (node) => {
+    if (node.type === 'text') collect(node.text || '');
+    (node.content || []).forEach(walk);
+  };
+  if (template.content && typeof template.content === 'object') walk(template.content);
+  return [...names];
+}
+
+/** Whether a template needs a client / project to fill all of it */
+export function templateUses(template, subject) {
+  return templateVariables(template).some(name => name === subject || name.startsWith(`${subject}.`));
+}
@@ -0,0 +1,328 @@
+// js/editor-blocks.js — Table, column, embed, attachment and synced-block nodes for the block editor
+// ──────────────────────────────────────────────────────────────────────
+//
+// Each node mirrors a Notion block type so notion-converter.js can map it
+// both ways without losing anything:
+//   table               → table (the stock Tiptap table, plus header flags)
+//   columnList / column → column_list / column
+//   embed               → video (kind 'video') or embed, with its caption
+//   attachment          → pdf (PDFs) or file, with its caption; an uploaded
+//                         file, shown as a download card
+//   syncedBlock         → synced_block; copies (syncedFrom set) show the
+//                         original's content read-only, since edits to them
+//                         can't be pushed back to Notion
+// Tiptap is loaded from esm.sh, so the Node class is passed in.
+
+import { escapeHtml } from './app.js';
+import { getEmbedInfo } from './embeds.js';
+import { watchUpload, isUploadPlaceholder } from './editor-uploads.js';
+import { formatFileSize } from './services/file-upload.js';
+
+// Table with the header flags a Notion table was read with, so a table
+// whose header cells are ambiguous (one column) goes back unchanged
+export function extendTable(Table) {
+  return Table.extend({
+    addAttributes() {
+      return {
+        ...this.parent?.(),
+        hasColumnHeader: { default: null, rendered: false },
+        hasRowHeader: { default: null, rendered: false },
+      };
+    },
+  });
+}
+
+export function createBlockNodes(Node) {
+  const ColumnList = Node.create({
+    name: 'columnList',
+    group: 'block',
+    content: 'column{2,}',
+    defining: true,
+    isolating: true,
+
+    parseHTML() {
+      return [{ tag: 'div[data-type="column-list"]' }];
+    },
+
+    renderHTML({ HTMLAttributes }) {
+      return ['div', { 'data-type': 'column-list', class: 'be-columns', ...HTMLAttributes }, 0];
+    },
+
+    addCommands() {
+      return {
+        setColumns: (count = 2) => ({ commands }) => commands.insertContent({
+          type: 'columnList',
+          content: Array.from({ length: count }, () => ({ type: 'column', content: [{ type: 'paragraph' }] })),
+        }),
+      };
+    },
+  });
+
+  const Column = Node.create({
+    name: 'column',
+    content: 'block+',
+    isolating: true,
+
+    addAttributes() {
+      return {
+        // Notion's width_ratio, kept as-is when the page sets one
+        widthRatio: {
+          default: null,
+          parseHTML: el => parseFloat(el.getAttribute('data-width-ratio')) || null,
+          renderHTML: attrs => attrs.widthRatio
+            ? { 'data-width-ratio': attrs.widthRatio, style: `flex-grow: ${attrs.widthRatio}` }
+            : {},
+        },
+      };
+    },
+
+    parseHTML() {
+      return [{ tag: 'div[data-type="column"]' }];
+    },
+
+    renderHTML({ HTMLAttributes }) {
+      return ['div', { 'data-type': 'column', class: 'be-column', ...HTMLAttributes }, 0];
+    },
+  });
+
+  const Embed = Node.create({
+    name: 'embed',
+    group: 'block',
+    atom: true,
+    draggable: true,
+
+    addAttributes() {
+      return {
+        src: { default: null },
+        kind: { default: 'embed' }, // 'video' | 'embed' — the Notion block type
+        caption: { default: [] },   // Tiptap inline content
+      };
+    },
+
+    parseHTML() {
+      return [{
+        tag: 'div[data-type="embed"]',
+        getAttrs: el => {
+          let caption = [];
+          try { caption = JSON.parse(el.getAttribute('data-caption') || '[]'); } catch { /* plain embed */ }
+          return { src: el.getAttribute('data-src'), kind: el.getAttribute('data-kind') || 'embed', caption };
+        },
+      }];
+    },
+
+    renderHTML({ node }) {
+      const { src, kind, caption } = node.attrs;
+      const attrs = { 'data-type': 'embed', 'data-src': src, 'data-kind': kind };
+      if (caption?.length) attrs['data-caption'] = JSON.stringify(caption);
+      return ['div', attrs, ['a', { href: src }, src || '']];
+    },
+
+    addCommands() {
+      return {
+        setEmbed: ({ src, kind }) => ({ commands }) => {
+          const info = getEmbedInfo(src);
+          return commands.insertContent({
+            type: 'embed',
+            attrs: { src, kind: kind || (info ? 'video' : 'embed'), caption: [] },
+          });
+        },
+      };
+    },
+
+    addNodeView() {
+      return ({ node }) => {
+        const dom = document.createElement('div');
+        dom.className = 'be-embed';
+        dom.contentEditable = 'false';
+
+        const render = (attrs) => {
+          const info = getEmbedInfo(attrs.src);
+          const caption = (attrs.caption || []).map(n => n.text || '').join('');
+          dom.innerHTML = info
+            ? `<div class="be-embed-frame be-embed-${info.provider}">
+                 <iframe src="${escapeHtml(info.embedSrc)}" allowfullscreen loading="lazy"
+                   allow="accelerometer; clipboard-write; encrypted-media; picture-in-picture"></iframe>
+               </div>`
+            : `<a class="be-embed-link" href="${escapeHtml(attrs.src || '')}" target="_blank" rel="noopener noreferrer">
+                 <span class="be-embed-icon">↗</span>${escapeHtml(attrs.src || 'Embed')}
+               </a>`;
+          if (caption) dom.insertAdjacentHTML('beforeend', `<div class="be-embed-caption">${escapeHtml(caption)}</div>`);
+        };
+        render(node.attrs);
+
+        return {
+          dom,
+          update: (updated) => {
+            if (updated.type.name !== 'embed') return false;
+            if (updated.attrs.src !== node.attrs.src || updated.attrs.caption !== node.attrs.caption) render(updated.attrs);
+            node = updated;
+            return true;
+          },
+        };
+      };
+    },
+  });
+
+  const Attachment = Node.create({
+    name: 'attachment',
+    group: 'block',
+    atom: true,
+    draggable: true,
+
+    addAttributes() {
+      return {
+        src: { default: null },     // public URL, or an upload placeholder (editor-uploads.js)
+        name: { default: null },
+        size: { default: null },    // bytes, when uploaded from here
+        mimeType: { default: null },
+        caption: { default: [] },   // Tiptap inline content
+      };
+    },
+
+    parseHTML() {
+      return [{
+        tag: 'div[data-type="attachment"]',
+        getAttrs: el => {
+          let caption = [];
+          try { caption = JSON.parse(el.getAttribute('data-caption') || '[]'); } catch { /* no caption */ }
+          return {
+            src: el.getAttribute('data-src'),
+            name: el.getAttribute('data-name'),
+            size: parseInt(el.getAttribute('data-size'), 10) || null,
+            mimeType: el.getAttribute('data-mime-type'),
+            caption,
+          };
+        },
+      }];
+    },
+
+    renderHTML({ node }) {
+      const { src, name, size, mimeType, caption } = node.attrs;
+      const attrs = { 'data-type': 'attachment', 'data-src': src, 'data-name': name };
+      if (size) attrs['data-size'] = size;
+      if (mimeType) attrs['data-mime-type'] = mimeType;
+      if (caption?.length) attrs['data-caption'] = JSON.stringify(caption);
+      return ['div', attrs, ['a', { href: src }, name || src || '']];
+    },
+
+    addNodeView() {
+      return ({ node }) => {
+        const dom = document.createElement('div');
+        dom.className = 'be-attachment';
+        dom.contentEditable = 'false';
+        let unwatch = () => {};
+        let progress = null; // 0–1 while uploading
+
+        const render = (attrs) => {
+          const name = attrs.name || 'File';
+          const isPdf = attrs.mimeType === 'application/pdf' || /\.pdf$/i.test(name);
+          const caption = (attrs.caption || []).map(n => n.text || '').join('');
+          const pending = isUploadPlaceholder(attrs.src);
+          const status = progress != null
+            ? `Uploading… ${Math.round(progress * 100)}%`
+            : pending ? "Upload didn't finish — remove and add it again" : formatFileSize(attrs.size);
+          const body = `
+            <span class="be-attachment-icon">${isPdf ? 'PDF' : '📎'}</span>
+            <span class="be-attachment-name">${escapeHtml(name)}</span>
+            ${status ? `<span class="be-attachment-meta">${escapeHtml(status)}</span>` : ''}`;
+          dom.classList.toggle('is-uploading', progress != null);
+          dom.classList.toggle('is-failed', pending && progress == null);
+          dom.innerHTML = pending
+            ? `<div class="be-attachment-card">${body}</div>`
+            : `<a class="be-attachment-card" href="${escapeHtml(attrs.src || '')}" target="_blank" rel="noopener noreferrer">${body}</a>`;
+          if (progress != null) {
+            dom.insertAdjacentHTML('beforeend',
+              `<div class="be-upload-progress"><span style="width: ${Math.round(progress * 100)}%"></span></div>`);
+          }
+          if (caption) dom.insertAdjacentHTML('beforeend', `<div class="be-embed-caption">${escapeHtml(caption)}</div>`);
+        };
+        const watch = (attrs) => {
+          unwatch();
+          unwatch = watchUpload(attrs.src, value => {
+            progress = value;
+            render(node.attrs);
+          });
+        };
+        watch(node.attrs);
+
+        return {
+          dom,
+          update: (updated) => {
+            if (updated.type.name !== 'attachment') return false;
+            const srcChanged = updated.attrs.src !== node.attrs.src;
+            const changed = srcChanged || updated.attrs.name !== node.attrs.name || updated.attrs.caption !== node.attrs.caption;
+            node = updated;
+            if (srcChanged) watch(updated.attrs);
+            else if (changed) render(updated.attrs);
+            return true;
+          },
+          destroy: () => unwatch(),
+        };
+      };
+    },
+  });
+
+  const SyncedBlock = Node.create({
+    name: 'syncedBlock',
+    group: 'block',
+    content: 'block+',
+    defining: true,
+    isolating: true,
+
+    addAttributes() {
+      return {
+        syncedFrom: { default: null }, // original's Notion block id (copies only)
+        blockId: { default: null },    // this block's Notion id
+      };
+    },
+
+    parseHTML() {
+      return [{
+        tag: 'div[data-type="synced-block"]',
+        getAttrs: el => ({ syncedFrom: el.getAttribute('data-synced-from') || null }),
+      }];
+    },
+
+    renderHTML({ node }) {
+      const attrs = { 'data-type': 'synced-block' };
+      if (node.attrs.syncedFrom) attrs['data-synced-from'] = node.attrs.syncedFrom;
+      return ['div', attrs, 0];
+    },
+
+    addCommands() {
+      return {
+        setSyncedBlock: () => ({ commands }) => commands.insertContent({
+          type: 'syncedBlock',
+          content: [{ type: 'paragraph' }],
+        }),
+      };
+    },
+
+    addNodeView() {
+      return ({ node }) => {
+        const isCopy = !!node.attrs.syncedFrom;
+        const dom = document.createElement('div');
+        dom.className = 'be-synced' + (isCopy ? ' is-copy' : '');
+
+        const label = document.createElement('div');
+        label.className = 'be-synced-label';
+        label.contentEditable = 'false';
+        label.textContent = isCopy ? '⟳ Synced from another page — edit the original in Notion' : '⟳ Synced block';
+
+        const content = document.createElement('div');
+        content.className = 'be-synced-content';
+        if (isCopy) content.contentEditable = 'false';
+
+        dom.append(label, content);
+        return {
+          dom,
+          contentDOM: content,
+          // Switching between original and copy needs a fresh view
+          update: updated => updated.type.name === 'syncedBlock' && !!updated.attrs.syncedFrom === isCopy,
+        };
+      };
+    },
+  });
+
+  return { ColumnList, Column, Embed, Attachment, SyncedBlock };
+}
@@ -0,0 +1,224 @@
+// js/editor-uploads.js — Paste, drop and pick files into the block editor
+// ──────────────────────────────────────────────────────────────────────
+//
+// Files go in straight away and upload in the background
+// (services/file-upload.js). Until their upload finishes, nodes carry a
+// placeholder src:
+//   image      → the (resized) image as a data: URL, so it shows at once —
+//                and stays, as before uploads, if the upload fails
+//   attachment → "upload:<id>", which Notion sync and exports skip
+// When the upload is done every node with that placeholder gets the
+// public URL. Node views follow the progress with watchUpload().
+//
+// Each upload remembers its doc. If that doc is no longer in the editor
+// when the upload ends — another doc was opened, or the editor closed —
+// its saved copy is patched instead and handed to host.onDocPatched().
+
+import { showToast } from './app.js';
+import { getLocalDoc, patchLocalDoc } from './services/doc-revisions.js';
+import {
+  uploadFile, resizeImage, readAsDataUrl, formatFileSize, MAX_UPLOAD_BYTES
+} from './services/file-upload.js';
+
+const INLINE_IMAGE_BYTES = 5 * 1024 * 1024; // largest image a note keeps as a data: URL
+const PENDING_PREFIX = 'upload:';
+
+const uploads = new Map(); // placeholder src → { progress, listeners }
+let host = null;
+
+// ── Progress ─────────────────────────────────────────────────────────
+
+/** An attachment src that never got its uploaded URL */
+export function isUploadPlaceholder(src) {
+  return typeof src === 'string' && src.startsWith(PENDING_PREFIX);
+}
+
+/**
+ * Calls `listener` with the upload progress (0–1) of the node showing
+ * `src` now and as it changes, then with null once there's no upload.
+ * Returns the unsubscribe function.
+ */
+export function watchUpload(src, listener) {
+  const upload = uploads.get(src);
+  listener(upload ? upload.progress : null);
+  if (!upload) return () => {};
+  upload.listeners.add(listener);
+  return () => upload.listeners.delete(listener);
+}
+
+function setProgress(src, progress) {
+  const upload = uploads.get(src);
+  if (!upload) return;
+  upload.progress = progress;
+  upload.listeners.forEach(fn => fn(progress));
+}
+
+function endUpload(src) {
+  const upload = uploads.get(src);
+  uploads.delete(src);
+  upload?.listeners.forEach(fn => fn(null));
+}
+
+// ── Placeholders ─────────────────────────────────────────────────────
+
+// Sets attrs on (or with null, removes) every image and attachment showing
+// `src`. Kept out of undo history, so undo still takes out the insert
+function updatePlaceholders(editor, src, attrs) {
+  if (!editor || editor.isDestroyed) return false;
+  const { state } = editor;
+  const tr = state.tr;
+  state.doc.descendants((node, pos) => {
+    if (!['image', 'attachment'].includes(node.type.name) || node.attrs.src !== src) return;
+    const at = tr.mapping.map(pos);
+    if (attrs) tr.setNodeMarkup(at, undefined, { ...node.attrs, ...attrs });
+    else tr.delete(at, at + node.nodeSize);
+  });
+  if (!tr.docChanged) return false;
+  editor.view.dispatch(tr.setMeta('addToHistory', false));
+  return true;
+}
+
+async function prepare(file, online) {
+  if (file.type.startsWith('image/')) {
+    const resized = await resizeImage(file);
+    if (!online && resized.size > INLINE_IMAGE_BYTES) {
+      showToast(`${file.name} is too large to keep offline — add it again when you're back online`, 'warning');
+      return null;
+    }
+    const src = await readAsDataUrl(resized);
+    return { file: resized, src, upload: online, node: { type: 'image', attrs: { src, alt: null } } };
+  }
+  if (!online) {
+    showToast(`${file.name} can't be attached offline`, 'warning');
+    return null;
+  }
+  const src = `${PENDING_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  return {
+    file, src, upload: true,
+    node: {
+      type: 'attachment',
+      attrs: { src, name: file.name || 'file', size: file.size, mimeType: file.type || null, caption: [] },
+    },
+  };
+}
+
+// The doc's content with `attrs` set on (or with null, without) every
+// image and attachment showing `src`; null when there's none
+function replaceInContent(content, src, attrs) {
+  let changed = false;
+  const walk = (node) => {
+    if (!node.content) return node;
+    const children = [];
+    let removed = false;
+    for (const child of node.content) {
+      if (['image', 'attachment'].includes(child.type) && child.attrs?.src === src) {
+        changed = true;
+        if (attrs) children.push({ ...child, attrs: { ...child.attrs, ...attrs } });
+        else removed = true;
+        continue;
+      }
+      children.push(walk(child));
+    }
+    // A column or the doc can't be left without a block
+    if (removed && !children.length) children.push({ type: 'paragraph' });
+    return { ...node, content: children };
+  };
+  const result = walk(content);
+  return changed ? result : null;
+}
+
+// In the editor when it still shows the upload's doc, otherwise in the
+// doc as saved
+function settlePlaceholders(editor, { src, docId }, attrs) {
+  const current = host ? host.getEditor() : editor;
+  const shown = !host || host.getDocId() === docId;
+  if (shown && updatePlaceholders(current, src, attrs)) return;
+
+  const doc = docId && getLocalDoc(docId);
+  const content = doc?.content && replaceInContent(doc.content, src, attrs);
+  if (!content) return;
+  patchLocalDoc(docId, { content, updatedAt: new Date().toISOString() });
+  host?.onDocPatched?.(docId);
+}
+
+async function upload(editor, prepared) {
+  const { file, src, node } = prepared;
+  const result = await uploadFile(file, { onProgress: progress => setProgress(src, progress) });
+  endUpload(src);
+  if (result) {
+    settlePlaceholders(editor, prepared, { src: result.url });
+    return;
+  }
+  if (node.type === 'image' && file.size <= INLINE_IMAGE_BYTES) {
+    showToast(`Couldn't upload ${file.name || 'the image'} — it's kept in the note instead`, 'warning');
+    return;
+  }
+  settlePlaceholders(editor, prepared, null);
+  showToast(`Couldn't upload ${file.name || 'the file'}`, 'error');
+}
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/**
+ * host.getEditor() → the editor now, or null
+ * host.getDocId({ save }) → id of the doc it shows; `save` first stores a
+ *   doc that was never saved, so its uploads have a doc to land in
+ * host.onDocPatched(docId) → a doc not in the editor got its upload's URL
+ *   in localStorage; push it on
+ */
+export function initEditorUploads(opts) {
+  host = opts;
+}
+
+/**
+ * Adds files to the note: images as image blocks, anything else as an
+ * attachment block. At `pos` when given (a drop), otherwise in place of
+ * the selection.
+ */
+export async function insertFiles(editor, files, pos = null) {
+  if (!editor) return;
+  const list = [...files].filter(Boolean);
+  const tooLarge = list.filter(f => f.size > MAX_UPLOAD_BYTES);
+  if (tooLarge.length) {
+    showToast(`${tooLarge.map(f => f.name).join(', ')} — files must be under ${formatFileSize(MAX_UPLOAD_BYTES)}`, 'warning');
+  }
+  const online = navigator.onLine !== false;
+  const prepared = (await Promise.all(list
+    .filter(f => f.size <= MAX_UPLOAD_BYTES)
+    .map(f => prepare(f, online).catch(err => {
+      console.warn('[editor-uploads] could not read', f.name, err);
+      return null;
+    }))))
+    .filter(Boolean);
+  if (!prepared.length || editor.isDestroyed) return;
+
+  // Registered first, so the node views find their upload
+  const pending = prepared.filter(p => p.upload);
+  pending.forEach(p => uploads.set(p.src, { progress: 0, listeners: new Set() }));
+  const nodes = prepared.map(p => p.node);
+  const chain = editor.chain().focus();
+  if (pos == null) chain.insertContent(nodes).run();
+  else chain.insertContentAt(Math.min(pos, editor.state.doc.content.size), nodes).run();
+
+  // The doc each upload lands in, even if it's no longer open by then
+  const docId = host?.getDocId({ save: true }) ?? null;
+  pending.forEach(p => upload(editor, { ...p, docId }));
+}
+
+/** Opens the file picker and adds what's chosen; `accept` as on <input type="file"> */
+export function pickFiles(editor, { accept = '' } = {}) {
+  if (!editor) return;
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.multiple = true;
+  if (accept) input.accept = accept;
+  input.style.display = 'none';
+
+  input.addEventListener('change', () => {
+    if (input.files?.length) insertFiles(editor, input.files);
+  });
+
+  document.body.appendChild(input);
+  input.click();
+  input.remove();
+}
@@ -458,6 +458,19 @@ function saveDraft({ to, subject, body }) {
   render();
 }
 
+// Adds a draft without touching the compose form (used by agent-actions.js)
+export function saveDraftFromAgent({ to, subject, body }) {
+  const data = loadEmailData();
+  const draft = {
+    id: generateId(), to: to || '', subject: subject || '', body: body || '',
+    updatedAt: new Date().toISOString()
+  };
+  data.drafts.unshift(draft);
+  saveEmailData(data);
+  if (activeSubtab === 'drafts') renderSubtab();
+  return draft;
+}
+
 function deleteDraft(id) {
   const data = loadEmailData();
   data.drafts = data.drafts.filter(d => d.id !== id);
@@ -0,0 +1,31 @@
+// js/embeds.js — Recognises embeddable links (YouTube, Loom)
+// Shared by the block editor's embed node and the static HTML renderer.
+
+/**
+ * { provider, id, embedSrc } for a YouTube or Loom URL, null for anything else.
+ */
+export function getEmbedInfo(url) {
+  let u;
+  try { u = new URL(url); } catch { return null; }
+  const host = u.hostname.replace(/^(www|m)\./, '');
+
+  if (host === 'youtu.be' || host === 'youtube.com' || host === 'youtube-nocookie.com') {
+    const id = host === 'youtu.be'
+      ? u.pathname.slice(1)
+      : u.pathname === '/watch' ? u.searchParams.get('v') : u.pathname.match(/^\/(?:embed|shorts|live)\/([\w-]+)/)?.[1];
+    if (!id || !/^[\w-]{6,}$/.test(id)) return null;
+    // ?t=90 / ?t=1m30s / ?start=90
+    const t = u.searchParams.get('t') || u.searchParams.get('start');
+    const m = t?.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s?)?$/);
+    const start = m ? (+m[1] || 0) * 3600 + (+m[2] || 0) * 60 + (+m[3] || 0) : 0;
+    return { provider: 'youtube', id, embedSrc: `https://www.youtube.com/embed/${id}${start ? `?start=${start}` : ''}` };
+  }
+
+  if (host === 'loom.com') {
+    const id = u.pathname.match(/^\/(?:share|embed)\/([\w-]+)/)?.[1];
+    if (!id) return null;
+    return { provider: 'loom', id, embedSrc: `https://www.loom.com/embed/${id}` };
+  }
+
+  return null;
+}
@@ -337,6 +337,28 @@ export async function getTaskLists() {
   return taskLists;
 }
 
+// ── Agent Integration Exports ───────────────────────────────────────
+
+/**
+ * Create a task approved from an agent action card (used by agent-actions.js).
+ * `list` may be a list title or ID; falls back to the first list.
+ */
+export async function createTaskFromAgent({ list, title, notes, due }) {
+  const lists = await getTaskLists();
+  const q = (list || '').toLowerCase();
+  const target = (q && lists.find(l => l.id === list || (l.title || '').toLowerCase() === q)) || lists[0];
+  if (!target) throw new Error('No Google Task lists found');
+
+  const created = await apiCreateTask(target.id, { title, notes, due });
+  if (!created) throw new Error('Google Tasks create failed');
+
+  if (activeListId === target.id) {
+    await loadTasks(target.id);
+    renderGoogleTasks();
+  }
+  return { ...created, listTitle: target.title };
+}
+
 // ── Events ──────────────────────────────────────────────────────────
 
 function bindGoogleTaskEvents() {
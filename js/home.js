@@ -20,6 +20,7 @@ import {
 import { getUpcomingTasks, completeTaskFromHome, getTaskLists } from './google-tasks.js';
 import { getUpcomingEvents } from './google-calendar.js';
 import { navigateToClient, classifyStatus, getMergedClients } from './vip-clients.js';
+import { mergeLocalActivity } from './services/activity-log.js';
 
 // ---- Dismissed Alerts (localStorage with 7-day expiry) ---------
 
@@ -546,7 +547,7 @@ async function handleRefreshAll() {
 
     if (business) setState('business', business);
     if (tasks) setState('tasks', tasks);
-    if (activities) setState('activities', activities);
+    if (activities) setState('activities', mergeLocalActivity(activities));
     if (statusData) setState('status', statusData);
 
     showToast('Data refreshed', 'success');
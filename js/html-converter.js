@@ -0,0 +1,309 @@
+// js/html-converter.js — HTML → Tiptap JSON, for imported HTML exports
+// ──────────────────────────────────────────────────────────────────────
+//
+// Walks a parsed DOM (DOMParser in the browser) rather than the HTML
+// text, and knows the quirks of the exports people actually bring:
+//   Google Docs — bold / italic / strike set by CSS classes in <style>,
+//                 nested lists flattened into sibling <ul>s with a
+//                 lst-kix_…-<level> class, links wrapped in google.com/url
+//   Notion      — one <ul>/<ol> per list item, to-do lists as
+//                 ul.to-do-list with a .checkbox-on marker, images in
+//                 <figure><a><img></a></figure>
+// Output uses the node types block-editor.js loads. Images are blocks
+// there, so one inside a paragraph splits it.
+
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BODY', 'DD', 'DETAILS', 'DIV', 'DL', 'DT',
+  'FIGCAPTION', 'FIGURE', 'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR',
+  'HTML', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE',
+  'TBODY', 'TD', 'TFOOT', 'TH', 'THEAD', 'TR', 'UL',
+]);
+const SKIP_TAGS = new Set([
+  'BUTTON', 'HEAD', 'IFRAME', 'INPUT', 'LINK', 'META', 'NOSCRIPT', 'SCRIPT', 'SELECT',
+  'STYLE', 'SVG', 'TEMPLATE', 'TEXTAREA', 'TITLE',
+]);
+const LIST_TYPES = new Set(['bulletList', 'orderedList', 'taskList']);
+
+const TAG_MARKS = {
+  B: 'bold', STRONG: 'bold', I: 'italic', EM: 'italic', S: 'strike', DEL: 'strike',
+  STRIKE: 'strike', U: 'underline', CODE: 'code', MARK: 'highlight',
+};
+
+/**
+ * Converts a DOM element (usually a parsed document's body) into a
+ * Tiptap `doc` node.
+ */
+export function htmlToTiptap(root) {
+  const ctx = { classStyles: readClassStyles(root.ownerDocument || root) };
+  const content = mergeLists(blocksFrom(root, ctx));
+  return { type: 'doc', content: content.length ? content : [{ type: 'paragraph' }] };
+}
+
+// ── Styles ───────────────────────────────────────────────────────────
+
+// `.c3{font-weight:700}` rules, as Google Docs writes them
+function readClassStyles(doc) {
+  const styles = {};
+  for (const style of doc.querySelectorAll?.('style') || []) {
+    for (const [, name, decls] of style.textContent.matchAll(/\.([\w-]+)\s*\{([^}]*)\}/g)) {
+      styles[name] = (styles[name] || '') + ';' + decls;
+    }
+  }
+  return styles;
+}
+
+function declarations(el, ctx) {
+  let css = el.getAttribute('style') || '';
+  for (const name of el.classList || []) css += ';' + (ctx.classStyles[name] || '');
+  return css;
+}
+
+function styleMarks(el, ctx) {
+  const css = declarations(el, ctx);
+  if (!css.replace(/;/g, '').trim()) return [];
+  const marks = [];
+  if (/font-weight:\s*(bold|[6-9]00)/i.test(css)) marks.push('bold');
+  if (/font-style:\s*italic/i.test(css)) marks.push('italic');
+  if (/text-decoration[^;]*line-through/i.test(css)) marks.push('strike');
+  if (/text-decoration[^;]*underline/i.test(css) && !el.closest('a')) marks.push('underline');
+  return marks;
+}
+
+// Google Docs sends every link through google.com/url?q=<link>
+function cleanHref(href) {
+  try {
+    const url = new URL(href, 'https://invalid.local/');
+    if (/(^|\.)google\.com$/.test(url.hostname) && url.pathname === '/url' && url.searchParams.get('q')) {
+      return url.searchParams.get('q');
+    }
+  } catch { /* keep as written */ }
+  return href;
+}
+
+function addMark(marks, mark) {
+  return marks.some(m => m.type === mark.type) ? marks : [...marks, mark];
+}
+
+// ── Inline ───────────────────────────────────────────────────────────
+
+function isInline(node) {
+  if (node.nodeType === 3) return true;
+  if (node.nodeType !== 1) return true; // comments: contribute nothing
+  return !BLOCK_TAGS.has(node.tagName);
+}
+
+function imageNode(el) {
+  const src = el.getAttribute('src');
+  return src ? { type: 'image', attrs: { src, alt: el.getAttribute('alt') || null, title: el.getAttribute('title') || null } } : null;
+}
+
+function inlineFrom(node, marks, ctx) {
+  if (node.nodeType === 3) {
+    const text = node.nodeValue.replace(/\s+/g, ' ');
+    if (!text) return [];
+    return [marks.length ? { type: 'text', text, marks } : { type: 'text', text }];
+  }
+  if (node.nodeType !== 1 || SKIP_TAGS.has(node.tagName)) return [];
+  if (node.tagName === 'BR') return [{ type: 'hardBreak' }];
+  if (node.tagName === 'IMG') {
+    const image = imageNode(node);
+    return image ? [image] : [];
+  }
+
+  let next = marks;
+  if (TAG_MARKS[node.tagName]) next = addMark(next, { type: TAG_MARKS[node.tagName] });
+  for (const type of styleMarks(node, ctx)) next = addMark(next, { type });
+  if (node.tagName === 'A' && node.getAttribute('href')) {
+    next = addMark(next, { type: 'link', attrs: { href: cleanHref(node.getAttribute('href')) } });
+  }
+  return [...node.childNodes].flatMap(child => inlineFrom(child, next, ctx));
+}
+
+// Whitespace the browser wouldn't show: at the edges, and doubled between nodes
+function tidyInline(nodes) {
+  const out = [];
+  for (const node of nodes) {
+    const prev = out[out.length - 1];
+    if (node.type !== 'text') {
+      out.push(node);
+      continue;
+    }
+    let text = node.text;
+    if (!prev || prev.type === 'hardBreak' || (prev.type === 'text' && prev.text.endsWith(' '))) text = text.replace(/^ +/, '');
+    if (!text) continue;
+    if (prev?.type === 'text' && JSON.stringify(prev.marks || []) === JSON.stringify(node.marks || [])) {
+      prev.text += text;
+    } else {
+      out.push({ ...node, text });
+    }
+  }
+  while (out[out.length - 1]?.type === 'hardBreak') out.pop();
+  while (out[0]?.type === 'hardBreak') out.shift();
+  const last = out[out.length - 1];
+  if (last?.type === 'text') {
+    last.text = last.text.replace(/ +$/, '');
+    if (!last.text) out.pop();
+  }
+  return out;
+}
+
+// Inline nodes → paragraphs, with images lifted out between them
+function paragraphsFrom(inline) {
+  const blocks = [];
+  let run = [];
+  const flush = () => {
+    const content = tidyInline(run);
+    if (content.length) blocks.push({ type: 'paragraph', content });
+    run = [];
+  };
+  for (const node of inline) {
+    if (node.type === 'image') {
+      flush();
+      blocks.push(node);
+    } else {
+      run.push(node);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+// ── Blocks ───────────────────────────────────────────────────────────
+
+function blocksFrom(el, ctx) {
+  const blocks = [];
+  let run = [];
+  for (const child of el.childNodes) {
+    if (isInline(child)) {
+      run.push(...inlineFrom(child, [], ctx));
+      continue;
+    }
+    blocks.push(...paragraphsFrom(run), ...blockFrom(child, ctx));
+    run = [];
+  }
+  blocks.push(...paragraphsFrom(run));
+  return blocks;
+}
+
+function blockFrom(el, ctx) {
+  const tag = el.tagName;
+
+  if (/^H[1-6]$/.test(tag) || (tag === 'P' && el.classList.contains('title'))) {
+    const inline = [...el.childNodes].flatMap(child => inlineFrom(child, [], ctx));
+    const content = tidyInline(inline.filter(n => n.type !== 'image'));
+    const level = tag === 'P' ? 1 : Math.min(Number(tag[1]), 3); // editor allows H1–H3
+    return [
+      ...(content.length ? [{ type: 'heading', attrs: { level }, content }] : []),
+      ...inline.filter(n => n.type === 'image'),
+    ];
+  }
+
+  switch (tag) {
+    case 'UL':
+    case 'OL':
+      return [listFrom(el, ctx)];
+    case 'BLOCKQUOTE': {
+      const inner = blocksFrom(el, ctx);
+      return [{ type: 'blockquote', content: inner.length ? inner : [{ type: 'paragraph' }] }];
+    }
+    case 'PRE': {
+      const text = el.textContent.replace(/\n$/, '');
+      const language = el.querySelector('code')?.className.match(/language-([\w+-]+)/)?.[1] || null;
+      return [{ type: 'codeBlock', attrs: { language }, ...(text ? { content: [{ type: 'text', text }] } : {}) }];
+    }
+    case 'HR':
+      return [{ type: 'horizontalRule' }];
+    case 'TABLE':
+      return tableFrom(el, ctx);
+    default:
+      return blocksFrom(el, ctx);
+  }
+}
+
+function listFrom(el, ctx) {
+  const items = [...el.children].filter(child => child.tagName === 'LI');
+  const isTask = el.classList.contains('to-do-list')
+    || items.some(li => li.querySelector(':scope > input[type="checkbox"]'));
+  const type = isTask ? 'taskList' : el.tagName === 'OL' ? 'orderedList' : 'bulletList';
+
+  const list = {
+    type,
+    ...(type === 'orderedList' ? { attrs: { start: parseInt(el.getAttribute('start'), 10) || 1 } } : {}),
+    content: items.map(li => {
+      const content = blocksFrom(li, ctx);
+      if (content[0]?.type !== 'paragraph') content.unshift({ type: 'paragraph' });
+      if (!isTask) return { type: 'listItem', content };
+      const checked = !!li.querySelector('.checkbox-on, input[type="checkbox"][checked]');
+      return { type: 'taskItem', attrs: { checked }, content };
+    }),
+  };
+  const level = [...el.classList].map(c => c.match(/^lst-kix_.+-(\d+)$/)?.[1]).find(Boolean);
+  if (level) list.level = Number(level);
+  return list;
+}
+
+function tableFrom(el, ctx) {
+  const rows = [...el.querySelectorAll('tr')].filter(tr => tr.closest('table') === el);
+  if (!rows.length) return [];
+  const cells = rows.map(tr => [...tr.children].filter(c => c.tagName === 'TD' || c.tagName === 'TH'));
+  const width = Math.max(1, ...cells.map(r => r.length));
+  return [{
+    type: 'table',
+    content: cells.map(row => ({
+      type: 'tableRow',
+      content: Array.from({ length: width }, (_, c) => {
+        const cell = row[c];
+        const content = cell ? blocksFrom(cell, ctx) : [];
+        return {
+          type: cell?.tagName === 'TH' ? 'tableHeader' : 'tableCell',
+          content: content.length ? content : [{ type: 'paragraph' }],
+        };
+      }),
+    })),
+  }];
+}
+
+// ── Lists ────────────────────────────────────────────────────────────
+// Adjacent lists of a kind are one list (Notion writes one per item);
+// a Google Docs list with a deeper level goes inside the item above it.
+
+function lastItemAt(list, depth) {
+  let item = list.content[list.content.length - 1];
+  for (let d = 0; d < depth && item; d++) {
+    const nested = [...item.content].reverse().find(b => LIST_TYPES.has(b.type));
+    if (!nested) break;
+    item = nested.content[nested.content.length - 1];
+  }
+  return item;
+}
+
+function appendList(target, list) {
+  const last = target.content[target.content.length - 1];
+  if (last?.type === list.type) last.content.push(...list.content);
+  else target.content.push(list);
+}
+
+function mergeLists(blocks) {
+  const out = [];
+  for (const block of blocks) {
+    if (block.content && block.type !== 'paragraph' && block.type !== 'heading') {
+      block.content = mergeLists(block.content);
+    }
+    const level = block.level || 0;
+    delete block.level;
+    const prev = out[out.length - 1];
+    if (LIST_TYPES.has(block.type) && prev && LIST_TYPES.has(prev.type)) {
+      const parent = level > 0 ? lastItemAt(prev, level - 1) : null;
+      if (parent) {
+        appendList(parent, block);
+        continue;
+      }
+      if (prev.type === block.type) {
+        prev.content.push(...block.content);
+        continue;
+      }
+    }
+    out.push(block);
+  }
+  return out;
+}
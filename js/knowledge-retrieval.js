@@ -0,0 +1,236 @@
+// js/knowledge-retrieval.js — BM25 retrieval over agent knowledge + workspace docs
+// ──────────────────────────────────────────────────────────────────────
+//
+// Replaces pasting a whole knowledge file into every system prompt.
+// Sources are split into heading-scoped chunks and ranked with BM25
+// against the latest user message; only the top-k chunks are injected,
+// each tagged [K1], [K2]… so answers can cite them.
+//
+// Sources per agent: its knowledge files (agent.knowledgeFiles, else its
+// entry in data/knowledge-index.json) plus every workspace doc from knowledge.js.
+
+import { getState } from './app.js';
+import { getWorkspaceDocs } from './knowledge.js';
+import { mentionText } from './doc-links.js';
+
+const TOP_K = 6;
+const CHUNK_CHARS = 1200;      // soft cap — paragraphs are never split
+const MAX_CONTEXT_CHARS = 9000; // hard cap on injected chunk text
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set((
+  'a an and are as at be but by can do does for from has have how i if in into is it its ' +
+  'me my no not of on or our so that the their them then there these they this to up ' +
+  'us was we what when where which who why will with you your just about should would could'
+).split(' '));
+
+// Cached per source key; rebuilt when the source text changes
+const fileIndexes = new Map(); // file name → { text, index }
+let docsIndex = null;          // { signature, index }
+
+// ── Text helpers ─────────────────────────────────────────────────────
+
+// Light stemming keeps "hooks"/"hook" and "scripting"/"script" together
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+(?:'[a-z]+)?/g) || [])
+    .map(w => w.replace(/'[a-z]+$/, ''))
+    .filter(w => w.length > 1 && !STOPWORDS.has(w))
+    .map(stem);
+}
+
+// Tiptap JSON → markdown-ish text (headings keep their # so chunking works)
+function tiptapToText(node) {
+  if (!node) return '';
+  if (typeof node === 'string') return node;
+  if (node.type === 'text') return node.text || '';
+  const inner = (node.content || []).map(tiptapToText).join(node.type === 'doc' ? '\n\n' : '');
+  switch (node.type) {
+    case 'heading':    return '#'.repeat(node.attrs?.level || 1) + ' ' + inner;
+    case 'listItem':
+    case 'taskItem':   return '- ' + inner;
+    case 'bulletList':
+    case 'orderedList':
+    case 'taskList':   return (node.content || []).map(tiptapToText).join('\n');
+    case 'hardBreak':  return '\n';
+    case 'mention':    return mentionText(node.attrs);
+    case 'table':      return (node.content || []).map(tiptapToText).join('\n');
+    case 'tableRow':   return '| ' + (node.content || []).map(tiptapToText).join(' | ') + ' |';
+    case 'columnList':
+    case 'column':
+    case 'syncedBlock': return (node.content || []).map(tiptapToText).join('\n\n');
+    case 'embed':      return node.attrs?.src || '';
+    case 'attachment': return node.attrs?.name || '';
+    default:           return inner;
+  }
+}
+
+// ── Chunking ─────────────────────────────────────────────────────────
+
+// Splits markdown into chunks that each carry their heading trail,
+// e.g. "STEP 1: R.E.S.P.E.C.T. VISION › Guide users…"
+function chunkMarkdown(text, source) {
+  const chunks = [];
+  const trail = []; // heading stack by level
+  let buffer = [];
+  let size = 0;
+
+  const flush = () => {
+    const body = buffer.join('\n\n').trim();
+    buffer = [];
+    size = 0;
+    if (!body) return;
+    // A knowledge file's H1 is just its title ("The 10.0 Coach — Knowledge Base")
+    const heading = (source.type === 'file' ? trail.slice(1) : trail).filter(Boolean).join(' › ');
+    // Doc titles are searchable too; file names ("the-coach.md") are not
+    const titleText = source.type === 'doc' ? source.title + ' ' : '';
+    chunks.push({ ...source, heading, text: body, tokens: tokenize(titleText + heading + ' ' + body) });
+  };
+
+  for (const block of text.split(/\n{2,}/)) {
+    const trimmed = block.trim();
+    if (!trimmed || /^-{3,}$/.test(trimmed)) continue;
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.+)$/m);
+    if (heading && trimmed.startsWith('#')) {
+      flush();
+      const level = heading[1].length;
+      trail.length = level - 1;
+      trail[level - 1] = heading[2].replace(/[*_`]/g, '').trim();
+      const rest = trimmed.slice(heading[0].length).trim();
+      if (rest) { buffer.push(rest); size += rest.length; }
+      continue;
+    }
+
+    if (size + trimmed.length > CHUNK_CHARS && buffer.length) flush();
+    buffer.push(trimmed);
+    size += trimmed.length;
+  }
+  flush();
+  return chunks;
+}
+
+// ── BM25 index ───────────────────────────────────────────────────────
+
+function buildIndex(chunks) {
+  const df = new Map();
+  let totalLength = 0;
+  for (const chunk of chunks) {
+    chunk.tf = new Map();
+    for (const t of chunk.tokens) chunk.tf.set(t, (chunk.tf.get(t) || 0) + 1);
+    for (const t of chunk.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+    totalLength += chunk.tokens.length;
+  }
+  return { chunks, df, avgLength: chunks.length ? totalLength / chunks.length : 0 };
+}
+
+function scoreIndex(index, queryTokens, total) {
+  const results = [];
+  for (const chunk of index.chunks) {
+    let score = 0;
+    for (const t of queryTokens) {
+      const tf = chunk.tf.get(t);
+      if (!tf) continue;
+      const df = total.df.get(t) || 0;
+      const idf = Math.log(1 + (total.n - df + 0.5) / (df + 0.5));
+      const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * chunk.tokens.length / (index.avgLength || 1));
+      score += idf * (tf * (BM25_K1 + 1)) / norm;
+    }
+    if (score > 0) results.push({ chunk, score });
+  }
+  return results;
+}
+
+function getFileIndex(file) {
+  const text = getState('knowledgeFiles')?.[file];
+  if (!text) return null;
+  const cached = fileIndexes.get(file);
+  if (cached?.text === text) return cached.index;
+
+  const index = buildIndex(chunkMarkdown(text, { type: 'file', file, title: file }));
+  fileIndexes.set(file, { text, index });
+  return index;
+}
+
+function getDocsIndex() {
+  const docs = getWorkspaceDocs();
+  const signature = docs.map(d => `${d.id}:${d.updatedAt || ''}`).join('|');
+  if (docsIndex?.signature === signature) return docsIndex.index;
+
+  const chunks = [];
+  for (const doc of docs) {
+    const title = doc.title || 'Untitled';
+    chunks.push(...chunkMarkdown(tiptapToText(doc.content), { type: 'doc', docId: doc.id, title }));
+  }
+  const index = buildIndex(chunks);
+  docsIndex = { signature, index };
+  return index;
+}
+
+// ── Public API ───────────────────────────────────────────────────────
+
+// Knowledge files for an agent — edited list first, else the index default
+export function getAgentKnowledgeFiles(agent) {
+  if (Array.isArray(agent?.knowledgeFiles)) return agent.knowledgeFiles;
+  const file = getState('agentKnowledgeFiles')?.[agent?.id];
+  return file ? [file] : [];
+}
+
+// Every file listed in data/knowledge-index.json (for the agent editor)
+export function getAvailableKnowledgeFiles() {
+  return Object.keys(getState('knowledgeFiles') || {}).sort();
+}
+
+/**
+ * Top-k knowledge chunks for a query (used by chat.js).
+ * Returns { context, sources, outline } — `context` is the prompt section,
+ * `sources` maps each [K#] label to its file or workspace doc.
+ */
+export function retrieveKnowledge(agent, query, { k = TOP_K } = {}) {
+  const agentIndexes = getAgentKnowledgeFiles(agent).map(getFileIndex).filter(Boolean);
+  const indexes = [...agentIndexes, getDocsIndex()];
+
+  // Section headings of the agent's own files, so it knows what it can draw on
+  const outline = [...new Set(agentIndexes.flatMap(idx =>
+    idx.chunks.map(c => c.heading.split(' › ')[0])
+  ).filter(Boolean))];
+
+  const queryTokens = [...new Set(tokenize(query || ''))];
+  if (!queryTokens.length) return { context: '', sources: [], outline };
+
+  // IDF over both indexes combined so scores are comparable
+  const total = { n: 0, df: new Map() };
+  for (const idx of indexes) {
+    total.n += idx.chunks.length;
+    for (const [t, n] of idx.df) total.df.set(t, (total.df.get(t) || 0) + n);
+  }
+
+  const ranked = indexes
+    .flatMap(idx => scoreIndex(idx, queryTokens, total))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+
+  const sources = [];
+  const sections = [];
+  let used = 0;
+  for (const { chunk } of ranked) {
+    if (used + chunk.text.length > MAX_CONTEXT_CHARS && sections.length) break;
+    const id = `K${sources.length + 1}`;
+    sources.push({
+      id, type: chunk.type, title: chunk.title, heading: chunk.heading,
+      ...(chunk.type === 'file' ? { file: chunk.file } : { docId: chunk.docId }),
+    });
+    const label = [chunk.title, chunk.heading].filter(Boolean).join(' › ');
+    sections.push(`[${id}] ${label}\n${chunk.text}`);
+    used += chunk.text.length;
+  }
+
+  return { context: sections.join('\n\n'), sources, outline };
+}
@@ -6,15 +6,33 @@ import {
   openBlockEditor
 } from './app.js';
 import {
-  fetchFolders, fetchDocs, upsertFolders,
-  deleteDoc as sbDeleteDoc, deleteFolder as sbDeleteFolder, pushAllDocs
+  fetchFolders, fetchDocs, queueFolders, queueDeleteDoc, queueDeleteFolder
 } from './services/workspace-persistence.js';
+import {
+  initOutbox, onOutboxChanged, getPendingSyncCount, getFailedSyncCount, retryFailedSync, isOnline
+} from './services/sync-outbox.js';
+import { syncDocIndex, docText } from './services/doc-search.js';
 import { syncWorkspace, getFolderMap, saveFolderMap } from './services/workspace-sync.js';
 import { createNotionFolder } from './services/notion-blocks.js';
+import {
+  compareDocs, applyRemoteDoc, docHash, pushDocRevision, recordSupabaseConflict,
+  getConflicts, clearConflict, onConflictsChanged
+} from './services/doc-revisions.js';
+import { openConflictResolver } from './conflict-resolver.js';
+import { markdownToTiptap } from './markdown-converter.js';
+import { TEMPLATES_FOLDER, DEFAULT_TEMPLATES } from './doc-templates.js';
+import { openTemplatePicker } from './template-picker.js';
+import { openWorkspaceImporter } from './workspace-importer.js';
+import { openWorkspaceExporter } from './workspace-exporter.js';
+import { openDocGraph } from './doc-graph.js';
 
 // ── Storage Keys ────────────────────────────────────────────────────
 const DOCS_KEY = 'forge-workspace-docs';
 const FOLDERS_KEY = 'forge-workspace-folders';
+const TEMPLATES_SEEDED_KEY = 'forge-workspace-templates-seeded';
+
+// Fixed so a seeded template edited on another device is the newer copy
+const TEMPLATES_SEEDED_AT = '2026-01-01T00:00:00.000Z';
 
 const DEFAULT_FOLDERS = [
   { id: 'business-planning', name: 'Business Planning', parentId: null, order: 0, type: 'divider' },
@@ -27,12 +45,25 @@ let activeFolder = null; // null = no folder selected (empty state)
 let expandedFolders = new Set(); // track which folders are expanded
 let draggedFolderId = null;
 let isSyncing = false;
+let syncState = 'idle'; // last showSyncIndicator() state
+let failedSyncs = 0;    // outbox writes that gave up, as last shown
 
 // ── Public API ──────────────────────────────────────────────────────
 export function initKnowledge() {
   ensureDefaults();
+  ensureTemplates();
   render();
   bindEvents();
+  onConflictsChanged(() => render());
+  onOutboxChanged(() => {
+    const failed = getFailedSyncCount();
+    if (failed > failedSyncs) {
+      showToast(`${failed} change${failed !== 1 ? 's' : ''} couldn't be synced — retry from the Workspace header`, 'error');
+    }
+    failedSyncs = failed;
+    showSyncIndicator();
+  });
+  initOutbox();
   // Fire-and-forget Supabase sync (doesn't block render)
   syncFromSupabase();
 }
@@ -57,6 +88,25 @@ export function saveWorkspaceDocs(docs) {
   } catch (e) {
     console.error('[workspace] Failed to save docs:', e);
   }
+  syncDocIndex(docs); // Cmd+K search — only changed docs are re-read
+}
+
+/**
+ * Files a doc created outside the editor (e.g. saved from chat): stores it
+ * locally and in Supabase, then queues it for Notion — the sync creates a
+ * Notion page for every doc without a notionPageId in a mapped folder.
+ */
+export function addWorkspaceDoc(doc) {
+  addWorkspaceDocs([doc]);
+  return doc;
+}
+
+/** addWorkspaceDoc for many docs at once (the importer): one save, one render */
+export function addWorkspaceDocs(docs) {
+  saveWorkspaceDocs([...getWorkspaceDocs(), ...docs]);
+  docs.forEach(doc => pushDocRevision(doc.id)); // fire-and-forget Supabase sync
+  render();
+  triggerNotionSync();
 }
 
 export function getWorkspaceFolders() {
@@ -75,7 +125,14 @@ export function getWorkspaceFolders() {
 
 function saveFolders(folders) {
   localStorage.setItem(FOLDERS_KEY, JSON.stringify(folders));
-  upsertFolders(folders); // fire-and-forget Supabase sync
+  queueFolders(folders); // Supabase, now or once back online
+}
+
+/** Adds folders made elsewhere (the importer), expanded so their docs show */
+export function addWorkspaceFolders(folders) {
+  if (!folders.length) return;
+  saveFolders([...getWorkspaceFolders(), ...folders]);
+  folders.forEach(f => expandedFolders.add(f.id));
 }
 
 function ensureDefaults() {
@@ -93,6 +150,37 @@ function ensureDefaults() {
   folders.filter(f => f.type === 'divider').forEach(f => expandedFolders.add(f.id));
 }
 
+// The Templates folder and starter templates, once per device — deleting
+// them afterwards sticks. Every device seeds the same ids, so the copies
+// meet in Supabase as one doc. Pushed by the Supabase sync that follows.
+function ensureTemplates() {
+  if (localStorage.getItem(TEMPLATES_SEEDED_KEY)) return;
+
+  const folders = getWorkspaceFolders();
+  if (!folders.some(f => f.id === TEMPLATES_FOLDER)) {
+    saveFolders([...folders, {
+      id: TEMPLATES_FOLDER,
+      name: 'Templates',
+      parentId: null,
+      order: folders.filter(f => !f.parentId).length,
+      type: 'folder',
+    }]);
+  }
+
+  const docs = getWorkspaceDocs();
+  const missing = DEFAULT_TEMPLATES.filter(t => !docs.some(d => d.id === t.id));
+  saveWorkspaceDocs([...docs, ...missing.map(t => ({
+    id: t.id,
+    title: t.title,
+    folder: TEMPLATES_FOLDER,
+    content: markdownToTiptap(t.markdown),
+    notionPageId: null,
+    createdAt: TEMPLATES_SEEDED_AT,
+    updatedAt: TEMPLATES_SEEDED_AT,
+  }))]);
+  localStorage.setItem(TEMPLATES_SEEDED_KEY, '1');
+}
+
 // ── Supabase Sync ──────────────────────────────────────────────────
 
 async function syncFromSupabase() {
@@ -112,7 +200,7 @@ async function syncFromSupabase() {
     if (!hasRemoteFolders && !hasRemoteDocs && hasLocalDocs) {
       // First-time migration: push all local data to Supabase
       console.log('[workspace] First-time sync — pushing local data to Supabase');
-      upsertFolders(localFolders);
+      queueFolders(localFolders);
       pushAllDocs(localDocs);
       return;
     }
@@ -126,12 +214,12 @@ async function syncFromSupabase() {
     const mergedFolders = mergeFolders(localFolders, remoteFolders || []);
     saveFoldersLocal(mergedFolders);
 
-    // Merge docs: remote wins on newer updatedAt
+    // Merge docs by revision: one-sided changes copy over, two-sided ones become conflicts
     const mergedDocs = mergeDocs(localDocs, remoteDocs || []);
     saveDocsLocal(mergedDocs);
 
-    // Push merged result back to Supabase (local-only items sync up)
-    upsertFolders(mergedFolders);
+    // Push merged result back to Supabase (local changes and local-only docs sync up)
+    queueFolders(mergedFolders);
     pushAllDocs(mergedDocs);
 
     render();
@@ -160,19 +248,35 @@ function mergeFolders(local, remote) {
 }
 
 function mergeDocs(local, remote) {
-  const map = new Map();
-  for (const d of remote) map.set(d.id, d);
+  const remoteById = new Map(remote.map(d => [d.id, d]));
+  const merged = [];
   for (const d of local) {
-    const existing = map.get(d.id);
-    if (!existing) {
-      map.set(d.id, d);
-    } else {
-      const localTime = d.updatedAt ? new Date(d.updatedAt).getTime() : 0;
-      const remoteTime = existing.updatedAt ? new Date(existing.updatedAt).getTime() : 0;
-      if (localTime > remoteTime) map.set(d.id, d);
+    const row = remoteById.get(d.id);
+    remoteById.delete(d.id);
+    switch (compareDocs(d, row)) {
+      case 'same':
+        merged.push({ ...d, rev: row.rev, syncedHash: docHash(d) });
+        break;
+      case 'pull':
+        merged.push(applyRemoteDoc(d, row));
+        break;
+      case 'conflict':
+        // Local copy stays as it is until the conflict is resolved
+        recordSupabaseConflict(d.id, row);
+        merged.push(d);
+        break;
+      default:
+        merged.push(d); // pushed by pushAllDocs
     }
   }
-  return Array.from(map.values());
+  // Remote-only docs (created on another device)
+  for (const row of remoteById.values()) merged.push(applyRemoteDoc({}, row));
+  return merged;
+}
+
+// Conditional pushes: unchanged docs are skipped, conflicting ones paused
+function pushAllDocs(docs) {
+  docs.forEach(d => pushDocRevision(d.id));
 }
 
 /** Write folders to localStorage only (no Supabase side-effect) */
@@ -187,6 +291,7 @@ function saveDocsLocal(docs) {
   } catch (e) {
     console.error('[workspace] Failed to save docs:', e);
   }
+  syncDocIndex(docs);
 }
 
 // ── Notion Sync ─────────────────────────────────────────────────────
@@ -206,7 +311,7 @@ async function triggerNotionSync() {
 
     if (result.synced) {
       // Also push merged state to Supabase
-      upsertFolders(getWorkspaceFolders());
+      queueFolders(getWorkspaceFolders());
       pushAllDocs(getWorkspaceDocs());
 
       render();
@@ -226,7 +331,10 @@ async function triggerNotionSync() {
   }
 }
 
-function showSyncIndicator(state) {
+// Called without a state when the outbox changes: keeps the last state
+// and updates the count of writes still waiting to go out
+function showSyncIndicator(state = syncState) {
+  syncState = state;
   const el = $('#wsSyncStatus');
   if (!el) return;
   const labels = {
@@ -235,16 +343,21 @@ function showSyncIndicator(state) {
     error: 'Sync failed',
     idle: '',
   };
-  el.textContent = labels[state] || '';
-  el.className = `ws-sync-status ws-sync-${state}`;
+  const pending = getPendingSyncCount();
+  const pendingLabel = pending
+    ? `${pending} change${pending !== 1 ? 's' : ''} pending${isOnline() ? '' : ' (offline)'}`
+    : '';
+  const failed = getFailedSyncCount();
+  const failedLabel = failed ? `${failed} change${failed !== 1 ? 's' : ''} not synced` : '';
+  el.innerHTML = escapeHtml([labels[state], failedLabel, pendingLabel].filter(Boolean).join(' · '))
+    + (failed ? ' <button class="ws-sync-retry" data-sync-retry>Retry</button>' : '');
+  const shown = failed ? 'error' : pending && state !== 'error' ? 'pending' : state;
+  el.className = `ws-sync-status ws-sync-${shown}`;
 
   // Auto-clear "Synced" after 3s
   if (state === 'synced') {
     setTimeout(() => {
-      if (el.textContent === 'Synced') {
-        el.textContent = '';
-        el.className = 'ws-sync-status';
-      }
+      if (syncState === 'synced') showSyncIndicator('idle');
     }, 3000);
   }
 }
@@ -351,6 +464,7 @@ function renderFolderTree(folders, parentId, depth, docs, isMobile) {
           ${escapeHtml(f.name)}
           <span class="ws-folder-count">${count}</span>
         </button>
+        ${f.id !== TEMPLATES_FOLDER ? `<span class="ws-folder-template" role="button" tabindex="0" data-template-folder="${escapeHtml(f.id)}" title="New doc from template">+</span>` : ''}
         <span class="ws-folder-delete" role="button" tabindex="0" data-delete-folder="${escapeHtml(f.id)}" title="Delete folder">&times;</span>
       </div>
       ${hasKids && isExpanded ? `<div class="ws-folder-children">${renderFolderTree(folders, f.id, depth + 1, docs, isMobile)}</div>` : ''}
@@ -405,6 +519,7 @@ function renderDocsList() {
 
   const folderMap = {};
   folders.forEach(f => { folderMap[f.id] = f.name; });
+  const conflicts = getConflicts();
 
   el.innerHTML = `
     <div class="ws-doc-grid">
@@ -419,6 +534,7 @@ function renderDocsList() {
               ${folderName ? `<span class="ws-doc-card-folder">${escapeHtml(folderName)}</span>` : ''}
               <span class="ws-doc-card-time">${doc.updatedAt ? formatRelativeTime(doc.updatedAt) : ''}</span>
               ${doc.notionPageId ? '<span class="ws-doc-card-backed" title="Synced with Notion">&#9729;</span>' : ''}
+              ${conflicts[doc.id] ? `<span class="ws-doc-card-conflict" data-conflict-id="${escapeHtml(doc.id)}" title="Changed here and elsewhere — click to resolve">Conflict</span>` : ''}
             </div>
             <button class="ws-doc-delete" data-delete-id="${escapeHtml(doc.id)}" title="Delete note">&times;</button>
           </button>
@@ -433,20 +549,17 @@ function extractPreview(content) {
   if (!content) return '';
   if (typeof content === 'string') return content.slice(0, 120);
 
-  // Walk Tiptap JSON and collect text
-  const texts = [];
-  function walk(node) {
-    if (texts.join(' ').length > 120) return;
-    if (node.text) texts.push(node.text);
-    if (node.content) node.content.forEach(walk);
-  }
-  walk(content);
-  const full = texts.join(' ');
+  // Same text the search index reads: mentions included, words kept whole
+  const full = docText(content).replace(/\s+/g, ' ').trim();
   return full.length > 120 ? full.slice(0, 120) + '...' : full;
 }
 
 // ── Events ──────────────────────────────────────────────────────────
 function bindEvents() {
+  $('#wsSyncStatus')?.addEventListener('click', (e) => {
+    if (e.target.closest('[data-sync-retry]')) retryFailedSync();
+  });
+
   const sidebar = $('#workspaceFolderSidebar');
   if (sidebar) {
     // Folder clicks (select + toggle)
@@ -460,6 +573,17 @@ function bindEvents() {
         return;
       }
 
+      // New doc from template, filed in this folder
+      const templateBtn = e.target.closest('.ws-folder-template');
+      if (templateBtn) {
+        e.stopPropagation();
+        const folderId = templateBtn.dataset.templateFolder;
+        activeFolder = folderId;
+        render();
+        openTemplatePicker({ folder: folderId, onClose: () => render() });
+        return;
+      }
+
       // Toggle expand/collapse
       const toggle = e.target.closest('.ws-folder-toggle');
       if (toggle) {
@@ -520,6 +644,14 @@ function bindEvents() {
         return;
       }
 
+      // Conflict badge
+      const conflictBadge = e.target.closest('.ws-doc-card-conflict');
+      if (conflictBadge) {
+        e.stopPropagation();
+        openConflictResolver(conflictBadge.dataset.conflictId, { onResolved: () => render() });
+        return;
+      }
+
       // Open doc in editor
       const card = e.target.closest('.ws-doc-card');
       if (card) {
@@ -557,6 +689,24 @@ function bindEvents() {
     newFolderBtn.addEventListener('click', () => createNewFolder());
   }
 
+  // Import button
+  const importBtn = $('#wsImportBtn');
+  if (importBtn) {
+    importBtn.addEventListener('click', () => openWorkspaceImporter({ folder: activeFolder }));
+  }
+
+  // Export button
+  const exportBtn = $('#wsExportBtn');
+  if (exportBtn) {
+    exportBtn.addEventListener('click', () => openWorkspaceExporter({ folder: activeFolder }));
+  }
+
+  // Graph button
+  const graphBtn = $('#wsGraphBtn');
+  if (graphBtn) {
+    graphBtn.addEventListener('click', () => openDocGraph({ onClose: () => render() }));
+  }
+
   // Manual Sync button
   const syncBtn = $('#wsSyncBtn');
   if (syncBtn) {
@@ -703,7 +853,8 @@ function deleteDoc(docId) {
   let docs = getWorkspaceDocs();
   docs = docs.filter(d => d.id !== docId);
   saveWorkspaceDocs(docs);
-  sbDeleteDoc(docId); // fire-and-forget Supabase delete
+  queueDeleteDoc(docId); // Supabase, now or once back online
+  clearConflict(docId);
   showToast('Note deleted');
   render();
 }
@@ -747,7 +898,7 @@ function deleteFolder(folderId) {
   siblings.forEach((f, i) => { f.order = i; });
 
   saveFolders(updatedFolders);
-  sbDeleteFolder(folderId); // fire-and-forget Supabase delete
+  queueDeleteFolder(folderId); // Supabase, now or once back online
   expandedFolders.delete(folderId);
 
   // If we deleted the active folder, go to All Notes
@@ -0,0 +1,559 @@
+// js/markdown-converter.js — Markdown ⇄ Tiptap JSON, and Tiptap JSON → HTML for exports
+// ──────────────────────────────────────────────────────────────────────
+//
+// Covers the markdown agents actually write: headings, paragraphs, nested
+// bullet / numbered / task lists, blockquotes, fenced code, rules, tables,
+// images and inline bold, italic, strike, code and links. Output uses the
+// node types block-editor.js loads — images are blocks there, so one in
+// the middle of a paragraph splits it.
+//
+// Browser-free — usable from Node as well as the browser.
+
+import { getEmbedInfo } from './embeds.js';
+import { mentionText } from './doc-links.js';
+
+// ── Markdown → Tiptap ────────────────────────────────────────────────
+
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TASK_PREFIX = /^\[([ xX])\]\s+/;
+const FENCE = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+/**
+ * Converts a markdown string into a Tiptap `doc` node.
+ */
+export function markdownToTiptap(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const content = parseBlocks(lines);
+  return { type: 'doc', content: content.length ? content : [{ type: 'paragraph' }] };
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) { i++; continue; }
+
+    // Fenced code
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i++]);
+      i++; // closing fence (or end of input)
+      blocks.push({
+        type: 'codeBlock',
+        attrs: { language: fence[2] || null },
+        ...(code.length ? { content: [{ type: 'text', text: code.join('\n') }] } : {}),
+      });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({
+        type: 'heading',
+        attrs: { level: Math.min(heading[1].length, 3) }, // editor allows H1–H3
+        ...inlineContent(heading[2]),
+      });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'horizontalRule' });
+      i++;
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*>\s?/, ''));
+      const inner = parseBlocks(quoted);
+      blocks.push({ type: 'blockquote', content: inner.length ? inner : [{ type: 'paragraph' }] });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const listLines = [];
+      while (i < lines.length) {
+        const l = lines[i];
+        if (LIST_ITEM.test(l) || (l.trim() && /^\s+/.test(l) && listLines.length)) {
+          listLines.push(l);
+          i++;
+        } else if (!l.trim() && LIST_ITEM.test(lines[i + 1] || '')) {
+          i++; // blank line between items keeps the list going
+        } else {
+          break;
+        }
+      }
+      blocks.push(...parseList(listLines));
+      continue;
+    }
+
+    // Tables — a separator row under the first row makes it the header
+    if (/^\s*\|.*\|\s*$/.test(line)) {
+      const rows = [];
+      let hasHeader = false;
+      while (i < lines.length && /^\s*\|.*\|\s*$/.test(lines[i])) {
+        const row = lines[i++].trim().slice(1, -1).split('|').map(c => c.trim());
+        if (row.every(c => /^:?-{2,}:?$/.test(c))) {
+          if (rows.length === 1) hasHeader = true;
+          continue;
+        }
+        rows.push(row);
+      }
+      blocks.push(tableNode(rows, hasHeader));
+      continue;
+    }
+
+    // Paragraph: consecutive plain lines, joined with hard breaks
+    const para = [];
+    while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i])) para.push(lines[i++].trim());
+    const content = [];
+    para.forEach((text, idx) => {
+      if (idx) content.push({ type: 'hardBreak' });
+      content.push(...parseInline(text));
+    });
+    blocks.push(...liftImages(content));
+  }
+
+  return blocks;
+}
+
+// A paragraph's inline nodes → paragraphs with the images between them
+function liftImages(content) {
+  const blocks = [];
+  let run = [];
+  const flush = () => {
+    while (run[0]?.type === 'hardBreak') run.shift();
+    while (run[run.length - 1]?.type === 'hardBreak') run.pop();
+    if (run.length) blocks.push({ type: 'paragraph', content: run });
+    run = [];
+  };
+  for (const node of content) {
+    if (node.type === 'image') {
+      flush();
+      blocks.push(node);
+    } else {
+      run.push(node);
+    }
+  }
+  flush();
+  return blocks.length ? blocks : [{ type: 'paragraph' }];
+}
+
+function tableNode(rows, hasHeader) {
+  const width = Math.max(...rows.map(r => r.length));
+  return {
+    type: 'table',
+    content: rows.map((row, r) => ({
+      type: 'tableRow',
+      content: Array.from({ length: width }, (_, c) => ({
+        type: hasHeader && r === 0 ? 'tableHeader' : 'tableCell',
+        content: liftImages(parseInline(row[c] || '')),
+      })),
+    })),
+  };
+}
+
+function isBlockStart(line) {
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line)
+    || /^\s*>/.test(line) || LIST_ITEM.test(line) || /^\s*\|.*\|\s*$/.test(line);
+}
+
+// Groups list lines into bulletList / orderedList / taskList nodes.
+// Deeper-indented lines belong to the item above them.
+function parseList(lines) {
+  const lists = [];
+  const baseIndent = lines[0].match(/^\s*/)[0].length;
+  let current = null;
+  let i = 0;
+
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM);
+    const indent = lines[i].match(/^\s*/)[0].length;
+    if (!match || indent > baseIndent) { i++; continue; } // orphan continuation
+
+    let text = match[3];
+    const ordered = /\d/.test(match[2]);
+    const task = !ordered && TASK_PREFIX.exec(text);
+    const listType = task ? 'taskList' : ordered ? 'orderedList' : 'bulletList';
+    if (task) text = text.slice(task[0].length);
+
+    // Children: following lines indented past this item
+    const children = [];
+    i++;
+    while (i < lines.length && lines[i].match(/^\s*/)[0].length > baseIndent) children.push(lines[i++]);
+
+    const itemContent = liftImages(parseInline(text));
+    if (itemContent[0].type !== 'paragraph') itemContent.unshift({ type: 'paragraph' });
+    // Text before the first nested item continues this item's paragraph
+    const firstNested = children.findIndex(l => LIST_ITEM.test(l));
+    const continuation = (firstNested < 0 ? children : children.slice(0, firstNested)).filter(l => l.trim());
+    if (continuation.length) {
+      const para = itemContent[0];
+      para.content = [...(para.content || [])];
+      for (const l of continuation) para.content.push({ type: 'hardBreak' }, ...imagesAsLinks(parseInline(l.trim())));
+    }
+    if (firstNested >= 0) itemContent.push(...parseList(children.slice(firstNested)));
+
+    if (!current || current.type !== listType) {
+      current = {
+        type: listType,
+        ...(listType === 'orderedList' ? { attrs: { start: parseInt(match[2], 10) || 1 } } : {}),
+        content: [],
+      };
+      lists.push(current);
+    }
+    current.content.push(task
+      ? { type: 'taskItem', attrs: { checked: task[1] !== ' ' }, content: itemContent }
+      : { type: 'listItem', content: itemContent });
+  }
+
+  return lists;
+}
+
+function inlineContent(text) {
+  const content = imagesAsLinks(parseInline(text));
+  return content.length ? { content } : {};
+}
+
+// Where a block image can't go (headings), it stays a link to the image
+function imagesAsLinks(nodes) {
+  return nodes.map(node => (node.type === 'image'
+    ? { type: 'text', text: node.attrs.alt || node.attrs.src, marks: [{ type: 'link', attrs: { href: node.attrs.src } }] }
+    : node));
+}
+
+// Earliest-match inline parser. Marks nest (bold inside a link, etc.);
+// inline code is literal.
+const INLINE_RULES = [
+  { re: /`([^`]+)`/, mark: () => ({ type: 'code' }), literal: true },
+  { re: /!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/, image: true },
+  { re: /\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/, mark: m => ({ type: 'link', attrs: { href: m[2] } }) },
+  { re: /\*\*(.+?)\*\*|__(.+?)__/, mark: () => ({ type: 'bold' }) },
+  { re: /~~(.+?)~~/, mark: () => ({ type: 'strike' }) },
+  { re: /\*(?!\s)(.+?)\*|(?<![\w])_(?!\s)(.+?)_(?![\w])/, mark: () => ({ type: 'italic' }) },
+];
+
+function parseInline(text, marks = []) {
+  const nodes = [];
+  let rest = text;
+
+  while (rest) {
+    let best = null;
+    for (const rule of INLINE_RULES) {
+      const m = rule.re.exec(rest);
+      if (m && (!best || m.index < best.m.index)) best = { rule, m };
+    }
+    if (!best) {
+      pushText(nodes, rest, marks);
+      break;
+    }
+
+    const { rule, m } = best;
+    if (m.index) pushText(nodes, rest.slice(0, m.index), marks);
+    if (rule.image) {
+      nodes.push({ type: 'image', attrs: { src: m[2], alt: m[1] || null, title: m[3] || null } });
+      rest = rest.slice(m.index + m[0].length);
+      continue;
+    }
+    const inner = m[1] ?? m[2];
+    const nextMarks = [...marks, rule.mark(m)];
+    if (rule.literal) pushText(nodes, inner, nextMarks);
+    else nodes.push(...parseInline(inner, nextMarks));
+    rest = rest.slice(m.index + m[0].length);
+  }
+
+  return nodes;
+}
+
+function pushText(nodes, text, marks) {
+  if (!text) return;
+  nodes.push(marks.length ? { type: 'text', text, marks } : { type: 'text', text });
+}
+
+// ── Tiptap → Markdown ────────────────────────────────────────────────
+// The reverse of the above, for exports, written so markdownToTiptap
+// reads it back the same: hard breaks are plain line breaks, italics use
+// `_`, and nothing is backslash-escaped (the parser doesn't unescape).
+// Underline, highlight and colours have no Markdown and are dropped.
+
+const MARK_ORDER = ['link', 'bold', 'italic', 'strike', 'code']; // outermost first
+const MARK_OPEN = { bold: '**', italic: '_', strike: '~~' };
+
+function sameMark(a, b) {
+  return a.type === b.type && (a.type !== 'link' || a.attrs?.href === b.attrs?.href);
+}
+
+function markClose(mark) {
+  return mark.type === 'link' ? `](${mark.attrs?.href || ''})` : MARK_OPEN[mark.type];
+}
+
+function codeSpan(text) {
+  return text.includes('`') ? `\`\` ${text} \`\`` : `\`${text}\``;
+}
+
+// Marks stay open across adjacent nodes that share them; whitespace is
+// kept outside the delimiters (`** bold**` isn't bold)
+function inlineToMarkdown(nodes = [], options) {
+  let out = '';
+  let open = [];
+
+  const closeTo = depth => {
+    const trailing = out.match(/\s*$/)[0];
+    out = out.slice(0, out.length - trailing.length);
+    while (open.length > depth) out += markClose(open.pop());
+    out += trailing;
+  };
+
+  for (const node of nodes) {
+    if (node.type !== 'text') {
+      closeTo(0);
+      if (node.type === 'hardBreak') out += '\n';
+      else if (node.type === 'mention') out += options.mention?.(node.attrs) ?? mentionText(node.attrs);
+      else if (node.type === 'image') out += imageMarkdown(node, options);
+      continue;
+    }
+
+    const marks = (node.marks || [])
+      .filter(m => MARK_ORDER.includes(m.type))
+      .sort((a, b) => MARK_ORDER.indexOf(a.type) - MARK_ORDER.indexOf(b.type));
+    let keep = 0;
+    while (keep < open.length && keep < marks.length && sameMark(open[keep], marks[keep]) && marks[keep].type !== 'code') keep++;
+    closeTo(keep);
+
+    let text = node.text || '';
+    const leading = keep < marks.length ? text.match(/^\s*/)[0] : '';
+    out += leading;
+    text = text.slice(leading.length);
+    if (!text) continue;
+
+    for (const mark of marks.slice(keep)) {
+      if (mark.type === 'code') break;
+      out += mark.type === 'link' ? '[' : MARK_OPEN[mark.type];
+      open.push(mark);
+    }
+    out += marks.some(m => m.type === 'code') ? codeSpan(text) : text;
+  }
+  closeTo(0);
+  return out;
+}
+
+function imageMarkdown(node, options) {
+  const { alt, title } = node.attrs || {};
+  const src = options.image?.(node.attrs) ?? node.attrs?.src ?? '';
+  return `![${alt || ''}](${src}${title ? ` "${title}"` : ''})`;
+}
+
+function indent(text, prefix, first = prefix) {
+  return text.split('\n').map((line, i) => (i ? (line ? prefix + line : line) : first + line)).join('\n');
+}
+
+function listToMarkdown(list, options) {
+  let number = list.attrs?.start || 1;
+  return (list.content || []).map(item => {
+    const marker = list.type === 'orderedList' ? `${number++}. `
+      : list.type === 'taskList' ? `- [${item.attrs?.checked ? 'x' : ' '}] `
+      : '- ';
+    const pad = ' '.repeat(list.type === 'taskList' ? 2 : marker.length);
+    const [first, ...rest] = item.content || [];
+    const head = first?.type === 'paragraph' ? inlineToMarkdown(first.content, options) : blockToMarkdown(first, options);
+    // Nested blocks sit directly under the item — a blank line would end the list
+    const body = rest.map(block => blockToMarkdown(block, options)).filter(Boolean).join('\n');
+    return indent([head, body].filter(Boolean).join('\n'), pad, marker);
+  }).join('\n');
+}
+
+function tableToMarkdown(table, options) {
+  const rows = (table.content || []).map(row => (row.content || []).map(cell => (cell.content || [])
+    .map(block => (block.type === 'paragraph' ? inlineToMarkdown(block.content, options) : blockToMarkdown(block, options)))
+    .join(' ')
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/\|/g, '\\|')));
+  if (!rows.length) return '';
+  const line = cells => `| ${cells.join(' | ')} |`;
+  const out = rows.map(line);
+  if (table.content[0].content?.every(cell => cell.type === 'tableHeader')) {
+    out.splice(1, 0, line(rows[0].map(() => '---')));
+  }
+  return out.join('\n');
+}
+
+function blockToMarkdown(node, options) {
+  if (!node) return '';
+  switch (node.type) {
+    case 'paragraph':      return inlineToMarkdown(node.content, options);
+    case 'heading': {
+      const text = inlineToMarkdown(node.content, options).replace(/\n/g, ' ');
+      return `${'#'.repeat(Math.min(Math.max(node.attrs?.level || 1, 1), 6))} ${text}`;
+    }
+    case 'bulletList':
+    case 'orderedList':
+    case 'taskList':       return listToMarkdown(node, options);
+    case 'blockquote':     return indent(blocksToMarkdown(node.content, options), '> ').replace(/^$/gm, '>');
+    case 'codeBlock': {
+      const code = (node.content || []).map(n => n.text || '').join('');
+      const fence = code.includes('```') ? '~~~' : '```';
+      return `${fence}${node.attrs?.language || ''}\n${code}\n${fence}`;
+    }
+    case 'horizontalRule': return '---';
+    case 'image':          return imageMarkdown(node, options);
+    case 'table':          return tableToMarkdown(node, options);
+    case 'embed': {
+      const src = node.attrs?.src || '';
+      return src ? `[${src}](${src})` : '';
+    }
+    case 'attachment': {
+      // Still-uploading attachments have no URL yet
+      const { src, name } = node.attrs || {};
+      return /^https?:/i.test(src || '') ? `[${name || src}](${src})` : '';
+    }
+    default:               return blocksToMarkdown(node.content, options); // columns, synced blocks
+  }
+}
+
+function blocksToMarkdown(blocks = [], options) {
+  return blocks.map(block => blockToMarkdown(block, options)).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Renders a Tiptap doc as Markdown. `options.mention(attrs)` and
+ * `options.image(attrs)` can replace what a mention becomes (its label
+ * by default) and an image's src.
+ */
+export function tiptapToMarkdown(node, options = {}) {
+  if (!node) return '';
+  const markdown = node.type === 'doc' ? blocksToMarkdown(node.content, options) : blockToMarkdown(node, options);
+  return markdown ? markdown + '\n' : '';
+}
+
+// ── Tiptap → HTML ────────────────────────────────────────────────────
+
+/** Escapes text for exported HTML — app.js's escapeHtml needs a DOM */
+export function esc(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** "My Doc!" → "my-doc", for exported file names */
+export function slugify(text, fallback = 'untitled') {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || fallback;
+}
+
+// Only http(s), mailto and relative links survive into exported HTML
+function safeHref(href) {
+  const value = String(href || '').trim();
+  return /^(https?:|mailto:|\.{0,2}\/|#)/i.test(value) ? value : '#';
+}
+
+function renderMarks(text, marks = []) {
+  return marks.reduce((html, mark) => {
+    switch (mark.type) {
+      case 'bold':      return `<strong>${html}</strong>`;
+      case 'italic':    return `<em>${html}</em>`;
+      case 'strike':    return `<s>${html}</s>`;
+      case 'underline': return `<u>${html}</u>`;
+      case 'code':      return `<code>${html}</code>`;
+      case 'highlight': return `<mark>${html}</mark>`;
+      case 'link': {
+        const href = safeHref(mark.attrs?.href);
+        const external = !/^[./#]/.test(href); // pages of an exported site open in place
+        return `<a href="${esc(href)}"${external ? ' target="_blank" rel="noopener noreferrer"' : ''}>${html}</a>`;
+      }
+      default:          return html;
+    }
+  }, esc(text));
+}
+
+// Page styles for what tiptapToHtml renders (chat downloads, exported sites)
+export const EXPORT_CSS = `
+  body { max-width: 760px; margin: 40px auto; padding: 0 20px; font: 15px/1.65 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; color: #1f1f1f; }
+  h1 { font-size: 26px; margin-bottom: 4px; }
+  hr { border: none; border-top: 1px solid #e5e5e5; margin: 28px 0; }
+  pre { background: #f5f5f4; padding: 12px; border-radius: 6px; overflow-x: auto; }
+  code { font-family: ui-monospace, Menlo, monospace; font-size: 13px; }
+  blockquote { margin: 0; padding-left: 14px; border-left: 3px solid #d6d3d1; color: #57534e; }
+  .task-list { list-style: none; padding-left: 4px; }
+  .task-item p { display: inline; }
+  a { color: #9a7b2f; }
+  table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+  th, td { border: 1px solid #e5e5e5; padding: 6px 10px; text-align: left; vertical-align: top; }
+  th { background: #f5f5f4; }
+  th p, td p { margin: 0; }
+  .columns { display: flex; gap: 24px; }
+  .column { flex: 1; min-width: 0; }
+  figure.embed { margin: 16px 0; }
+  figure.embed iframe { width: 100%; aspect-ratio: 16 / 9; border: 0; border-radius: 6px; }
+  figure.attachment { margin: 16px 0; }
+  figure.attachment a { display: inline-block; padding: 8px 12px; border: 1px solid #e5e5e5; border-radius: 6px; text-decoration: none; }
+  figcaption { font-size: 13px; color: #78716c; }
+`;
+
+/**
+ * Renders a Tiptap doc (or node) as static HTML.
+ */
+export function tiptapToHtml(node) {
+  if (!node) return '';
+  const inner = () => (node.content || []).map(tiptapToHtml).join('');
+
+  switch (node.type) {
+    case 'doc':            return inner();
+    case 'text':           return renderMarks(node.text, node.marks);
+    case 'paragraph':      return `<p>${inner()}</p>`;
+    case 'heading': {
+      const level = Math.min(Math.max(node.attrs?.level || 1, 1), 6);
+      return `<h${level}>${inner()}</h${level}>`;
+    }
+    case 'bulletList':     return `<ul>${inner()}</ul>`;
+    case 'orderedList': {
+      const start = node.attrs?.start;
+      return `<ol${start && start !== 1 ? ` start="${esc(start)}"` : ''}>${inner()}</ol>`;
+    }
+    case 'listItem':       return `<li>${inner()}</li>`;
+    case 'taskList':       return `<ul class="task-list">${inner()}</ul>`;
+    case 'taskItem':
+      return `<li class="task-item"><input type="checkbox" disabled${node.attrs?.checked ? ' checked' : ''}> ${inner()}</li>`;
+    case 'blockquote':     return `<blockquote>${inner()}</blockquote>`;
+    case 'codeBlock': {
+      const lang = node.attrs?.language;
+      const code = (node.content || []).map(n => n.text || '').join('');
+      return `<pre><code${lang ? ` class="language-${esc(lang)}"` : ''}>${esc(code)}</code></pre>`;
+    }
+    case 'horizontalRule': return '<hr>';
+    case 'hardBreak':      return '<br>';
+    case 'mention':        return `<span class="mention mention-${esc(node.attrs?.kind || 'doc')}">${esc(mentionText(node.attrs))}</span>`;
+    case 'image':
+      return `<img src="${esc(node.attrs?.src)}" alt="${esc(node.attrs?.alt || '')}"${node.attrs?.width ? ` width="${esc(node.attrs.width)}"` : ''}>`;
+    case 'table':          return `<table>${inner()}</table>`;
+    case 'tableRow':       return `<tr>${inner()}</tr>`;
+    case 'tableHeader':    return `<th>${inner()}</th>`;
+    case 'tableCell':      return `<td>${inner()}</td>`;
+    case 'columnList':     return `<div class="columns">${inner()}</div>`;
+    case 'column':         return `<div class="column">${inner()}</div>`;
+    case 'syncedBlock':    return `<div class="synced-block">${inner()}</div>`;
+    case 'embed': {
+      const src = node.attrs?.src || '';
+      const info = getEmbedInfo(src);
+      const caption = (node.attrs?.caption || []).map(tiptapToHtml).join('');
+      const body = info
+        ? `<iframe src="${esc(info.embedSrc)}" allowfullscreen loading="lazy"></iframe>`
+        : `<a href="${esc(safeHref(src))}" target="_blank" rel="noopener noreferrer">${esc(src)}</a>`;
+      return `<figure class="embed">${body}${caption ? `<figcaption>${caption}</figcaption>` : ''}</figure>`;
+    }
+    case 'attachment': {
+      const { src, name } = node.attrs || {};
+      if (!/^https?:/i.test(src || '')) return '';
+      const caption = (node.attrs?.caption || []).map(tiptapToHtml).join('');
+      const link = `<a href="${esc(src)}" target="_blank" rel="noopener noreferrer">${esc(name || src)}</a>`;
+      return `<figure class="attachment">${link}${caption ? `<figcaption>${caption}</figcaption>` : ''}</figure>`;
+    }
+    default:               return inner();
+  }
+}
@@ -647,6 +647,22 @@ async function handleSend() {
   }
 }
 
+// ── Agent Integration ────────────────────────────────────────────────
+
+// Sends a text approved from an agent action card (used by agent-actions.js)
+export async function sendMessageFromAgent(number, content) {
+  const result = await sendMessageAPI(number, content);
+  const convo = conversations.find(c => c.number === number);
+  if (convo) {
+    convo.lastMessage = content;
+    convo.lastDate = new Date().toISOString();
+    convo.isOutbound = true;
+    renderConversationList();
+  }
+  if (activeConversation === number) selectConversation(number);
+  return result;
+}
+
 // ── Init ─────────────────────────────────────────────────────────────
 
 export function initMessages() {
@@ -0,0 +1,307 @@
+// js/note-ai-edits.js — Structured Note AI edits applied to the Tiptap editor
+// ──────────────────────────────────────────────────────────────────────
+//
+// The model proposes edits through the `edit_note` tool; each one is
+// resolved to a document range up front and kept in sync with the editor
+// (typing, other accepted edits) by mapping it through every transaction.
+// Nothing touches the note until the user accepts a change, and each
+// accepted change is a normal editor transaction, so ⌘Z undoes it.
+
+import { markdownToTiptap } from './markdown-converter.js';
+import { mentionText } from './doc-links.js';
+
+export const EDIT_OPS = {
+  replace_selection:  'Replace selection',
+  insert_after_block: 'Insert after block',
+  rewrite_section:    'Rewrite section',
+  append_outline:     'Append outline',
+};
+
+export const EDIT_TOOL = {
+  name: 'edit_note',
+  description: 'Propose changes to the open note. Dan reviews every change before it is applied, so only call this when he asks for edits. Blocks are numbered [n] in the note context. Write new content as markdown.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      edits: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            op: {
+              type: 'string',
+              enum: Object.keys(EDIT_OPS),
+              description: 'replace_selection: replace the selected text. insert_after_block: add content after block [n]. rewrite_section: replace a heading and everything under it. append_outline: add content at the end of the note.',
+            },
+            block: { type: 'integer', description: 'insert_after_block only: the [n] number of the block to insert after.' },
+            heading: { type: 'string', description: 'rewrite_section only: text of the section heading, as shown in the note.' },
+            text: { type: 'string', description: 'New content as markdown.' },
+            reason: { type: 'string', description: 'One short line on what the change does.' },
+          },
+          required: ['op', 'text'],
+        },
+      },
+    },
+    required: ['edits'],
+  },
+};
+
+// ── Note context ─────────────────────────────────────────────────────
+
+function blockText(node) {
+  return node.textBetween(0, node.content.size, '\n', () => ' ');
+}
+
+/**
+ * Numbered top-level blocks ("[3] ## Pricing") for the system prompt, and
+ * the current selection if there is one.
+ */
+export function describeNote(editor) {
+  const { doc, selection } = editor.state;
+  const lines = [];
+  doc.forEach((node, _offset, index) => {
+    const text = blockText(node);
+    const prefix = node.type.name === 'heading' ? '#'.repeat(node.attrs.level || 1) + ' ' : '';
+    lines.push(`[${index + 1}] ${prefix}${text.replace(/\n/g, '\n    ')}`);
+  });
+
+  const selected = selection.empty ? '' : doc.textBetween(selection.from, selection.to, '\n');
+  return {
+    blocks: lines.join('\n'),
+    selection: selected ? { from: selection.from, to: selection.to, text: selected } : null,
+  };
+}
+
+// ── Range tracking ───────────────────────────────────────────────────
+// Live { from, to, lost } objects, mapped through every document change.
+
+const ranges = new Set();
+let trackedEditor = null;
+
+function mapRanges({ transaction }) {
+  if (!transaction.docChanged) return;
+  for (const range of ranges) {
+    // Empty ranges (insert points) stay after content inserted at them
+    const empty = range.from === range.to;
+    const from = transaction.mapping.mapResult(range.from, 1);
+    const to = transaction.mapping.mapResult(range.to, empty ? 1 : -1);
+    range.from = from.pos;
+    range.to = Math.max(from.pos, to.pos);
+    // Whole-doc replacements (another note loaded) take every position with them
+    if (from.deleted && to.deleted) range.lost = true;
+  }
+}
+
+export function trackRange(editor, from, to) {
+  if (trackedEditor !== editor) {
+    trackedEditor?.off('transaction', mapRanges);
+    editor.on('transaction', mapRanges);
+    trackedEditor = editor;
+    ranges.clear();
+  }
+  const range = { from, to, lost: false };
+  ranges.add(range);
+  return range;
+}
+
+export function releaseRange(range) {
+  ranges.delete(range);
+}
+
+export function releaseAllRanges() {
+  ranges.clear();
+}
+
+// ── Resolving ops ────────────────────────────────────────────────────
+
+// Text of Tiptap JSON nodes, one line per textblock (matches textBetween)
+function plainText(nodes) {
+  const lines = [];
+  const inline = n => n.type === 'text' ? n.text : n.type === 'hardBreak' ? '\n'
+    : n.type === 'mention' ? mentionText(n.attrs) : (n.content || []).map(inline).join('');
+  const walk = (node) => {
+    if (!node.content || node.content.some(c => c.type === 'text' || c.type === 'hardBreak' || c.type === 'mention')) lines.push(inline(node));
+    else node.content.forEach(walk);
+  };
+  nodes.forEach(walk);
+  return lines.join('\n');
+}
+
+const norm = s => String(s || '').replace(/^#+\s*/, '').trim().toLowerCase();
+
+// Heading block + everything up to the next heading of the same or higher level
+function findSection(doc, heading) {
+  let start = null;
+  let level = 0;
+  let end = doc.content.size;
+  let headingNode = null;
+  doc.forEach((node, offset) => {
+    if (node.type.name !== 'heading') return;
+    if (start === null) {
+      if (norm(node.textContent) === norm(heading)) {
+        start = offset;
+        level = node.attrs.level || 1;
+        headingNode = node;
+      }
+    } else if (end === doc.content.size && (node.attrs.level || 1) <= level) {
+      end = offset;
+    }
+  });
+  return start === null ? null : { from: start, to: end, headingNode };
+}
+
+function blockEnd(doc, number) {
+  if (!Number.isInteger(number) || number < 1 || number > doc.childCount) return null;
+  let pos = 0;
+  for (let i = 0; i < number; i++) pos += doc.child(i).nodeSize;
+  return pos;
+}
+
+/**
+ * Turns `edit_note` ops into reviewable edits bound to tracked ranges.
+ * `selection` is the tracked range captured when the question was sent.
+ * Ops that can't be placed come back with status 'invalid' and an error.
+ */
+export function resolveEdits(editor, ops, selection) {
+  const { doc } = editor.state;
+
+  return (ops || []).map((op, i) => {
+    const edit = {
+      id: `${Date.now().toString(36)}-${i}`,
+      op: op.op,
+      label: EDIT_OPS[op.op] || op.op,
+      reason: op.reason || '',
+      before: '',
+      content: null,
+      range: null,
+      status: 'pending',
+      error: null,
+    };
+    const nodes = markdownToTiptap(op.text).content;
+    const invalid = (error) => ({ ...edit, status: 'invalid', error });
+
+    switch (op.op) {
+      case 'replace_selection': {
+        if (!selection || selection.lost || selection.from === selection.to) return invalid('Nothing was selected');
+        const $from = doc.resolve(selection.from);
+        const inline = nodes.length === 1 && nodes[0].type === 'paragraph' && $from.sameParent(doc.resolve(selection.to));
+        edit.range = trackRange(editor, selection.from, selection.to);
+        // Inside one paragraph a single-paragraph rewrite stays inline
+        edit.content = inline ? (nodes[0].content || []) : nodes;
+        break;
+      }
+      case 'insert_after_block': {
+        const pos = blockEnd(doc, op.block);
+        if (pos === null) return invalid(`There is no block [${op.block}]`);
+        edit.range = trackRange(editor, pos, pos);
+        edit.content = nodes;
+        break;
+      }
+      case 'rewrite_section': {
+        const section = findSection(doc, op.heading);
+        if (!section) return invalid(`No heading "${op.heading}"`);
+        edit.range = trackRange(editor, section.from, section.to);
+        // Keep the original heading when the rewrite is body-only
+        edit.content = nodes[0]?.type === 'heading' ? nodes : [section.headingNode.toJSON(), ...nodes];
+        break;
+      }
+      case 'append_outline': {
+        const end = doc.content.size;
+        edit.range = trackRange(editor, end, end);
+        edit.content = nodes;
+        break;
+      }
+      default:
+        return invalid(`Unknown edit "${op.op}"`);
+    }
+
+    const { from, to } = edit.range;
+    edit.before = from === to ? '' : doc.textBetween(from, to, '\n', () => ' ');
+    edit.after = plainText(Array.isArray(edit.content) && edit.content[0]?.type === 'text'
+      ? [{ type: 'paragraph', content: edit.content }]
+      : edit.content);
+    return edit;
+  });
+}
+
+// ── Applying ─────────────────────────────────────────────────────────
+
+/**
+ * Applies one pending edit as its own transaction. Returns false (and marks
+ * the edit stale) when its target was deleted or edited since it was proposed.
+ */
+export function applyEdit(editor, edit) {
+  if (edit.status !== 'pending') return false;
+  const { from, to, lost } = edit.range;
+  const current = from === to ? '' : editor.state.doc.textBetween(from, to, '\n', () => ' ');
+  if (lost || current !== edit.before) {
+    edit.status = 'stale';
+    edit.error = 'The note changed here since this edit was proposed';
+    releaseRange(edit.range);
+    return false;
+  }
+
+  const chain = editor.chain().focus();
+  const empty = Array.isArray(edit.content) && !edit.content.length;
+  const ok = empty
+    ? chain.deleteRange({ from, to }).run()
+    : chain.insertContentAt({ from, to }, edit.content, { updateSelection: true }).scrollIntoView().run();
+  edit.status = ok ? 'applied' : 'stale';
+  if (!ok) edit.error = 'The editor rejected this change';
+  releaseRange(edit.range);
+  return ok;
+}
+
+export function rejectEdit(edit) {
+  if (edit.status !== 'pending') return;
+  edit.status = 'rejected';
+  releaseRange(edit.range);
+}
+
+// Selects the edit's target so it can be seen before deciding
+export function revealEdit(editor, edit) {
+  if (edit.status !== 'pending' || edit.range.lost) return;
+  const { from, to } = edit.range;
+  editor.chain().focus().setTextSelection({ from, to }).scrollIntoView().run();
+}
+
+// ── Diff ─────────────────────────────────────────────────────────────
+
+const MAX_DIFF_CELLS = 400000; // word-level LCS table size before falling back
+
+/**
+ * Word-level diff: [{ type: 'same' | 'del' | 'ins', text }].
+ */
+export function diffWords(before, after) {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+  if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+    return [{ type: 'del', text: before }, { type: 'ins', text: after }].filter(p => p.text);
+  }
+
+  // lcs[i][j] = LCS length of a[i:] and b[j:]
+  const w = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * w);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * w + j] = a[i] === b[j] ? lcs[(i + 1) * w + j + 1] + 1 : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { push('same', a[i]); i++; j++; }
+    else if (lcs[(i + 1) * w + j] >= lcs[i * w + j + 1]) push('del', a[i++]);
+    else push('ins', b[j++]);
+  }
+  while (i < a.length) push('del', a[i++]);
+  while (j < b.length) push('ins', b[j++]);
+  return parts;
+}
@@ -4,14 +4,16 @@
 import { $, escapeHtml, showToast } from './app.js';
 import { getEditorInstance } from './block-editor.js';
 import { attachVoiceInput } from './voice-input.js';
-
-// ── Constants ────────────────────────────────────────────────────────
-const PROXY_KEY   = 'forge-anthropic-proxy';
-const DEFAULT_PROXY = 'https://anthropic-proxy.dan-a14.workers.dev';
-const MODEL = 'claude-sonnet-4-20250514';
+import { complete } from './services/llm-client.js';
+import { tiptapToHtml } from './markdown-converter.js';
+import {
+  EDIT_TOOL, describeNote, trackRange, releaseRange, releaseAllRanges,
+  resolveEdits, applyEdit, rejectEdit, revealEdit, diffWords
+} from './note-ai-edits.js';
 
 // ── State ────────────────────────────────────────────────────────────
 let messages = [];  // { role, content, timestamp }
+let editGroups = new Map(); // group id → proposed edits from one reply
 let isSending = false;
 let isOpen = false;
 
@@ -38,6 +40,9 @@ export function initNoteAi() {
     el.style.height = Math.min(el.scrollHeight, 80) + 'px';
   });
 
+  // Review actions on proposed edits
+  $('#noteAiMessages')?.addEventListener('click', handleEditAction);
+
   renderEmptyState();
 
   // Mobile voice input
@@ -56,6 +61,8 @@ function openPanel() {
 
   // Reset messages for fresh context each time editor opens a new note
   messages = [];
+  editGroups = new Map();
+  releaseAllRanges();
   renderEmptyState();
 
   setTimeout(() => $('#noteAiInput')?.focus(), 100);
@@ -72,24 +79,26 @@ function closePanel() {
 }
 
 // ── Get note context ─────────────────────────────────────────────────
+// Blocks are numbered so the model can target them with edit_note
 function getNoteContext() {
   const editor = getEditorInstance();
-  if (!editor) return { title: '', content: '' };
+  if (!editor) return { title: '', content: '', selection: null };
 
   const title = $('#bePageTitle')?.value || '';
-  const text = editor.getText() || '';
+  const { blocks, selection } = describeNote(editor);
 
-  return { title, content: text };
+  return { title, content: editor.getText() ? blocks : '', selection };
 }
 
-function buildSystemPrompt() {
-  const { title, content } = getNoteContext();
+function buildSystemPrompt({ title, content, selection }) {
 
   let system = `You are a helpful AI assistant embedded inside a note editor for Dan Harrison, founder of Lifestyle Founders Group.
 
 You have full context of the note Dan is currently working on. Help him with whatever he asks — refining the content, brainstorming ideas, answering questions about what he's written, suggesting improvements, or anything else.
 
-Be concise and direct. Use Dan's voice (casual, witty, anti-bro marketing). Format responses with markdown when helpful.`;
+Be concise and direct. Use Dan's voice (casual, witty, anti-bro marketing). Format responses with markdown when helpful.
+
+When Dan asks you to change the note (rewrite, expand, tighten, add a section, outline it), propose the changes with the edit_note tool instead of pasting the new text in your reply — he reviews and accepts each one. Keep the reply itself to a sentence or two about what you changed.`;
 
   if (title || content) {
     system += `\n\n---\n\n# Current Note`;
@@ -99,8 +108,9 @@ Be concise and direct. Use Dan's voice (casual, witty, anti-bro marketing). Form
       const truncated = content.length > 8000
         ? content.slice(0, 8000) + '\n...[note truncated]'
         : content;
-      system += `\n\n**Content:**\n${truncated}`;
+      system += `\n\n**Content (blocks numbered [n]):**\n${truncated}`;
     }
+    if (selection) system += `\n\n**Selected text:**\n${selection.text.slice(0, 4000)}`;
   }
 
   return system;
@@ -113,7 +123,7 @@ function renderEmptyState() {
   el.innerHTML = `
     <div class="note-ai-empty">
       <span class="note-ai-empty-icon">&#10024;</span>
-      <span>Ask anything about this note</span>
+      <span>Ask anything about this note, or ask for edits to review</span>
     </div>
   `;
 }
@@ -183,35 +193,38 @@ async function handleSend() {
     el.scrollTop = el.scrollHeight;
   }
 
+  const editor = getEditorInstance();
+  const context = getNoteContext();
+  // Follows the selection while the reply is generated, in case Dan keeps typing
+  const selection = editor && context.selection
+    ? trackRange(editor, context.selection.from, context.selection.to)
+    : null;
+
   try {
-    const proxyUrl = localStorage.getItem(PROXY_KEY) || DEFAULT_PROXY;
-    const systemPrompt = buildSystemPrompt();
-
-    const res = await fetch(`${proxyUrl}/anthropic`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: MODEL,
-        max_tokens: 2048,
-        system: systemPrompt,
-        messages: messages.map(m => ({ role: m.role, content: m.content })),
-      }),
+    const result = await complete({
+      feature: 'note-ai',
+      system: buildSystemPrompt(context),
+      messages: messages.map(m => ({ role: m.role, content: m.content })),
+      tools: editor ? [EDIT_TOOL] : undefined,
+      maxTokens: 4096,
     });
 
-    if (!res.ok) {
-      const errText = await res.text().catch(() => '');
-      throw new Error(`API error ${res.status}: ${errText.slice(0, 200)}`);
-    }
-
-    const data = await res.json();
-    const reply = data.content?.[0]?.text || 'No response received.';
+    const ops = result.blocks
+      .filter(b => b.type === 'tool_use' && b.name === EDIT_TOOL.name)
+      .flatMap(b => b.input?.edits || []);
+    const edits = ops.length && editor ? resolveEdits(editor, ops, selection) : [];
+    const reply = result.text.trim() || (edits.length
+      ? `Proposed ${edits.length} change${edits.length !== 1 ? 's' : ''} — review below.`
+      : 'No response received.');
 
-    const assistantMsg = { role: 'assistant', content: reply };
-    messages.push(assistantMsg);
+    // The model sees what it proposed on the next turn
+    const summary = edits.length ? `\n\n[Proposed edits: ${edits.map(e => e.label).join(', ')}]` : '';
+    messages.push({ role: 'assistant', content: reply + summary });
 
     // Remove typing indicator and show response
     $('#noteAiTyping')?.remove();
-    appendMessage(assistantMsg);
+    appendMessage({ role: 'assistant', content: reply });
+    if (edits.length) appendEditGroup(edits);
   } catch (err) {
     console.error('[note-ai] Send failed:', err);
     $('#noteAiTyping')?.remove();
@@ -221,6 +234,123 @@ async function handleSend() {
     });
     showToast('AI response failed', 'error');
   } finally {
+    if (selection) releaseRange(selection);
     isSending = false;
   }
 }
+
+// ── Proposed edits ───────────────────────────────────────────────────
+// Each reply's edits render as one review card: a diff per change with
+// accept/reject, plus accept/reject all when there are several.
+
+function renderDiff(edit) {
+  if (edit.status === 'invalid') return '';
+  if (!edit.before) {
+    const content = edit.content[0]?.type === 'text' ? [{ type: 'paragraph', content: edit.content }] : edit.content;
+    return `<div class="note-ai-edit-insert">${tiptapToHtml({ type: 'doc', content })}</div>`;
+  }
+  const parts = diffWords(edit.before, edit.after);
+  return `<div class="note-ai-edit-diff">${parts.map(p =>
+    p.type === 'same' ? escapeHtml(p.text) : `<${p.type}>${escapeHtml(p.text)}</${p.type}>`
+  ).join('')}</div>`;
+}
+
+const EDIT_STATUS = {
+  applied: 'Applied · ⌘Z to undo',
+  rejected: 'Rejected',
+};
+
+function renderEdit(edit) {
+  const footer = edit.status === 'pending'
+    ? `<div class="note-ai-edit-actions">
+        <button class="btn btn-ghost btn-xs" data-edit-action="reveal" data-edit-id="${edit.id}">Show</button>
+        <button class="btn btn-ghost btn-xs" data-edit-action="reject" data-edit-id="${edit.id}">Reject</button>
+        <button class="btn btn-primary btn-xs" data-edit-action="accept" data-edit-id="${edit.id}">Accept</button>
+      </div>`
+    : `<div class="note-ai-edit-status">${escapeHtml(EDIT_STATUS[edit.status] || edit.error || '')}</div>`;
+
+  return `
+    <div class="note-ai-edit is-${edit.status}" data-edit-id="${edit.id}">
+      <div class="note-ai-edit-label">${escapeHtml(edit.label)}</div>
+      ${edit.reason ? `<div class="note-ai-edit-reason">${escapeHtml(edit.reason)}</div>` : ''}
+      ${renderDiff(edit)}
+      ${footer}
+    </div>
+  `;
+}
+
+function renderEditGroup(groupId) {
+  const edits = editGroups.get(groupId) || [];
+  const pending = edits.filter(e => e.status === 'pending').length;
+  return `
+    <div class="note-ai-edits" data-edit-group="${groupId}">
+      ${edits.map(renderEdit).join('')}
+      ${pending > 1 ? `
+        <div class="note-ai-edits-footer">
+          <button class="btn btn-ghost btn-xs" data-edit-action="reject-all" data-edit-group="${groupId}">Reject all</button>
+          <button class="btn btn-secondary btn-xs" data-edit-action="accept-all" data-edit-group="${groupId}">Accept all (${pending})</button>
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+function appendEditGroup(edits) {
+  const el = $('#noteAiMessages');
+  if (!el) return;
+  const groupId = edits[0].id;
+  editGroups.set(groupId, edits);
+  el.insertAdjacentHTML('beforeend', renderEditGroup(groupId));
+  el.scrollTop = el.scrollHeight;
+}
+
+function refreshEditGroup(groupId) {
+  const group = $(`#noteAiMessages [data-edit-group="${groupId}"].note-ai-edits`);
+  if (group) group.outerHTML = renderEditGroup(groupId);
+}
+
+function findEdit(id) {
+  for (const [groupId, edits] of editGroups) {
+    const edit = edits.find(e => e.id === id);
+    if (edit) return { groupId, edit };
+  }
+  return null;
+}
+
+function handleEditAction(e) {
+  const btn = e.target.closest('[data-edit-action]');
+  const editor = getEditorInstance();
+  if (!btn || !editor) return;
+
+  const action = btn.dataset.editAction;
+  if (action === 'accept-all' || action === 'reject-all') {
+    const groupId = btn.dataset.editGroup;
+    const pending = (editGroups.get(groupId) || []).filter(ed => ed.status === 'pending');
+    if (action === 'reject-all') {
+      pending.forEach(rejectEdit);
+    } else {
+      const applied = pending.filter(ed => applyEdit(editor, ed)).length;
+      if (applied) showToast(`Applied ${applied} change${applied !== 1 ? 's' : ''} — ⌘Z to undo`, 'success');
+      if (applied < pending.length) showToast(`${pending.length - applied} change${pending.length - applied !== 1 ? 's' : ''} no longer fit the note`, 'warning');
+    }
+    refreshEditGroup(groupId);
+    return;
+  }
+
+  const found = findEdit(btn.dataset.editId);
+  if (!found) return;
+  const { groupId, edit } = found;
+
+  switch (action) {
+    case 'reveal':
+      revealEdit(editor, edit);
+      return;
+    case 'accept':
+      if (!applyEdit(editor, edit)) showToast('The note changed there — this edit can\'t be applied', 'warning');
+      break;
+    case 'reject':
+      rejectEdit(edit);
+      break;
+  }
+  refreshEditGroup(groupId);
+}
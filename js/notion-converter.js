@@ -1,5 +1,7 @@
 // js/notion-converter.js — Bidirectional converter between Tiptap JSON and Notion blocks
 
+import { mentionText, mentionPageId } from './doc-links.js';
+
 /**
  * Convert Notion blocks → Tiptap JSON document
  */
@@ -43,7 +45,8 @@ export function notionBlocksToTiptap(blocks) {
     }
 
     const node = convertBlock(block);
-    if (node) content.push(node);
+    if (Array.isArray(node)) content.push(...node);
+    else if (node) content.push(node);
     i++;
   }
 
@@ -96,7 +99,7 @@ function convertBlock(block) {
       return {
         type: 'codeBlock',
         attrs: { language: block.code?.language || null },
-        content: richTextToTiptap(block.code?.rich_text),
+        content: richTextToTiptap(block.code?.rich_text, { lineBreaks: false }),
       };
 
     case 'divider':
@@ -127,8 +130,8 @@ function convertBlock(block) {
         attrs: { class: 'toggle-summary' },
         content: [{ type: 'text', text: '▸ ' }, ...(summaryText || [])],
       });
-      if (block.children?.length) {
-        const innerDoc = notionBlocksToTiptap(block.children);
+      if (childBlocks(block).length) {
+        const innerDoc = notionBlocksToTiptap(childBlocks(block));
         toggleContent.push(...(innerDoc.content || []));
       }
       return {
@@ -137,12 +140,70 @@ function convertBlock(block) {
         content: toggleContent,
       };
 
-    case 'image':
-      // Skip images for now — could add image extension later
+    case 'image': {
+      // Notion-hosted images only have expiring URLs; they go back as external links.
+      // The block editor's images have alt text rather than a caption
+      const data = block.image || {};
+      const src = data.external?.url || data.file?.url;
+      if (!src) return null;
+      const alt = (data.caption || []).map(t => t.plain_text ?? t.text?.content ?? '').join('');
+      return { type: 'image', attrs: { src, alt: alt || null } };
+    }
+
+    case 'file':
+    case 'pdf': {
+      const data = block[type] || {};
+      const src = data.external?.url || data.file?.url;
+      if (!src) return null;
       return {
-        type: 'paragraph',
-        content: [{ type: 'text', text: `[Image: ${block.image?.caption?.[0]?.plain_text || 'image'}]` }],
+        type: 'attachment',
+        attrs: {
+          src,
+          name: data.name || fileNameFromUrl(src),
+          size: null,
+          mimeType: type === 'pdf' ? 'application/pdf' : null,
+          caption: richTextToTiptap(data.caption) || [],
+        },
+      };
+    }
+
+    case 'table':
+      return convertTable(block);
+
+    case 'column_list': {
+      const columns = childBlocks(block)
+        .filter(col => col.type === 'column')
+        .map(col => ({
+          type: 'column',
+          attrs: { widthRatio: col.column?.width_ratio ?? null },
+          content: notionBlocksToTiptap(childBlocks(col)).content,
+        }));
+      // A lone column is just its content
+      if (columns.length < 2) return columns[0]?.content || null;
+      return { type: 'columnList', content: columns };
+    }
+
+    case 'video':
+    case 'embed': {
+      const data = block[type] || {};
+      // Notion-hosted video files only have expiring URLs; they go back as external links
+      const src = type === 'embed' ? data.url : (data.external?.url || data.file?.url);
+      if (!src) return null;
+      return {
+        type: 'embed',
+        attrs: { src, kind: type, caption: richTextToTiptap(data.caption) || [] },
+      };
+    }
+
+    case 'synced_block': {
+      // Copies come back with the original's children
+      const syncedFrom = block.synced_block?.synced_from?.block_id || null;
+      return {
+        type: 'syncedBlock',
+        attrs: { syncedFrom, blockId: block.id || null },
+        content: notionBlocksToTiptap(childBlocks(block)).content,
       };
+    }
 
     case 'bookmark':
       return {
@@ -167,34 +228,61 @@ function convertListItem(block) {
     content: richTextToTiptap(block[textKey]?.rich_text),
   }];
 
-  // Handle nested children
-  if (block.children?.length) {
-    const nested = notionBlocksToTiptap(block.children);
-    // If nested content contains lists, add them as children of this listItem
+  // Nested children (sub-lists, extra paragraphs) follow the item's own text
+  if (childBlocks(block).length) {
+    const nested = notionBlocksToTiptap(childBlocks(block));
     content.push(...(nested.content || []));
   }
 
   return { type: 'listItem', content };
 }
 
+// Children fetched by api/notion-blocks.js sit on the block; children
+// built for an append request sit inside the type object
+function childBlocks(block) {
+  return block.children || block[block.type]?.children || [];
+}
+
+// Header cells follow the table's has_column_header / has_row_header flags
+function convertTable(block) {
+  const { has_column_header: columnHeader, has_row_header: rowHeader } = block.table || {};
+  const rows = childBlocks(block)
+    .filter(row => row.type === 'table_row')
+    .map((row, r) => ({
+      type: 'tableRow',
+      content: (row.table_row?.cells || []).map((cell, c) => ({
+        type: (columnHeader && r === 0) || (rowHeader && c === 0) ? 'tableHeader' : 'tableCell',
+        content: [{ type: 'paragraph', content: richTextToTiptap(cell) }],
+      })),
+    }))
+    .filter(row => row.content.length);
+  if (!rows.length) return null;
+  return { type: 'table', attrs: { hasColumnHeader: !!columnHeader, hasRowHeader: !!rowHeader }, content: rows };
+}
+
 function convertTodoItem(block) {
+  const content = [{
+    type: 'paragraph',
+    content: richTextToTiptap(block.to_do?.rich_text),
+  }];
+  if (childBlocks(block).length) {
+    content.push(...(notionBlocksToTiptap(childBlocks(block)).content || []));
+  }
   return {
     type: 'taskItem',
     attrs: { checked: block.to_do?.checked || false },
-    content: [{
-      type: 'paragraph',
-      content: richTextToTiptap(block.to_do?.rich_text),
-    }],
+    content,
   };
 }
 
 /**
- * Convert Notion rich_text array → Tiptap inline content
+ * Convert Notion rich_text array → Tiptap inline content. Newlines become
+ * hard breaks, except in code blocks, which keep them in the text.
  */
-function richTextToTiptap(richText) {
+function richTextToTiptap(richText, { lineBreaks = true } = {}) {
   if (!richText?.length) return undefined;
 
-  return richText.map(segment => {
+  return richText.flatMap(segment => {
     const marks = [];
     const ann = segment.annotations || {};
 
@@ -212,13 +300,31 @@ function richTextToTiptap(richText) {
       }
     }
 
-    if (segment.href) {
-      marks.push({ type: 'link', attrs: { href: segment.href, target: '_blank' } });
+    // Page mentions link a doc to a doc or client (doc-links.js); other
+    // mentions (people, dates) come through as their text
+    if (segment.type === 'mention' && segment.mention?.type === 'page' && segment.mention.page?.id) {
+      const node = {
+        type: 'mention',
+        attrs: { kind: 'page', id: segment.mention.page.id, label: segment.plain_text || '', notionPageId: null },
+      };
+      if (marks.length > 0) node.marks = marks;
+      return [node];
+    }
+
+    // API responses carry `href`; blocks built for a request only text.link
+    const href = segment.href || segment.text?.link?.url;
+    if (href) {
+      marks.push({ type: 'link', attrs: { href, target: '_blank' } });
     }
 
-    const node = { type: 'text', text: segment.plain_text || segment.text?.content || '' };
-    if (marks.length > 0) node.marks = marks;
-    return node;
+    const text = segment.plain_text || segment.text?.content || '';
+    const lines = lineBreaks ? text.split('\n') : [text];
+    return lines.flatMap((line, i) => {
+      const node = { type: 'text', text: line };
+      if (marks.length > 0) node.marks = marks;
+      const parts = line ? [node] : [];
+      return i ? [{ type: 'hardBreak' }, ...parts] : parts;
+    });
   });
 }
 
@@ -266,38 +372,20 @@ function convertTiptapNode(node) {
       };
 
     case 'bulletList':
-      return (node.content || []).map(item => ({
-        object: 'block',
-        type: 'bulleted_list_item',
-        bulleted_list_item: {
-          rich_text: tiptapContentToRichText(getListItemText(item)),
-        },
-      }));
+      return (node.content || []).map(item => listItemToNotion('bulleted_list_item', item));
 
     case 'orderedList':
-      return (node.content || []).map(item => ({
-        object: 'block',
-        type: 'numbered_list_item',
-        numbered_list_item: {
-          rich_text: tiptapContentToRichText(getListItemText(item)),
-        },
-      }));
+      return (node.content || []).map(item => listItemToNotion('numbered_list_item', item));
 
     case 'taskList':
-      return (node.content || []).map(item => ({
-        object: 'block',
-        type: 'to_do',
-        to_do: {
-          rich_text: tiptapContentToRichText(getListItemText(item)),
-          checked: item.attrs?.checked || false,
-        },
-      }));
+      return (node.content || []).map(item =>
+        listItemToNotion('to_do', item, { checked: item.attrs?.checked || false }));
 
     case 'blockquote':
-      // Flatten blockquote paragraphs into a single quote block
+      // Flatten blockquote paragraphs into a single quote block, one per line
       const quoteText = (node.content || [])
         .filter(n => n.type === 'paragraph')
-        .flatMap(n => n.content || []);
+        .flatMap((n, i) => i ? [{ type: 'hardBreak' }, ...(n.content || [])] : (n.content || []));
       return {
         object: 'block',
         type: 'quote',
@@ -318,11 +406,141 @@ function convertTiptapNode(node) {
     case 'horizontalRule':
       return { object: 'block', type: 'divider', divider: {} };
 
+    case 'table':
+      return tableToNotion(node);
+
+    case 'columnList':
+      return {
+        object: 'block',
+        type: 'column_list',
+        column_list: {
+          children: (node.content || []).filter(col => col.type === 'column').map(col => {
+            const children = tiptapToNotionBlocks(col);
+            const column = {
+              // Notion rejects empty columns
+              children: children.length ? children : [emptyParagraph()],
+            };
+            if (col.attrs?.widthRatio) column.width_ratio = col.attrs.widthRatio;
+            return { object: 'block', type: 'column', column };
+          }),
+        },
+      };
+
+    case 'embed': {
+      const { src, kind, caption } = node.attrs || {};
+      if (!src) return null;
+      const richCaption = tiptapContentToRichText(caption);
+      return kind === 'video'
+        ? { object: 'block', type: 'video', video: { type: 'external', external: { url: src }, caption: richCaption } }
+        : { object: 'block', type: 'embed', embed: { url: src, caption: richCaption } };
+    }
+
+    case 'image': {
+      // Images kept in the note as data: URLs (added offline, or before
+      // uploads) have no URL Notion can load
+      const { src, alt } = node.attrs || {};
+      if (!isWebUrl(src)) return null;
+      return {
+        object: 'block',
+        type: 'image',
+        image: { type: 'external', external: { url: src }, caption: alt ? tiptapContentToRichText([{ type: 'text', text: alt }]) : [] },
+      };
+    }
+
+    case 'attachment': {
+      const { src, name, mimeType, caption } = node.attrs || {};
+      if (!isWebUrl(src)) return null; // still uploading
+      const richCaption = tiptapContentToRichText(caption);
+      return mimeType === 'application/pdf'
+        ? { object: 'block', type: 'pdf', pdf: { type: 'external', external: { url: src }, caption: richCaption } }
+        : { object: 'block', type: 'file', file: { type: 'external', external: { url: src }, caption: richCaption, name: name || fileNameFromUrl(src) } };
+    }
+
+    case 'syncedBlock': {
+      // A copy is only a reference; its content lives with the original.
+      // Originals are re-created on every push (pages are rewritten whole),
+      // so copies on other Notion pages lose their source after a push.
+      const syncedFrom = node.attrs?.syncedFrom;
+      if (syncedFrom) {
+        return {
+          object: 'block',
+          type: 'synced_block',
+          synced_block: { synced_from: { type: 'block_id', block_id: syncedFrom } },
+        };
+      }
+      const children = tiptapToNotionBlocks(node);
+      return {
+        object: 'block',
+        type: 'synced_block',
+        synced_block: { synced_from: null, children: children.length ? children : [emptyParagraph()] },
+      };
+    }
+
     default:
       return null;
   }
 }
 
+function isWebUrl(src) {
+  return /^https?:\/\//i.test(src || '');
+}
+
+// The last path segment, e.g. Notion's signed file URLs end in the file's name
+function fileNameFromUrl(src) {
+  try {
+    const segment = new URL(src).pathname.split('/').filter(Boolean).pop();
+    return segment ? decodeURIComponent(segment) : 'file';
+  } catch {
+    return 'file';
+  }
+}
+
+function emptyParagraph() {
+  return { object: 'block', type: 'paragraph', paragraph: { rich_text: [] } };
+}
+
+// Notion rows all have table_width cells; a cell's paragraphs become lines.
+// Header flags come from the header cells; the flags read from Notion win
+// while they still describe the cells (a one-column table can't tell)
+function tableToNotion(node) {
+  const rows = (node.content || []).filter(row => row.type === 'tableRow');
+  if (!rows.length) return null;
+  const width = Math.max(1, ...rows.map(row => (row.content || []).length));
+  const isHeader = cell => cell?.type === 'tableHeader';
+  const matches = (columnHeader, rowHeader) => rows.every((row, r) =>
+    (row.content || []).every((cell, c) => isHeader(cell) === ((columnHeader && r === 0) || (rowHeader && c === 0))));
+
+  const stored = node.attrs || {};
+  let columnHeader = (rows[0].content || []).length > 0 && rows[0].content.every(isHeader);
+  let rowHeader = rows.length > 1 && rows.slice(1).every(row => isHeader(row.content?.[0]));
+  if (typeof stored.hasColumnHeader === 'boolean' && matches(stored.hasColumnHeader, !!stored.hasRowHeader)) {
+    columnHeader = stored.hasColumnHeader;
+    rowHeader = !!stored.hasRowHeader;
+  }
+
+  return {
+    object: 'block',
+    type: 'table',
+    table: {
+      table_width: width,
+      has_column_header: columnHeader,
+      has_row_header: rowHeader,
+      children: rows.map(row => ({
+        object: 'block',
+        type: 'table_row',
+        table_row: {
+          cells: Array.from({ length: width }, (_, i) => cellToRichText(row.content?.[i])),
+        },
+      })),
+    },
+  };
+}
+
+function cellToRichText(cell) {
+  const lines = (cell?.content || []).map(p => p.content || []);
+  return tiptapContentToRichText(lines.flatMap((line, i) => i ? [{ type: 'hardBreak' }, ...line] : line));
+}
+
 function getListItemText(listItem) {
   // listItem.content is [paragraph, ...nestedLists]
   // We only want the first paragraph's content
@@ -331,6 +549,17 @@ function getListItemText(listItem) {
   return firstPara?.content || [];
 }
 
+// The item's first paragraph is its text; everything after it (sub-lists,
+// more paragraphs) goes back as the block's children
+function listItemToNotion(type, item, extra = {}) {
+  const firstPara = (item.content || []).findIndex(n => n.type === 'paragraph');
+  const rest = (item.content || []).filter((_, i) => i !== firstPara);
+  const body = { rich_text: tiptapContentToRichText(getListItemText(item)), ...extra };
+  const children = tiptapToNotionBlocks({ content: rest });
+  if (children.length) body.children = children;
+  return { object: 'block', type, [type]: body };
+}
+
 /**
  * Convert Tiptap inline content → Notion rich_text array
  */
@@ -338,7 +567,9 @@ function tiptapContentToRichText(content) {
   if (!content?.length) return [];
 
   return content
-    .filter(node => node.type === 'text' && node.text)
+    // Line breaks travel as newlines inside the text, styled like the text before them
+    .map((node, i) => node.type === 'hardBreak' ? { type: 'text', text: '\n', marks: content[i - 1]?.marks } : node)
+    .filter(node => (node.type === 'text' && node.text) || node.type === 'mention')
     .map(node => {
       const annotations = {
         bold: false,
@@ -372,14 +603,33 @@ function tiptapContentToRichText(content) {
         }
       }
 
+      // A mention of something with a Notion page stays a mention there;
+      // projects (and docs not in Notion yet) go as their name
+      const pageId = node.type === 'mention' ? mentionPageId(node.attrs) : null;
+      if (pageId) {
+        return { type: 'mention', mention: { type: 'page', page: { id: pageId } }, annotations };
+      }
+
+      const text = node.type === 'mention' ? mentionText(node.attrs) : node.text;
       const segment = {
         type: 'text',
-        text: { content: node.text, link: href ? { url: href } : null },
+        text: { content: text, link: href ? { url: href } : null },
         annotations,
       };
 
       return segment;
-    });
+    })
+    // Join neighbours with the same styling (Notion caps rich_text at 100 items)
+    .reduce((segments, segment) => {
+      const last = segments[segments.length - 1];
+      if (last?.type === 'text' && segment.type === 'text' && last.text.link?.url === segment.text.link?.url
+        && JSON.stringify(last.annotations) === JSON.stringify(segment.annotations)) {
+        last.text.content += segment.text.content;
+      } else {
+        segments.push(segment);
+      }
+      return segments;
+    }, []);
 }
 
 // ──────────────────────────────────────────
@@ -11,10 +11,13 @@ import {
   $$,
   openModal,
   closeModal,
-  showToast
+  showToast,
+  openBlockEditor
 } from './app.js';
 
 import { getProjects, saveProjects, onProjectsChange, seedProjects } from './project-store.js';
+import { getBacklinks } from './doc-links.js';
+import { openTemplatePicker } from './template-picker.js';
 import {
   completeTaskById,
   uncompleteTaskById,
@@ -285,7 +288,7 @@ function handleSaveProject() {
 
 // ---- Expanded Project View ------------------------------------
 
-async function openProjectDetail(projectId) {
+export async function openProjectDetail(projectId) {
   const data = getProjects();
   const project = data.projects.find(p => p.id === projectId);
   if (!project) return;
@@ -383,6 +386,17 @@ function renderProjectDetailView(project, linkedTasks) {
         `;
       }).join('');
 
+  // Workspace docs that @mention the project
+  const mentions = getBacklinks({ kind: 'project', id: project.id });
+  const docListHtml = mentions.length === 0
+    ? '<div class="project-tasks-empty">No docs mention this project yet — type @ in a doc to link it</div>'
+    : mentions.map(({ doc, snippet }) => `
+          <button type="button" class="project-task-item project-doc-item" data-action="openDoc" data-doc-id="${escapeHtml(doc.id)}">
+            <span class="project-task-title">${escapeHtml(doc.title || 'Untitled')}</span>
+            <span class="project-doc-snippet">${escapeHtml(snippet)}</span>
+          </button>
+        `).join('');
+
   return `
     <div class="project-detail-header" style="border-left: 4px solid ${color}; padding-left: var(--space-4);">
       <div class="form-group">
@@ -418,6 +432,13 @@ function renderProjectDetailView(project, linkedTasks) {
       <div class="project-task-list">${taskListHtml}</div>
       <div class="project-task-picker" id="taskPickerArea" hidden></div>
     </div>
+    <div class="project-tasks-section">
+      <div class="project-tasks-header">
+        <h3>Mentioned in Docs</h3>
+        <button class="btn btn-ghost btn-sm" data-action="newDocFromTemplate">+ New Doc from Template</button>
+      </div>
+      <div class="project-task-list">${docListHtml}</div>
+    </div>
     <div class="project-detail-footer">
       <button class="btn btn-danger btn-sm" data-action="deleteProject">Delete Project</button>
       <div class="footer-right">
@@ -553,6 +574,21 @@ async function handleDetailClick(e) {
       break;
     }
 
+    case 'openDoc': {
+      const docId = e.target.closest('[data-action="openDoc"]').dataset.docId;
+      closeModal();
+      openBlockEditor({ docId });
+      break;
+    }
+
+    case 'newDocFromTemplate': {
+      const project = getProjects().projects.find(p => p.id === activeDetailProjectId);
+      if (!project) return;
+      closeModal();
+      openTemplatePicker({ project });
+      break;
+    }
+
     case 'deleteProject': {
       if (!activeDetailProjectId) return;
       const data = getProjects();
@@ -4,12 +4,17 @@
 import {
   getState, subscribe, loadJSON, setState,
   escapeHtml, formatNumber, formatDate, formatRelativeTime,
-  debounce, $, $$, showToast
+  debounce, $, $$, showToast, switchTab
 } from './app.js';
+import { getUsageRecords, getBudget, saveBudget, formatCost } from './services/chat-usage.js';
+import { fetchScheduleStatus, applyScheduleStatus, isAgentSchedule } from './services/agent-schedules.js';
+import { openChatMessage } from './chat.js';
 
 // ── State ────────────────────────────────────────────────────────────
 let activeSubtab = 'reports-schedules';
 let schedulesData = null;
+let scheduleStatus = null; // agent schedule run status from Supabase
+let runningSchedules = new Set(); // "Run now" requests in flight
 let docsIndexData = null;
 let funnelData = null;
 let funnelDays = 30;
@@ -19,6 +24,9 @@ let funnelPages = [];
 let funnelChartInstance = null;
 let funnelSubmissions = null; // cached submissions list
 let funnelSubmissionsOpen = false; // toggle state
+let spendRecords = null; // chat usage records, null while loading
+let spendBudget = { daily: 0, monthly: 0 };
+let spendPeriod = 'daily'; // 'daily' | 'monthly'
 
 const FUNNEL_PAGE_NAMES = {
   'free-skool': 'Free Skool',
@@ -39,11 +47,13 @@ export function initReports() {
 
 export async function loadReportData() {
   try {
-    const [schedules, docsIndex] = await Promise.all([
+    const [schedules, docsIndex, status] = await Promise.all([
       loadJSON('schedules.json'),
       loadJSON('docs-index.json'),
+      fetchScheduleStatus(),
     ]);
     schedulesData = schedules;
+    scheduleStatus = status;
     docsIndexData = docsIndex;
   } catch (err) {
     console.warn('[reports] Failed to load data', err);
@@ -63,6 +73,7 @@ function renderReports() {
       <button class="subtab ${activeSubtab === 'reports-docs' ? 'is-active' : ''}" data-report-tab="reports-docs" role="tab">Documents</button>
       <button class="subtab ${activeSubtab === 'reports-memory' ? 'is-active' : ''}" data-report-tab="reports-memory" role="tab">Memory</button>
       <button class="subtab ${activeSubtab === 'reports-funnels' ? 'is-active' : ''}" data-report-tab="reports-funnels" role="tab">Funnels</button>
+      <button class="subtab ${activeSubtab === 'reports-spend' ? 'is-active' : ''}" data-report-tab="reports-spend" role="tab">AI Spend</button>
     </div>
     <div class="report-panel">
       ${renderActiveReport()}
@@ -77,6 +88,7 @@ function renderActiveReport() {
     case 'reports-docs': return renderDocsIndex();
     case 'reports-memory': return renderMemory();
     case 'reports-funnels': return renderFunnels();
+    case 'reports-spend': return renderSpend();
     default: return '';
   }
 }
@@ -88,10 +100,13 @@ function renderSchedules() {
     return '<div class="empty-state"><p>No schedule data loaded.</p></div>';
   }
 
+  const schedules = applyScheduleStatus(data.schedules, scheduleStatus);
+
   return `
     <div class="schedule-grid">
-      ${data.schedules.map(s => {
-        const statusClass = s.lastStatus === 'success' ? 'success' : s.lastStatus === 'error' ? 'error' : 'neutral';
+      ${schedules.map(s => {
+        const statusClass = { success: 'success', error: 'error', running: 'warning' }[s.lastStatus] || 'neutral';
+        const running = runningSchedules.has(s.id) || s.lastStatus === 'running';
         return `
           <div class="schedule-card">
             <div class="schedule-card-header">
@@ -106,14 +121,21 @@ function renderSchedules() {
               </div>
               <div class="schedule-meta-item">
                 <span class="label">Last run:</span>
-                <span class="badge badge-sm badge-${statusClass}">${s.lastRun ? formatRelativeTime(s.lastRun) : 'Never'}</span>
+                <span class="badge badge-sm badge-${statusClass}"${s.lastError ? ` title="${escapeHtml(s.lastError)}"` : ''}>${s.lastRun ? formatRelativeTime(s.lastRun) : 'Never'}</span>
               </div>
+              ${s.lastStatus === 'error' && s.lastError ? `<div class="schedule-meta-item schedule-error"><span class="label">Error:</span><span>${escapeHtml(s.lastError.slice(0, 140))}</span></div>` : ''}
               <div class="schedule-meta-item">
                 <span class="label">Next:</span>
                 <span>${s.nextRun ? formatDate(s.nextRun) : '--'}</span>
               </div>
               ${s.channel ? `<div class="schedule-meta-item"><span class="label">Channel:</span><span class="badge badge-sm badge-neutral">${escapeHtml(s.channel)}</span></div>` : ''}
             </div>
+            ${isAgentSchedule(s) ? `
+              <div class="schedule-actions">
+                <button class="btn btn-ghost btn-xs" data-schedule-thread="${escapeHtml(s.threadId)}" data-schedule-id="${escapeHtml(s.id)}"${s.lastRun ? '' : ' disabled'}>Open thread</button>
+                <button class="btn btn-secondary btn-xs" data-schedule-run="${escapeHtml(s.id)}"${running ? ' disabled' : ''}>${running ? 'Running…' : 'Run now'}</button>
+              </div>
+            ` : ''}
           </div>
         `;
       }).join('')}
@@ -122,6 +144,25 @@ function renderSchedules() {
   `;
 }
 
+async function runScheduleNow(id) {
+  runningSchedules.add(id);
+  renderReports();
+  try {
+    const res = await fetch(`/api/agent-schedules?run=${encodeURIComponent(id)}`);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    const run = data.ran?.[0];
+    if (run?.status === 'error') throw new Error(run.error);
+    showToast('Scheduled run posted to its chat thread', 'success');
+  } catch (err) {
+    console.warn('[reports] Schedule run failed', err);
+    showToast(`Run failed: ${err.message}`, 'error');
+  }
+  runningSchedules.delete(id);
+  scheduleStatus = (await fetchScheduleStatus()) ?? scheduleStatus;
+  if (activeSubtab === 'reports-schedules') renderReports();
+}
+
 // ── Activity ─────────────────────────────────────────────────────────
 function renderActivity() {
   const activitiesData = getState('activities');
@@ -133,7 +174,7 @@ function renderActivity() {
 
   const ICONS = {
     system: '🔧', task: '✅', scheduled: '🕒',
-    communication: '💬', research: '🔍', default: '●'
+    communication: '💬', research: '🔍', agent: '🤖', default: '●'
   };
 
   return `
@@ -466,12 +507,186 @@ function renderFunnelChart() {
   });
 }
 
+// ── AI Spend ────────────────────────────────────────────────────────
+async function loadSpendData() {
+  // Monthly view covers the last 12 months; daily the last 30 days
+  const since = new Date();
+  if (spendPeriod === 'monthly') {
+    since.setMonth(since.getMonth() - 11, 1);
+  } else {
+    since.setDate(since.getDate() - 29);
+  }
+  since.setHours(0, 0, 0, 0);
+
+  try {
+    const [records, budget] = await Promise.all([
+      getUsageRecords(since.toISOString(), { fresh: true }),
+      getBudget(),
+    ]);
+    spendRecords = records;
+    spendBudget = budget || { daily: 0, monthly: 0 };
+  } catch (err) {
+    console.warn('[reports] Failed to load chat spend', err);
+    spendRecords = [];
+  }
+  if (activeSubtab === 'reports-spend') renderReports();
+}
+
+function periodKey(timestamp) {
+  const d = new Date(timestamp);
+  const pad = n => String(n).padStart(2, '0');
+  return spendPeriod === 'monthly'
+    ? `${d.getFullYear()}-${pad(d.getMonth() + 1)}`
+    : `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function formatPeriod(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  const date = new Date(y, m - 1, d || 1);
+  return spendPeriod === 'monthly'
+    ? date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+    : date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+function groupSpend(records, keyFn) {
+  const groups = new Map();
+  for (const r of records) {
+    const key = keyFn(r);
+    const g = groups.get(key) || { key, cost: 0, input: 0, output: 0, replies: 0 };
+    g.cost += r.costUsd || 0;
+    g.input += (r.inputTokens || 0) + (r.cacheReadTokens || 0) + (r.cacheWriteTokens || 0);
+    g.output += r.outputTokens || 0;
+    g.replies += 1;
+    groups.set(key, g);
+  }
+  return [...groups.values()];
+}
+
+function renderSpendTable(title, firstColumn, rows) {
+  return `
+    <div class="meta-chart-card">
+      <h3>${escapeHtml(title)}</h3>
+      ${rows.length ? `
+        <table class="data-table spend-table">
+          <thead>
+            <tr><th>${escapeHtml(firstColumn)}</th><th>Replies</th><th>Input tokens</th><th>Output tokens</th><th>Cost</th></tr>
+          </thead>
+          <tbody>
+            ${rows.map(r => `
+              <tr>
+                <td>${r.label}</td>
+                <td>${formatNumber(r.replies)}</td>
+                <td>${formatNumber(r.input)}</td>
+                <td>${formatNumber(r.output)}</td>
+                <td>${formatCost(r.cost)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : '<div class="text-sm text-tertiary">No usage recorded in this period.</div>'}
+    </div>
+  `;
+}
+
+function renderSpend() {
+  if (!spendRecords) {
+    return '<div class="empty-state"><p>Loading chat usage...</p></div>';
+  }
+
+  const agentsList = getState('agents')?.agents || [];
+  const agentName = id => {
+    const a = agentsList.find(x => x.id === id);
+    return a ? `${a.emoji || ''} ${a.name}`.trim() : (id || 'Unknown');
+  };
+
+  const now = new Date();
+  const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+  const today = spendRecords.filter(r => new Date(r.timestamp) >= dayStart);
+  const month = spendRecords.filter(r => new Date(r.timestamp) >= monthStart);
+  const sum = list => list.reduce((s, r) => s + (r.costUsd || 0), 0);
+  const todaySpend = sum(today);
+  const monthSpend = sum(month);
+  const overDaily = spendBudget.daily && todaySpend >= spendBudget.daily;
+  const overMonthly = spendBudget.monthly && monthSpend >= spendBudget.monthly;
+
+  const byPeriod = groupSpend(spendRecords, r => periodKey(r.timestamp))
+    .sort((a, b) => b.key.localeCompare(a.key))
+    .map(g => ({ ...g, label: escapeHtml(formatPeriod(g.key)) }));
+  const byAgent = groupSpend(spendRecords, r => r.agentId)
+    .sort((a, b) => b.cost - a.cost)
+    .map(g => ({ ...g, label: escapeHtml(agentName(g.key)) }));
+  const byModel = groupSpend(spendRecords, r => r.model || 'unknown')
+    .sort((a, b) => b.cost - a.cost)
+    .map(g => ({ ...g, label: `<code>${escapeHtml(g.key)}</code>` }));
+  const byAgentModel = groupSpend(spendRecords, r => `${periodKey(r.timestamp)}|${r.agentId}|${r.model || 'unknown'}`)
+    .sort((a, b) => b.key.localeCompare(a.key) || b.cost - a.cost)
+    .map(g => {
+      const [period, agentId, model] = g.key.split('|');
+      return { ...g, label: `${escapeHtml(formatPeriod(period))} · ${escapeHtml(agentName(agentId))} · <code>${escapeHtml(model)}</code>` };
+    });
+
+  const rangeLabel = spendPeriod === 'monthly' ? 'last 12 months' : 'last 30 days';
+
+  return `
+    <div class="funnel-toolbar" style="display:flex;flex-wrap:wrap;gap:var(--space-2);margin-bottom:var(--space-4);align-items:center">
+      <div style="display:flex;gap:var(--space-2)">
+        <button class="btn btn-sm ${spendPeriod === 'daily' ? 'btn-primary' : 'btn-ghost'}" data-spend-period="daily">Daily</button>
+        <button class="btn btn-sm ${spendPeriod === 'monthly' ? 'btn-primary' : 'btn-ghost'}" data-spend-period="monthly">Monthly</button>
+      </div>
+      <form id="spendBudgetForm" style="display:flex;gap:var(--space-2);align-items:center;margin-left:auto">
+        <label class="text-xs text-secondary" for="spendBudgetDaily">Daily budget $</label>
+        <input type="number" min="0" step="0.5" class="input-search" id="spendBudgetDaily" value="${spendBudget.daily || ''}" placeholder="none" style="width:80px">
+        <label class="text-xs text-secondary" for="spendBudgetMonthly">Monthly $</label>
+        <input type="number" min="0" step="1" class="input-search" id="spendBudgetMonthly" value="${spendBudget.monthly || ''}" placeholder="none" style="width:90px">
+        <button type="submit" class="btn btn-sm btn-outline">Save</button>
+      </form>
+    </div>
+    <div class="funnel-summary-row">
+      <div class="meta-chart-card" style="text-align:center;padding:var(--space-5)">
+        <div class="text-xs text-secondary" style="margin-bottom:var(--space-1)">Today${spendBudget.daily ? ` / ${formatCost(spendBudget.daily)}` : ''}</div>
+        <div style="font-size:var(--text-2xl);font-weight:700;color:${overDaily ? 'var(--color-error)' : 'var(--text-primary)'}">${formatCost(todaySpend)}</div>
+      </div>
+      <div class="meta-chart-card" style="text-align:center;padding:var(--space-5)">
+        <div class="text-xs text-secondary" style="margin-bottom:var(--space-1)">This Month${spendBudget.monthly ? ` / ${formatCost(spendBudget.monthly)}` : ''}</div>
+        <div style="font-size:var(--text-2xl);font-weight:700;color:${overMonthly ? 'var(--color-error)' : 'var(--text-primary)'}">${formatCost(monthSpend)}</div>
+      </div>
+      <div class="meta-chart-card" style="text-align:center;padding:var(--space-5)">
+        <div class="text-xs text-secondary" style="margin-bottom:var(--space-1)">Total (${rangeLabel})</div>
+        <div style="font-size:var(--text-2xl);font-weight:700;color:var(--text-primary)">${formatCost(sum(spendRecords))}</div>
+      </div>
+    </div>
+    ${renderSpendTable(spendPeriod === 'monthly' ? 'By month' : 'By day', spendPeriod === 'monthly' ? 'Month' : 'Day', byPeriod)}
+    ${renderSpendTable(`By agent (${rangeLabel})`, 'Agent', byAgent)}
+    ${renderSpendTable(`By model (${rangeLabel})`, 'Model', byModel)}
+    ${renderSpendTable(`${spendPeriod === 'monthly' ? 'Monthly' : 'Daily'} breakdown`, 'Period · Agent · Model', byAgentModel)}
+    <div class="text-xs text-tertiary" style="margin-top:var(--space-4)">Costs are estimates from list prices per model.</div>
+  `;
+}
+
 // ── Events ──────────────────────────────────────────────────────────
 function bindReportEvents() {
   const container = $('#reportsContainer');
   if (!container) return;
 
   container.addEventListener('click', (e) => {
+    const threadBtn = e.target.closest('[data-schedule-thread]');
+    if (threadBtn) {
+      const schedule = applyScheduleStatus(schedulesData?.schedules, scheduleStatus)
+        .find(s => s.id === threadBtn.dataset.scheduleId);
+      switchTab('chat');
+      openChatMessage(threadBtn.dataset.scheduleThread, null, {
+        title: `🕒 ${schedule?.name || 'Scheduled run'}`, agentId: schedule?.agentId,
+      });
+      return;
+    }
+
+    const runBtn = e.target.closest('[data-schedule-run]');
+    if (runBtn) {
+      runScheduleNow(runBtn.dataset.scheduleRun);
+      return;
+    }
+
     const tab = e.target.closest('[data-report-tab]');
     if (tab) {
       activeSubtab = tab.dataset.reportTab;
@@ -480,9 +695,19 @@ function bindReportEvents() {
         loadFunnelStats(funnelRange);
       } else if (activeSubtab === 'reports-funnels') {
         requestAnimationFrame(() => renderFunnelChart());
+      } else if (activeSubtab === 'reports-spend') {
+        loadSpendData();
       }
     }
 
+    const periodBtn = e.target.closest('[data-spend-period]');
+    if (periodBtn && periodBtn.dataset.spendPeriod !== spendPeriod) {
+      spendPeriod = periodBtn.dataset.spendPeriod;
+      spendRecords = null;
+      renderReports();
+      loadSpendData();
+    }
+
     // Submissions card click — toggle detail panel
     const subCard = e.target.closest('#funnelSubmissionsCard');
     if (subCard) {
@@ -515,6 +740,18 @@ function bindReportEvents() {
     }
   });
 
+  container.addEventListener('submit', async (e) => {
+    if (e.target.id !== 'spendBudgetForm') return;
+    e.preventDefault();
+    spendBudget = {
+      daily: parseFloat($('#spendBudgetDaily')?.value) || 0,
+      monthly: parseFloat($('#spendBudgetMonthly')?.value) || 0,
+    };
+    await saveBudget(spendBudget);
+    showToast('Chat budget saved', 'success');
+    renderReports();
+  });
+
   container.addEventListener('input', (e) => {
     if (e.target.id === 'reportActivitySearch') {
       const query = e.target.value.toLowerCase().trim();
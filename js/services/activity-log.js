@@ -0,0 +1,48 @@
+// js/services/activity-log.js — Activity entries recorded from the browser
+// ──────────────────────────────────────────────────────────────────────
+//
+// data/activity-log.json is written by the backend. Entries created in the
+// dashboard itself (e.g. approved agent actions) live in localStorage and
+// are merged on top whenever the log is loaded.
+
+import { getState, setState, generateId } from '../app.js';
+
+const STORAGE_KEY = 'forge-local-activity';
+const MAX_ENTRIES = 200;
+
+function loadLocalEntries() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+// Combine the server log with local entries, newest first
+export function mergeLocalActivity(data) {
+  const local = loadLocalEntries();
+  if (!local.length) return data;
+  const serverEntries = data?.entries || [];
+  const seen = new Set(serverEntries.map(e => e.id));
+  const entries = [...local.filter(e => !seen.has(e.id)), ...serverEntries]
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  return { ...(data || {}), entries };
+}
+
+// Append an entry and push it into the 'activities' state
+export function recordActivity({ type = 'system', action, details = '', session = 'dashboard' }) {
+  const entry = {
+    id: generateId(),
+    timestamp: new Date().toISOString(),
+    type, action, details, session,
+  };
+  const local = [entry, ...loadLocalEntries()].slice(0, MAX_ENTRIES);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(local));
+  } catch (err) {
+    console.warn('[activity-log] Failed to persist entry', err);
+  }
+  const current = getState('activities');
+  setState('activities', { ...(current || {}), entries: [entry, ...(current?.entries || [])] });
+  return entry;
+}
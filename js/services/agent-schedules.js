@@ -0,0 +1,190 @@
+// js/services/agent-schedules.js — Scheduled agent prompts: cron math + run status
+// ──────────────────────────────────────────────────────────────────────
+//
+// Agent schedules are entries in data/schedules.json with an `agentId` and
+// a `prompt`. api/agent-schedules.js runs the due ones from a Vercel cron,
+// posts each result into the schedule's own chat thread and records the
+// outcome in the agent_schedule_status table (supabase/agent-schedules.sql).
+// The Reports tab overlays that status on the static JSON.
+//
+// Cron expressions are evaluated in the schedule's `timezone` (default
+// America/Los_Angeles, matching the humanSchedule labels).
+
+import { getSupabase } from './supabase.js';
+
+export const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+const MAX_LATE_MS = 2 * 60 * 60 * 1000; // a run missed by more than this is skipped
+const SEARCH_MINUTES = 8 * 24 * 60;     // covers any weekly schedule
+
+// ── Cron ─────────────────────────────────────────────────────────────
+// Standard 5 fields: minute hour day-of-month month day-of-week, with
+// *, lists, ranges and steps. Day-of-week 7 is Sunday, like 0.
+
+const FIELD_RANGES = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function parseField(field, [min, max]) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    let lo, hi;
+    if (range === '*') {
+      [lo, hi] = [min, max];
+    } else if (range.includes('-')) {
+      [lo, hi] = range.split('-').map(n => parseInt(n, 10));
+    } else {
+      lo = parseInt(range, 10);
+      hi = stepText === undefined ? lo : max; // "5/15" = from 5 every 15
+    }
+    if ([lo, hi, step].some(isNaN) || lo < min || hi > max || lo > hi || step < 1) {
+      throw new Error(`Invalid cron field "${field}"`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+export function parseCron(expr) {
+  const fields = String(expr || '').trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error(`Invalid cron expression "${expr}"`);
+  const [minute, hour, day, month, weekday] = fields.map((f, i) => parseField(f, FIELD_RANGES[i]));
+  if (weekday.delete(7)) weekday.add(0);
+  return {
+    minute, hour, day, month, weekday,
+    // When both day fields are restricted, cron matches either of them
+    dayAny: fields[2] === '*',
+    weekdayAny: fields[4] === '*',
+  };
+}
+
+const formatters = new Map();
+
+function zonedParts(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', weekday: 'short',
+      month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    }));
+  }
+  const parts = {};
+  for (const p of formatters.get(timeZone).formatToParts(date)) parts[p.type] = p.value;
+  return {
+    minute: +parts.minute, hour: +parts.hour, day: +parts.day,
+    month: +parts.month, weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+function cronMatches(cron, date, timeZone) {
+  const t = zonedParts(date, timeZone);
+  if (!cron.minute.has(t.minute) || !cron.hour.has(t.hour) || !cron.month.has(t.month)) return false;
+  if (cron.dayAny || cron.weekdayAny) return cron.day.has(t.day) && cron.weekday.has(t.weekday);
+  return cron.day.has(t.day) || cron.weekday.has(t.weekday);
+}
+
+// Scans minute by minute; direction -1 finds the latest fire time at or
+// before `from`, +1 the first one after it. null if none within 8 days.
+function findRun(expr, from, timeZone, direction) {
+  const cron = parseCron(expr);
+  const start = Math.floor(new Date(from).getTime() / 60000) * 60000;
+  for (let i = direction < 0 ? 0 : 1; i <= SEARCH_MINUTES; i++) {
+    const date = new Date(start + direction * i * 60000);
+    if (cronMatches(cron, date, timeZone)) return date;
+  }
+  return null;
+}
+
+export function getPreviousRun(expr, from = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  return findRun(expr, from, timeZone, -1);
+}
+
+export function getNextRun(expr, from = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  return findRun(expr, from, timeZone, 1);
+}
+
+// ── Schedules ────────────────────────────────────────────────────────
+
+export function isAgentSchedule(schedule) {
+  return !!(schedule?.agentId && schedule?.prompt);
+}
+
+// Every run of a schedule is posted to the same thread
+export function getScheduleThreadId(schedule) {
+  return `schedule-${schedule.id}`;
+}
+
+/**
+ * Whether an agent schedule should run now: its latest fire time has
+ * passed, it hasn't run since, and it isn't more than MAX_LATE_MS late
+ * (so a deploy after an outage doesn't replay yesterday's brief).
+ */
+export function isScheduleDue(schedule, status, now = new Date()) {
+  if (!isAgentSchedule(schedule) || schedule.enabled === false) return false;
+  let previous;
+  try {
+    previous = getPreviousRun(schedule.schedule, now, schedule.timezone || DEFAULT_TIMEZONE);
+  } catch (err) {
+    console.warn(`[agent-schedules] ${schedule.id}: ${err.message}`);
+    return false;
+  }
+  if (!previous || now - previous > MAX_LATE_MS) return false;
+  return !status?.lastRun || new Date(status.lastRun) < previous;
+}
+
+// ── Status ───────────────────────────────────────────────────────────
+
+export function normalizeStatus(row) {
+  return {
+    scheduleId: row.schedule_id,
+    lastRun: row.last_run,
+    lastStatus: row.last_status,
+    lastError: row.last_error,
+    threadId: row.thread_id,
+  };
+}
+
+export function toStatusRow(scheduleId, { lastRun, lastStatus, lastError = null, threadId = null }) {
+  return {
+    schedule_id: scheduleId,
+    last_run: lastRun,
+    last_status: lastStatus,
+    last_error: lastError,
+    thread_id: threadId,
+    updated_at: new Date().toISOString(),
+  };
+}
+
+// scheduleId → status, or null when Supabase is unavailable
+export async function fetchScheduleStatus() {
+  const sb = getSupabase();
+  if (!sb) return null;
+  try {
+    const { data, error } = await sb.from('agent_schedule_status').select('*');
+    if (error) throw error;
+    return Object.fromEntries((data || []).map(row => [row.schedule_id, normalizeStatus(row)]));
+  } catch (err) {
+    console.warn('[agent-schedules] fetchScheduleStatus failed', err);
+    return null;
+  }
+}
+
+/**
+ * Layers recorded run status over the static schedule entries. Agent
+ * schedules also get a computed nextRun; other entries keep their JSON values.
+ */
+export function applyScheduleStatus(schedules, statuses, now = new Date()) {
+  return (schedules || []).map(s => {
+    if (!isAgentSchedule(s)) return s;
+    const status = statuses?.[s.id];
+    let nextRun = s.nextRun;
+    try {
+      nextRun = s.enabled === false ? null : getNextRun(s.schedule, now, s.timezone || DEFAULT_TIMEZONE)?.toISOString();
+    } catch { /* invalid expression — keep the JSON value */ }
+    return {
+      ...s,
+      nextRun,
+      threadId: getScheduleThreadId(s),
+      ...(status ? { lastRun: status.lastRun, lastStatus: status.lastStatus, lastError: status.lastError } : {}),
+    };
+  });
+}
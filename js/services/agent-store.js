@@ -0,0 +1,237 @@
+// js/services/agent-store.js — Editable agent configs (Supabase + localStorage)
+// ──────────────────────────────────────────────────────────────────────
+// data/agents.json is the seed. Edits from the agent editor are stored as
+// full agent objects keyed by id and layered on top of it. Every save also
+// writes a version row so a prompt can be rolled back.
+//
+// A save that can't reach Supabase stays in localStorage marked `pending`
+// (the config and its version entry) and goes out, oldest first, at the
+// next save or fetch — so an offline edit isn't left local for good.
+
+import { getSupabase } from './supabase.js';
+import { stableStringify } from '../doc-diff.js';
+
+const USER_ID = 'dan';
+const LOCAL_KEY = 'forge-agent-configs';
+const LOCAL_VERSIONS_KEY = 'forge-agent-config-versions';
+const MAX_LOCAL_VERSIONS = 20; // per agent, for the offline fallback
+const MAX_VERSION_RETRIES = 3;  // another device took the number meanwhile
+const UNIQUE_VIOLATION = '23505';
+
+// ── Local cache ──────────────────────────────────────────────────────
+
+function loadLocal(key) {
+  try { return JSON.parse(localStorage.getItem(key)) || {}; }
+  catch { return {}; }
+}
+
+function saveLocal(key, value) {
+  try { localStorage.setItem(key, JSON.stringify(value)); }
+  catch (err) { console.warn('[agent-store] localStorage write failed', err); }
+}
+
+// id → { config, archived, version, updatedAt, pending? }
+export function getLocalAgentConfigs() {
+  return loadLocal(LOCAL_KEY);
+}
+
+// Seed agents with stored overrides applied; archived agents keep
+// `archived: true` so callers decide whether to show them.
+export function mergeAgentConfigs(seedAgents, configs = getLocalAgentConfigs()) {
+  const merged = (seedAgents || []).map(a => {
+    const stored = configs[a.id];
+    return stored ? { ...a, ...stored.config, id: a.id, archived: !!stored.archived, version: stored.version } : a;
+  });
+  const seedIds = new Set(merged.map(a => a.id));
+  for (const [id, stored] of Object.entries(configs)) {
+    if (!seedIds.has(id)) merged.push({ ...stored.config, id, archived: !!stored.archived, version: stored.version });
+  }
+  return merged;
+}
+
+// ── Supabase ─────────────────────────────────────────────────────────
+
+// Pulls remote configs into the local cache. Returns the configs map, or
+// null when Supabase is unavailable (local cache stays authoritative).
+export async function fetchAgentConfigs() {
+  const sb = getSupabase();
+  if (!sb) return null;
+  try {
+    const { data, error } = await sb
+      .from('agent_configs')
+      .select('*')
+      .eq('user_id', USER_ID);
+    if (error) throw error;
+
+    markUnsynced(data || []);
+    for (const [agentId, stored] of Object.entries(getLocalAgentConfigs())) {
+      if (!stored.pending) continue;
+      try { await pushPending(sb, agentId); }
+      catch (err) { console.warn('[agent-store] pushing', agentId, 'failed', err); }
+    }
+
+    const configs = getLocalAgentConfigs();
+    for (const row of data || []) {
+      const local = configs[row.id];
+      // Keep a local edit that is newer, just pushed or still waiting to be
+      if (local && (local.pending || local.version > row.version)) continue;
+      configs[row.id] = {
+        config: row.config,
+        archived: row.archived,
+        version: row.version,
+        updatedAt: row.updated_at,
+      };
+    }
+    saveLocal(LOCAL_KEY, configs);
+    return configs;
+  } catch (err) {
+    console.warn('[agent-store] fetchAgentConfigs failed', err);
+    return null;
+  }
+}
+
+// Highest version Supabase has for the agent — other devices may have
+// saved since this one last fetched, or this one saved offline
+async function latestRemoteVersion(sb, agentId) {
+  const { data, error } = await sb
+    .from('agent_config_versions')
+    .select('version')
+    .eq('agent_id', agentId)
+    .order('version', { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return data?.[0]?.version || 0;
+}
+
+// A version saved locally as `from` went to Supabase as `to`
+function renumberLocal(agentId, from, to) {
+  const configs = getLocalAgentConfigs();
+  if (configs[agentId]?.version === from) {
+    configs[agentId].version = to;
+    saveLocal(LOCAL_KEY, configs);
+  }
+  const versions = loadLocal(LOCAL_VERSIONS_KEY);
+  const entry = versions[agentId]?.find(v => v.version === from && v.pending);
+  if (entry) {
+    entry.version = to;
+    delete entry.pending;
+    saveLocal(LOCAL_VERSIONS_KEY, versions);
+  }
+}
+
+// Edits saved offline before they were marked: a local config Supabase has
+// no row for, an older one, or a different one under the same number
+function markUnsynced(rows) {
+  const configs = getLocalAgentConfigs();
+  const versions = loadLocal(LOCAL_VERSIONS_KEY);
+  let changed = false;
+  for (const [agentId, stored] of Object.entries(configs)) {
+    const row = rows.find(r => r.id === agentId);
+    if (stored.pending || row?.version > stored.version) continue;
+    if (row?.version === stored.version && stableStringify(row.config) === stableStringify(stored.config)) continue;
+    stored.pending = true;
+    const entry = versions[agentId]?.find(v => v.version === stored.version);
+    if (entry) entry.pending = true;
+    changed = true;
+  }
+  if (!changed) return;
+  saveLocal(LOCAL_KEY, configs);
+  saveLocal(LOCAL_VERSIONS_KEY, versions);
+}
+
+// Writes a version row and returns the number it got. Its UNIQUE
+// (agent_id, version) is what hands out the number, so two devices can't
+// both take it; on a clash the latest number is re-read and the insert
+// retried.
+async function insertVersion(sb, agentId, entry) {
+  for (let attempt = 0; ; attempt++) {
+    const version = Math.max(entry.version, await latestRemoteVersion(sb, agentId) + 1);
+    const { error } = await sb.from('agent_config_versions').insert({
+      agent_id: agentId, version, config: entry.config, note: entry.note || null, created_at: entry.createdAt,
+    });
+    if (!error) return version;
+    if (error.code !== UNIQUE_VIOLATION || attempt >= MAX_VERSION_RETRIES) throw error;
+  }
+}
+
+// Pushes the agent's pending versions, oldest first, then its config.
+// The version rows go first so the config carries the number Supabase gave
+async function pushPending(sb, agentId) {
+  const pending = (loadLocal(LOCAL_VERSIONS_KEY)[agentId] || []).filter(v => v.pending).reverse();
+  for (const entry of pending) {
+    renumberLocal(agentId, entry.version, await insertVersion(sb, agentId, entry));
+  }
+
+  const stored = getLocalAgentConfigs()[agentId];
+  if (!stored?.pending) return stored?.version;
+  const { error } = await sb.from('agent_configs').upsert({
+    id: agentId,
+    user_id: USER_ID,
+    config: stored.config,
+    archived: stored.archived,
+    version: stored.version,
+    updated_at: stored.updatedAt,
+  }, { onConflict: 'id' });
+  if (error) throw error;
+
+  // Unless it was saved again meanwhile
+  const configs = getLocalAgentConfigs();
+  if (configs[agentId]?.version === stored.version) {
+    delete configs[agentId].pending;
+    saveLocal(LOCAL_KEY, configs);
+  }
+  return stored.version;
+}
+
+// Saves a full agent object as a new version. Local first, then Supabase,
+// along with any earlier versions of the agent that were saved offline.
+export async function saveAgentConfig(agent, { archived = false, note = '' } = {}) {
+  const { version: _v, archived: _a, ...config } = agent;
+  const configs = getLocalAgentConfigs();
+  const version = (configs[agent.id]?.version || 0) + 1;
+  const now = new Date().toISOString();
+
+  configs[agent.id] = { config, archived, version, updatedAt: now, pending: true };
+  saveLocal(LOCAL_KEY, configs);
+
+  const versions = loadLocal(LOCAL_VERSIONS_KEY);
+  versions[agent.id] = [{ version, config, note, createdAt: now, pending: true }, ...(versions[agent.id] || [])]
+    .slice(0, MAX_LOCAL_VERSIONS);
+  saveLocal(LOCAL_VERSIONS_KEY, versions);
+
+  const sb = getSupabase();
+  if (!sb) return { version, synced: false };
+  try {
+    return { version: await pushPending(sb, agent.id), synced: true };
+  } catch (err) {
+    console.warn('[agent-store] saveAgentConfig failed', err);
+    return { version: getLocalAgentConfigs()[agent.id]?.version ?? version, synced: false };
+  }
+}
+
+// Newest first: [{ version, config, note, createdAt }]
+export async function fetchAgentVersions(agentId) {
+  const local = loadLocal(LOCAL_VERSIONS_KEY)[agentId] || [];
+  const sb = getSupabase();
+  if (!sb) return local;
+  try {
+    const { data, error } = await sb
+      .from('agent_config_versions')
+      .select('version, config, note, created_at')
+      .eq('agent_id', agentId)
+      .order('version', { ascending: false })
+      .limit(50);
+    if (error) throw error;
+    const remote = (data || []).map(r => ({
+      version: r.version, config: r.config, note: r.note || '', createdAt: r.created_at,
+    }));
+    // Versions not pushed yet are listed too, even if their number has
+    // meanwhile been taken in Supabase
+    const remoteVersions = new Set(remote.map(v => v.version));
+    return [...local.filter(v => v.pending || !remoteVersions.has(v.version)), ...remote]
+      .sort((a, b) => b.version - a.version);
+  } catch (err) {
+    console.warn('[agent-store] fetchAgentVersions failed, using localStorage', err);
+    return local;
+  }
+}
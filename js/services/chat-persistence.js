@@ -29,16 +29,7 @@ export async function createThread(thread) {
   const sb = getSupabase();
   if (!sb) return null;
   try {
-    const row = {
-      id: thread.id,
-      user_id: USER_ID,
-      title: thread.title || 'New conversation',
-      agent_id: thread.agentId || 'geeves',
-      archived: false,
-      created_at: thread.createdAt || new Date().toISOString(),
-      updated_at: thread.updatedAt || new Date().toISOString(),
-    };
-    const { data, error } = await sb.from('chat_threads').insert(row).select().single();
+    const { data, error } = await sb.from('chat_threads').insert(toThreadRow(thread)).select().single();
     if (error) throw error;
     return normalizeThread(data);
   } catch (err) {
@@ -102,25 +93,96 @@ export async function saveMessage(threadId, msg) {
   const sb = getSupabase();
   if (!sb) return null;
   try {
-    const row = {
-      thread_id: threadId,
-      role: msg.role,
-      content: msg.content,
-      resolved_content: msg.resolvedContent || null,
-      model: msg.model || null,
-      created_at: msg.timestamp || new Date().toISOString(),
-    };
-    const { data, error } = await sb.from('chat_messages').insert(row).select().single();
+    const row = toMessageRow(threadId, msg);
+    // Branch-aware messages are upserted on (thread_id, message_uid) so a
+    // re-push from another device or a retried sync never inserts twice
+    const query = row.message_uid
+      ? sb.from('chat_messages').upsert(row, { onConflict: 'thread_id,message_uid', ignoreDuplicates: true })
+      : sb.from('chat_messages').insert(row);
+    const { data, error } = await query.select();
     if (error) throw error;
     // Also bump thread updated_at
     await sb.from('chat_threads').update({ updated_at: row.created_at }).eq('id', threadId);
-    return normalizeMessage(data);
+    return data?.[0] ? normalizeMessage(data[0]) : null;
   } catch (err) {
     console.warn('[chat-persistence] saveMessage failed', err);
     return null;
   }
 }
 
+// Matches a message row by its uid, or — for messages saved before
+// branching, which have none — by the thread + role + timestamp key.
+function matchMessage(query, threadId, msg) {
+  query = query.eq('thread_id', threadId);
+  return msg.uid
+    ? query.eq('message_uid', msg.uid)
+    : query.eq('role', msg.role).eq('created_at', msg.timestamp);
+}
+
+// Persists approve/reject decisions on a message's proposed actions
+export async function updateMessageActions(threadId, msg) {
+  const sb = getSupabase();
+  if (!sb) return false;
+  try {
+    const { error } = await matchMessage(
+      sb.from('chat_messages').update({ actions: msg.actions || null }), threadId, msg
+    );
+    if (error) throw error;
+    return true;
+  } catch (err) {
+    console.warn('[chat-persistence] updateMessageActions failed', err);
+    return false;
+  }
+}
+
+// ── Message identity ─────────────────────────────────────────────────
+
+// Stable ID for a message across devices: its uid, or for messages saved
+// before branching, timestamp + role. Timestamps are normalized because
+// Supabase returns +00:00 offsets where local copies have Z.
+export function getMessageNodeId(msg) {
+  if (msg.uid) return msg.uid;
+  const time = new Date(msg.timestamp || 0);
+  return `${isNaN(time) ? msg.timestamp : time.toISOString()}|${msg.role}`;
+}
+
+// ── Row mappers ──────────────────────────────────────────────────────
+// Exported for server code (api/agent-schedules.js) that writes chat rows
+// over the REST API with the service key instead of supabase-js.
+
+export function toThreadRow(thread) {
+  return {
+    id: thread.id,
+    user_id: USER_ID,
+    title: thread.title || 'New conversation',
+    agent_id: thread.agentId || 'geeves',
+    archived: false,
+    created_at: thread.createdAt || new Date().toISOString(),
+    updated_at: thread.updatedAt || new Date().toISOString(),
+  };
+}
+
+export function toMessageRow(threadId, msg) {
+  return {
+    thread_id: threadId,
+    message_uid: msg.uid || null,
+    parent_uid: msg.uid ? (msg.parentId ?? null) : null,
+    role: msg.role,
+    content: msg.content,
+    resolved_content: msg.resolvedContent || null,
+    model: msg.model || null,
+    tool_calls: msg.toolCalls?.length ? msg.toolCalls : null,
+    actions: msg.actions?.length ? msg.actions : null,
+    sources: msg.sources?.length ? msg.sources : null,
+    input_tokens: msg.usage?.inputTokens ?? null,
+    output_tokens: msg.usage?.outputTokens ?? null,
+    cache_read_tokens: msg.usage?.cacheReadTokens ?? null,
+    cache_write_tokens: msg.usage?.cacheWriteTokens ?? null,
+    cost_usd: msg.usage?.costUsd ?? null,
+    created_at: msg.timestamp || new Date().toISOString(),
+  };
+}
+
 // ── Normalizers ──────────────────────────────────────────────────────
 
 function normalizeThread(row) {
@@ -137,10 +199,27 @@ function normalizeThread(row) {
 function normalizeMessage(row) {
   return {
     id: row.id,
+    uid: row.message_uid || undefined,
+    parentId: row.message_uid ? row.parent_uid : undefined,
     role: row.role,
     content: row.content,
     resolvedContent: row.resolved_content,
     model: row.model,
+    toolCalls: row.tool_calls || undefined,
+    actions: row.actions || undefined,
+    sources: row.sources || undefined,
+    usage: normalizeUsage(row),
     timestamp: row.created_at,
   };
 }
+
+function normalizeUsage(row) {
+  if (row.cost_usd == null) return undefined;
+  return {
+    inputTokens: row.input_tokens || 0,
+    outputTokens: row.output_tokens || 0,
+    cacheReadTokens: row.cache_read_tokens || 0,
+    cacheWriteTokens: row.cache_write_tokens || 0,
+    costUsd: Number(row.cost_usd) || 0,
+  };
+}
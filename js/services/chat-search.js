@@ -0,0 +1,208 @@
+// js/services/chat-search.js — Full-text search over chat message bodies
+// ──────────────────────────────────────────────────────────────────────
+//
+// Searches every thread, not just the active agent's: local copies from
+// localStorage plus Supabase, so threads that only exist remotely (another
+// device, cleared storage) are found too. A message matches when it
+// contains every query term; "quoted phrases" count as one term. Remote
+// matching is ilike, backed by the trigram index in supabase/chat-search.sql.
+
+import { getSupabase } from './supabase.js';
+import { getMessageNodeId } from './chat-persistence.js';
+
+const THREADS_KEY = 'forge-chat-threads';
+const USER_ID = 'dan';
+const REMOTE_LIMIT = 200;
+const SNIPPET_RADIUS = 70;
+
+export const DATE_RANGES = {
+  all: { label: 'Any time', days: 0 },
+  '7d': { label: 'Past 7 days', days: 7 },
+  '30d': { label: 'Past 30 days', days: 30 },
+  '90d': { label: 'Past 90 days', days: 90 },
+};
+
+// ── Query helpers ────────────────────────────────────────────────────
+
+export function getSearchTerms(query) {
+  const terms = [];
+  const re = /"([^"]+)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(query || ''))) {
+    const term = (m[1] ?? m[2]).trim().toLowerCase();
+    if (term && !terms.includes(term)) terms.push(term);
+  }
+  return terms;
+}
+
+function matchesAll(text, terms) {
+  const lower = (text || '').toLowerCase();
+  return terms.every(t => lower.includes(t));
+}
+
+function rangeStart(range) {
+  const days = DATE_RANGES[range]?.days;
+  return days ? new Date(Date.now() - days * 86400000) : null;
+}
+
+// Supabase returns +00:00 offsets, localStorage has Z — compare as dates
+const isSince = (timestamp, since) => !since || new Date(timestamp) >= since;
+
+// % and _ are ilike wildcards; PostgREST also treats * as one
+function escapeLike(term) {
+  return term.replace(/[\\%_]/g, c => `\\${c}`).replace(/\*/g, '');
+}
+
+function stripMarkdown(text) {
+  return (text || '')
+    .replace(/```[\s\S]*?```/g, m => m.replace(/```\w*/g, ' '))
+    .replace(/[*_`#>]+/g, '')
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * ±SNIPPET_RADIUS characters around the earliest term in `text`, with
+ * ellipses where it was cut. Markdown syntax is stripped.
+ */
+export function buildSnippet(text, terms) {
+  const plain = stripMarkdown(text);
+  const lower = plain.toLowerCase();
+  const hits = terms.map(t => lower.indexOf(t)).filter(i => i >= 0);
+  const at = hits.length ? Math.min(...hits) : 0;
+
+  let start = Math.max(0, at - SNIPPET_RADIUS);
+  let end = Math.min(plain.length, at + SNIPPET_RADIUS * 2);
+  // Don't cut words in half
+  if (start > 0) start = plain.indexOf(' ', start) + 1 || start;
+  if (end < plain.length) end = plain.lastIndexOf(' ', end) > at ? plain.lastIndexOf(' ', end) : end;
+
+  return (start > 0 ? '…' : '') + plain.slice(start, end) + (end < plain.length ? '…' : '');
+}
+
+/**
+ * Escapes `text` and wraps every occurrence of the terms in <mark>.
+ */
+export function highlightTerms(text, terms) {
+  const esc = s => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  if (!terms.length) return esc(text || '');
+  const pattern = terms
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+  return (text || '')
+    .split(new RegExp(`(${pattern})`, 'gi'))
+    .map((part, i) => (i % 2 ? `<mark>${esc(part)}</mark>` : esc(part)))
+    .join('');
+}
+
+// ── Search ───────────────────────────────────────────────────────────
+// Hits: { threadId, nodeId, role, timestamp, snippet, thread }, where
+// `thread` is { id, title, agentId, createdAt, updatedAt } and `remoteOnly`
+// marks threads that still have to be fetched before they can be opened.
+
+function getLocalThreads() {
+  try { return JSON.parse(localStorage.getItem(THREADS_KEY)) || []; }
+  catch { return []; }
+}
+
+function threadMeta(t) {
+  return { id: t.id, title: t.title, agentId: t.agentId, createdAt: t.createdAt, updatedAt: t.updatedAt };
+}
+
+export function searchLocalMessages(query, { agentId = null, range = 'all' } = {}) {
+  const terms = getSearchTerms(query);
+  if (!terms.length) return [];
+  const since = rangeStart(range);
+
+  const hits = [];
+  for (const t of getLocalThreads()) {
+    if (agentId && t.agentId !== agentId) continue;
+    for (const m of t.messages || []) {
+      if (!isSince(m.timestamp, since) || !matchesAll(m.content, terms)) continue;
+      hits.push({
+        threadId: t.id,
+        nodeId: getMessageNodeId(m),
+        role: m.role,
+        timestamp: m.timestamp,
+        snippet: buildSnippet(m.content, terms),
+        thread: threadMeta(t),
+        remoteOnly: false,
+      });
+    }
+  }
+  return hits;
+}
+
+async function searchRemoteMessages(terms, { agentId, since }) {
+  const sb = getSupabase();
+  if (!sb) return [];
+  try {
+    let messageQuery = sb
+      .from('chat_messages')
+      .select('thread_id, role, content, created_at, message_uid')
+      .order('created_at', { ascending: false })
+      .limit(REMOTE_LIMIT);
+    for (const term of terms) messageQuery = messageQuery.ilike('content', `%${escapeLike(term)}%`);
+    if (since) messageQuery = messageQuery.gte('created_at', since.toISOString());
+
+    let threadQuery = sb
+      .from('chat_threads')
+      .select('id, title, agent_id, created_at, updated_at')
+      .eq('user_id', USER_ID)
+      .eq('archived', false);
+    if (agentId) threadQuery = threadQuery.eq('agent_id', agentId);
+
+    const [messages, threads] = await Promise.all([messageQuery, threadQuery]);
+    if (messages.error) throw messages.error;
+    if (threads.error) throw threads.error;
+
+    const threadById = new Map((threads.data || []).map(t => [t.id, {
+      id: t.id, title: t.title, agentId: t.agent_id, createdAt: t.created_at, updatedAt: t.updated_at,
+    }]));
+
+    // Rows from archived, other users' or filtered-out agents' threads drop out here
+    return (messages.data || [])
+      .filter(row => threadById.has(row.thread_id))
+      .map(row => ({
+        threadId: row.thread_id,
+        nodeId: getMessageNodeId({ uid: row.message_uid, timestamp: row.created_at, role: row.role }),
+        role: row.role,
+        timestamp: row.created_at,
+        snippet: buildSnippet(row.content, terms),
+        thread: threadById.get(row.thread_id),
+        remoteOnly: true,
+      }));
+  } catch (err) {
+    console.warn('[chat-search] remote search failed, local results only', err);
+    return [];
+  }
+}
+
+/**
+ * Searches message bodies in every thread, newest first.
+ * Options: agentId (null = all agents), range (a DATE_RANGES key), limit.
+ */
+export async function searchChatMessages(query, { agentId = null, range = 'all', limit = 50 } = {}) {
+  const terms = getSearchTerms(query);
+  if (!terms.length) return [];
+
+  const local = searchLocalMessages(query, { agentId, range });
+  const remote = await searchRemoteMessages(terms, { agentId, since: rangeStart(range) });
+
+  const localThreadIds = new Set(getLocalThreads().map(t => t.id));
+  const seen = new Set(local.map(h => `${h.threadId}|${h.nodeId}`));
+  const merged = [...local];
+  for (const hit of remote) {
+    const key = `${hit.threadId}|${hit.nodeId}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    merged.push({ ...hit, remoteOnly: !localThreadIds.has(hit.threadId) });
+  }
+
+  return merged
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .slice(0, limit);
+}
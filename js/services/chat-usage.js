@@ -0,0 +1,223 @@
+// js/services/chat-usage.js — Token usage, cost estimates and chat budget
+// ──────────────────────────────────────────────────────────────────────
+//
+// Usage is captured from every chat LLM response and stored on the
+// assistant message (chat_messages usage columns, see
+// supabase/chat-usage.sql). Costs are estimates from list prices.
+
+import { getSupabase } from './supabase.js';
+import { getSetting, setSetting } from './user-settings.js';
+
+const THREADS_KEY = 'forge-chat-threads';
+const BUDGET_KEY = 'chat-budget';
+const CACHE_TTL = 60 * 1000;
+
+// USD per million tokens. Cache writes bill at 1.25× input, reads at 0.1×.
+const MODEL_PRICING = {
+  'claude-opus-4-6':   { input: 5,  output: 25 },
+  'claude-opus-4-5':   { input: 5,  output: 25 },
+  'claude-opus-4-1':   { input: 15, output: 75 },
+  'claude-opus-4':     { input: 15, output: 75 },
+  'claude-sonnet-4-5': { input: 3,  output: 15 },
+  'claude-sonnet-4':   { input: 3,  output: 15 },
+  'claude-haiku-4-5':  { input: 1,  output: 5 },
+  'claude-3-5-haiku':  { input: 0.8, output: 4 },
+  'gpt-4.1-mini':      { input: 0.4, output: 1.6 },
+  'gpt-4.1':           { input: 2,  output: 8 },
+};
+const FALLBACK_PRICING = MODEL_PRICING['claude-opus-4-6'];
+
+let _recordsCache = null; // { since, fetchedAt, records }
+
+// ── Pricing ──────────────────────────────────────────────────────────
+
+// Matches dated and dotted variants, e.g. claude-sonnet-4-20250514, claude-opus-4.5
+function getPricing(model) {
+  const id = (model || '').toLowerCase().replace(/\./g, '-').replace(/-\d{8}$/, '');
+  const key = Object.keys(MODEL_PRICING)
+    .sort((a, b) => b.length - a.length)
+    .find(k => id === k.replace(/\./g, '-') || id.startsWith(k.replace(/\./g, '-') + '-'));
+  return key ? MODEL_PRICING[key] : FALLBACK_PRICING;
+}
+
+// Model IDs with known pricing (offered in the agent editor)
+export function getKnownModels() {
+  return Object.keys(MODEL_PRICING);
+}
+
+export function estimateCost(model, usage) {
+  if (!usage) return 0;
+  const p = getPricing(model);
+  const cost = (
+    (usage.inputTokens || 0) * p.input +
+    (usage.cacheWriteTokens || 0) * p.input * 1.25 +
+    (usage.cacheReadTokens || 0) * p.input * 0.1 +
+    (usage.outputTokens || 0) * p.output
+  ) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+// Converts an Anthropic/OpenAI `usage` object into our shape
+export function normalizeUsage(raw) {
+  if (!raw) return null;
+  return {
+    inputTokens: raw.input_tokens ?? raw.prompt_tokens ?? 0,
+    outputTokens: raw.output_tokens ?? raw.completion_tokens ?? 0,
+    cacheReadTokens: raw.cache_read_input_tokens || 0,
+    cacheWriteTokens: raw.cache_creation_input_tokens || 0,
+  };
+}
+
+// Sums usage across the rounds of a tool loop
+export function addUsage(a, b) {
+  if (!b) return a;
+  if (!a) return { ...b };
+  return {
+    inputTokens: a.inputTokens + b.inputTokens,
+    outputTokens: a.outputTokens + b.outputTokens,
+    cacheReadTokens: a.cacheReadTokens + b.cacheReadTokens,
+    cacheWriteTokens: a.cacheWriteTokens + b.cacheWriteTokens,
+  };
+}
+
+export function formatCost(usd) {
+  if (!usd) return '$0.00';
+  return usd < 0.01 ? '<$0.01' : `$${usd.toFixed(2)}`;
+}
+
+// ── Usage records ────────────────────────────────────────────────────
+// Flat list of { timestamp, agentId, model, ...usage, costUsd }
+
+// Supabase returns +00:00 offsets, localStorage has Z — compare as dates
+const isSince = (timestamp, since) => !since || new Date(timestamp) >= new Date(since);
+
+function getLocalRecords(since) {
+  let threads = [];
+  try { threads = JSON.parse(localStorage.getItem(THREADS_KEY)) || []; }
+  catch { /* corrupted — treat as empty */ }
+
+  const records = [];
+  for (const t of threads) {
+    for (const m of t.messages || []) {
+      if (!m.usage || !isSince(m.timestamp, since)) continue;
+      records.push({ timestamp: m.timestamp, agentId: t.agentId, model: m.model, ...m.usage });
+    }
+  }
+  return records;
+}
+
+async function getRemoteRecords(since) {
+  const sb = getSupabase();
+  if (!sb) return null;
+  try {
+    const [messages, threads] = await Promise.all([
+      sb.from('chat_messages')
+        .select('thread_id, model, input_tokens, output_tokens, cache_read_tokens, cache_write_tokens, cost_usd, created_at')
+        .not('cost_usd', 'is', null)
+        .gte('created_at', since)
+        .order('created_at', { ascending: true }),
+      // Include archived threads — their spend still counts
+      sb.from('chat_threads').select('id, agent_id'),
+    ]);
+    if (messages.error) throw messages.error;
+    if (threads.error) throw threads.error;
+
+    const agentByThread = new Map((threads.data || []).map(t => [t.id, t.agent_id]));
+    return (messages.data || []).map(row => ({
+      timestamp: row.created_at,
+      agentId: agentByThread.get(row.thread_id) || 'unknown',
+      model: row.model,
+      inputTokens: row.input_tokens || 0,
+      outputTokens: row.output_tokens || 0,
+      cacheReadTokens: row.cache_read_tokens || 0,
+      cacheWriteTokens: row.cache_write_tokens || 0,
+      costUsd: Number(row.cost_usd) || 0,
+    }));
+  } catch (err) {
+    console.warn('[chat-usage] getRemoteRecords failed, using localStorage', err);
+    return null;
+  }
+}
+
+// Supabase first (covers every device), localStorage threads as fallback
+export async function getUsageRecords(since, { fresh = false } = {}) {
+  if (!fresh && _recordsCache && isSince(since, _recordsCache.since) &&
+      Date.now() - _recordsCache.fetchedAt < CACHE_TTL) {
+    return _recordsCache.records.filter(r => isSince(r.timestamp, since));
+  }
+  const records = (await getRemoteRecords(since)) ?? getLocalRecords(since);
+  _recordsCache = { since, fetchedAt: Date.now(), records };
+  return records;
+}
+
+// Keeps cached totals current right after a reply is saved
+export function noteUsageRecord(record) {
+  if (_recordsCache) _recordsCache.records.push(record);
+}
+
+// ── Budget ───────────────────────────────────────────────────────────
+
+export async function getBudget() {
+  return getSetting(BUDGET_KEY, { daily: 0, monthly: 0 }); // 0 = no limit
+}
+
+export async function saveBudget(budget) {
+  await setSetting(BUDGET_KEY, budget);
+}
+
+function startOfDay() {
+  const d = new Date();
+  d.setHours(0, 0, 0, 0);
+  return d.toISOString();
+}
+
+function startOfMonth() {
+  const d = new Date();
+  return new Date(d.getFullYear(), d.getMonth(), 1).toISOString();
+}
+
+export async function getSpendTotals() {
+  const dayStart = startOfDay();
+  const records = await getUsageRecords(startOfMonth());
+  const sum = list => list.reduce((s, r) => s + (r.costUsd || 0), 0);
+  return { today: sum(records.filter(r => isSince(r.timestamp, dayStart))), month: sum(records) };
+}
+
+const BUDGET_WARN_SHARE = 0.8;  // warn once 80% of a budget is spent
+const CHARS_PER_TOKEN = 4;       // rough, for estimating a prompt before it's sent
+const TYPICAL_REPLY_TOKENS = 1000;
+
+// What sending `promptChars` of conversation is likely to cost, reply included
+export function estimatePromptCost(model, promptChars) {
+  return estimateCost(model, {
+    inputTokens: Math.ceil((promptChars || 0) / CHARS_PER_TOKEN),
+    outputTokens: TYPICAL_REPLY_TOKENS,
+  });
+}
+
+// Returns a warning string when today's or this month's spend has reached
+// its budget, is past BUDGET_WARN_SHARE of it, or would pass it with this
+// message (`model` and `promptChars` give its estimated cost); null when
+// sending is comfortably within budget.
+export async function checkBudget({ model, promptChars = 0 } = {}) {
+  const budget = await getBudget();
+  if (!budget?.daily && !budget?.monthly) return null;
+
+  const spend = await getSpendTotals();
+  const next = estimatePromptCost(model, promptChars);
+  const periods = [
+    ["Today's", 'daily', spend.today, budget.daily],
+    ["This month's", 'monthly', spend.month, budget.monthly],
+  ];
+  for (const [label, kind, spent, limit] of periods) {
+    if (!limit) continue;
+    if (spent >= limit) {
+      return `${label} chat spend is ${formatCost(spent)} (${kind} budget ${formatCost(limit)}).`;
+    }
+    if (spent + next >= limit || spent >= limit * BUDGET_WARN_SHARE) {
+      return `${label} chat spend is ${formatCost(spent)} of the ${formatCost(limit)} ${kind} budget, `
+        + `and this message will cost about ${formatCost(next)}.`;
+    }
+  }
+  return null;
+}
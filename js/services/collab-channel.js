@@ -0,0 +1,67 @@
+// js/services/collab-channel.js — Broadcast channel for live doc editing
+// ──────────────────────────────────────────────────────────────────────
+// One channel per open doc, carrying doc-collab.js messages to everyone
+// else who has it open. Uses Supabase Realtime broadcast; without the
+// Supabase SDK it falls back to a BroadcastChannel, which links tabs of
+// this browser — enough to try live editing locally.
+//
+// Supabase caps a broadcast message at a few hundred KB, so a doc full of
+// pasted (base64) images can be too big to hand to a new peer in one go.
+//
+// Realtime presence says how many others have the doc open, so someone
+// opening it alone doesn't wait for answers that won't come.
+
+import { getSupabase } from './supabase.js';
+
+const CHANNEL_PREFIX = 'workspace-doc:';
+const EVENT = 'collab';
+
+/**
+ * Joins the channel for a doc. `onMessage(message)` gets every message
+ * sent by others, `onReady()` runs once messages can be sent, and
+ * `onPeerCount(n)` gets the number of others there whenever Realtime
+ * presence changes (never on the local fallback).
+ * Returns { kind: 'supabase' | 'local', send(message), close() }.
+ */
+export function openCollabChannel(docId, { onMessage, onReady, onPeerCount }) {
+  const name = `${CHANNEL_PREFIX}${docId}`;
+  const sb = getSupabase();
+
+  if (sb) {
+    const key = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    const channel = sb.channel(name, { config: { broadcast: { self: false }, presence: { key } } });
+    channel.on('broadcast', { event: EVENT }, ({ payload }) => onMessage(payload));
+    channel.on('presence', { event: 'sync' }, () => {
+      const state = channel.presenceState();
+      // Our own entry appears once track() has gone through
+      if (state[key]) onPeerCount?.(Object.keys(state).length - 1);
+    });
+    channel.subscribe((status) => {
+      if (status === 'SUBSCRIBED') {
+        onReady?.();
+        channel.track({ at: Date.now() })
+          .catch(err => console.warn('[collab-channel] presence failed', err));
+      } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+        console.warn('[collab-channel] Realtime channel', status, name);
+      }
+    });
+    return {
+      kind: 'supabase',
+      send(message) {
+        channel.send({ type: 'broadcast', event: EVENT, payload: message })
+          .catch(err => console.warn('[collab-channel] send failed', err));
+      },
+      close() { sb.removeChannel(channel); },
+    };
+  }
+
+  if (typeof BroadcastChannel === 'undefined') return null;
+  const channel = new BroadcastChannel(name);
+  channel.onmessage = (e) => onMessage(e.data);
+  queueMicrotask(() => onReady?.());
+  return {
+    kind: 'local',
+    send(message) { channel.postMessage(message); },
+    close() { channel.close(); },
+  };
+}
@@ -0,0 +1,168 @@
+// js/services/doc-embeddings.js — Local embeddings for semantic doc search
+// ──────────────────────────────────────────────────────────────────────
+//
+// Optional (a toggle in Cmd+K, off by default). When it's on, a small
+// sentence-embedding model runs in the browser via transformers.js — the
+// model is downloaded once (~25MB, then cached by the browser) and no doc
+// text leaves the device. Each doc's title and opening text get a vector,
+// kept in IndexedDB by doc id and index signature, so only docs changed
+// since the last visit are embedded again. doc-search.js blends the
+// similarities into its keyword ranking.
+
+const LIB_URL = 'https://esm.sh/@huggingface/transformers@3.0.2';
+const MODEL = 'Xenova/all-MiniLM-L6-v2';
+const ENABLED_KEY = 'forge-search-semantic';
+const DB_NAME = 'forge-doc-embeddings';
+const STORE = 'vectors';
+const TEXT_CHARS = 1500;        // the model only reads the first ~256 tokens anyway
+
+const vectors = new Map();      // doc id → { sig, vector }
+let extractorPromise = null;
+let dbPromise = null;
+let loaded = null;
+let refreshing = null;
+let refreshAgain = null;
+
+export function isSemanticSearchOn() {
+  return localStorage.getItem(ENABLED_KEY) === '1';
+}
+
+export function setSemanticSearch(on) {
+  if (on) localStorage.setItem(ENABLED_KEY, '1');
+  else localStorage.removeItem(ENABLED_KEY);
+}
+
+// ── Model ────────────────────────────────────────────────────────────
+
+function loadExtractor() {
+  if (!extractorPromise) {
+    extractorPromise = import(LIB_URL)
+      .then(({ pipeline }) => pipeline('feature-extraction', MODEL))
+      .catch(err => {
+        console.warn('[doc-embeddings] Failed to load the embedding model', err);
+        extractorPromise = null;
+        return null;
+      });
+  }
+  return extractorPromise;
+}
+
+async function embed(extractor, text) {
+  const output = await extractor(text.slice(0, TEXT_CHARS), { pooling: 'mean', normalize: true });
+  return Float32Array.from(output.data);
+}
+
+// Vectors are normalized, so this is their cosine similarity
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// ── IndexedDB ────────────────────────────────────────────────────────
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') return resolve(null);
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id' });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.warn('[doc-embeddings] IndexedDB unavailable — vectors kept for the session', req.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  if (!db) return null;
+  return new Promise(resolve => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result ?? null);
+    tx.onerror = tx.onabort = () => {
+      console.warn('[doc-embeddings] IndexedDB', mode, 'failed', tx.error);
+      resolve(null);
+    };
+  });
+}
+
+function loadStored() {
+  if (!loaded) {
+    loaded = withStore('readonly', store => store.getAll()).then(rows => {
+      for (const row of rows || []) {
+        if (!vectors.has(row.id)) vectors.set(row.id, { sig: row.sig, vector: row.vector });
+      }
+    });
+  }
+  return loaded;
+}
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/**
+ * Embeds docs that are new or changed (`docs` from getIndexedDocs) and
+ * forgets deleted ones, in the background. Calls during a run queue one
+ * more run with the latest docs.
+ */
+export function refreshDocEmbeddings(docs) {
+  if (refreshing) {
+    refreshAgain = docs;
+    return refreshing;
+  }
+  refreshing = (async () => {
+    await loadStored();
+    const extractor = await loadExtractor();
+    if (!extractor) return;
+
+    const ids = new Set(docs.map(d => d.id));
+    for (const id of [...vectors.keys()]) {
+      if (!ids.has(id)) {
+        vectors.delete(id);
+        withStore('readwrite', store => store.delete(id));
+      }
+    }
+    for (const doc of docs) {
+      if (vectors.get(doc.id)?.sig === doc.sig) continue;
+      try {
+        const vector = await embed(extractor, doc.text);
+        vectors.set(doc.id, { sig: doc.sig, vector });
+        withStore('readwrite', store => store.put({ id: doc.id, sig: doc.sig, vector }));
+      } catch (err) {
+        console.warn('[doc-embeddings] embed failed', doc.id, err);
+      }
+    }
+  })().finally(() => {
+    refreshing = null;
+    if (refreshAgain) {
+      const next = refreshAgain;
+      refreshAgain = null;
+      refreshDocEmbeddings(next);
+    }
+  });
+  return refreshing;
+}
+
+/**
+ * Similarity of every embedded doc to `query`: Map of doc id → cosine.
+ * Null when the model can't load. Docs still waiting to be embedded are
+ * simply missing from the map.
+ */
+export async function semanticScores(query) {
+  await loadStored();
+  const extractor = await loadExtractor();
+  if (!extractor || !query?.trim()) return null;
+  try {
+    const q = await embed(extractor, query);
+    const scores = new Map();
+    for (const [id, { vector }] of vectors) scores.set(id, dot(q, vector));
+    return scores;
+  } catch (err) {
+    console.warn('[doc-embeddings] query embed failed', err);
+    return null;
+  }
+}
@@ -0,0 +1,247 @@
+// js/services/doc-revisions.js — Per-doc revisions and sync conflicts
+// ──────────────────────────────────────────────────────────────────────
+// Every local doc remembers what it was last in agreement with:
+//   rev         — the workspace_docs.rev it was last saved as or pulled from
+//   syncedHash  — docHash() of the doc at that point
+//   notionLastEdited / notionHash — the same for its Notion page
+// A side "changed" when its rev / last_edited_time moved on (remote) or its
+// hash no longer matches (local). Only one side changed → copy it over;
+// both changed → a conflict is kept here until it's resolved in
+// conflict-resolver.js, and pushes of that doc pause meanwhile.
+
+import { saveDocRevision } from './workspace-persistence.js';
+import { registerOutboxHandler, queueSync, hasPendingSync } from './sync-outbox.js';
+import { stableStringify } from '../doc-diff.js';
+
+const DOCS_KEY = 'forge-workspace-docs'; // shared with knowledge.js / block-editor.js
+const CONFLICTS_KEY = 'forge-workspace-conflicts';
+
+// ── Hashing ─────────────────────────────────────────────────────────
+// Supabase hands jsonb back with its keys reordered, so docs are
+// serialized with sorted keys before hashing.
+
+// cyrb53 — 53-bit string hash, plenty to tell two versions of a doc apart
+function hashString(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+// Everything a workspace_docs row holds for the doc
+export function docHash(doc) {
+  return hashString(stableStringify({
+    title: doc.title || 'Untitled',
+    folder: doc.folder || null,
+    notionPageId: doc.notionPageId || null,
+    content: doc.content || null,
+  }));
+}
+
+// What its Notion page holds
+export function contentHash(doc) {
+  return hashString(stableStringify({ title: doc.title || 'Untitled', content: doc.content || null }));
+}
+
+// ── Comparing ───────────────────────────────────────────────────────
+
+/**
+ * Local doc vs its workspace_docs row → 'same' | 'push' | 'pull' | 'conflict'.
+ * Docs saved before revisions were tracked have no base yet; for those
+ * the newer one wins once, as the old sync did.
+ */
+export function compareDocs(local, remote) {
+  if (!remote) return 'push';
+  const localHash = docHash(local);
+  if (localHash === docHash(remote)) return 'same';
+  if (local.rev == null) {
+    const localTime = local.updatedAt ? new Date(local.updatedAt).getTime() : 0;
+    const remoteTime = remote.updatedAt ? new Date(remote.updatedAt).getTime() : 0;
+    return localTime > remoteTime ? 'push' : 'pull';
+  }
+  const localChanged = localHash !== local.syncedHash;
+  const remoteChanged = remote.rev !== local.rev;
+  if (localChanged && remoteChanged) return 'conflict';
+  if (remoteChanged) return 'pull';
+  return localChanged ? 'push' : 'same';
+}
+
+// The local doc after taking the Supabase row; Notion bookkeeping stays
+export function applyRemoteDoc(local, remote) {
+  return {
+    ...local,
+    id: remote.id,
+    title: remote.title,
+    folder: remote.folder,
+    content: remote.content,
+    notionPageId: remote.notionPageId || local?.notionPageId || null,
+    createdAt: remote.createdAt || local?.createdAt,
+    updatedAt: remote.updatedAt,
+    rev: remote.rev,
+    syncedHash: docHash(remote),
+  };
+}
+
+// ── Local docs ──────────────────────────────────────────────────────
+
+function readDocs() {
+  try { return JSON.parse(localStorage.getItem(DOCS_KEY) || '[]'); }
+  catch { return []; }
+}
+
+export function getLocalDoc(docId) {
+  return readDocs().find(d => d.id === docId) || null;
+}
+
+/** Merges `patch` into one local doc (localStorage only). Returns the doc or null. */
+export function patchLocalDoc(docId, patch) {
+  const docs = readDocs();
+  const doc = docs.find(d => d.id === docId);
+  if (!doc) return null;
+  Object.assign(doc, patch);
+  try { localStorage.setItem(DOCS_KEY, JSON.stringify(docs)); }
+  catch (err) { console.warn('[doc-revisions] patchLocalDoc failed', err); }
+  return doc;
+}
+
+// ── Conflicts ───────────────────────────────────────────────────────
+// docId → { docId, source: 'supabase' | 'notion', remote: { title, folder,
+// content, rev | lastEdited }, detectedAt }. One per doc: the first one
+// found is resolved before the doc syncs again, which finds any other.
+
+const listeners = new Set();
+
+export function getConflicts() {
+  try { return JSON.parse(localStorage.getItem(CONFLICTS_KEY) || '{}'); }
+  catch { return {}; }
+}
+
+export function getConflict(docId) {
+  return getConflicts()[docId] || null;
+}
+
+function saveConflicts(conflicts) {
+  try { localStorage.setItem(CONFLICTS_KEY, JSON.stringify(conflicts)); }
+  catch (err) { console.warn('[doc-revisions] saveConflicts failed', err); }
+  listeners.forEach(fn => fn(conflicts));
+}
+
+// Seeing the same side again refreshes the remote copy shown
+export function recordConflict(docId, source, remote) {
+  const conflicts = getConflicts();
+  const existing = conflicts[docId];
+  if (existing && existing.source !== source) return;
+  conflicts[docId] = { docId, source, remote, detectedAt: existing?.detectedAt || new Date().toISOString() };
+  saveConflicts(conflicts);
+  if (!existing) console.warn(`[doc-revisions] Conflict with ${source} on ${docId}`);
+}
+
+export function clearConflict(docId) {
+  const conflicts = getConflicts();
+  if (!conflicts[docId]) return;
+  delete conflicts[docId];
+  saveConflicts(conflicts);
+}
+
+/** fn(conflicts) after every change; returns an unsubscribe function */
+export function onConflictsChanged(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// ── Pushing to Supabase ─────────────────────────────────────────────
+// Writes are conditional on the rev the doc is based on. One write per doc
+// is in flight at a time — a save made meanwhile goes out after it, based
+// on the rev that write produced rather than conflicting with it. A save
+// that can't reach Supabase, or would overtake writes still waiting in
+// the outbox, waits there; the outbox pushes whatever the doc is by then.
+
+const inFlight = new Map();   // docId → promise
+const queued = new Set();
+
+registerOutboxHandler('pushDoc', 'supabase', async ({ docId }) =>
+  (await pushNow(docId)) !== null || !getLocalDoc(docId));
+
+/**
+ * Saves the local copy of a doc to Supabase if it changed.
+ * Resolves to 'saved' | 'same' | 'pulled' | 'conflict', or 'queued' when
+ * it's waiting in the outbox to be sent.
+ */
+export async function pushDocRevision(docId) {
+  if (!hasPendingSync('supabase')) {
+    const status = await pushNow(docId);
+    if (status !== null || !getLocalDoc(docId)) return status;
+  }
+  queueSync('pushDoc', `doc:${docId}`, { docId });
+  return 'queued';
+}
+
+function pushNow(docId) {
+  if (inFlight.has(docId)) {
+    queued.add(docId);
+    return inFlight.get(docId);
+  }
+  const run = (async () => {
+    let status = null;
+    try {
+      do {
+        queued.delete(docId);
+        status = await pushOnce(docId);
+      } while (queued.has(docId) && status !== 'conflict');
+    } finally {
+      inFlight.delete(docId);
+      queued.delete(docId);
+    }
+    return status;
+  })();
+  inFlight.set(docId, run);
+  return run;
+}
+
+async function pushOnce(docId) {
+  const doc = readDocs().find(d => d.id === docId);
+  if (!doc) return null;
+  if (getConflict(docId)) return 'conflict';
+
+  const hash = docHash(doc);
+  if (doc.rev != null && hash === doc.syncedHash) return 'same';
+
+  let result = await saveDocRevision(doc);
+  if (!result) return null;
+
+  if (result.status === 'conflict') {
+    const { remote } = result;
+    switch (compareDocs(doc, remote)) {
+      case 'same':
+        patchLocalDoc(docId, { rev: remote.rev, syncedHash: hash });
+        return 'same';
+      case 'pull':
+        patchLocalDoc(docId, applyRemoteDoc(doc, remote));
+        return 'pulled';
+      case 'push':
+        // No base yet and this copy is newer: write over the row it saw
+        result = await saveDocRevision({ ...doc, rev: remote.rev });
+        if (!result) return null;
+        if (result.status === 'conflict') return recordSupabaseConflict(docId, result.remote);
+        break;
+      default:
+        return recordSupabaseConflict(docId, remote);
+    }
+  }
+
+  patchLocalDoc(docId, { rev: result.rev, syncedHash: hash });
+  return 'saved';
+}
+
+export function recordSupabaseConflict(docId, remote) {
+  recordConflict(docId, 'supabase', {
+    title: remote.title, folder: remote.folder, content: remote.content, rev: remote.rev,
+  });
+  return 'conflict';
+}
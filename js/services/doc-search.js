@@ -0,0 +1,219 @@
+// js/services/doc-search.js — Full-text index over workspace doc bodies
+// ──────────────────────────────────────────────────────────────────────
+//
+// Backs the workspace docs in Cmd+K. Every doc's title and body are
+// indexed, per doc and incrementally: syncDocIndex re-reads only the docs
+// whose revision, title or folder changed since it last ran, so it's cheap
+// enough to call on every save (knowledge.js does) and again before each
+// search (other modules write docs straight to localStorage).
+//
+// Matching: every query word has to match the start of a word in the doc
+// ("onboard" finds "onboarding" — the last word is usually half-typed) and
+// "quoted phrases" have to appear as written. Ranking is BM25 with title
+// words counted three times. Semantic similarity (doc-embeddings.js) can
+// be blended in; docs it finds that share no words come after the rest.
+//
+// Browser-free — usable from Node.
+
+import { getSearchTerms, buildSnippet } from './chat-search.js';
+import { mentionText } from '../doc-links.js';
+
+const TITLE_WEIGHT = 3;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PREFIX_WEIGHT = 0.7;      // a word completed by prefix counts a little less
+const SEMANTIC_WEIGHT = 0.4;    // share of the blended score
+const SEMANTIC_MIN = 0.35;      // cosine similarity for a match without shared words
+const DEFAULT_LIMIT = 10;
+
+const entries = new Map();      // doc id → { sig, id, title, folder, updatedAt, text, tf, length }
+const df = new Map();           // token → docs containing it
+let totalLength = 0;
+
+// ── Text ─────────────────────────────────────────────────────────────
+
+const INLINE_PARENTS = new Set(['paragraph', 'heading', 'codeBlock']);
+
+/** A Tiptap doc as plain text, a line per block */
+export function docText(node) {
+  if (!node) return '';
+  if (typeof node === 'string') return node;
+  if (node.type === 'text') return node.text || '';
+  if (node.type === 'mention') return mentionText(node.attrs);
+  if (node.type === 'hardBreak') return '\n';
+  if (node.type === 'image') return node.attrs?.alt || '';
+  if (node.type === 'embed') return node.attrs?.src || '';
+  if (node.type === 'attachment') return node.attrs?.name || '';
+  const parts = (node.content || []).map(docText);
+  if (node.type === 'tableRow') return parts.join(' | ');
+  return parts.join(INLINE_PARENTS.has(node.type) ? '' : '\n');
+}
+
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+// What makes a doc need re-reading
+function signature(doc) {
+  return `${doc.rev ?? ''}|${doc.updatedAt || ''}|${doc.title || ''}|${doc.folder || ''}`;
+}
+
+// ── Index ────────────────────────────────────────────────────────────
+
+function removeEntry(id) {
+  const entry = entries.get(id);
+  if (!entry) return;
+  for (const token of entry.tf.keys()) {
+    const n = df.get(token) - 1;
+    if (n > 0) df.set(token, n);
+    else df.delete(token);
+  }
+  totalLength -= entry.length;
+  entries.delete(id);
+}
+
+function addEntry(doc) {
+  const text = docText(doc.content).replace(/\n{2,}/g, '\n').trim();
+  const tokens = [...Array(TITLE_WEIGHT).fill(tokenize(doc.title)).flat(), ...tokenize(text)];
+  const tf = new Map();
+  for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+  for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  totalLength += tokens.length;
+  entries.set(doc.id, {
+    sig: signature(doc), id: doc.id, title: doc.title || 'Untitled', folder: doc.folder || null,
+    updatedAt: doc.updatedAt || doc.createdAt || null, text, tf, length: tokens.length,
+  });
+}
+
+/**
+ * Brings the index in line with `docs` (the full list): re-reads changed
+ * docs, drops deleted ones. Returns how many docs were re-read.
+ */
+export function syncDocIndex(docs) {
+  const ids = new Set();
+  let changed = 0;
+  for (const doc of docs) {
+    if (!doc?.id) continue;
+    ids.add(doc.id);
+    if (entries.get(doc.id)?.sig === signature(doc)) continue;
+    removeEntry(doc.id);
+    addEntry(doc);
+    changed++;
+  }
+  for (const id of [...entries.keys()]) {
+    if (!ids.has(id)) {
+      removeEntry(id);
+      changed++;
+    }
+  }
+  return changed;
+}
+
+/** Indexed docs' text, for the embeddings: [{ id, sig, text }] */
+export function getIndexedDocs() {
+  return [...entries.values()].map(e => ({ id: e.id, sig: e.sig, text: `${e.title}\n${e.text}` }));
+}
+
+// ── Search ───────────────────────────────────────────────────────────
+
+// `folderId` and every folder under it
+function folderScope(folders, folderId) {
+  const ids = new Set([folderId]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const f of folders) {
+      if (f.parentId && ids.has(f.parentId) && !ids.has(f.id)) {
+        ids.add(f.id);
+        grew = true;
+      }
+    }
+  }
+  return ids;
+}
+
+// Index tokens a query word stands for, with how fully each matches it
+function expand(word) {
+  const matches = [];
+  for (const token of df.keys()) {
+    if (token === word) matches.push([token, 1]);
+    else if (token.startsWith(word)) matches.push([token, PREFIX_WEIGHT]);
+  }
+  return matches;
+}
+
+function bm25(entry, token) {
+  const tf = entry.tf.get(token);
+  if (!tf) return 0;
+  const n = entries.size;
+  const d = df.get(token) || 0;
+  const idf = Math.log(1 + (n - d + 0.5) / (d + 0.5));
+  const avg = totalLength / (n || 1);
+  return idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * entry.length / (avg || 1)));
+}
+
+/**
+ * Searches the indexed docs. Options:
+ *   folder / folders — only docs in that folder or under it
+ *   since            — only docs updated since this Date
+ *   semantic         — Map of doc id → similarity to blend in
+ *   limit
+ * Returns [{ id, title, folder, updatedAt, score, snippet, semanticOnly }],
+ * best first.
+ */
+export function searchDocs(query, { folder = null, folders = [], since = null, semantic = null, limit = DEFAULT_LIMIT } = {}) {
+  const terms = getSearchTerms(query);
+  const phrases = terms.filter(t => /\s/.test(t));
+  const words = [...new Set(terms.filter(t => !/\s/.test(t)).flatMap(tokenize))];
+  if (!words.length && !phrases.length) return [];
+
+  const inFolder = folder ? folderScope(folders, folder) : null;
+  const candidates = [...entries.values()].filter(e =>
+    (!inFolder || inFolder.has(e.folder)) && (!since || (e.updatedAt && new Date(e.updatedAt) >= since)));
+
+  const expansions = words.map(expand);
+  const hits = [];
+  for (const entry of candidates) {
+    let score = 0;
+    let matched = expansions.every(options => {
+      let best = 0;
+      for (const [token, weight] of options) best = Math.max(best, bm25(entry, token) * weight);
+      score += best;
+      return best > 0;
+    });
+    if (matched && phrases.length) {
+      const lower = `${entry.title}\n${entry.text}`.toLowerCase();
+      matched = phrases.every(p => lower.includes(p));
+      score += phrases.length; // a phrase hit is worth about a rare word
+    }
+    if (matched) hits.push({ entry, score });
+  }
+
+  // Semantic blend: keyword scores scaled to 0–1 against the best one
+  if (semantic?.size) {
+    const top = Math.max(...hits.map(h => h.score), 1e-9);
+    for (const hit of hits) {
+      hit.score = (1 - SEMANTIC_WEIGHT) * (hit.score / top) + SEMANTIC_WEIGHT * (semantic.get(hit.entry.id) || 0);
+    }
+    const found = new Set(hits.map(h => h.entry.id));
+    for (const entry of candidates) {
+      const similarity = semantic.get(entry.id) || 0;
+      if (!found.has(entry.id) && similarity >= SEMANTIC_MIN) {
+        hits.push({ entry, score: SEMANTIC_WEIGHT * similarity, semanticOnly: true });
+      }
+    }
+  }
+
+  return hits
+    .sort((a, b) => !!a.semanticOnly - !!b.semanticOnly || b.score - a.score)
+    .slice(0, limit)
+    .map(({ entry, score, semanticOnly = false }) => ({
+      id: entry.id,
+      title: entry.title,
+      folder: entry.folder,
+      updatedAt: entry.updatedAt,
+      score,
+      snippet: buildSnippet(entry.text, semanticOnly ? [] : terms),
+      semanticOnly,
+    }));
+}
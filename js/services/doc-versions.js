@@ -0,0 +1,150 @@
+// js/services/doc-versions.js — Supabase version history for workspace docs
+// ──────────────────────────────────────────────────────────────────────
+// Rows in workspace_doc_versions are full copies of a doc's title and
+// content. Lists are fetched without content; a version's content is
+// loaded when it's opened. Same fallbacks as workspace-persistence.js.
+
+import { getSupabase } from './supabase.js';
+
+const USER_ID = 'dan';
+const MAX_AUTO_VERSIONS = 100; // per doc; named and restore versions are kept
+const LIST_LIMIT = 200;
+
+function newVersionId() {
+  return `ver-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Newest first, without content: [{ id, docId, title, kind, name, createdAt }]
+export async function fetchVersions(docId) {
+  const sb = getSupabase();
+  if (!sb) return null;
+  try {
+    const { data, error } = await sb
+      .from('workspace_doc_versions')
+      .select('id, doc_id, title, kind, name, created_at')
+      .eq('doc_id', docId)
+      .order('created_at', { ascending: false })
+      .limit(LIST_LIMIT);
+    if (error) throw error;
+    return (data || []).map(normalizeVersion);
+  } catch (err) {
+    console.warn('[doc-versions] fetchVersions failed', err);
+    return null;
+  }
+}
+
+export async function fetchVersion(id) {
+  const sb = getSupabase();
+  if (!sb) return null;
+  try {
+    const { data, error } = await sb
+      .from('workspace_doc_versions')
+      .select('*')
+      .eq('id', id)
+      .single();
+    if (error) throw error;
+    return normalizeVersion(data);
+  } catch (err) {
+    console.warn('[doc-versions] fetchVersion failed', err);
+    return null;
+  }
+}
+
+/**
+ * Stores a copy of { id, title, content } as a version of that doc.
+ * Returns the version (without content) or null.
+ */
+export async function saveVersion(doc, { kind = 'auto', name = null } = {}) {
+  const sb = getSupabase();
+  if (!sb) return null;
+  try {
+    const row = {
+      id: newVersionId(),
+      user_id: USER_ID,
+      doc_id: doc.id,
+      title: doc.title || 'Untitled',
+      content: doc.content || null,
+      kind,
+      name: name || null,
+      created_at: new Date().toISOString(),
+    };
+    const { error } = await sb.from('workspace_doc_versions').insert(row);
+    if (error) throw error;
+    if (kind === 'auto') pruneVersions(doc.id);
+    const { content: _content, ...version } = normalizeVersion(row);
+    return version;
+  } catch (err) {
+    console.warn('[doc-versions] saveVersion failed', err);
+    return null;
+  }
+}
+
+// Naming an auto snapshot keeps it out of pruning
+export async function renameVersion(id, name) {
+  const sb = getSupabase();
+  if (!sb) return false;
+  try {
+    const { error } = await sb
+      .from('workspace_doc_versions')
+      .update({ name: name || null, kind: 'named' })
+      .eq('id', id);
+    if (error) throw error;
+    return true;
+  } catch (err) {
+    console.warn('[doc-versions] renameVersion failed', err);
+    return false;
+  }
+}
+
+export async function deleteDocVersions(docId) {
+  const sb = getSupabase();
+  if (!sb) return false;
+  try {
+    const { error } = await sb
+      .from('workspace_doc_versions')
+      .delete()
+      .eq('doc_id', docId);
+    if (error) throw error;
+    return true;
+  } catch (err) {
+    console.warn('[doc-versions] deleteDocVersions failed', err);
+    return false;
+  }
+}
+
+// Drops auto snapshots past MAX_AUTO_VERSIONS — fire-and-forget
+async function pruneVersions(docId) {
+  const sb = getSupabase();
+  try {
+    const { data, error } = await sb
+      .from('workspace_doc_versions')
+      .select('id')
+      .eq('doc_id', docId)
+      .eq('kind', 'auto')
+      .order('created_at', { ascending: false })
+      .range(MAX_AUTO_VERSIONS, MAX_AUTO_VERSIONS + 99);
+    if (error) throw error;
+    if (!data?.length) return;
+    const { error: deleteError } = await sb
+      .from('workspace_doc_versions')
+      .delete()
+      .in('id', data.map(r => r.id));
+    if (deleteError) throw deleteError;
+  } catch (err) {
+    console.warn('[doc-versions] pruneVersions failed', err);
+  }
+}
+
+// ── Normalizers ──────────────────────────────────────────────────────
+
+function normalizeVersion(row) {
+  return {
+    id: row.id,
+    docId: row.doc_id,
+    title: row.title || 'Untitled',
+    content: row.content ?? null,
+    kind: row.kind || 'auto',
+    name: row.name || '',
+    createdAt: row.created_at,
+  };
+}
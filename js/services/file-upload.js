@@ -0,0 +1,128 @@
+// js/services/file-upload.js — Block editor uploads to Supabase Storage
+// ──────────────────────────────────────────────────────────────────────
+//
+// Images and attachments pasted or dropped into a note go to the
+// 'workspace-files' bucket, which gives them a public URL — so notes stay
+// small in localStorage and Notion can show the files as image / file
+// blocks. /api/workspace-upload signs each upload and the file goes
+// straight to Supabase Storage: Vercel functions refuse bodies over 4.5MB.
+// The endpoint also picks the Content-Type the file is stored with (the
+// bucket is public, so not just any). Uploads use XHR rather than fetch
+// for the upload progress events. Images are scaled down in the browser
+// first: a retina screenshot is several times larger than a note ever
+// shows it.
+
+const ENDPOINT = '/api/workspace-upload';
+
+export const MAX_UPLOAD_BYTES = 20 * 1024 * 1024; // the bucket's limit
+export const MAX_IMAGE_SIDE = 2000;               // px, longest side after resizing
+const QUALITY = 0.85;                             // JPEG and WebP; PNGs are lossless
+
+// Animated GIFs would lose their frames, SVGs are already small
+const RESIZABLE = new Set(['image/png', 'image/jpeg', 'image/webp']);
+
+/** "1.2 MB" — sizes as file pickers show them */
+export function formatFileSize(bytes) {
+  if (!Number.isFinite(bytes) || bytes < 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let size = bytes / 1024;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${size < 10 ? size.toFixed(1) : Math.round(size)} ${units[unit]}`;
+}
+
+// Width and height scaled to fit `max` on the longest side, or null when they already do
+function fitWithin(width, height, max) {
+  const scale = max / Math.max(width, height);
+  if (scale >= 1) return null;
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+/**
+ * Scales an image file down to MAX_IMAGE_SIDE, keeping its format. Returns
+ * the original when it's already small enough, isn't a format that can be
+ * redrawn, or comes out larger.
+ */
+export async function resizeImage(file, maxSide = MAX_IMAGE_SIDE) {
+  if (!RESIZABLE.has(file.type) || typeof createImageBitmap !== 'function') return file;
+  try {
+    const bitmap = await createImageBitmap(file);
+    const size = fitWithin(bitmap.width, bitmap.height, maxSide);
+    if (!size) {
+      bitmap.close?.();
+      return file;
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, size.width, size.height);
+    bitmap.close?.();
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, file.type, QUALITY));
+    if (!blob || blob.size >= file.size) return file;
+    return new File([blob], file.name, { type: file.type, lastModified: file.lastModified });
+  } catch (err) {
+    console.warn('[file-upload] resize failed, uploading the original', err);
+    return file;
+  }
+}
+
+/** A file as a data: URL (images kept in the note when they can't be uploaded) */
+export function readAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// { uploadUrl, url, name, size, type } for the file, or null
+async function signUpload(file) {
+  try {
+    const res = await fetch(ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: file.name || 'file', type: file.type, size: file.size }),
+    });
+    const body = await res.json().catch(() => null);
+    if (res.ok && body?.uploadUrl) return body;
+    console.warn('[file-upload] could not sign the upload:', res.status, body?.error || res.statusText);
+  } catch (err) {
+    console.warn('[file-upload] could not sign the upload', err);
+  }
+  return null;
+}
+
+/**
+ * Uploads a file. `onProgress` gets 0–1 as it goes.
+ * Returns { url, name, size, type } or null.
+ */
+export async function uploadFile(file, { onProgress } = {}) {
+  const target = await signUpload(file);
+  if (!target) return null;
+  const { uploadUrl, ...result } = target;
+  return new Promise(resolve => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('PUT', uploadUrl);
+    xhr.setRequestHeader('Content-Type', result.type);
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) onProgress?.(e.loaded / e.total);
+    };
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300) return resolve(result);
+      let body = null;
+      try { body = JSON.parse(xhr.responseText); } catch { /* not JSON */ }
+      console.warn('[file-upload] upload failed:', xhr.status, body?.message || body?.error || xhr.statusText);
+      resolve(null);
+    };
+    xhr.onerror = () => {
+      console.warn('[file-upload] upload failed: network error');
+      resolve(null);
+    };
+    xhr.send(file);
+  });
+}
@@ -0,0 +1,564 @@
+// js/services/llm-client.js — Shared multi-provider LLM client (browser + server)
+// ──────────────────────────────────────────────────────────────────────
+//
+// One `complete()` for every AI feature: chat, note AI and the api/*
+// endpoints (daily-ideas, content-gameplan, analyze-posts). Requests and
+// responses use the Anthropic Messages shape — content blocks, tool_use,
+// tool_result — and are translated for OpenAI-compatible providers.
+//
+// Providers:
+//   anthropic — browser: the Worker proxy (forge-anthropic-proxy);
+//               server: api.anthropic.com with ANTHROPIC_API_KEY
+//   openai    — api.openai.com with OPENAI_API_KEY (browser: config key)
+//   local     — any OpenAI-compatible server (Ollama, LM Studio, vLLM)
+//   mock      — deterministic offline responses, no network
+//
+// Which provider/model a feature uses comes from FEATURE_MODELS, overridden
+// by env on the server (LLM_MODEL_DAILY_IDEAS=openai:gpt-4.1) or by the
+// `forge-llm-config` localStorage entry in the browser. LLM_PROVIDER=mock
+// (or { provider: 'mock' } in the browser config) forces every call offline.
+//
+// No imports — the api/ functions load this file directly.
+
+const DEFAULT_PROXY = 'https://anthropic-proxy.dan-a14.workers.dev';
+const PROXY_KEY = 'forge-anthropic-proxy';
+const CONFIG_KEY = 'forge-llm-config';
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_LOCAL_URL = 'http://localhost:11434/v1'; // Ollama
+
+const DEFAULT_TIMEOUT_MS = 45000; // non-streaming: whole call; streaming: until headers
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_MS = 800;
+const RETRYABLE_STATUS = new Set([408, 409, 425, 429, 500, 502, 503, 504, 529]);
+
+export const PROVIDERS = ['anthropic', 'openai', 'local', 'mock'];
+
+// Per-feature defaults — "provider:model"
+export const FEATURE_MODELS = {
+  'chat':             'anthropic:claude-opus-4-6', // agent.defaultModel wins
+  'note-ai':          'anthropic:claude-sonnet-4-20250514',
+  'daily-ideas':      'openai:gpt-4.1-mini',
+  'content-gameplan': 'openai:gpt-4.1-mini',
+  'analyze-posts':    'openai:gpt-4.1-mini',
+};
+
+const isBrowser = typeof window !== 'undefined' && typeof localStorage !== 'undefined';
+const env = (name) => (typeof process !== 'undefined' && process.env?.[name]) || '';
+
+// ── Config ───────────────────────────────────────────────────────────
+
+// Browser config: { provider?, features?: { feature: "provider:model" },
+// localUrl?, localModel?, openaiKey? }
+function getBrowserConfig() {
+  if (!isBrowser) return {};
+  try { return JSON.parse(localStorage.getItem(CONFIG_KEY) || '{}') || {}; }
+  catch { return {}; }
+}
+
+export function saveLLMConfig(config) {
+  if (isBrowser) localStorage.setItem(CONFIG_KEY, JSON.stringify(config || {}));
+}
+
+export function getLLMConfig() {
+  return getBrowserConfig();
+}
+
+// "openai:gpt-4.1" → { provider, model }. Bare model IDs are matched by
+// name; anything unrecognised falls back to `fallbackProvider`.
+export function parseModelSpec(spec, fallbackProvider = 'anthropic') {
+  const value = String(spec || '').trim();
+  const match = value.match(/^(anthropic|openai|local|mock):(.*)$/);
+  if (match) return { provider: match[1], model: match[2] };
+  if (/^claude/i.test(value)) return { provider: 'anthropic', model: value };
+  if (/^(gpt-|o\d|chatgpt)/i.test(value)) return { provider: 'openai', model: value };
+  return { provider: fallbackProvider, model: value };
+}
+
+/**
+ * Resolves { provider, model } for a feature. Precedence: forced provider
+ * (LLM_PROVIDER / config.provider) > explicit `model` > env/config
+ * override for the feature > FEATURE_MODELS.
+ */
+export function resolveModel(feature, model) {
+  const config = getBrowserConfig();
+  const envKey = 'LLM_MODEL_' + String(feature || '').toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+  const base = parseModelSpec(FEATURE_MODELS[feature] || FEATURE_MODELS.chat);
+  const override = env(envKey) || config.features?.[feature];
+
+  let resolved = base;
+  if (override) resolved = parseModelSpec(override, base.provider);
+  if (model) resolved = parseModelSpec(model, resolved.provider);
+  if (resolved.provider === 'local' && !resolved.model) {
+    resolved = { provider: 'local', model: config.localModel || env('LOCAL_LLM_MODEL') || 'llama3.1' };
+  }
+
+  const forced = env('LLM_PROVIDER') || config.provider;
+  if (forced === 'mock') return { provider: 'mock', model: resolved.model || 'mock' };
+  return resolved;
+}
+
+// Whether a call for this feature can be made (keys present etc.)
+export function isFeatureConfigured(feature) {
+  const { provider } = resolveModel(feature);
+  if (provider === 'mock' || provider === 'local') return true;
+  if (provider === 'anthropic') return isBrowser || !!env('ANTHROPIC_API_KEY');
+  return !!(env('OPENAI_API_KEY') || getBrowserConfig().openaiKey);
+}
+
+function getEndpoint(provider) {
+  const config = getBrowserConfig();
+  switch (provider) {
+    case 'anthropic':
+      if (isBrowser) {
+        const proxy = localStorage.getItem(PROXY_KEY) || DEFAULT_PROXY;
+        return { url: `${proxy}/anthropic`, headers: {} };
+      }
+      return {
+        url: 'https://api.anthropic.com/v1/messages',
+        headers: { 'x-api-key': env('ANTHROPIC_API_KEY'), 'anthropic-version': ANTHROPIC_VERSION },
+      };
+    case 'openai': {
+      const key = env('OPENAI_API_KEY') || config.openaiKey;
+      if (!key) throw new Error('OPENAI_API_KEY not configured');
+      return { url: 'https://api.openai.com/v1/chat/completions', headers: { 'Authorization': `Bearer ${key}` } };
+    }
+    case 'local': {
+      const base = (config.localUrl || env('LOCAL_LLM_URL') || DEFAULT_LOCAL_URL).replace(/\/+$/, '');
+      const key = env('LOCAL_LLM_KEY');
+      return { url: `${base}/chat/completions`, headers: key ? { 'Authorization': `Bearer ${key}` } : {} };
+    }
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+}
+
+// ── Mock provider ────────────────────────────────────────────────────
+// Canned replies per feature. A handler may be a value or a function of
+// the request; strings are returned as text, anything else as JSON.
+
+const MOCK_FIXTURES = {
+  'daily-ideas': () => ({
+    date: new Date().toISOString().slice(0, 10),
+    summary: 'Mock summary — offline run.',
+    ideas: [{
+      rank: 1, title: 'Mock idea', hook: 'Mock hook', platform: 'instagram', format: 'Reel',
+      archetype: 'Contrarian', angle: 'Mock angle', source: 'competitor', urgency: 'evergreen',
+      reference: 'mock', referenceId: '', referenceUrl: '',
+    }],
+  }),
+  'content-gameplan': () => ({
+    summary: 'Mock gameplan — offline run.',
+    days: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'].map(day => ({
+      day,
+      youtube: { title: `Mock ${day} video`, hook: 'Mock hook', format: 'Long-form', rationale: 'Mock' },
+      instagram: { title: `Mock ${day} reel`, hook: 'Mock hook', format: 'Reel', rationale: 'Mock' },
+    })),
+  }),
+  'analyze-posts': () => ({
+    hook_framework: 'mock hook', hook_structure: 'curiosity', spoken_hook: '', text_hook: '',
+    visual_hook: 'talking head', visual_format: 'talking-head', content_structure: 'story',
+    topic: 'mock topic', topic_tag: 'mock', topic_summary: 'Mock analysis.', call_to_action: '',
+  }),
+};
+
+const mockHandlers = new Map();
+
+// Overrides the mock reply for a feature (pass null to restore the fixture)
+export function setMockResponse(feature, handler) {
+  if (handler == null) mockHandlers.delete(feature);
+  else mockHandlers.set(feature, handler);
+}
+
+async function callMock(req) {
+  const handler = mockHandlers.has(req.feature) ? mockHandlers.get(req.feature) : MOCK_FIXTURES[req.feature];
+  let value = typeof handler === 'function' ? await handler(req) : handler;
+
+  if (value === undefined) {
+    const last = [...req.messages].reverse().find(m => m.role === 'user');
+    const prompt = typeof last?.content === 'string' ? last.content : textOf(last?.content || []);
+    value = req.json ? {} : `[mock ${req.model}] ${prompt.slice(0, 200)}`;
+  }
+
+  const blocks = Array.isArray(value?.blocks) ? value.blocks
+    : [{ type: 'text', text: typeof value === 'string' ? value : JSON.stringify(value) }];
+  const text = textOf(blocks);
+
+  // Stream in word-sized pieces so streaming UIs get exercised offline
+  if (req.onDelta && text) {
+    let sent = '';
+    for (const piece of text.match(/\S+\s*|\s+/g) || []) {
+      req.signal?.throwIfAborted();
+      sent += piece;
+      req.onDelta(sent);
+    }
+  }
+
+  return {
+    text,
+    blocks,
+    stopReason: blocks.some(b => b.type === 'tool_use') ? 'tool_use' : 'end_turn',
+    usage: { input_tokens: 0, output_tokens: 0 },
+  };
+}
+
+// ── OpenAI translation ───────────────────────────────────────────────
+
+function textOf(blocks) {
+  return blocks.filter(b => b.type === 'text').map(b => b.text).join('');
+}
+
+// Anthropic-shaped messages → chat.completions messages
+function toOpenAIMessages(system, messages) {
+  const out = system ? [{ role: 'system', content: system }] : [];
+  for (const m of messages) {
+    if (typeof m.content === 'string') { out.push({ role: m.role, content: m.content }); continue; }
+
+    const blocks = m.content || [];
+    if (m.role === 'assistant') {
+      const calls = blocks.filter(b => b.type === 'tool_use');
+      out.push({
+        role: 'assistant',
+        content: textOf(blocks) || null,
+        ...(calls.length ? {
+          tool_calls: calls.map(c => ({
+            id: c.id, type: 'function',
+            function: { name: c.name, arguments: JSON.stringify(c.input || {}) },
+          })),
+        } : {}),
+      });
+      continue;
+    }
+
+    for (const b of blocks.filter(b => b.type === 'tool_result')) {
+      const content = typeof b.content === 'string' ? b.content : textOf(b.content || []);
+      out.push({ role: 'tool', tool_call_id: b.tool_use_id, content });
+    }
+    const text = textOf(blocks);
+    if (text) out.push({ role: 'user', content: text });
+  }
+  return out;
+}
+
+const OPENAI_STOP = { tool_calls: 'tool_use', stop: 'end_turn', length: 'max_tokens' };
+
+function fromOpenAIMessage(message, finishReason) {
+  const blocks = [];
+  if (message?.content) blocks.push({ type: 'text', text: message.content });
+  for (const call of message?.tool_calls || []) {
+    let input = {};
+    try { input = JSON.parse(call.function?.arguments || '{}'); } catch { /* leave empty */ }
+    blocks.push({ type: 'tool_use', id: call.id, name: call.function?.name, input });
+  }
+  return { blocks, stopReason: OPENAI_STOP[finishReason] || finishReason || null };
+}
+
+// ── Request bodies ───────────────────────────────────────────────────
+
+function buildAnthropicBody(req) {
+  const body = {
+    model: req.model,
+    max_tokens: req.maxTokens,
+    messages: req.messages.map(m => ({ role: m.role, content: m.content })),
+  };
+  if (req.system) body.system = req.system;
+  if (req.temperature != null) body.temperature = req.temperature;
+  if (req.stream) body.stream = true;
+  if (req.tools?.length) {
+    body.tools = req.tools;
+    body.tool_choice = { type: req.toolChoice || 'auto' };
+  }
+  return body;
+}
+
+function buildOpenAIBody(req) {
+  const body = {
+    model: req.model,
+    max_tokens: req.maxTokens,
+    messages: toOpenAIMessages(req.system, req.messages),
+  };
+  if (req.temperature != null) body.temperature = req.temperature;
+  if (req.json) body.response_format = { type: 'json_object' };
+  if (req.stream) {
+    body.stream = true;
+    body.stream_options = { include_usage: true };
+  }
+  if (req.tools?.length) {
+    body.tools = req.tools.map(t => ({
+      type: 'function',
+      function: { name: t.name, description: t.description, parameters: t.input_schema },
+    }));
+    body.tool_choice = req.toolChoice || 'auto';
+  }
+  return body;
+}
+
+// ── Transport ────────────────────────────────────────────────────────
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => { clearTimeout(timer); reject(signal.reason); }, { once: true });
+});
+
+function retryDelay(attempt, res) {
+  const header = Number(res?.headers?.get('retry-after'));
+  if (header > 0) return Math.min(header * 1000, 20000);
+  return RETRY_BASE_MS * 2 ** attempt + Math.random() * 250;
+}
+
+// POSTs with a timeout and retries on network errors and 408/429/5xx.
+// A caller abort is never retried; a timeout surfaces as a TimeoutError.
+async function postWithRetry(url, headers, body, { signal, timeoutMs, retries, stream }) {
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    let timedOut = false;
+    const timer = setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs);
+    const cleanup = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    let res;
+    try {
+      res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+    } catch (err) {
+      cleanup();
+      if (signal?.aborted) throw err;
+      const error = timedOut
+        ? Object.assign(new Error(`LLM request timed out after ${Math.round(timeoutMs / 1000)}s`), { name: 'TimeoutError' })
+        : err;
+      if (attempt >= retries) throw error;
+      await sleep(retryDelay(attempt), signal);
+      continue;
+    }
+
+    if (!res.ok) {
+      cleanup();
+      const errText = await res.text().catch(() => '');
+      if (RETRYABLE_STATUS.has(res.status) && attempt < retries) {
+        await sleep(retryDelay(attempt, res), signal);
+        continue;
+      }
+      throw Object.assign(new Error(`API error ${res.status}: ${errText.slice(0, 200)}`), { status: res.status });
+    }
+
+    // Streams may legitimately run longer than the timeout — it only
+    // covers the wait for headers. Caller aborts still reach the body.
+    if (stream) clearTimeout(timer);
+    return { res, cleanup };
+  }
+}
+
+// Yields parsed `data:` payloads from an SSE body
+async function* readSSE(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const event of events) {
+      const dataLine = event.split('\n').find(l => l.startsWith('data:'));
+      if (!dataLine) continue;
+      const data = dataLine.slice(5).trim();
+      if (data === '[DONE]') return;
+      try { yield JSON.parse(data); }
+      catch { /* skip keep-alives and partial junk */ }
+    }
+  }
+}
+
+// Anthropic SSE events → content blocks, calling onDelta with the
+// accumulated text as it arrives.
+async function readAnthropicStream(body, onDelta) {
+  const blocks = [];
+  const toolJson = {}; // block index → partial input JSON
+  let text = '';
+  let stopReason = null;
+  let usage = null; // input counts arrive in message_start, output in message_delta
+
+  for await (const payload of readSSE(body)) {
+    switch (payload.type) {
+      case 'message_start':
+        usage = { ...payload.message?.usage };
+        break;
+      case 'content_block_start':
+        blocks[payload.index] = { ...payload.content_block };
+        if (payload.content_block?.type === 'tool_use') toolJson[payload.index] = '';
+        break;
+      case 'content_block_delta':
+        if (payload.delta?.type === 'text_delta') {
+          const block = blocks[payload.index] || (blocks[payload.index] = { type: 'text', text: '' });
+          block.text += payload.delta.text;
+          text += payload.delta.text;
+          onDelta?.(text);
+        } else if (payload.delta?.type === 'input_json_delta') {
+          toolJson[payload.index] += payload.delta.partial_json;
+        }
+        break;
+      case 'content_block_stop':
+        if (payload.index in toolJson) {
+          try { blocks[payload.index].input = JSON.parse(toolJson[payload.index] || '{}'); }
+          catch { blocks[payload.index].input = {}; }
+        }
+        break;
+      case 'message_delta':
+        if (payload.delta?.stop_reason) stopReason = payload.delta.stop_reason;
+        if (payload.usage) usage = { ...usage, ...payload.usage };
+        break;
+      case 'error':
+        throw new Error(payload.error?.message || 'Stream error');
+    }
+  }
+
+  return { text, blocks: blocks.filter(Boolean), stopReason, usage };
+}
+
+// chat.completions SSE chunks → the same shape as readAnthropicStream
+async function readOpenAIStream(body, onDelta) {
+  const calls = []; // index → { id, name, arguments }
+  let text = '';
+  let finishReason = null;
+  let usage = null;
+
+  for await (const chunk of readSSE(body)) {
+    if (chunk.error) throw new Error(chunk.error.message || 'Stream error');
+    if (chunk.usage) usage = chunk.usage;
+    const choice = chunk.choices?.[0];
+    if (!choice) continue;
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+
+    const delta = choice.delta || {};
+    if (delta.content) {
+      text += delta.content;
+      onDelta?.(text);
+    }
+    for (const part of delta.tool_calls || []) {
+      const call = calls[part.index] || (calls[part.index] = { id: '', name: '', arguments: '' });
+      if (part.id) call.id = part.id;
+      if (part.function?.name) call.name += part.function.name;
+      if (part.function?.arguments) call.arguments += part.function.arguments;
+    }
+  }
+
+  const message = {
+    content: text,
+    tool_calls: calls.filter(Boolean).map(c => ({ id: c.id, function: { name: c.name, arguments: c.arguments } })),
+  };
+  return { text, ...fromOpenAIMessage(message, finishReason), usage };
+}
+
+// ── JSON parsing ─────────────────────────────────────────────────────
+
+/**
+ * Parses model output as JSON, tolerating ```json fences and prose around
+ * the object. Throws if nothing parseable is found.
+ */
+export function parseJSONResponse(text) {
+  const raw = String(text || '').trim();
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [raw, fenced?.[1]?.trim()];
+
+  const start = raw.search(/[[{]/);
+  if (start >= 0) {
+    const close = raw[start] === '{' ? '}' : ']';
+    candidates.push(raw.slice(start, raw.lastIndexOf(close) + 1));
+  }
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try { return JSON.parse(candidate); } catch { /* try next */ }
+  }
+  throw new Error(`Model did not return valid JSON: ${raw.slice(0, 120)}`);
+}
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/**
+ * Runs one model turn. Returns { text, blocks, stopReason, usage, model,
+ * provider } — `blocks` are Anthropic-style content blocks (text + tool_use)
+ * whatever the provider, `usage` is the provider's raw usage object.
+ *
+ * Options: feature, model, system, messages, tools, toolChoice, maxTokens,
+ * temperature, json, stream, onDelta(text), signal, timeoutMs, retries.
+ */
+export async function complete(options = {}) {
+  const { provider, model } = resolveModel(options.feature, options.model);
+  const req = {
+    feature: options.feature,
+    model,
+    system: options.system || '',
+    messages: options.messages || [],
+    tools: options.tools,
+    toolChoice: options.toolChoice,
+    maxTokens: options.maxTokens || 4096,
+    temperature: options.temperature,
+    json: !!options.json,
+    stream: !!options.stream,
+    onDelta: options.onDelta,
+    signal: options.signal,
+  };
+
+  if (provider === 'mock') return { ...await callMock(req), model, provider };
+
+  // Anthropic has no JSON mode — ask for it in the system prompt instead
+  if (req.json && provider === 'anthropic') {
+    req.system = [req.system, 'Respond with a single valid JSON object only — no prose, no code fences.']
+      .filter(Boolean).join('\n\n');
+  }
+
+  const isAnthropic = provider === 'anthropic';
+  const { url, headers } = getEndpoint(provider);
+  const body = isAnthropic ? buildAnthropicBody(req) : buildOpenAIBody(req);
+  const { res, cleanup } = await postWithRetry(url, headers, body, {
+    signal: req.signal,
+    timeoutMs: options.timeoutMs || DEFAULT_TIMEOUT_MS,
+    retries: options.retries ?? DEFAULT_RETRIES,
+    stream: req.stream,
+  });
+
+  try {
+    // Older proxy deployments ignore `stream` and answer with plain JSON
+    const contentType = res.headers.get('content-type') || '';
+    if (req.stream && res.body && contentType.includes('text/event-stream')) {
+      const result = isAnthropic
+        ? await readAnthropicStream(res.body, req.onDelta)
+        : await readOpenAIStream(res.body, req.onDelta);
+      return { ...result, model, provider };
+    }
+
+    const data = await res.json();
+    let result;
+    if (isAnthropic) {
+      const blocks = data.content || [];
+      result = { text: textOf(blocks), blocks, stopReason: data.stop_reason || null, usage: data.usage || null };
+    } else {
+      const choice = data.choices?.[0];
+      const { blocks, stopReason } = fromOpenAIMessage(choice?.message, choice?.finish_reason);
+      result = { text: textOf(blocks), blocks, stopReason, usage: data.usage || null };
+    }
+    if (result.text) req.onDelta?.(result.text);
+    return { ...result, model, provider };
+  } finally {
+    cleanup();
+  }
+}
+
+// complete() in JSON mode; resolves to the parsed object
+export async function completeJSON(options = {}) {
+  const result = await complete({ ...options, json: true });
+  if (!result.text) throw new Error(`Empty response from ${result.provider}`);
+  return parseJSONResponse(result.text);
+}
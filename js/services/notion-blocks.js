@@ -38,7 +38,8 @@ export async function createNotionFolder(name) {
 
 /**
  * Create a doc page under a specific parent page (folder)
- * Returns { pageId, url } or null
+ * Returns { pageId, url, appendError? } or null — with appendError the
+ * page exists but its content is incomplete
  */
 export async function createDocInFolder(parentId, title, blocks = []) {
   try {
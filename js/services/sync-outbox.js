@@ -0,0 +1,273 @@
+// js/services/sync-outbox.js — Durable queue for workspace writes
+// ──────────────────────────────────────────────────────────────────────
+// Workspace writes that can't go out right away — offline, a flaky
+// connection, or waiting behind earlier ones — are kept here, in
+// IndexedDB, and replayed in order once the connection is back. Each
+// entry belongs to a target ('supabase' or 'notion'); a target's entries
+// go out one at a time, oldest first, and a failure holds back the rest
+// of that target until it succeeds, retried with exponential backoff.
+//
+// Entries with the same key replace each other (the latest save of a doc,
+// the latest folder list), so a long offline session replays one write
+// per thing changed rather than every keystroke's save.
+//
+// An entry still failing after MAX_ATTEMPTS is marked failed: it stays
+// queued (and in IndexedDB) but stops holding back its target, until
+// retryFailedSync() or a newer write with its key.
+//
+// Handlers are registered by the modules that own the writes
+// (workspace-persistence.js, doc-revisions.js, workspace-sync.js); a
+// handler resolves truthy once its entry is done with.
+//
+// Without IndexedDB the queue still works, but only for the session.
+
+const DB_NAME = 'forge-sync-outbox';
+const STORE = 'entries';
+const TARGETS = ['supabase', 'notion'];
+
+const BASE_DELAY = 2000;         // first retry
+const MAX_DELAY = 5 * 60_000;    // backoff cap
+const MAX_ATTEMPTS = 12;         // then the entry is marked failed (~35 min online)
+
+const handlers = new Map();  // type → { target, run }
+const listeners = new Set();
+const running = new Set();   // seqs being replayed right now
+
+let entries = [];            // oldest first
+let lastSeq = 0;
+let dbPromise = null;
+let loadPromise = null;
+let flushing = false;
+let flushAgain = false;
+let retryTimer = null;
+
+export function isOnline() {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+// ── IndexedDB ────────────────────────────────────────────────────────
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') return resolve(null);
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'seq' });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.warn('[sync-outbox] IndexedDB unavailable — queue kept in memory', req.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  if (!db) return null;
+  return new Promise(resolve => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result ?? null);
+    tx.onerror = tx.onabort = () => {
+      console.warn('[sync-outbox] IndexedDB', mode, 'failed', tx.error);
+      resolve(null);
+    };
+  });
+}
+
+const storePut = entry => withStore('readwrite', store => store.put(entry));
+const storeDelete = seq => withStore('readwrite', store => store.delete(seq));
+
+// Entries left from earlier sessions go first; a key queued again since
+// then replaces its old entry
+function load() {
+  if (!loadPromise) {
+    loadPromise = withStore('readonly', store => store.getAll()).then(stored => {
+      const known = new Set(entries.map(e => e.seq));
+      const all = [...(stored || []).filter(e => !known.has(e.seq)), ...entries].sort((a, b) => a.seq - b.seq);
+      const latest = new Map(all.map(e => [e.key, e.seq]));
+      entries = all.filter(e => latest.get(e.key) === e.seq);
+      all.filter(e => latest.get(e.key) !== e.seq).forEach(e => storeDelete(e.seq));
+      lastSeq = Math.max(lastSeq, ...all.map(e => e.seq));
+      notify();
+    });
+  }
+  return loadPromise;
+}
+
+// ── Queue ────────────────────────────────────────────────────────────
+
+/**
+ * Registers how entries of `type` are replayed: `run(payload)` resolves
+ * truthy when the entry is done (written, or nothing left to write) and
+ * falsy to retry it later.
+ */
+export function registerOutboxHandler(type, target, run) {
+  handlers.set(type, { target, run });
+}
+
+/** Queues a write and tries to send it straight away */
+export function queueSync(type, key, payload) {
+  const handler = handlers.get(type);
+  if (!handler) {
+    console.warn('[sync-outbox] No handler for', type);
+    return;
+  }
+  const replaced = entries.filter(e => e.key === key && !running.has(e.seq));
+  if (replaced.length) {
+    entries = entries.filter(e => !replaced.includes(e));
+    replaced.forEach(e => storeDelete(e.seq));
+  }
+
+  lastSeq = Math.max(lastSeq + 1, Date.now());
+  const entry = {
+    seq: lastSeq, type, key, target: handler.target, payload,
+    attempts: 0, nextAttemptAt: 0, createdAt: new Date().toISOString(),
+  };
+  entries.push(entry);
+  storePut(entry);
+  notify();
+  flushOutbox();
+}
+
+const isWaiting = e => !e.failed;
+
+/** Whether writes for `target` are waiting — new ones should queue behind them */
+export function hasPendingSync(target) {
+  return entries.some(e => e.target === target && isWaiting(e));
+}
+
+export function getPendingSyncCount() {
+  return entries.filter(isWaiting).length;
+}
+
+/** Writes that gave up after MAX_ATTEMPTS and wait for retryFailedSync() */
+export function getFailedSyncCount() {
+  return entries.filter(e => e.failed).length;
+}
+
+/** Puts failed entries back in the queue with a fresh set of attempts */
+export function retryFailedSync() {
+  const failed = entries.filter(e => e.failed);
+  if (!failed.length) return;
+  failed.forEach(e => {
+    e.failed = false;
+    e.attempts = 0;
+    e.nextAttemptAt = 0;
+    storePut(e);
+  });
+  notify();
+  flushOutbox();
+}
+
+/** fn(pendingCount) whenever the queue changes; returns an unsubscribe function */
+export function onOutboxChanged(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+function notify() {
+  const pending = getPendingSyncCount();
+  listeners.forEach(fn => fn(pending));
+}
+
+// 2s, 4s, 8s … capped, ±20% so tabs and devices don't retry in step
+export function backoffDelay(attempts, random = Math.random) {
+  const delay = Math.min(BASE_DELAY * 2 ** Math.max(0, attempts - 1), MAX_DELAY);
+  return Math.round(delay * (0.8 + random() * 0.4));
+}
+
+function remove(entry) {
+  entries = entries.filter(e => e !== entry);
+  storeDelete(entry.seq);
+  notify();
+}
+
+// ── Replay ───────────────────────────────────────────────────────────
+
+/** Replays whatever is due. Resolves once nothing more can go out now. */
+export async function flushOutbox() {
+  await load();
+  if (flushing) {
+    flushAgain = true;
+    return;
+  }
+  flushing = true;
+  clearTimeout(retryTimer);
+  try {
+    do {
+      flushAgain = false;
+      await Promise.all(TARGETS.map(flushTarget));
+    } while (flushAgain && isOnline());
+  } finally {
+    flushing = false;
+    scheduleRetry();
+  }
+}
+
+async function flushTarget(target) {
+  while (isOnline()) {
+    const entry = entries.find(e => e.target === target && isWaiting(e));
+    if (!entry || entry.nextAttemptAt > Date.now()) return;
+
+    const handler = handlers.get(entry.type);
+    if (!handler) {
+      console.warn('[sync-outbox] Dropping entry with no handler', entry.type);
+      remove(entry);
+      continue;
+    }
+
+    let done = false;
+    running.add(entry.seq);
+    try {
+      done = await handler.run(entry.payload);
+    } catch (err) {
+      console.warn('[sync-outbox] replay failed', entry.type, err);
+    } finally {
+      running.delete(entry.seq);
+    }
+
+    if (done) {
+      remove(entry);
+      continue;
+    }
+    entry.attempts++;
+    if (entry.attempts >= MAX_ATTEMPTS) {
+      console.warn(`[sync-outbox] ${entry.type} ${entry.key} failed ${entry.attempts} times — kept for a manual retry`);
+      entry.failed = true;
+      storePut(entry);
+      notify();
+      continue;
+    }
+    entry.nextAttemptAt = Date.now() + backoffDelay(entry.attempts);
+    storePut(entry);
+    return;
+  }
+}
+
+function scheduleRetry() {
+  clearTimeout(retryTimer);
+  if (!isOnline()) return;
+  const due = TARGETS
+    .map(target => entries.find(e => e.target === target && isWaiting(e))?.nextAttemptAt)
+    .filter(t => t != null);
+  if (!due.length) return;
+  retryTimer = setTimeout(flushOutbox, Math.max(0, Math.min(...due) - Date.now()));
+}
+
+/** Loads what's left from earlier sessions and replays on reconnect */
+export function initOutbox() {
+  window.addEventListener('online', () => {
+    // Back online: no reason to sit out the rest of a backoff
+    entries.forEach(e => { e.nextAttemptAt = 0; });
+    flushOutbox();
+    notify();
+  });
+  window.addEventListener('offline', () => {
+    clearTimeout(retryTimer);
+    notify();
+  });
+  flushOutbox();
+}
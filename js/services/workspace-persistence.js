@@ -1,8 +1,11 @@
 // js/services/workspace-persistence.js — Supabase workspace CRUD
 // ──────────────────────────────────────────────────────────────────────
-// Mirrors chat-persistence.js pattern: async, fire-and-forget, graceful fallback.
+// Mirrors chat-persistence.js pattern: async, graceful fallback. Writes
+// the app doesn't wait on go through the outbox (sync-outbox.js), so one
+// made offline is sent once the connection is back instead of lost.
 
 import { getSupabase } from './supabase.js';
+import { registerOutboxHandler, queueSync } from './sync-outbox.js';
 
 const USER_ID = 'dan';
 
@@ -84,72 +87,119 @@ export async function fetchDocs() {
   }
 }
 
-export async function upsertDoc(doc) {
+export async function fetchDoc(id) {
   const sb = getSupabase();
-  if (!sb) return false;
+  if (!sb) return null;
   try {
-    const row = {
-      id: doc.id,
-      user_id: USER_ID,
-      title: doc.title || 'Untitled',
-      folder_id: doc.folder,
-      content: doc.content || null,
-      notion_page_id: doc.notionPageId || null,
-      updated_at: doc.updatedAt || new Date().toISOString(),
-      created_at: doc.createdAt || new Date().toISOString(),
-    };
-    const { error } = await sb
+    const { data, error } = await sb
       .from('workspace_docs')
-      .upsert(row, { onConflict: 'id' });
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
     if (error) throw error;
-    return true;
+    return data ? normalizeDoc(data) : null;
   } catch (err) {
-    console.warn('[workspace-persistence] upsertDoc failed', err);
-    return false;
+    console.warn('[workspace-persistence] fetchDoc failed', err);
+    return null;
   }
 }
 
-export async function deleteDoc(id) {
+/**
+ * Saves a doc only if its row is still at `doc.rev` (a trigger bumps rev
+ * on every update; see supabase/workspace-doc-revisions.sql). Docs without
+ * a rev are inserted. Returns { status: 'saved', rev }, or
+ * { status: 'conflict', remote } when the row moved on, or null.
+ */
+export async function saveDocRevision(doc) {
   const sb = getSupabase();
-  if (!sb) return false;
+  if (!sb) return null;
   try {
-    const { error } = await sb
+    const row = docRow(doc);
+    if (doc.rev == null) return await insertDocRevision(sb, row);
+
+    const { data, error } = await sb
       .from('workspace_docs')
-      .delete()
-      .eq('id', id);
+      .update(row)
+      .eq('id', doc.id)
+      .eq('rev', doc.rev)
+      .select('rev');
     if (error) throw error;
-    return true;
+    if (data?.length) return { status: 'saved', rev: data[0].rev };
+
+    const remote = await fetchDoc(doc.id);
+    // Deleted on another device — this copy brings it back
+    if (!remote) return await insertDocRevision(sb, row);
+    return { status: 'conflict', remote };
   } catch (err) {
-    console.warn('[workspace-persistence] deleteDoc failed', err);
-    return false;
+    console.warn('[workspace-persistence] saveDocRevision failed', err);
+    return null;
   }
 }
 
-export async function pushAllDocs(docs) {
+async function insertDocRevision(sb, row) {
+  const { data, error } = await sb
+    .from('workspace_docs')
+    .insert(row)
+    .select('rev')
+    .single();
+  if (error?.code === '23505') {
+    // Another device created it first
+    const remote = await fetchDoc(row.id);
+    return remote ? { status: 'conflict', remote } : null;
+  }
+  if (error) throw error;
+  return { status: 'saved', rev: data.rev };
+}
+
+export async function deleteDoc(id) {
   const sb = getSupabase();
   if (!sb) return false;
   try {
-    const rows = docs.map(d => ({
-      id: d.id,
-      user_id: USER_ID,
-      title: d.title || 'Untitled',
-      folder_id: d.folder,
-      content: d.content || null,
-      notion_page_id: d.notionPageId || null,
-      updated_at: d.updatedAt || new Date().toISOString(),
-      created_at: d.createdAt || new Date().toISOString(),
-    }));
     const { error } = await sb
       .from('workspace_docs')
-      .upsert(rows, { onConflict: 'id' });
+      .delete()
+      .eq('id', id);
     if (error) throw error;
     return true;
   } catch (err) {
-    console.warn('[workspace-persistence] pushAllDocs failed', err);
+    console.warn('[workspace-persistence] deleteDoc failed', err);
     return false;
   }
 }
 
+function docRow(doc) {
+  return {
+    id: doc.id,
+    user_id: USER_ID,
+    title: doc.title || 'Untitled',
+    folder_id: doc.folder,
+    content: doc.content || null,
+    notion_page_id: doc.notionPageId || null,
+    updated_at: doc.updatedAt || new Date().toISOString(),
+    created_at: doc.createdAt || new Date().toISOString(),
+  };
+}
+
+// ── Outbox ───────────────────────────────────────────────────────────
+
+registerOutboxHandler('upsertFolders', 'supabase', ({ folders }) => upsertFolders(folders));
+registerOutboxHandler('deleteFolder', 'supabase', ({ id }) => deleteFolder(id));
+registerOutboxHandler('deleteDoc', 'supabase', ({ id }) => deleteDoc(id));
+
+// The whole folder list is written each time, so only the latest counts
+export function queueFolders(folders) {
+  queueSync('upsertFolders', 'folders', { folders });
+}
+
+export function queueDeleteFolder(id) {
+  queueSync('deleteFolder', `folder:${id}`, { id });
+}
+
+// Shares its key with the doc's pending save, which it makes moot
+export function queueDeleteDoc(id) {
+  queueSync('deleteDoc', `doc:${id}`, { id });
+}
+
 // ── Normalizers ──────────────────────────────────────────────────────
 
 function normalizeFolder(row) {
@@ -171,6 +221,7 @@ function normalizeDoc(row) {
     folder: row.folder_id,
     content: row.content || null,
     notionPageId: row.notion_page_id || null,
+    rev: row.rev ?? 0,
     createdAt: row.created_at,
     updatedAt: row.updated_at,
   };
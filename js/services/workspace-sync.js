@@ -2,12 +2,19 @@
 // ──────────────────────────────────────────────────────────────────────
 // Syncs folders + docs between local storage and Notion.
 // Notion structure: Workspace root → 📁 folder pages → doc pages.
+// A linked doc keeps the page's last_edited_time and a hash of its own
+// title + content from the last push or pull (notionLastEdited /
+// notionHash); a page and a doc that both moved on since is a conflict
+// (services/doc-revisions.js), not a push over the other side.
 
 import {
   getWorkspaceIndex, createNotionFolder, createDocInFolder,
-  getPageBlocks, updatePageBlocks, updatePageTitle, moveDocToFolder,
+  getPageBlocks, updatePageBlocks, updatePageTitle, moveDocToFolder, getPage,
 } from './notion-blocks.js';
 import { notionBlocksToTiptap, tiptapToNotionBlocks } from '../notion-converter.js';
+import { contentHash, getConflict, recordConflict, patchLocalDoc, getLocalDoc } from './doc-revisions.js';
+import { registerOutboxHandler, queueSync, hasPendingSync } from './sync-outbox.js';
+import { TEMPLATES_FOLDER } from '../doc-templates.js';
 
 // ── Storage Keys ────────────────────────────────────────────────────
 const FOLDER_MAP_KEY = 'forge-notion-folder-map';   // { localFolderId: notionPageId }
@@ -75,6 +82,7 @@ export async function syncWorkspace({ getLocalFolders, getLocalDocs, saveLocalFo
     // 2a. Ensure every local folder has a Notion page
     for (const folder of localFolders) {
       if (folder.type === 'divider') continue; // dividers are local-only UI
+      if (folder.id === TEMPLATES_FOLDER) continue; // templates stay out of Notion
 
       if (!folderMap[folder.id]) {
         // Try to match by name first
@@ -169,21 +177,27 @@ export async function syncWorkspace({ getLocalFolders, getLocalDocs, saveLocalFo
             updatedAt: nd.lastEdited,
           });
           pulled++;
-        } else {
-          // Existing doc — compare timestamps
-          const notionTime = new Date(nd.lastEdited).getTime();
-          const localTime = new Date(localDoc.updatedAt || 0).getTime();
+        } else if (!getConflict(localDoc.id)) {
+          // Existing doc — compare both sides with the last sync
+          const change = compareWithNotion(localDoc, nd.lastEdited);
 
-          if (notionTime > localTime + 5000) {
-            // Notion is newer — flag for content pull on open
+          if (change === 'pull') {
+            // Only Notion changed — flag for content pull on open
+            if (!localDoc.needsNotionPull || localDoc.notionLastEdited !== nd.lastEdited) pulled++;
             localDoc.notionLastEdited = nd.lastEdited;
             localDoc.needsNotionPull = true;
             localDoc.title = nd.title;
-            pulled++;
-          } else if (localTime > notionTime + 5000 && localDoc.content) {
-            // Local is newer — push to Notion in background
+          } else if (change === 'push' && localDoc.content) {
+            // Only local changed — push to Notion in background
             pushDocToNotion(localDoc).catch(() => {});
             pushed++;
+          } else if (change === 'conflict') {
+            const remote = await fetchNotionVersion(nd.id, nd);
+            if (remote) recordConflict(localDoc.id, 'notion', remote);
+          } else if (change === 'same' && !localDoc.notionHash && localDoc.content) {
+            // Linked before hashes were kept — this is the base from now on
+            localDoc.notionLastEdited = nd.lastEdited;
+            localDoc.notionHash = contentHash(localDoc);
           }
 
           // Ensure folder mapping is correct
@@ -262,6 +276,7 @@ export async function syncWorkspace({ getLocalFolders, getLocalDocs, saveLocalFo
           const result = await createDocInFolder(notionFolderId, doc.title || 'Untitled', blocks);
           if (result?.pageId) {
             doc.notionPageId = result.pageId;
+            await markNotionSynced(doc, !result.appendError);
             pushed++;
           }
         } catch (err) {
@@ -287,6 +302,57 @@ export async function syncWorkspace({ getLocalFolders, getLocalDocs, saveLocalFo
 
 // ── Doc-level Sync Helpers ──────────────────────────────────────────
 
+/**
+ * Local doc vs its Notion page → 'same' | 'push' | 'pull' | 'conflict'.
+ * Notion's last_edited_time only has minute precision, so a Notion edit
+ * in the same minute as our last push goes unnoticed until the next one.
+ */
+function compareWithNotion(doc, lastEdited) {
+  const notionTime = new Date(lastEdited).getTime();
+  if (doc.needsNotionPull) return 'pull';
+
+  if (!doc.notionLastEdited || !doc.notionHash) {
+    // Linked before hashes were kept: the newer side wins, as it used to
+    const localTime = new Date(doc.updatedAt || 0).getTime();
+    if (notionTime > localTime + 5000) return 'pull';
+    if (localTime > notionTime + 5000) return 'push';
+    return 'same';
+  }
+
+  const notionChanged = notionTime > new Date(doc.notionLastEdited).getTime();
+  const localChanged = contentHash(doc) !== doc.notionHash;
+  if (notionChanged && localChanged) return 'conflict';
+  if (notionChanged) return 'pull';
+  return localChanged ? 'push' : 'same';
+}
+
+// The page as the conflict resolver shows it; null if it couldn't be read
+async function fetchNotionVersion(pageId, page) {
+  const blocks = await getPageBlocks(pageId);
+  if (!blocks) return null;
+  return {
+    title: page.title || 'Untitled',
+    content: notionBlocksToTiptap(blocks),
+    lastEdited: page.lastEdited,
+  };
+}
+
+// Records the page as it is now as the doc's Notion base. A page created
+// without all its content gets a hash nothing matches, so the next sync
+// pushes the doc again rather than pulling the partial page
+const INCOMPLETE_HASH = 'incomplete';
+
+async function markNotionSynced(doc, complete = true) {
+  const page = await getPage(doc.notionPageId);
+  const base = {
+    notionLastEdited: page?.lastEdited || new Date().toISOString(),
+    notionHash: complete ? contentHash(doc) : INCOMPLETE_HASH,
+    needsNotionPull: false,
+  };
+  Object.assign(doc, base);
+  patchLocalDoc(doc.id, base);
+}
+
 /**
  * Pull doc content from Notion and convert to Tiptap JSON.
  * Call when opening a doc that has needsNotionPull = true.
@@ -304,23 +370,55 @@ export async function pullDocContent(notionPageId) {
   }
 }
 
+// Pushes that fail wait in the outbox and go out with the doc as it is then
+registerOutboxHandler('pushNotionDoc', 'notion', async ({ docId }) => {
+  const doc = getLocalDoc(docId);
+  if (!doc?.notionPageId || !doc.content || getConflict(docId)) return true; // nothing left to push
+  return (await pushNow(doc)) !== false;
+});
+
 /**
  * Push doc content to Notion (convert Tiptap → Notion blocks + save).
- * Also updates the page title if changed.
+ * Also updates the page title if changed. Returns 'pushed', 'same' (nothing
+ * new to push), 'conflict' (the page changed since the last sync — the
+ * conflict is recorded and nothing is written), 'queued' (it failed, or
+ * earlier pushes are still waiting — the outbox sends it later) or false
+ * for a doc with no page or content.
  */
 export async function pushDocToNotion(doc) {
   if (!doc.notionPageId || !doc.content) return false;
+  if (!hasPendingSync('notion')) {
+    const status = await pushNow(doc);
+    if (status !== false) return status;
+  }
+  queueSync('pushNotionDoc', `notion:${doc.id}`, { docId: doc.id });
+  return 'queued';
+}
 
+async function pushNow(doc) {
   try {
+    if (doc.notionLastEdited && doc.notionHash) {
+      if (contentHash(doc) === doc.notionHash) return 'same';
+      const page = await getPage(doc.notionPageId);
+      if (page?.lastEdited && new Date(page.lastEdited) > new Date(doc.notionLastEdited)) {
+        const remote = await fetchNotionVersion(doc.notionPageId, page);
+        if (!remote) return false;
+        recordConflict(doc.id, 'notion', remote);
+        return 'conflict';
+      }
+    }
+
     const blocks = tiptapToNotionBlocks(doc.content);
     const success = await updatePageBlocks(doc.notionPageId, blocks);
+    if (!success) return false;
 
     // Also update title
     if (doc.title) {
       await updatePageTitle(doc.notionPageId, doc.title);
     }
 
-    return success;
+    await markNotionSynced(doc);
+    return 'pushed';
   } catch (err) {
     console.error('[workspace-sync] pushDocToNotion failed:', err);
     return false;
@@ -340,6 +438,8 @@ export async function createDocInNotion(doc, folderMap) {
   try {
     const blocks = doc.content ? tiptapToNotionBlocks(doc.content) : [];
     const result = await createDocInFolder(notionFolderId, doc.title || 'Untitled', blocks);
+    if (result?.appendError) console.warn('[workspace-sync] Notion page is incomplete:', doc.title, result.appendError);
+    if (result?.pageId) await markNotionSynced({ ...doc, notionPageId: result.pageId }, !result.appendError);
     return result?.pageId || null;
   } catch (err) {
     console.error('[workspace-sync] createDocInNotion failed:', err);
@@ -0,0 +1,283 @@
+// js/slash-ai.js — Inline AI commands for the block editor's "/" menu
+// ──────────────────────────────────────────────────────────────────────
+//
+// Each command works on the selection (select text, then type /), the
+// block the cursor is in, or the whole note when that block is empty.
+// The reply streams into the note as a plain-text draft through the
+// note-ai model config; when it finishes, the draft is swapped for the
+// parsed markdown in one undoable step, so ⌘Z puts the note back as it
+// was. Esc stops a run and keeps what was written so far.
+
+import { showToast } from './app.js';
+import { complete } from './services/llm-client.js';
+import { markdownToTiptap } from './markdown-converter.js';
+import { trackRange, releaseRange } from './note-ai-edits.js';
+
+const MAX_SOURCE_CHARS = 12000;
+const MAX_CONTEXT_CHARS = 4000; // rest of the note, sent alongside a block or selection
+
+const TONES = ['Professional', 'Casual', 'Confident', 'Friendly', 'Punchy', 'Empathetic'];
+const LANGUAGES = ['Spanish', 'English', 'French', 'German', 'Portuguese', 'Italian', 'Japanese', 'Chinese'];
+
+// mode: 'continue' writes on from the cursor, 'insert' adds below the
+// source, 'replace' rewrites the source in place
+const AI_COMMANDS = [
+  {
+    id: 'continue', title: 'Continue writing', description: 'AI · Keep writing from here', mode: 'continue',
+    instruction: () => 'Continue the text from exactly where it stops. Match its voice, formatting and language. Write one to three paragraphs and do not repeat what is already there.',
+  },
+  {
+    id: 'summarize', title: 'Summarize', description: 'AI · Short summary below', mode: 'insert',
+    instruction: () => 'Summarize the text in a few sentences or a short bullet list, whichever reads better. Keep names, numbers and decisions.',
+  },
+  {
+    id: 'hooks', title: 'Hooks', description: 'AI · 10 hooks from this', mode: 'insert',
+    instruction: () => 'Write 10 scroll-stopping hooks for short-form video or social posts based on the text, as a numbered list. Vary the angle: contrarian, curiosity, story, numbers, pain point. One line each.',
+  },
+  {
+    id: 'rewrite-tone', title: 'Rewrite tone', description: 'AI · Same message, new tone', mode: 'replace', options: TONES,
+    instruction: tone => `Rewrite the text in a ${tone.toLowerCase()} tone. Keep the meaning, facts and formatting; change only the voice.`,
+  },
+  {
+    id: 'translate', title: 'Translate', description: 'AI · Translate in place', mode: 'replace', options: LANGUAGES,
+    instruction: language => `Translate the text into ${language}. Keep the formatting, names and numbers as they are.`,
+  },
+  {
+    id: 'outline', title: 'Outline', description: 'AI · Structured outline below', mode: 'insert',
+    instruction: () => 'Turn the text into a structured outline: short headings with nested bullet points. If it is only a topic, outline a piece about it.',
+  },
+];
+
+// ── Targets ──────────────────────────────────────────────────────────
+// { source, context, range, inline }: `range` is the part of the note the
+// output replaces (empty for an insert point), `inline` whether it sits
+// inside one textblock rather than between blocks.
+
+function noteText(doc) {
+  return doc.textBetween(0, doc.content.size, '\n', ' ');
+}
+
+function clip(text, max) {
+  return text.length > max ? text.slice(0, max) + '\n… [truncated]' : text;
+}
+
+// Position after the top-level block containing $pos
+function afterBlock($pos) {
+  const pos = $pos.depth ? $pos.after(1) : $pos.pos;
+  return { from: pos, to: pos };
+}
+
+function resolveTarget(editor, command, range) {
+  const { doc } = editor.state;
+  const context = clip(noteText(doc), MAX_CONTEXT_CHARS);
+
+  if (range.from !== range.to) {
+    const $from = doc.resolve(range.from);
+    const $to = doc.resolve(range.to);
+    const source = doc.textBetween(range.from, range.to, '\n', ' ');
+    if (command.mode === 'continue') return { source, context, range: { from: range.to, to: range.to }, inline: true };
+    if (command.mode === 'insert') return { source, context, range: afterBlock($to), inline: false };
+    if ($from.sameParent($to)) return { source, context, range, inline: true };
+    // A selection across blocks rewrites the whole blocks it touches
+    const from = $from.depth ? $from.before(1) : range.from;
+    const to = $to.depth ? $to.after(1) : range.to;
+    return { source: doc.textBetween(from, to, '\n', ' '), context, range: { from, to }, inline: false };
+  }
+
+  const $pos = doc.resolve(range.from);
+  const block = $pos.parent;
+  const blockText = block.textContent.trim();
+
+  if (command.mode === 'continue') {
+    const source = doc.textBetween(Math.max(0, range.from - MAX_SOURCE_CHARS), range.from, '\n', ' ');
+    return source.trim() ? { source, context: '', range, inline: block.isTextblock } : null;
+  }
+  if (blockText) {
+    if (command.mode === 'replace') return { source: block.textContent, context, range: { from: $pos.start(), to: $pos.end() }, inline: true };
+    return { source: block.textContent, context, range: afterBlock($pos), inline: false };
+  }
+  // Empty block: work from the whole note, writing where the block is
+  if (command.mode === 'replace') return null;
+  const source = clip(noteText(doc), MAX_SOURCE_CHARS);
+  if (!source.trim()) return null;
+  const blockRange = $pos.depth ? { from: $pos.before(), to: $pos.after() } : afterBlock($pos);
+  return { source, context: '', range: blockRange, inline: false };
+}
+
+function buildRequest(command, target, option) {
+  const system = [
+    'You write directly into Dan\'s note in his workspace editor.',
+    'Reply with only the text that goes into the note, as markdown — no preamble, no quotes around it, no closing remarks.',
+  ];
+  if (target.context && target.context !== target.source) {
+    system.push(`The rest of the note, for context only:\n"""\n${target.context}\n"""`);
+  }
+  return {
+    system: system.join('\n\n'),
+    messages: [{ role: 'user', content: `${command.instruction(option)}\n\nText:\n"""\n${target.source}\n"""` }],
+  };
+}
+
+// ── Drafts ───────────────────────────────────────────────────────────
+// While streaming, the reply is shown as plain text (lines become hard
+// breaks inline, paragraphs between blocks) in transactions kept out of
+// the undo history.
+
+function draftFragment(schema, text, inline) {
+  const lines = text.split('\n');
+  if (inline) {
+    const content = [];
+    lines.forEach((line, i) => {
+      if (i) content.push({ type: 'hardBreak' });
+      if (line) content.push({ type: 'text', text: line });
+    });
+    return schema.nodeFromJSON({ type: 'paragraph', content }).content;
+  }
+  const content = lines.filter(l => l.trim()).map(line => ({ type: 'paragraph', content: [{ type: 'text', text: line }] }));
+  return schema.nodeFromJSON({ type: 'doc', content }).content;
+}
+
+function writeDraft(editor, run, text) {
+  const { from, to } = run.range;
+  const content = draftFragment(editor.state.schema, text, run.inline);
+  editor.view.dispatch(editor.state.tr.replaceWith(from, to, content).setMeta('addToHistory', false));
+  // Our own replacement maps the tracked ends oddly — set them directly
+  Object.assign(run.range, { from, to: from + content.size, lost: false });
+}
+
+// Puts the original content back (outside history), then applies the final
+// markdown as one normal transaction
+function commitDraft(editor, run, text) {
+  const { from, to } = run.range;
+  editor.view.dispatch(editor.state.tr.replace(from, to, run.original).setMeta('addToHistory', false));
+  if (!text.trim()) return false;
+
+  const nodes = markdownToTiptap(text).content;
+  if (!nodes.length) return false;
+  const range = { from, to: from + run.original.size };
+  const chain = editor.chain().focus();
+
+  if (run.inline && nodes[0].type === 'paragraph') {
+    // The first paragraph joins the block being written into; the rest split it after
+    let [{ content: inline = [] }, ...rest] = nodes;
+    // Markdown parsing drops the space a continuation starts with
+    if (/^[ \t]/.test(text) && inline[0]?.type === 'text') inline = [{ ...inline[0], text: ' ' + inline[0].text }, ...inline.slice(1)];
+    const size = inline.reduce((n, node) => n + (node.type === 'text' ? node.text.length : 1), 0);
+    chain.insertContentAt(range, inline, { updateSelection: true });
+    if (rest.length) chain.insertContentAt(from + size, rest, { updateSelection: true });
+  } else {
+    chain.insertContentAt(range, nodes, { updateSelection: true });
+  }
+  return chain.scrollIntoView().run();
+}
+
+function restoreDraft(editor, run) {
+  const { from, to } = run.range;
+  editor.view.dispatch(editor.state.tr.replace(from, to, run.original).setMeta('addToHistory', false));
+}
+
+// ── Run ──────────────────────────────────────────────────────────────
+
+let activeRun = null;
+
+function setWriting(editor, on) {
+  editor.options.element?.classList.toggle('is-ai-writing', on);
+}
+
+/**
+ * Runs an AI command at `range` — the selection, or the cursor position
+ * once the "/" text is gone. `option` is the tone or language picked.
+ */
+export async function runAiCommand(editor, command, { range, option } = {}) {
+  if (!editor || editor.isDestroyed) return;
+  if (activeRun) {
+    showToast('AI is still writing — Esc to stop it', 'warning');
+    return;
+  }
+
+  const target = resolveTarget(editor, command, range);
+  if (!target) {
+    showToast(command.mode === 'replace'
+      ? `Select text or put the cursor in a paragraph to ${command.title.toLowerCase()}`
+      : 'Write something first', 'warning');
+    return;
+  }
+
+  const controller = new AbortController();
+  const run = {
+    inline: target.inline,
+    original: editor.state.doc.slice(target.range.from, target.range.to),
+    range: trackRange(editor, target.range.from, target.range.to),
+    text: '',
+    frame: null,
+  };
+  activeRun = run;
+
+  const flush = () => {
+    run.frame = null;
+    if (editor.isDestroyed || controller.signal.aborted) return;
+    // Another note was loaded into the editor — there's nowhere to write
+    if (run.range.lost) { controller.abort(); return; }
+    writeDraft(editor, run, run.text);
+  };
+
+  const onKeydown = (e) => {
+    if (e.key !== 'Escape') return;
+    e.preventDefault();
+    e.stopPropagation(); // don't close the editor too
+    controller.abort();
+  };
+  document.addEventListener('keydown', onKeydown, true);
+  setWriting(editor, true);
+
+  const { system, messages } = buildRequest(command, target, option);
+  let failed = null;
+  try {
+    const result = await complete({
+      feature: 'note-ai',
+      system,
+      messages,
+      maxTokens: 2048,
+      stream: true,
+      signal: controller.signal,
+      onDelta: (text) => {
+        run.text = text;
+        if (!run.frame) run.frame = requestAnimationFrame(flush);
+      },
+    });
+    run.text = result.text;
+  } catch (err) {
+    if (!controller.signal.aborted) failed = err;
+  } finally {
+    if (run.frame) cancelAnimationFrame(run.frame);
+    document.removeEventListener('keydown', onKeydown, true);
+    activeRun = null;
+  }
+
+  try {
+    if (editor.isDestroyed || run.range.lost) return;
+    if (failed) {
+      console.error('[slash-ai] command failed:', failed);
+      restoreDraft(editor, run);
+      showToast(`AI ${command.title.toLowerCase()} failed`, 'error');
+    } else if (!commitDraft(editor, run, run.text)) {
+      if (!controller.signal.aborted) showToast('No response received', 'warning');
+    }
+  } finally {
+    setWriting(editor, false);
+    releaseRange(run.range);
+  }
+}
+
+// ── Slash menu items ─────────────────────────────────────────────────
+// Commands with `options` open a second list (tone, language) in the menu.
+
+export const AI_SLASH_ITEMS = AI_COMMANDS.map(command => ({
+  title: command.title,
+  description: command.description,
+  icon: '✦',
+  keyword: command.id,
+  ai: true,
+  options: command.options,
+  command: ({ editor, range, option }) => runAiCommand(editor, command, { range, option }),
+}));
@@ -1,5 +1,9 @@
 // js/slash-commands.js — Slash command suggestion extension for Tiptap
-// Creates a "/" menu for inserting block types
+// Creates a "/" menu for inserting block types and running inline AI commands
+
+import { AI_SLASH_ITEMS } from './slash-ai.js';
+
+const MAX_ITEMS = 20;
 
 const SLASH_ITEMS = [
   { title: 'Text', description: 'Plain paragraph', icon: '¶', command: ({ editor, range }) => {
@@ -38,9 +42,41 @@ const SLASH_ITEMS = [
     const imgBtn = document.querySelector('#be-image');
     if (imgBtn) imgBtn.click();
   }},
+  { title: 'File', description: 'Attach a PDF or any file', icon: '📎', command: ({ editor, range }) => {
+    editor.chain().focus().deleteRange(range).run();
+    document.querySelector('#be-file')?.click();
+  }},
   { title: 'Toggle', description: 'Collapsible section', icon: '▶', command: ({ editor, range }) => {
     editor.chain().focus().deleteRange(range).setToggleBlock().run();
   }},
+  { title: 'Table', description: '3×3 table with header row', icon: '▦', command: ({ editor, range }) => {
+    editor.chain().focus().deleteRange(range).insertTable({ rows: 3, cols: 3, withHeaderRow: true }).run();
+  }},
+  { title: 'Columns', description: 'Two side-by-side columns', icon: '▥', command: ({ editor, range }) => {
+    editor.chain().focus().deleteRange(range).setColumns(2).run();
+  }},
+  { title: 'Embed', description: 'YouTube, Loom or any link', icon: '▶︎', command: ({ editor, range }) => {
+    editor.chain().focus().deleteRange(range).run();
+    const src = prompt('Video or embed URL:');
+    if (src?.trim()) editor.chain().focus().setEmbed({ src: src.trim() }).run();
+  }},
+  { title: 'Synced block', description: 'Content synced across Notion pages', icon: '⟳', command: ({ editor, range }) => {
+    editor.chain().focus().deleteRange(range).setSyncedBlock().run();
+  }},
+  // Only listed with the cursor in a table
+  ...[
+    ['Add row', 'Insert a row below', '↓', chain => chain.addRowAfter()],
+    ['Add column', 'Insert a column to the right', '→', chain => chain.addColumnAfter()],
+    ['Delete row', 'Remove this row', '✕', chain => chain.deleteRow()],
+    ['Delete column', 'Remove this column', '✕', chain => chain.deleteColumn()],
+    ['Toggle header row', 'Header styling on the first row', 'H', chain => chain.toggleHeaderRow()],
+    ['Delete table', 'Remove the whole table', '✕', chain => chain.deleteTable()],
+  ].map(([title, description, icon, run]) => ({
+    title, description, icon,
+    when: editor => editor.isActive('table'),
+    command: ({ editor, range }) => run(editor.chain().focus().deleteRange(range)).run(),
+  })),
+  ...AI_SLASH_ITEMS,
 ];
 
 /**
@@ -49,11 +85,15 @@ const SLASH_ITEMS = [
  */
 export function createSlashCommandSuggestion() {
   return {
-    items: ({ query }) => {
-      return SLASH_ITEMS.filter(item =>
-        item.title.toLowerCase().includes(query.toLowerCase()) ||
-        item.description.toLowerCase().includes(query.toLowerCase())
-      ).slice(0, 10);
+    // `aiOnly` limits the list to AI commands (the menu opened over a selection);
+    // items with a `when` check only show when it passes for `editor`
+    items: ({ query, aiOnly = false, editor = null }) => {
+      const q = query.toLowerCase();
+      return SLASH_ITEMS.filter(item => (!aiOnly || item.ai) && (!item.when || (editor && item.when(editor))) && (
+        item.title.toLowerCase().includes(q) ||
+        item.description.toLowerCase().includes(q) ||
+        item.keyword?.includes(q)
+      )).slice(0, MAX_ITEMS);
     },
 
     render: () => {
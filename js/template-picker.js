@@ -0,0 +1,144 @@
+// js/template-picker.js — "New doc from template" picker
+// ──────────────────────────────────────────────────────────────────────
+//
+// Opened from a workspace folder, a VIP client row or a project's detail
+// view. Lists the docs in the Templates folder, asks for the client or
+// project only when the chosen template uses their variables (preset to
+// wherever it was opened from), then files the filled-in copy like any
+// new doc and opens it in the block editor.
+
+import { $, escapeHtml, generateId, openModal, closeModal, showToast, openBlockEditor } from './app.js';
+import { addWorkspaceDoc, getWorkspaceDocs, getWorkspaceFolders, getFolderPath } from './knowledge.js';
+import { getMergedClients } from './vip-clients.js';
+import { getProjects } from './project-store.js';
+import {
+  TEMPLATES_FOLDER, fillTemplate, templateValues, templateVariables, templateUses
+} from './doc-templates.js';
+
+const FOLDER_KEY = 'forge-template-folder'; // last folder picked
+
+let pending = null; // { onClose }
+let isBound = false;
+
+function getTemplates() {
+  return getWorkspaceDocs()
+    .filter(d => d.folder === TEMPLATES_FOLDER)
+    .sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+}
+
+function optionsHtml(items, selectedId, placeholder) {
+  return `<option value="">${escapeHtml(placeholder)}</option>` + items
+    .map(item => `<option value="${escapeHtml(item.id)}"${item.id === selectedId ? ' selected' : ''}>${escapeHtml(item.label)}</option>`)
+    .join('');
+}
+
+/**
+ * Opens the picker. `folder` is where the new doc goes (the last folder
+ * used otherwise); `client` / `project` fill their variables.
+ */
+export function openTemplatePicker({ folder = null, client = null, project = null, onClose } = {}) {
+  bindEvents();
+  const templates = getTemplates();
+  if (!templates.length) {
+    showToast('Add a doc to the Templates folder first', 'warning');
+    return;
+  }
+  const folders = getWorkspaceFolders().filter(f => f.type !== 'divider' && f.id !== TEMPLATES_FOLDER);
+  if (!folders.length) {
+    showToast('Create a Workspace folder first', 'warning');
+    return;
+  }
+
+  pending = { onClose };
+  const last = localStorage.getItem(FOLDER_KEY);
+  const selectedFolder = [folder, last].find(id => folders.some(f => f.id === id)) || folders[0].id;
+
+  const templateSelect = $('#templatePickerTemplate');
+  const folderSelect = $('#templatePickerFolder');
+  const clientSelect = $('#templatePickerClient');
+  const projectSelect = $('#templatePickerProject');
+  if (!templateSelect || !folderSelect || !clientSelect || !projectSelect) return;
+
+  // Opened for a client / project: pick the first template that uses it
+  const preferred = templates.find(t => (client && templateUses(t, 'client')) || (project && templateUses(t, 'project')));
+  templateSelect.innerHTML = templates
+    .map(t => `<option value="${escapeHtml(t.id)}"${t === preferred ? ' selected' : ''}>${escapeHtml(t.title || 'Untitled')}</option>`)
+    .join('');
+
+  folderSelect.innerHTML = folders
+    .map(f => ({ id: f.id, label: getFolderPath(getWorkspaceFolders(), f.id) }))
+    .sort((a, b) => a.label.localeCompare(b.label))
+    .map(f => `<option value="${escapeHtml(f.id)}"${f.id === selectedFolder ? ' selected' : ''}>${escapeHtml(f.label)}</option>`)
+    .join('');
+
+  const clients = getMergedClients()
+    .map(c => ({ id: c.id, label: c.name || 'Untitled' }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+  clientSelect.innerHTML = optionsHtml(clients, client?.id, 'No client');
+
+  const projects = (getProjects().projects || [])
+    .map(p => ({ id: p.id, label: p.name || 'Untitled' }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+  projectSelect.innerHTML = optionsHtml(projects, project?.id, 'No project');
+
+  updateFields();
+  openModal('templatePickerModal');
+}
+
+// Client / project only when the template has something for them to fill
+function updateFields() {
+  const template = getTemplates().find(t => t.id === $('#templatePickerTemplate')?.value);
+  if (!template) return;
+  const usesClient = templateUses(template, 'client');
+  const usesProject = templateUses(template, 'project');
+  $('#templatePickerClientGroup').hidden = !usesClient;
+  $('#templatePickerProjectGroup').hidden = !usesProject;
+
+  const summary = $('#templatePickerSummary');
+  if (summary) {
+    const names = templateVariables(template);
+    summary.textContent = names.length
+      ? `Fills in ${names.map(name => `{{${name}}}`).join(', ')}`
+      : 'No variables — copied as it is';
+  }
+}
+
+function confirmCreate() {
+  if (!pending) return;
+  const template = getTemplates().find(t => t.id === $('#templatePickerTemplate')?.value);
+  const folder = $('#templatePickerFolder')?.value;
+  if (!template || !folder) return;
+
+  const clientId = $('#templatePickerClientGroup').hidden ? '' : $('#templatePickerClient').value;
+  const projectId = $('#templatePickerProjectGroup').hidden ? '' : $('#templatePickerProject').value;
+  const values = templateValues({
+    now: new Date(),
+    client: clientId ? getMergedClients().find(c => c.id === clientId) : null,
+    project: projectId ? (getProjects().projects || []).find(p => p.id === projectId) : null,
+  });
+  const { title, content } = fillTemplate(template, values);
+
+  const now = new Date().toISOString();
+  const doc = addWorkspaceDoc({
+    id: `doc-${generateId()}`,
+    title,
+    folder,
+    content,
+    notionPageId: null,
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  localStorage.setItem(FOLDER_KEY, folder);
+  const { onClose } = pending;
+  pending = null;
+  closeModal();
+  openBlockEditor({ docId: doc.id, onClose });
+}
+
+function bindEvents() {
+  if (isBound) return;
+  isBound = true;
+  $('#templatePickerTemplate')?.addEventListener('change', updateFields);
+  $('#templatePickerConfirm')?.addEventListener('click', confirmCreate);
+}
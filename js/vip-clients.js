@@ -4,8 +4,10 @@
 import {
   getState, setState, subscribe, saveLocal,
   escapeHtml, formatNumber, formatDate, formatRelativeTime,
-  daysBetween, debounce, $, $$, showToast
+  daysBetween, debounce, $, $$, showToast, openBlockEditor
 } from './app.js';
+import { getBacklinks } from './doc-links.js';
+import { openTemplatePicker } from './template-picker.js';
 
 // ── State ────────────────────────────────────────────────────────────
 let activeFilter = 'all';
@@ -102,6 +104,29 @@ async function saveToNotion(clientId, properties) {
   }
 }
 
+// ── Status change approved from an agent action (used by agent-actions.js) ──
+// Unlike inline edits this awaits the Notion write so the card can report failure.
+export async function updateClientStatusFromAgent(clientId, status) {
+  if (!STATUS_OPTIONS.includes(status)) throw new Error(`Unknown status: ${status}`);
+  const client = getMergedClients().find(c => c.id === clientId);
+  if (!client) throw new Error('Client not found');
+
+  const res = await fetch('/api/update-vip-client', {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ pageId: clientId, properties: { Status: status } }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || data.error) throw new Error(data.error || `HTTP ${res.status}`);
+
+  saveLocalEdit(clientId, 'status', status);
+  const state = getState('vipClients');
+  const row = state?.clients?.find(c => c.id === clientId);
+  if (row) row.status = status;
+  setState('vipClients', { ...state });
+  return { name: client.name, previous: client.status || 'Active', status };
+}
+
 // ── Navigate to a specific client (used by home.js) ─────────────────
 export function navigateToClient(clientId) {
   expandedClientId = clientId;
@@ -245,7 +270,7 @@ function renderClientRow(client, lastSynced) {
 
 // ── Editable expanded row ────────────────────────────────────────────
 
-const STATUS_OPTIONS = ['Active', 'At Risk', 'Onboarding', 'Churned'];
+export const STATUS_OPTIONS = ['Active', 'At Risk', 'Onboarding', 'Churned'];
 const PAYMENT_OPTIONS = ['1k/month', '3k PIF/Year', 'PIF', '+1', ''];
 const LENGTH_OPTIONS = ['3 Months', '5 Months', '6 Months', '12 Months', ''];
 const PROGRAM_OPTIONS = ['Group VIP', '1:1 VIP', 'VIP Accelerator', 'VIP DAY', 'Special Deal', 'Needs Attention', 'Paused', 'Cancelled', 'Graduated'];
@@ -254,6 +279,7 @@ function renderExpandedRow(client) {
   const todos = client.todo || [];
   const programs = client.program || [];
   const sync = syncStatus[client.id];
+  const mentions = getBacklinks({ kind: 'client', id: client.id });
 
   return `
     <tr class="vip-expanded-row" data-expanded-id="${escapeHtml(client.id)}">
@@ -327,6 +353,19 @@ function renderExpandedRow(client) {
             </div>
           </div>
         </div>
+        <div class="vip-docs">
+          <div class="vip-docs-header">
+            <h4>Mentioned in Docs</h4>
+            <button type="button" class="btn btn-ghost btn-xs vip-doc-new" data-client-id="${escapeHtml(client.id)}">+ New doc from template</button>
+          </div>
+          ${mentions.length === 0
+            ? '<div class="vip-docs-empty text-sm text-tertiary">No docs mention this client yet — type @ in a doc to link them.</div>'
+            : mentions.map(({ doc, snippet }) => `
+              <button type="button" class="vip-doc-link" data-doc-id="${escapeHtml(doc.id)}">
+                <span class="vip-doc-title">${escapeHtml(doc.title || 'Untitled')}</span>
+                <span class="vip-doc-snippet">${escapeHtml(snippet)}</span>
+              </button>`).join('')}
+        </div>
         <div class="vip-edit-footer">
           <span class="vip-sync-indicator" data-client-id="${escapeHtml(client.id)}">${sync === 'syncing' ? 'Syncing...' : sync === 'saved' ? 'Saved to Notion' : ''}</span>
           ${client.notionUrl ? `<a href="${escapeHtml(client.notionUrl)}" target="_blank" rel="noopener noreferrer" class="btn btn-ghost btn-xs">View in Notion &#8599;</a>` : ''}
@@ -446,6 +485,21 @@ function bindVipEvents() {
       return;
     }
 
+    // New doc from a template, filled in for this client
+    const newDocBtn = e.target.closest('.vip-doc-new');
+    if (newDocBtn) {
+      const client = getMergedClients().find(c => c.id === newDocBtn.dataset.clientId);
+      if (client) openTemplatePicker({ client, onClose: () => renderVipClients() });
+      return;
+    }
+
+    // Doc that mentions the client
+    const docLink = e.target.closest('.vip-doc-link');
+    if (docLink) {
+      openBlockEditor({ docId: docLink.dataset.docId });
+      return;
+    }
+
     // Tag remove button
     const removeBtn = e.target.closest('.vip-tag-remove');
     if (removeBtn) {
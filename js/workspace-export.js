@@ -0,0 +1,268 @@
+// js/workspace-export.js — Builds Markdown and static-site exports
+// ──────────────────────────────────────────────────────────────────────
+//
+// Two ways to get docs out of the workspace, for one folder (with
+// everything under it) or all of it:
+//
+//   Markdown     — a file per doc, in directories named after its folders,
+//                  with `title` / `created` / `updated` front matter.
+//                  Pasted images become files in an images/ directory
+//                  next to the doc, and [[doc]] mentions become relative
+//                  links — the shape the workspace importer reads back in.
+//   Static site  — a read-only HTML page per doc with the folder tree as
+//                  navigation, for a team handbook or SOPs. Flat, so it
+//                  can be hosted from any directory.
+//
+// Both return a list of files ({ path, text } or { path, bytes }); the
+// exporter zips them. Browser-free — usable from Node.
+
+import { tiptapToMarkdown, tiptapToHtml, EXPORT_CSS, esc, slugify } from './markdown-converter.js';
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif',
+  'image/webp': 'webp', 'image/svg+xml': 'svg', 'image/avif': 'avif',
+};
+
+// ── Scope ────────────────────────────────────────────────────────────
+
+const byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0) || a.name.localeCompare(b.name);
+const byTitle = (a, b) => (a.title || '').localeCompare(b.title || '');
+
+/**
+ * The folders and docs an export covers: `folderId` and everything under
+ * it, or the whole workspace when it's null.
+ */
+export function exportScope(folders, docs, folderId = null) {
+  if (!folderId) return { folders, docs };
+  const ids = new Set([folderId]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const f of folders) {
+      if (f.parentId && ids.has(f.parentId) && !ids.has(f.id)) {
+        ids.add(f.id);
+        grew = true;
+      }
+    }
+  }
+  return {
+    folders: folders.filter(f => ids.has(f.id)),
+    docs: docs.filter(d => ids.has(d.folder)),
+  };
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+// A name that's safe as a file or directory name everywhere
+export function safeFileName(name) {
+  return String(name || '')
+    .replace(/[\\/:*?"<>|#%\u0000-\u001f]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+|\.+$/g, '')
+    .slice(0, 80)
+    .trim() || 'Untitled';
+}
+
+// `base` + `ext`, numbered when taken: "Notes.md", "Notes 2.md"
+function claim(taken, dir, base, ext, joiner = ' ') {
+  let path = `${dir}${base}${ext}`;
+  for (let n = 2; taken.has(path.toLowerCase()); n++) path = `${dir}${base}${joiner}${n}${ext}`;
+  taken.add(path.toLowerCase());
+  return path;
+}
+
+function dataUrlFile(src) {
+  const match = /^data:([\w/+.-]+);base64,(.*)$/s.exec(src || '');
+  if (!match) return null;
+  const binary = atob(match[2]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return { bytes, ext: IMAGE_EXTENSIONS[match[1]] || 'bin' };
+}
+
+// Relative link from one exported file to another, each segment encoded
+function relativeHref(fromPath, toPath) {
+  const from = fromPath.split('/').slice(0, -1);
+  const to = toPath.split('/');
+  let common = 0;
+  while (common < from.length && common < to.length - 1 && from[common] === to[common]) common++;
+  return [...from.slice(common).map(() => '..'), ...to.slice(common)].map(encodeURIComponent).join('/');
+}
+
+// Pulls embedded (data URL) images out of a doc as files. `pathFor(ext)`
+// names each one; returns the files and a src lookup for the serializers.
+function extractImages(content, pathFor) {
+  const files = [];
+  const srcs = new Map();
+  const walk = node => {
+    if (node.type === 'image' && node.attrs?.src?.startsWith('data:') && !srcs.has(node.attrs.src)) {
+      const file = dataUrlFile(node.attrs.src);
+      if (file) {
+        const path = pathFor(file.ext);
+        files.push({ path, bytes: file.bytes });
+        srcs.set(node.attrs.src, path);
+      }
+    }
+    (node.content || []).forEach(walk);
+  };
+  if (content) walk(content);
+  return { files, srcs };
+}
+
+function frontMatter(doc) {
+  const lines = [`title: ${JSON.stringify(doc.title || 'Untitled')}`];
+  if (doc.createdAt) lines.push(`created: ${doc.createdAt}`);
+  if (doc.updatedAt) lines.push(`updated: ${doc.updatedAt}`);
+  return `---\n${lines.join('\n')}\n---\n\n`;
+}
+
+// ── Markdown ─────────────────────────────────────────────────────────
+
+/**
+ * A Markdown export of `folderId` (or everything). The folder itself is
+ * the root of the export, so its docs sit at the top.
+ */
+export function buildMarkdownExport({ folders: allFolders, docs: allDocs, folderId = null }) {
+  const { folders, docs } = exportScope(allFolders, allDocs, folderId);
+  const known = new Set(folders.map(f => f.id));
+
+  // Each folder's directory, relative to the export's root
+  const dirs = new Map();
+  const takenDirs = new Set();
+  const dirOf = id => {
+    if (!id || id === folderId || !known.has(id)) return '';
+    if (dirs.has(id)) return dirs.get(id);
+    const folder = folders.find(f => f.id === id);
+    const path = claim(takenDirs, dirOf(folder.parentId), safeFileName(folder.name), '/');
+    dirs.set(id, path);
+    return path;
+  };
+  [...folders].sort(byOrder).forEach(f => dirOf(f.id));
+
+  const taken = new Set();
+  const paths = new Map();
+  const sorted = [...docs].sort(byTitle);
+  for (const doc of sorted) paths.set(doc.id, claim(taken, dirOf(doc.folder), safeFileName(doc.title), '.md'));
+
+  const files = [];
+  for (const doc of sorted) {
+    const path = paths.get(doc.id);
+    const dir = path.slice(0, path.lastIndexOf('/') + 1);
+    const base = safeFileName(doc.title);
+    let n = 0;
+    const { files: images, srcs } = extractImages(doc.content, ext => claim(taken, `${dir}images/`, `${base} ${++n}`, `.${ext}`));
+
+    const markdown = tiptapToMarkdown(doc.content, {
+      image: attrs => (srcs.has(attrs.src) ? relativeHref(path, srcs.get(attrs.src)) : attrs.src),
+      mention: attrs => (attrs.kind === 'doc' && paths.has(attrs.id)
+        ? `[${attrs.label || 'Untitled'}](${relativeHref(path, paths.get(attrs.id))})`
+        : null),
+    });
+    files.push({ path, text: frontMatter(doc) + markdown }, ...images);
+  }
+  return files;
+}
+
+// ── Static site ──────────────────────────────────────────────────────
+
+const SITE_CSS = `${EXPORT_CSS}
+  body { max-width: none; margin: 0; padding: 0; }
+  .site { display: flex; min-height: 100vh; }
+  .site-nav { width: 260px; flex-shrink: 0; padding: 28px 20px; background: #fafaf9; border-right: 1px solid #e7e5e4; font-size: 14px; }
+  .site-nav .site-title { display: block; font-weight: 600; font-size: 16px; color: #1f1f1f; text-decoration: none; margin-bottom: 16px; }
+  .site-nav ul { list-style: none; margin: 0; padding-left: 12px; }
+  .site-nav > ul { padding-left: 0; }
+  .site-nav li { margin: 2px 0; }
+  .site-nav .folder { font-weight: 600; color: #57534e; margin-top: 10px; }
+  .site-nav a { color: #44403c; text-decoration: none; }
+  .site-nav a:hover, .site-nav a.current { color: #9a7b2f; }
+  .site-main { flex: 1; min-width: 0; max-width: 760px; padding: 40px 32px; }
+  .site-meta { font-size: 13px; color: #78716c; margin-top: 40px; }
+  .mention { background: #f5f5f4; border-radius: 4px; padding: 0 4px; }
+  img { max-width: 100%; height: auto; }
+  @media (max-width: 720px) {
+    .site { flex-direction: column; }
+    .site-nav { width: auto; border-right: none; border-bottom: 1px solid #e7e5e4; }
+  }
+`;
+
+function formatDay(iso) {
+  const d = new Date(iso);
+  return isNaN(d) ? '' : d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+// A doc as its page shows it: doc mentions link to their pages (other
+// mentions stay as they are) and embedded images point at their files
+function pageContent(node, pages, srcs) {
+  if (node.type === 'mention' && node.attrs?.kind === 'doc' && pages.has(node.attrs.id)) {
+    return { type: 'text', text: node.attrs.label || 'Untitled', marks: [{ type: 'link', attrs: { href: `./${pages.get(node.attrs.id)}` } }] };
+  }
+  if (node.type === 'image' && srcs.has(node.attrs?.src)) {
+    return { ...node, attrs: { ...node.attrs, src: `./${srcs.get(node.attrs.src)}` } };
+  }
+  return node.content ? { ...node, content: node.content.map(child => pageContent(child, pages, srcs)) } : node;
+}
+
+/**
+ * A static site of `folderId` (or everything): index.html, a page per
+ * doc, style.css and images/.
+ */
+export function buildStaticSite({ folders: allFolders, docs: allDocs, folderId = null, title = 'Workspace', now = new Date() }) {
+  const { folders, docs } = exportScope(allFolders, allDocs, folderId);
+  const known = new Set(folders.map(f => f.id));
+  const rootId = folderId || null;
+
+  const taken = new Set(['index.html', 'style.css']);
+  const pages = new Map();
+  for (const doc of [...docs].sort(byTitle)) pages.set(doc.id, claim(taken, '', slugify(doc.title), '.html', '-'));
+
+  // Navigation: the root's docs, then each folder's, in sidebar order
+  const docsIn = id => docs.filter(d => (known.has(d.folder) && d.folder !== rootId ? d.folder : null) === id).sort(byTitle);
+  const parentOf = f => (f.parentId && f.parentId !== rootId && known.has(f.parentId) ? f.parentId : null);
+  const foldersIn = id => folders.filter(f => f.id !== rootId && parentOf(f) === id).sort(byOrder);
+  const hasDocs = id => docsIn(id).length > 0 || foldersIn(id).some(f => hasDocs(f.id));
+
+  const navList = (id, current) => {
+    const items = [
+      ...docsIn(id).map(d => `<li><a href="./${esc(pages.get(d.id))}"${d.id === current ? ' class="current"' : ''}>${esc(d.title || 'Untitled')}</a></li>`),
+      ...foldersIn(id).filter(f => hasDocs(f.id)).map(f => `<li><div class="folder">${esc(f.name)}</div>${navList(f.id, current)}</li>`),
+    ];
+    return items.length ? `<ul>${items.join('')}</ul>` : '';
+  };
+
+  const page = (pageTitle, body, current) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(pageTitle === title ? title : `${pageTitle} · ${title}`)}</title>
+<link rel="stylesheet" href="./style.css">
+</head>
+<body>
+<div class="site">
+<nav class="site-nav"><a class="site-title" href="./index.html">${esc(title)}</a>${navList(null, current)}</nav>
+<main class="site-main">
+${body}
+</main>
+</div>
+</body>
+</html>
+`;
+
+  const files = [{ path: 'style.css', text: SITE_CSS }];
+  for (const doc of docs) {
+    const slug = pages.get(doc.id).replace(/\.html$/, '');
+    let n = 0;
+    const { files: images, srcs } = extractImages(doc.content, ext => claim(taken, 'images/', `${slug}-${++n}`, `.${ext}`, '-'));
+    const content = pageContent(doc.content || { type: 'doc', content: [] }, pages, srcs);
+
+    const updated = formatDay(doc.updatedAt);
+    const body = `<h1>${esc(doc.title || 'Untitled')}</h1>\n${tiptapToHtml(content)}${updated ? `\n<p class="site-meta">Last updated ${esc(updated)}</p>` : ''}`;
+    files.push({ path: pages.get(doc.id), text: page(doc.title || 'Untitled', body, doc.id) }, ...images);
+  }
+
+  const index = `<h1>${esc(title)}</h1>\n<p class="site-meta">${docs.length} page${docs.length === 1 ? '' : 's'} · Published ${esc(formatDay(now.toISOString()))}</p>\n${navList(null, null)}`;
+  files.push({ path: 'index.html', text: page(title, index, null) });
+  return files;
+}
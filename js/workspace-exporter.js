@@ -0,0 +1,104 @@
+// js/workspace-exporter.js — Export a folder or the workspace as a zip
+// ──────────────────────────────────────────────────────────────────────
+//
+// The Export modal on the Workspace tab: Markdown files with front matter
+// and images, or a read-only static site ("publish folder") to host for
+// the team. The files are built by workspace-export.js; this zips and
+// downloads them.
+
+import { $, escapeHtml, openModal, closeModal, showToast } from './app.js';
+import { getWorkspaceDocs, getWorkspaceFolders, getFolderPath } from './knowledge.js';
+import { loadJsZip } from './workspace-importer.js';
+import { exportScope, buildMarkdownExport, buildStaticSite, safeFileName } from './workspace-export.js';
+
+const ALL = '__all__';
+
+let isBound = false;
+
+/** Opens the exporter; `folder` preselects what's exported */
+export function openWorkspaceExporter({ folder = null } = {}) {
+  bindEvents();
+  const select = $('#wsExportScope');
+  if (!select) return;
+  const folders = getWorkspaceFolders();
+  const options = folders
+    .map(f => ({ id: f.id, label: getFolderPath(folders, f.id) }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+  select.innerHTML = `<option value="${ALL}">Whole workspace</option>` + options
+    .map(f => `<option value="${escapeHtml(f.id)}"${f.id === folder ? ' selected' : ''}>${escapeHtml(f.label)}</option>`)
+    .join('');
+  $('#wsExportTitle').value = '';
+  updateFields();
+  openModal('wsExportModal');
+}
+
+function selectedScope() {
+  const value = $('#wsExportScope')?.value;
+  const folderId = value && value !== ALL ? value : null;
+  const folder = folderId ? getWorkspaceFolders().find(f => f.id === folderId) : null;
+  return { folderId, name: folder?.name || 'Workspace' };
+}
+
+function updateFields() {
+  const isSite = $('#wsExportFormat')?.value === 'site';
+  const { folderId, name } = selectedScope();
+  $('#wsExportTitleGroup').hidden = !isSite;
+  $('#wsExportTitle').placeholder = name;
+
+  const { docs } = exportScope(getWorkspaceFolders(), getWorkspaceDocs(), folderId);
+  const summary = $('#wsExportSummary');
+  if (summary) {
+    summary.textContent = docs.length
+      ? `${docs.length} doc${docs.length === 1 ? '' : 's'} — ${isSite ? 'a page each, with the folders as navigation' : 'a Markdown file each, in their folders'}`
+      : 'No docs here to export';
+  }
+  $('#wsExportConfirm').disabled = !docs.length;
+}
+
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function confirmExport() {
+  const button = $('#wsExportConfirm');
+  const isSite = $('#wsExportFormat')?.value === 'site';
+  const { folderId, name } = selectedScope();
+  const source = { folders: getWorkspaceFolders(), docs: getWorkspaceDocs(), folderId };
+
+  button.disabled = true;
+  try {
+    const JSZip = await loadJsZip();
+    if (!JSZip) {
+      showToast("Couldn't load the zip library — check your connection", 'error');
+      return;
+    }
+    const files = isSite
+      ? buildStaticSite({ ...source, title: $('#wsExportTitle').value.trim() || name })
+      : buildMarkdownExport(source);
+    const zip = new JSZip();
+    files.forEach(file => zip.file(file.path, file.bytes ?? file.text));
+    const blob = await zip.generateAsync({ type: 'blob' });
+    downloadBlob(`${safeFileName(name)}${isSite ? ' site' : ''}.zip`, blob);
+    closeModal();
+  } catch (err) {
+    console.warn('[workspace-exporter] export failed', err);
+    showToast('Export failed', 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function bindEvents() {
+  if (isBound) return;
+  isBound = true;
+  $('#wsExportScope')?.addEventListener('change', updateFields);
+  $('#wsExportFormat')?.addEventListener('change', updateFields);
+  $('#wsExportConfirm')?.addEventListener('click', confirmExport);
+}
@@ -0,0 +1,270 @@
+// js/workspace-import.js — Plans a bulk import into the workspace
+// ──────────────────────────────────────────────────────────────────────
+//
+// Turns a set of files — Markdown (with front matter), HTML exports, and
+// whatever came out of a zip — into the folders and docs they'd become,
+// without saving anything, so the importer can show a dry run first:
+//
+//   - directories become folders under the destination, reusing a folder
+//     of the same name that's already there; files at the top go in the
+//     destination itself
+//   - Notion's export names ("Roadmap 1a2b…32 hex") lose the id, and a
+//     page's sub-pages (in the folder of the same name) become a folder
+//   - a doc's title is its front matter `title`, else a leading H1, else
+//     its file name
+//   - relative image links to files in the import are embedded as data
+//     URLs (as pasted images are); relative links to other imported
+//     files become [[doc]] mentions
+//
+// Browser-free — HTML is converted by the `htmlToDoc` passed in.
+
+import { markdownToTiptap } from './markdown-converter.js';
+
+const TEXT_TYPES = { md: 'markdown', markdown: 'markdown', txt: 'markdown', html: 'html', htm: 'html' };
+const IMAGE_TYPES = {
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif',
+  webp: 'image/webp', svg: 'image/svg+xml', avif: 'image/avif',
+};
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024; // as the editor allows
+
+const NOTION_ID = /\s+[0-9a-f]{32}$/i;
+
+export function fileKind(path) {
+  const ext = path.split('.').pop().toLowerCase();
+  if (TEXT_TYPES[ext]) return TEXT_TYPES[ext];
+  if (IMAGE_TYPES[ext]) return 'image';
+  if (ext === 'zip') return 'zip';
+  return null;
+}
+
+// "Roadmap 1a2b3c….md" → "Roadmap"
+export function cleanName(name) {
+  return name.replace(/\.[^./]+$/, '').replace(NOTION_ID, '').trim() || name;
+}
+
+// ── Front matter ─────────────────────────────────────────────────────
+
+/**
+ * Splits `---`-fenced front matter off a Markdown file: { data, body }.
+ * Only flat `key: value` lines are read; values lose their quotes.
+ */
+export function parseFrontMatter(text) {
+  const match = /^\uFEFF?---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(text);
+  if (!match) return { data: {}, body: text };
+  const data = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const kv = /^([\w-]+)\s*:\s*(.*?)\s*$/.exec(line);
+    if (kv) data[kv[1].toLowerCase()] = unquote(kv[2]);
+  }
+  return { data, body: text.slice(match[0].length) };
+}
+
+// "double" quotes may hold escapes (the exporter writes them so); 'single' don't
+function unquote(value) {
+  if (/^".*"$/.test(value)) {
+    try { return JSON.parse(value); } catch { /* fall through */ }
+  }
+  return value.replace(/^(["'])(.*)\1$/, '$2');
+}
+
+function isoDate(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+// ── Paths ────────────────────────────────────────────────────────────
+
+export function normalizePath(path) {
+  const parts = [];
+  for (const part of path.replace(/\\/g, '/').split('/')) {
+    if (!part || part === '.') continue;
+    if (part === '..') parts.pop();
+    else parts.push(part);
+  }
+  return parts.join('/');
+}
+
+const dirname = path => path.split('/').slice(0, -1).join('/');
+
+// A link in `fromPath` → the imported file it points at, or null
+function resolveLink(fromPath, href) {
+  if (!href || /^([a-z][\w+.-]*:|\/|#)/i.test(href)) return null; // absolute, data:, anchors
+  let target = href.split(/[?#]/)[0];
+  try { target = decodeURIComponent(target); } catch { /* keep as written */ }
+  return target ? normalizePath(`${dirname(fromPath)}/${target}`) : null;
+}
+
+// Notion's own export wrapper ("Export-<uuid>/") isn't a folder anyone made
+function stripExportRoot(files) {
+  const roots = new Set(files.map(f => f.path.split('/')[0]));
+  if (roots.size !== 1) return files;
+  const [root] = roots;
+  if (!/^Export-[0-9a-f-]+$/i.test(root) || files.some(f => !f.path.includes('/'))) return files;
+  return files.map(f => ({ ...f, path: f.path.slice(root.length + 1) }));
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// ── Content ──────────────────────────────────────────────────────────
+
+function plainText(node) {
+  if (node.type === 'text') return node.text || '';
+  return (node.content || []).map(plainText).join('');
+}
+
+// A leading H1 is the title (Notion and most Markdown start with one);
+// it comes out of the body when it says the same as the title used
+function takeTitle(content, title) {
+  const first = content.content?.[0];
+  if (first?.type !== 'heading' || first.attrs?.level !== 1) return title;
+  const heading = plainText(first).trim();
+  if (title && heading !== title) return title;
+  content.content = content.content.slice(1);
+  if (!content.content.length) content.content = [{ type: 'paragraph' }];
+  return heading || title;
+}
+
+function walk(node, fn) {
+  fn(node);
+  (node.content || []).forEach(child => walk(child, fn));
+}
+
+/**
+ * Plans an import. `files` are [{ path, text }] for Markdown / HTML and
+ * [{ path, bytes }] for images; `folders` are the workspace's folders and
+ * `destination` the folder everything lands in.
+ *
+ * Returns { folders, docs, skipped, warnings }: `folders` are the new
+ * folders to create, parents first; `docs` the new docs.
+ */
+export function planImport(files, { folders: existing, destination, newDocId, htmlToDoc, now = new Date() }) {
+  const skipped = [];
+  const warnings = [];
+  const nowIso = now.toISOString();
+
+  const inputs = stripExportRoot(files
+    .map(f => ({ ...f, path: normalizePath(f.path) }))
+    .filter(f => f.path && !f.path.split('/').some(part => part.startsWith('.') || part === '__MACOSX')));
+
+  const images = new Map();
+  const sources = [];
+  for (const file of inputs) {
+    const kind = fileKind(file.path);
+    if (kind === 'image') images.set(file.path, file);
+    else if ((kind === 'markdown' || kind === 'html') && file.text != null) sources.push({ ...file, kind });
+    else skipped.push({ path: file.path, reason: kind === 'zip' ? 'Zip inside a zip' : 'Not Markdown, HTML or an image' });
+  }
+
+  // ── Folders ──
+  const taken = new Set(existing.map(f => f.id));
+  const newFolders = [];
+  const folderByDir = new Map([['', destination]]);
+
+  function folderFor(dir) {
+    if (folderByDir.has(dir)) return folderByDir.get(dir);
+    const parentId = folderFor(dirname(dir));
+    const name = cleanName(dir.split('/').pop());
+    const siblings = [...existing, ...newFolders].filter(f => (f.parentId || null) === parentId);
+    const match = siblings.find(f => f.type !== 'divider' && f.name.toLowerCase() === name.toLowerCase());
+    if (match) {
+      folderByDir.set(dir, match.id);
+      return match.id;
+    }
+    const base = name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '') || 'imported';
+    let id = base;
+    for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+    taken.add(id);
+    newFolders.push({ id, name, parentId, order: siblings.length, type: 'folder' });
+    folderByDir.set(dir, id);
+    return id;
+  }
+
+  // ── Docs ──
+  const docs = sources
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .map(file => {
+      let title = null;
+      let content;
+      let createdAt = nowIso;
+      let updatedAt = nowIso;
+      try {
+        if (file.kind === 'markdown') {
+          const { data, body } = parseFrontMatter(file.text);
+          title = data.title || null;
+          createdAt = isoDate(data.created || data.date) || nowIso;
+          updatedAt = isoDate(data.updated || data.modified) || createdAt;
+          content = markdownToTiptap(body);
+        } else {
+          ({ title, content } = htmlToDoc(file.text));
+        }
+      } catch (err) {
+        skipped.push({ path: file.path, reason: `Couldn't be read (${err.message})` });
+        return null;
+      }
+      title = takeTitle(content, title?.trim() || null) || cleanName(file.path.split('/').pop());
+      return {
+        id: newDocId(), title, folder: folderFor(dirname(file.path)), content,
+        notionPageId: null, createdAt, updatedAt, path: file.path, images: 0,
+      };
+    })
+    .filter(Boolean);
+
+  // ── Links and images ──
+  const docByPath = new Map(docs.map(d => [d.path, d]));
+  for (const doc of docs) {
+    walk(doc.content, node => {
+      if (node.type === 'image') {
+        const target = resolveLink(doc.path, node.attrs?.src);
+        if (!target) return;
+        const file = images.get(target);
+        if (!file) {
+          warnings.push(`${doc.path}: image "${node.attrs.src}" isn't in the import`);
+        } else if (file.bytes.length > MAX_IMAGE_BYTES) {
+          warnings.push(`${doc.path}: image "${node.attrs.src}" is over 5MB — left as a link`);
+        } else {
+          const type = IMAGE_TYPES[target.split('.').pop().toLowerCase()];
+          node.attrs = { ...node.attrs, src: `data:${type};base64,${toBase64(file.bytes)}` };
+          doc.images++;
+        }
+      }
+      if (node.content?.some(child => child.marks?.some(m => m.type === 'link'))) {
+        node.content = linkMentions(node.content, doc.path, docByPath);
+      }
+    });
+  }
+
+  return {
+    folders: newFolders,
+    docs: docs.map(({ path, images: count, ...doc }) => ({ doc, path, images: count })),
+    skipped,
+    warnings,
+  };
+}
+
+// Links to imported docs → mentions of them; a link split over several
+// text nodes (part of it bold, say) becomes one mention
+function linkMentions(nodes, fromPath, docByPath) {
+  const out = [];
+  let lastHref = null;
+  for (const node of nodes) {
+    const href = node.type === 'text' && node.marks?.find(m => m.type === 'link')?.attrs?.href;
+    const target = href ? docByPath.get(resolveLink(fromPath, href)) : null;
+    if (!target) {
+      out.push(node);
+      lastHref = null;
+      continue;
+    }
+    if (href !== lastHref) {
+      out.push({ type: 'mention', attrs: { kind: 'doc', id: target.id, label: target.title, notionPageId: null } });
+    }
+    lastHref = href;
+  }
+  return out;
+}
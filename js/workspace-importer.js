@@ -0,0 +1,256 @@
+// js/workspace-importer.js — Bulk import into the workspace
+// ──────────────────────────────────────────────────────────────────────
+//
+// The Import modal on the Workspace tab. Takes Markdown and HTML files
+// (Google Docs "Web page" downloads included), a whole folder of them, or
+// a Notion export zip, and shows a dry run — the folders and docs it would
+// create, images embedded, files skipped — before anything is saved.
+// Planning is in workspace-import.js; this reads the files and commits
+// the plan through knowledge.js like any other new docs.
+
+import { $, escapeHtml, generateId, openModal, closeModal, showToast } from './app.js';
+import {
+  getWorkspaceDocs, getWorkspaceFolders, getFolderPath, addWorkspaceFolders, addWorkspaceDocs
+} from './knowledge.js';
+import { TEMPLATES_FOLDER } from './doc-templates.js';
+import { planImport, fileKind, cleanName } from './workspace-import.js';
+import { htmlToTiptap } from './html-converter.js';
+
+const JSZIP_URL = 'https://esm.sh/jszip@3.10.1';
+const NEW_FOLDER = '__new__';
+const STORAGE_WARN_CHARS = 4_000_000; // localStorage tops out around 5MB
+const PREVIEW_LIMIT = 200;            // docs listed in the preview
+
+let jszipPromise = null;
+let isBound = false;
+let files = [];       // [{ path, text } | { path, bytes } | { path }]
+let importName = '';  // name for a new folder: the zip's or folder's
+let plan = null;
+let rootFolder = null; // the new folder, when importing into one
+let reading = 0;       // bumped per pick, so a slow read can't land late
+
+// Shared with the exporter
+export function loadJsZip() {
+  if (!jszipPromise) {
+    jszipPromise = import(JSZIP_URL)
+      .then(mod => mod.default || mod)
+      .catch(err => {
+        console.warn('[workspace-importer] Failed to load JSZip', err);
+        jszipPromise = null;
+        return null;
+      });
+  }
+  return jszipPromise;
+}
+
+/** Opens the importer; `folder` preselects the destination */
+export function openWorkspaceImporter({ folder = null } = {}) {
+  bindEvents();
+  files = [];
+  importName = '';
+  plan = null;
+  reading++;
+  $('#wsImportFiles').value = '';
+  $('#wsImportFolder').value = '';
+  renderTargets(folder);
+  renderPreview();
+  openModal('wsImportModal');
+}
+
+function destinationFolders() {
+  return getWorkspaceFolders().filter(f => f.type !== 'divider' && f.id !== TEMPLATES_FOLDER);
+}
+
+function renderTargets(selected) {
+  const select = $('#wsImportTarget');
+  if (!select) return;
+  const folders = getWorkspaceFolders();
+  const current = selected ?? select.value;
+  const options = destinationFolders()
+    .map(f => ({ id: f.id, label: getFolderPath(folders, f.id) }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+  const newLabel = `New folder${importName ? ` "${importName}"` : ''}`;
+  select.innerHTML = `<option value="${NEW_FOLDER}">${escapeHtml(newLabel)}</option>` + options
+    .map(f => `<option value="${escapeHtml(f.id)}"${f.id === current ? ' selected' : ''}>${escapeHtml(f.label)}</option>`)
+    .join('');
+}
+
+// ── Reading files ────────────────────────────────────────────────────
+
+async function readFile(path, blob) {
+  const kind = fileKind(path);
+  if (kind === 'markdown' || kind === 'html') return [{ path, text: await blob.text() }];
+  if (kind === 'image') return [{ path, bytes: new Uint8Array(await blob.arrayBuffer()) }];
+  if (kind === 'zip') return readZip(path, blob);
+  return [{ path }]; // listed as skipped
+}
+
+// A zip's files keep their paths; a zip inside one (Notion splits large
+// exports into parts) unpacks where it sits
+async function readZip(path, blob) {
+  const JSZip = await loadJsZip();
+  if (!JSZip) throw new Error("Couldn't load the zip reader");
+  const zip = await JSZip.loadAsync(blob);
+  const dir = path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '';
+  const out = [];
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir) continue;
+    const inner = dir + entry.name;
+    const kind = fileKind(inner);
+    if (kind === 'markdown' || kind === 'html') out.push({ path: inner, text: await entry.async('string') });
+    else if (kind === 'image') out.push({ path: inner, bytes: await entry.async('uint8array') });
+    else if (kind === 'zip') out.push(...await readZip(inner, await entry.async('blob')));
+    else out.push({ path: inner });
+  }
+  return out;
+}
+
+async function onFilesPicked(e) {
+  const picked = [...e.target.files];
+  e.target.value = '';
+  if (!picked.length) return;
+  const run = ++reading;
+  plan = null;
+  renderPreview('Reading files…');
+
+  // A picked folder's own name becomes the import's name, not a subfolder
+  const paths = picked.map(f => f.webkitRelativePath || f.name);
+  const roots = new Set(paths.map(p => (p.includes('/') ? p.split('/')[0] : '')));
+  const [root] = roots;
+  const stripRoot = roots.size === 1 && root;
+
+  try {
+    const read = [];
+    for (let i = 0; i < picked.length; i++) {
+      read.push(...await readFile(stripRoot ? paths[i].slice(root.length + 1) : paths[i], picked[i]));
+    }
+    if (run !== reading) return;
+    files = read;
+    const zip = picked.find(f => fileKind(f.name) === 'zip');
+    if (stripRoot) importName = root;
+    else if (zip) importName = cleanName(zip.name).replace(/^Export-[0-9a-f-]+$/i, 'Notion import');
+    else importName = picked.length === 1 ? cleanName(picked[0].name) : 'Imported';
+  } catch (err) {
+    if (run !== reading) return;
+    console.warn('[workspace-importer] read failed', err);
+    files = [];
+    renderPreview(`Couldn't read the files — ${err.message}`);
+    return;
+  }
+  renderTargets();
+  updatePlan();
+}
+
+// ── Dry run ──────────────────────────────────────────────────────────
+
+function htmlToDoc(text) {
+  const doc = new DOMParser().parseFromString(text, 'text/html');
+  return { title: doc.title?.trim() || null, content: htmlToTiptap(doc.body) };
+}
+
+function updatePlan() {
+  if (!files.length) {
+    plan = null;
+    renderPreview();
+    return;
+  }
+  const folders = getWorkspaceFolders();
+  const target = $('#wsImportTarget')?.value || NEW_FOLDER;
+  rootFolder = null;
+  if (target === NEW_FOLDER) {
+    const name = importName || 'Imported';
+    const base = name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '') || 'imported';
+    let id = base;
+    for (let n = 2; folders.some(f => f.id === id); n++) id = `${base}-${n}`;
+    rootFolder = { id, name, parentId: null, order: folders.filter(f => !f.parentId).length, type: 'folder' };
+  }
+
+  plan = planImport(files, {
+    folders: rootFolder ? [...folders, rootFolder] : folders,
+    destination: rootFolder ? rootFolder.id : target,
+    newDocId: () => `doc-${generateId()}`,
+    htmlToDoc,
+  });
+  renderPreview();
+}
+
+function renderPreview(message = '') {
+  const preview = $('#wsImportPreview');
+  const confirm = $('#wsImportConfirm');
+  if (!preview || !confirm) return;
+  confirm.disabled = !plan?.docs.length;
+
+  if (message || !plan) {
+    preview.innerHTML = `<p class="text-tertiary">${escapeHtml(message || 'Pick Markdown or HTML files, a folder, or a Notion export zip.')}</p>`;
+    return;
+  }
+
+  const { docs, folders: created, skipped, warnings } = plan;
+  const images = docs.reduce((sum, d) => sum + d.images, 0);
+  const newFolders = created.length + (rootFolder ? 1 : 0);
+  const allFolders = [...getWorkspaceFolders(), ...(rootFolder ? [rootFolder] : []), ...created];
+  const newIds = new Set([rootFolder?.id, ...created.map(f => f.id)]);
+
+  const byFolder = new Map();
+  for (const { doc } of docs.slice(0, PREVIEW_LIMIT)) {
+    if (!byFolder.has(doc.folder)) byFolder.set(doc.folder, []);
+    byFolder.get(doc.folder).push(doc.title);
+  }
+  const groups = [...byFolder.entries()]
+    .map(([id, titles]) => ({ id, path: getFolderPath(allFolders, id), titles }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  const size = JSON.stringify(docs.map(d => d.doc)).length
+    + JSON.stringify(getWorkspaceDocs()).length;
+
+  preview.innerHTML = `
+    <p class="ws-import-summary">${docs.length} doc${docs.length === 1 ? '' : 's'}
+      · ${newFolders} new folder${newFolders === 1 ? '' : 's'}
+      · ${images} image${images === 1 ? '' : 's'} embedded
+      ${skipped.length ? `· ${skipped.length} skipped` : ''}</p>
+    ${size > STORAGE_WARN_CHARS ? `<p class="ws-import-warning">This is a lot for browser storage — consider importing in smaller batches.</p>` : ''}
+    <div class="ws-import-tree">
+      ${groups.map(g => `
+        <div class="ws-import-group">
+          <div class="ws-import-folder">${escapeHtml(g.path)}${newIds.has(g.id) ? ' <span class="ws-import-new">new</span>' : ''}</div>
+          <ul>${g.titles.map(t => `<li>${escapeHtml(t)}</li>`).join('')}</ul>
+        </div>`).join('')}
+      ${docs.length > PREVIEW_LIMIT ? `<p class="text-tertiary">…and ${docs.length - PREVIEW_LIMIT} more</p>` : ''}
+    </div>
+    ${warnings.length || skipped.length ? `
+      <details class="ws-import-issues">
+        <summary>${warnings.length} warning${warnings.length === 1 ? '' : 's'}, ${skipped.length} skipped</summary>
+        <ul>
+          ${warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}
+          ${skipped.map(s => `<li>${escapeHtml(s.path)} — ${escapeHtml(s.reason)}</li>`).join('')}
+        </ul>
+      </details>` : ''}`;
+}
+
+// ── Commit ───────────────────────────────────────────────────────────
+
+function confirmImport() {
+  if (!plan?.docs.length) return;
+  const docs = plan.docs.map(d => d.doc);
+  addWorkspaceFolders([...(rootFolder ? [rootFolder] : []), ...plan.folders]);
+  addWorkspaceDocs(docs);
+
+  // saveWorkspaceDocs logs rather than throws when storage is full
+  if (!getWorkspaceDocs().some(d => d.id === docs[0].id)) {
+    showToast('Not enough browser storage for this import — try fewer files', 'error');
+    return;
+  }
+  showToast(`Imported ${docs.length} doc${docs.length === 1 ? '' : 's'}`, 'success');
+  plan = null;
+  files = [];
+  closeModal();
+}
+
+function bindEvents() {
+  if (isBound) return;
+  isBound = true;
+  $('#wsImportFiles')?.addEventListener('change', onFilesPicked);
+  $('#wsImportFolder')?.addEventListener('change', onFilesPicked);
+  $('#wsImportTarget')?.addEventListener('change', updatePlan);
+  $('#wsImportConfirm')?.addEventListener('click', confirmImport);
+}
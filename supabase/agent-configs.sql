@@ -0,0 +1,33 @@
+-- Agent configs edited from the "Manage agents" panel, with version history
+-- Run in Supabase SQL Editor (project: nzppfxttbqrgwjofxqfm)
+-- data/agents.json stays the seed; a row here overrides the agent with the same id.
+
+CREATE TABLE agent_configs (
+  id text PRIMARY KEY,
+  user_id text NOT NULL DEFAULT 'dan',
+  config jsonb NOT NULL,          -- full agent object (name, emoji, systemPrompt, chips, ...)
+  archived boolean DEFAULT false,
+  version int NOT NULL DEFAULT 1,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- One row per save; rolling back re-saves an old config as a new version
+CREATE TABLE agent_config_versions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_id text NOT NULL,
+  version int NOT NULL,
+  config jsonb NOT NULL,
+  note text,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (agent_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_config_versions_agent ON agent_config_versions (agent_id, version DESC);
+
+-- RLS: allow anon key access (single-user, same as chat tables)
+ALTER TABLE agent_configs ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "allow_all" ON agent_configs FOR ALL USING (true) WITH CHECK (true);
+
+ALTER TABLE agent_config_versions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "allow_all" ON agent_config_versions FOR ALL USING (true) WITH CHECK (true);
@@ -0,0 +1,17 @@
+-- Run status for scheduled agent prompts (api/agent-schedules.js)
+-- Run in Supabase SQL Editor (project: nzppfxttbqrgwjofxqfm)
+-- The schedules themselves live in data/schedules.json; this table holds
+-- what happened on the last run so the Reports tab can show it.
+
+CREATE TABLE agent_schedule_status (
+  schedule_id text PRIMARY KEY,   -- data/schedules.json id
+  last_run timestamptz,
+  last_status text,               -- 'running' | 'success' | 'error'
+  last_error text,
+  thread_id text,                 -- chat_threads.id the results are posted to
+  updated_at timestamptz DEFAULT now()
+);
+
+-- RLS: allow anon key access (single-user, same as chat tables)
+ALTER TABLE agent_schedule_status ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "allow_all" ON agent_schedule_status FOR ALL USING (true) WITH CHECK (true);
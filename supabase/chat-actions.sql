@@ -0,0 +1,6 @@
+-- chat_messages.actions — agent-proposed actions awaiting Dan's approval
+-- Run in Supabase SQL Editor (project: nzppfxttbqrgwjofxqfm)
+-- Shape: [{ id, type, input, status, error?, resolvedAt? }]
+-- status: pending | approved | rejected | failed
+
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS actions jsonb DEFAULT null;
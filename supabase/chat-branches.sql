@@ -0,0 +1,12 @@
+-- chat_messages branch columns — edited prompts and regenerated replies fork a thread
+-- Run in Supabase SQL Editor (project: nzppfxttbqrgwjofxqfm)
+-- message_uid is generated client-side; parent_uid points at the previous
+-- message on the same branch (null for the first message). Rows saved before
+-- branching have neither and are chained by created_at.
+
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS message_uid text DEFAULT null;
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS parent_uid text DEFAULT null;
+
+-- Upsert target: the same message pushed from two devices is stored once
+CREATE UNIQUE INDEX IF NOT EXISTS chat_messages_thread_message_uid
+  ON chat_messages (thread_id, message_uid);
@@ -0,0 +1,9 @@
+-- chat_messages full-text search — trigram index behind the ilike matching
+-- Run in Supabase SQL Editor (project: nzppfxttbqrgwjofxqfm)
+-- js/services/chat-search.js filters with content ilike '%term%' per query
+-- term; without this index every search scans the whole table.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS chat_messages_content_trgm
+  ON chat_messages USING gin (content gin_trgm_ops);
@@ -0,0 +1,5 @@
+-- chat_messages.sources — knowledge excerpts cited in an assistant reply
+-- Run in Supabase SQL Editor (project: nzppfxttbqrgwjofxqfm)
+-- Shape: [{ id: 'K1', type: 'file' | 'doc', title, heading, file?, docId? }]
+
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS sources jsonb DEFAULT null;
@@ -0,0 +1,5 @@
+-- chat_messages.tool_calls — agent tool calls shown as collapsible blocks in a thread
+-- Run in Supabase SQL Editor (project: nzppfxttbqrgwjofxqfm)
+-- Shape: [{ name, input, output, ok }] — output is truncated for display
+
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS tool_calls jsonb DEFAULT null;
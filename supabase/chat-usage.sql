@@ -0,0 +1,13 @@
+-- chat_messages usage columns — per-reply token counts and estimated cost
+-- Run in Supabase SQL Editor (project: nzppfxttbqrgwjofxqfm)
+-- Filled on assistant messages; summed across tool-loop rounds.
+-- cost_usd is an estimate from list prices (js/services/chat-usage.js)
+
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS input_tokens integer DEFAULT null;
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS output_tokens integer DEFAULT null;
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS cache_read_tokens integer DEFAULT null;
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS cache_write_tokens integer DEFAULT null;
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS cost_usd numeric(10, 6) DEFAULT null;
+
+-- Spend reports scan recent priced messages
+CREATE INDEX IF NOT EXISTS idx_chat_messages_cost ON chat_messages (created_at) WHERE cost_usd IS NOT NULL;
@@ -0,0 +1,21 @@
+-- workspace_docs revision counter — conflict-safe saves from several devices
+-- Run in Supabase SQL Editor (project: nzppfxttbqrgwjofxqfm)
+-- Every update bumps rev, whoever makes it. Clients save with
+-- "UPDATE … WHERE id = $id AND rev = $base" (js/services/workspace-persistence.js
+-- saveDocRevision); no row updated means another device saved first, and
+-- js/services/doc-revisions.js decides between pulling and a conflict.
+-- Existing rows start at 0.
+
+ALTER TABLE workspace_docs ADD COLUMN IF NOT EXISTS rev integer NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION bump_workspace_doc_rev() RETURNS trigger AS $$
+BEGIN
+  NEW.rev := OLD.rev + 1;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS workspace_docs_bump_rev ON workspace_docs;
+CREATE TRIGGER workspace_docs_bump_rev
+  BEFORE UPDATE ON workspace_docs
+  FOR EACH ROW EXECUTE FUNCTION bump_workspace_doc_rev();
@@ -0,0 +1,23 @@
+-- Workspace doc version history — snapshots taken while editing, plus named versions
+-- Run in Supabase SQL Editor (project: nzppfxttbqrgwjofxqfm)
+-- Autosave overwrites workspace_docs.content; each row here is the doc as it
+-- was before a burst of edits (kind 'auto'), a version saved by name
+-- ('named'), or the doc as it was just before a restore ('restore').
+-- Only the newest auto snapshots per doc are kept (js/services/doc-versions.js).
+
+CREATE TABLE workspace_doc_versions (
+  id text PRIMARY KEY,
+  user_id text NOT NULL DEFAULT 'dan',
+  doc_id text NOT NULL,
+  title text DEFAULT 'Untitled',
+  content jsonb,
+  kind text NOT NULL DEFAULT 'auto',   -- auto | named | restore
+  name text,                           -- set for named versions
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_doc_versions_doc ON workspace_doc_versions (doc_id, created_at DESC);
+
+-- RLS: allow anon key access (single-user, same as chat tables)
+ALTER TABLE workspace_doc_versions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "allow_all" ON workspace_doc_versions FOR ALL USING (true) WITH CHECK (true);
@@ -0,0 +1,85 @@
+// test/agent-schedules.test.js — Cron math and due checks in js/services/agent-schedules.js
+// ──────────────────────────────────────────────────────────────────────
+//
+// Run: node --experimental-default-type=module --test test/
+//
+// Times are written in UTC; America/Los_Angeles is UTC-7 in summer (PDT)
+// and UTC-8 in winter (PST).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseCron, getPreviousRun, getNextRun, isScheduleDue,
+} from '../js/services/agent-schedules.js';
+
+const at = iso => new Date(iso);
+const iso = date => date?.toISOString() ?? null;
+
+const weekdayBrief = { id: 'brief', agentId: 'king', prompt: 'Morning brief', schedule: '0 7 * * 1-5' };
+
+test('cron fields take lists, ranges and steps; day-of-week 7 is Sunday', () => {
+  const cron = parseCron('*/15 7,19 * * 1-5');
+  assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hour], [7, 19]);
+  assert.deepEqual([...cron.weekday], [1, 2, 3, 4, 5]);
+  assert.equal(cron.dayAny, true);
+  assert.equal(cron.weekdayAny, false);
+
+  assert.deepEqual([...parseCron('0 9 * * 5-7').weekday].sort(), [0, 5, 6]);
+  assert.throws(() => parseCron('0 9 * *'), /Invalid cron expression/);
+  assert.throws(() => parseCron('0 9 * * 5-1'), /Invalid cron field/);
+  assert.throws(() => parseCron('60 9 * * *'), /Invalid cron field/);
+});
+
+test('a 1-5 schedule skips the weekend', () => {
+  // Friday 16 Oct 2026, 08:00 PDT → Monday 19 Oct, 07:00 PDT
+  assert.equal(iso(getNextRun(weekdayBrief.schedule, at('2026-10-16T15:00:00Z'))), '2026-10-19T14:00:00.000Z');
+  // Sunday afternoon → still Friday's run
+  assert.equal(iso(getPreviousRun(weekdayBrief.schedule, at('2026-10-18T22:00:00Z'))), '2026-10-16T14:00:00.000Z');
+  // A fire time is its own previous run
+  assert.equal(iso(getPreviousRun(weekdayBrief.schedule, at('2026-10-19T14:00:00Z'))), '2026-10-19T14:00:00.000Z');
+});
+
+test('runs keep their local time across Los Angeles DST changes', () => {
+  const daily = '0 7 * * *';
+  // Spring forward on Sunday 8 Mar 2026: 07:00 PST, then 07:00 PDT
+  assert.equal(iso(getNextRun(daily, at('2026-03-07T12:00:00Z'))), '2026-03-07T15:00:00.000Z');
+  assert.equal(iso(getNextRun(daily, at('2026-03-07T16:00:00Z'))), '2026-03-08T14:00:00.000Z');
+  // Fall back on Sunday 1 Nov 2026: 07:00 PDT, then 07:00 PST
+  assert.equal(iso(getNextRun(daily, at('2026-10-31T12:00:00Z'))), '2026-10-31T14:00:00.000Z');
+  assert.equal(iso(getNextRun(daily, at('2026-10-31T15:00:00Z'))), '2026-11-01T15:00:00.000Z');
+
+  // 02:30 doesn't exist on 8 Mar, so that day has no run
+  assert.equal(iso(getNextRun('30 2 * * *', at('2026-03-07T11:00:00Z'))), '2026-03-09T09:30:00.000Z');
+
+  // Other zones are honoured
+  assert.equal(iso(getNextRun(daily, at('2026-03-07T12:00:00Z'), 'Europe/London')), '2026-03-08T07:00:00.000Z');
+});
+
+test('a schedule is due after its fire time until it has run or is too late', () => {
+  const fire = '2026-10-19T14:00:00Z'; // Monday 07:00 PDT
+  assert.equal(isScheduleDue(weekdayBrief, null, at('2026-10-19T13:59:00Z')), false, 'not before the fire time');
+  assert.equal(isScheduleDue(weekdayBrief, null, at(fire)), true);
+  assert.equal(isScheduleDue(weekdayBrief, { lastRun: '2026-10-19T14:00:05Z' }, at('2026-10-19T14:10:00Z')), false, 'already ran');
+
+  // The cron was down: up to two hours late still runs, later is skipped
+  assert.equal(isScheduleDue(weekdayBrief, { lastRun: '2026-10-16T14:00:05Z' }, at('2026-10-19T16:00:00Z')), true);
+  assert.equal(isScheduleDue(weekdayBrief, { lastRun: '2026-10-16T14:00:05Z' }, at('2026-10-19T16:01:00Z')), false);
+
+  assert.equal(isScheduleDue({ ...weekdayBrief, enabled: false }, null, at(fire)), false);
+  assert.equal(isScheduleDue({ ...weekdayBrief, agentId: undefined }, null, at(fire)), false);
+});
+
+test('a manual run just before the fire time doesn\'t cancel the scheduled run', () => {
+  // "Run now" at 06:58 PDT records lastRun then
+  const status = { lastRun: '2026-10-19T13:58:00Z', lastStatus: 'success' };
+  assert.equal(isScheduleDue(weekdayBrief, status, at('2026-10-19T13:59:00Z')), false);
+  assert.equal(isScheduleDue(weekdayBrief, status, at('2026-10-19T14:00:00Z')), true);
+  assert.equal(isScheduleDue(weekdayBrief, status, at('2026-10-19T14:05:00Z')), true);
+});
+
+test('an invalid expression is never due', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  assert.equal(isScheduleDue({ ...weekdayBrief, schedule: 'every morning' }, null, at('2026-10-19T14:00:00Z')), false);
+  assert.equal(console.warn.mock.callCount(), 1);
+});
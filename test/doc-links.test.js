@@ -0,0 +1,77 @@
+// test/doc-links.test.js — Mentions and backlinks in js/doc-links.js
+// ──────────────────────────────────────────────────────────────────────
+//
+// Run: node --experimental-default-type=module --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractMentions, findBacklinks, mentionMatches, buildDocGraph } from '../js/doc-links.js';
+import { tiptapToNotionBlocks } from '../js/notion-converter.js';
+
+const mention = (kind, id, label, notionPageId = null) => ({ type: 'mention', attrs: { kind, id, label, notionPageId } });
+const text = t => ({ type: 'text', text: t });
+const para = (...content) => ({ type: 'paragraph', content });
+const docOf = (...blocks) => ({ type: 'doc', content: blocks });
+
+const plan = { id: 'doc-plan', title: 'Launch plan', notionPageId: '5c0e7d21-9a4b-4e3f-8d6c-2b1a0f9e8d7c' };
+
+test('mentions are found inside lists with the text around them', () => {
+  const content = docOf({
+    type: 'bulletList',
+    content: [{ type: 'listItem', content: [para(text('Ask '), mention('client', 'c-1', 'Jane'), text(' about it'))] }],
+  });
+  assert.deepEqual(extractMentions(content).map(m => m.text), ['Ask @Jane about it']);
+});
+
+test('a Notion page mention matches the doc or client with that page', () => {
+  const fromNotion = { kind: 'page', id: '5c0e7d219a4b4e3f8d6c2b1a0f9e8d7c', label: 'Launch plan' };
+  assert.ok(mentionMatches(fromNotion, { kind: 'doc', id: plan.id, notionPageId: plan.notionPageId }));
+  assert.ok(!mentionMatches(fromNotion, { kind: 'doc', id: 'other', notionPageId: null }));
+  assert.ok(mentionMatches({ kind: 'page', id: 'c-1' }, { kind: 'client', id: 'c-1' }));
+  assert.ok(!mentionMatches({ kind: 'page', id: 'p-1' }, { kind: 'project', id: 'p-1' }));
+});
+
+test('backlinks skip the doc itself and count every mention', () => {
+  const docs = [
+    { id: plan.id, content: docOf(para(mention('doc', plan.id, 'Launch plan'))) },
+    { id: 'a', updatedAt: '2026-01-01', content: docOf(para(text('See '), mention('doc', plan.id, 'Launch plan')), para(mention('doc', plan.id, 'Launch plan'))) },
+    { id: 'b', updatedAt: '2026-02-01', content: docOf(para(mention('page', plan.notionPageId, 'Launch plan'))) },
+    { id: 'c', updatedAt: '2026-03-01', content: docOf(para(mention('project', plan.id, 'Same id, other kind'))) },
+  ];
+  const links = findBacklinks(docs, { kind: 'doc', id: plan.id, notionPageId: plan.notionPageId });
+  assert.deepEqual(links.map(l => [l.doc.id, l.count]), [['b', 1], ['a', 2]]);
+  assert.equal(links[1].snippet, 'See Launch plan');
+});
+
+test('the graph joins docs to what they mention, once per pair', () => {
+  const docs = [
+    { ...plan, content: docOf(para(mention('client', 'c-1', 'Jane'), mention('doc', plan.id, 'Launch plan'))) },
+    { id: 'a', title: 'Notes', content: docOf(
+      para(mention('page', plan.notionPageId, 'Launch plan')),
+      para(mention('doc', plan.id, 'Launch plan'), mention('project', 'p-1', 'Website')),
+      para(mention('doc', 'gone', 'Deleted doc'), mention('project', 'p-gone', 'Old project')),
+    ) },
+    { id: 'b', title: 'Unlinked', content: docOf(para(text('Nothing here'))) },
+  ];
+  const { nodes, edges } = buildDocGraph(docs, {
+    clients: [{ id: 'c-1', name: 'Jane Doe' }],
+    projects: [{ id: 'p-1', name: 'Website' }],
+  });
+  assert.deepEqual(edges, [
+    { from: 'doc:doc-plan', to: 'client:c-1', count: 1 },
+    { from: 'doc:a', to: 'doc:doc-plan', count: 2 },
+    { from: 'doc:a', to: 'project:p-1', count: 1 },
+  ]);
+  assert.deepEqual(nodes.map(n => [n.key, n.title, n.degree]), [
+    ['doc:doc-plan', 'Launch plan', 2], ['client:c-1', 'Jane Doe', 1], ['doc:a', 'Notes', 2], ['project:p-1', 'Website', 1],
+  ]);
+});
+
+test('mentions without a Notion page go to Notion as their text', () => {
+  const [block] = tiptapToNotionBlocks(docOf(para(
+    text('Ship '), mention('project', 'p-1', 'Website'), text(' with '), mention('client', plan.notionPageId, 'Jane'),
+  )));
+  const richText = block.paragraph.rich_text;
+  assert.equal(richText[0].text.content, 'Ship @Website with ');
+  assert.deepEqual(richText[1].mention, { type: 'page', page: { id: plan.notionPageId } });
+});
@@ -0,0 +1,99 @@
+// test/doc-revisions.test.js — Sync decisions in js/services/doc-revisions.js
+// ──────────────────────────────────────────────────────────────────────
+//
+// Run: node --experimental-default-type=module --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { docHash, contentHash, compareDocs, applyRemoteDoc } from '../js/services/doc-revisions.js';
+import { mergeBlocks } from '../js/doc-diff.js';
+
+const para = text => ({ type: 'paragraph', content: [{ type: 'text', text }] });
+const doc = (...texts) => ({ type: 'doc', content: texts.map(para) });
+
+function localDoc(content, extra = {}) {
+  return { id: 'doc-1', title: 'Plan', folder: 'ideas', notionPageId: null, content, ...extra };
+}
+
+// A doc as it was last saved to / pulled from Supabase at `rev`
+function synced(content, rev) {
+  const d = localDoc(content);
+  return { ...d, rev, syncedHash: docHash(d) };
+}
+
+const row = (content, rev, extra = {}) => ({ ...localDoc(content), rev, ...extra });
+
+// ── Hashing ──────────────────────────────────────────────────────────
+
+test('hashes ignore key order, as jsonb returns it', () => {
+  const content = { type: 'doc', content: [{ type: 'heading', attrs: { level: 2, textAlign: null }, content: [] }] };
+  const reordered = { content: [{ content: [], attrs: { textAlign: null, level: 2 }, type: 'heading' }], type: 'doc' };
+  assert.equal(docHash(localDoc(content)), docHash(localDoc(reordered)));
+  assert.equal(contentHash(localDoc(content)), contentHash(localDoc(reordered)));
+});
+
+test('docHash covers folder and Notion link; contentHash only title and content', () => {
+  const a = localDoc(doc('x'));
+  const moved = { ...a, folder: 'content' };
+  assert.notEqual(docHash(a), docHash(moved));
+  assert.equal(contentHash(a), contentHash(moved));
+  assert.notEqual(contentHash(a), contentHash({ ...a, title: 'Plan v2' }));
+});
+
+// ── compareDocs ──────────────────────────────────────────────────────
+
+test('no row yet → push', () => {
+  assert.equal(compareDocs(synced(doc('a'), 3), null), 'push');
+});
+
+test('neither side changed → same', () => {
+  assert.equal(compareDocs(synced(doc('a'), 3), row(doc('a'), 3)), 'same');
+});
+
+test('only this device changed → push', () => {
+  const local = { ...synced(doc('a'), 3), content: doc('a', 'b') };
+  assert.equal(compareDocs(local, row(doc('a'), 3)), 'push');
+});
+
+test('only the row moved on → pull', () => {
+  assert.equal(compareDocs(synced(doc('a'), 3), row(doc('a', 'c'), 4)), 'pull');
+});
+
+test('both changed → conflict, whatever the timestamps say', () => {
+  const local = { ...synced(doc('a'), 3), content: doc('a', 'b'), updatedAt: '2026-01-02T00:00:00Z' };
+  const remote = row(doc('a', 'c'), 4, { updatedAt: '2026-01-01T00:00:00Z' });
+  assert.equal(compareDocs(local, remote), 'conflict');
+});
+
+test('both made the same change → same', () => {
+  const local = { ...synced(doc('a'), 3), content: doc('a', 'b') };
+  assert.equal(compareDocs(local, row(doc('a', 'b'), 4)), 'same');
+});
+
+test('docs without a base fall back to the newer copy once', () => {
+  const local = localDoc(doc('a'), { updatedAt: '2026-01-02T00:00:00Z' });
+  assert.equal(compareDocs(local, row(doc('b'), 0, { updatedAt: '2026-01-01T00:00:00Z' })), 'push');
+  assert.equal(compareDocs(local, row(doc('b'), 0, { updatedAt: '2026-01-03T00:00:00Z' })), 'pull');
+});
+
+test('a pulled row is the new base', () => {
+  const local = { ...synced(doc('a'), 3), notionHash: 'n1', notionLastEdited: '2026-01-01T00:00:00Z' };
+  const pulled = applyRemoteDoc(local, row(doc('a', 'c'), 4));
+  assert.equal(pulled.rev, 4);
+  assert.equal(pulled.notionHash, 'n1');
+  assert.equal(compareDocs(pulled, row(doc('a', 'c'), 4)), 'same');
+});
+
+// ── mergeBlocks ──────────────────────────────────────────────────────
+
+test('merge keeps shared blocks once and both sides of a change', () => {
+  const local = doc('intro', 'mine', 'outro', 'local tail').content;
+  const remote = doc('intro', 'theirs', 'outro').content;
+  assert.deepEqual(mergeBlocks(local, remote), doc('intro', 'mine', 'theirs', 'outro', 'local tail').content);
+});
+
+test('merge matches blocks regardless of key order', () => {
+  const block = { type: 'heading', attrs: { level: 1 }, content: [{ type: 'text', text: 'T' }] };
+  const reordered = { content: [{ text: 'T', type: 'text' }], attrs: { level: 1 }, type: 'heading' };
+  assert.equal(mergeBlocks([block], [reordered]).length, 1);
+});
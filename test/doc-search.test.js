@@ -0,0 +1,62 @@
+// test/doc-search.test.js — Incremental doc index in js/services/doc-search.js
+// ──────────────────────────────────────────────────────────────────────
+//
+// Run: node --experimental-default-type=module --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { markdownToTiptap } from '../js/markdown-converter.js';
+import { syncDocIndex, searchDocs, docText } from '../js/services/doc-search.js';
+
+const folders = [
+  { id: 'ops', name: 'Ops', parentId: null, type: 'divider' },
+  { id: 'sops', name: 'SOPs', parentId: 'ops', type: 'folder' },
+  { id: 'ideas', name: 'Ideas', parentId: null, type: 'folder' },
+];
+
+function doc(id, title, markdown, { folder = 'sops', updatedAt = '2026-10-01T00:00:00.000Z', rev = 1 } = {}) {
+  return { id, title, folder, updatedAt, rev, content: markdownToTiptap(markdown) };
+}
+
+const docs = [
+  doc('refunds', 'Refund policy', 'Customers can ask for a refund within **30 days**.\n\n- Check the onboarding call notes first'),
+  doc('onboarding', 'Client onboarding', 'Send the welcome pack, then book the kickoff call.'),
+  doc('hooks', 'Hook ideas', 'Open with a question about refunds.', { folder: 'ideas', updatedAt: '2026-06-01T00:00:00.000Z' }),
+];
+
+test('doc bodies are searched, the last word as a prefix, titles ranked first', () => {
+  assert.equal(syncDocIndex(docs), 3);
+  assert.equal(docText(docs[0].content), 'Customers can ask for a refund within 30 days.\nCheck the onboarding call notes first');
+
+  assert.deepEqual(searchDocs('kickoff').map(h => h.id), ['onboarding']);
+  assert.deepEqual(searchDocs('onboard').map(h => h.id), ['onboarding', 'refunds']);
+  assert.deepEqual(searchDocs('refund').map(h => h.id), ['refunds', 'hooks']);
+  assert.deepEqual(searchDocs('refund kickoff'), []);
+  assert.deepEqual(searchDocs('"book the kickoff"').map(h => h.id), ['onboarding']);
+  assert.equal(searchDocs('welcome')[0].snippet, 'Send the welcome pack, then book the kickoff call.');
+});
+
+test('folder filters include subfolders; date filters use the last update', () => {
+  assert.deepEqual(searchDocs('refund', { folder: 'ops', folders }).map(h => h.id), ['refunds']);
+  assert.deepEqual(searchDocs('refund', { folder: 'ideas', folders }).map(h => h.id), ['hooks']);
+  assert.deepEqual(searchDocs('refund', { since: new Date('2026-09-01') }).map(h => h.id), ['refunds']);
+});
+
+test('only changed docs are re-read, and deleted ones drop out', () => {
+  assert.equal(syncDocIndex(docs), 0);
+  const edited = [
+    { ...docs[0], rev: 2, content: markdownToTiptap('Refunds now take 14 days.') },
+    docs[1],
+  ];
+  assert.equal(syncDocIndex(edited), 2); // one edited, one deleted
+  assert.deepEqual(searchDocs('refund').map(h => h.id), ['refunds']);
+  assert.deepEqual(searchDocs('customers'), []);
+});
+
+test('semantic similarity reorders hits and adds related docs after them', () => {
+  syncDocIndex(docs);
+  const semantic = new Map([['refunds', 0.1], ['hooks', 0.9], ['onboarding', 0.5]]);
+  const hits = searchDocs('refund', { semantic });
+  assert.deepEqual(searchDocs('refund').map(h => h.id), ['refunds', 'hooks']);
+  assert.deepEqual(hits.map(h => [h.id, h.semanticOnly]), [['hooks', false], ['refunds', false], ['onboarding', true]]);
+});
@@ -0,0 +1,72 @@
+// test/doc-templates.test.js — Template variables in js/doc-templates.js
+// ──────────────────────────────────────────────────────────────────────
+//
+// Run: node --experimental-default-type=module --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_TEMPLATES, fillTemplate, templateValues, templateVariables, templateUses
+} from '../js/doc-templates.js';
+import { markdownToTiptap } from '../js/markdown-converter.js';
+
+const text = (t, marks) => (marks ? { type: 'text', text: t, marks } : { type: 'text', text: t });
+const para = (...content) => ({ type: 'paragraph', content });
+const docOf = (...blocks) => ({ type: 'doc', content: blocks });
+
+const now = new Date(2026, 9, 19, 14, 5);
+const client = { id: 'c-1', name: 'Jane Doe', email: 'jane@example.com', status: 'Active', program: ['1:1 VIP', 'VIP DAY'] };
+const project = { id: 'p-1', name: 'Spring Launch', description: 'Ads for the launch', status: 'progress' };
+
+test('values cover dates, client and project fields', () => {
+  const values = templateValues({ now, client, project });
+  assert.equal(values.today, 'Oct 19, 2026');
+  assert.equal(values.date, '2026-10-19');
+  assert.equal(values.weekday, 'Monday');
+  assert.equal(values['client.program'], '1:1 VIP, VIP DAY');
+  assert.equal(values['project.status'], 'In Progress');
+  assert.deepEqual(values.client, { kind: 'client', id: 'c-1', label: 'Jane Doe', notionPageId: null });
+});
+
+test('variables are filled inside marked text and become mentions', () => {
+  const template = {
+    title: 'Recap — {{client.name}} ({{today}})',
+    content: docOf(para(text('Call with '), text('{{client}} on {{ today }}', [{ type: 'bold' }]))),
+  };
+  const { title, content } = fillTemplate(template, templateValues({ now, client }));
+  assert.equal(title, 'Recap — Jane Doe (Oct 19, 2026)');
+  assert.deepEqual(content.content[0].content, [
+    text('Call with '),
+    { type: 'mention', attrs: { kind: 'client', id: 'c-1', label: 'Jane Doe', notionPageId: null } },
+    text(' on Oct 19, 2026', [{ type: 'bold' }]),
+  ]);
+  assert.equal(template.content.content[0].content[1].text, '{{client}} on {{ today }}');
+});
+
+test('unfilled variables stay as typed and code gets text, not mentions', () => {
+  const template = {
+    title: '{{project.name}}',
+    content: docOf(
+      para(text('For {{client.name}} and {{nope}}')),
+      { type: 'codeBlock', content: [text('project = "{{project}}"')] },
+    ),
+  };
+  const { title, content } = fillTemplate(template, templateValues({ now, project }));
+  assert.equal(title, 'Spring Launch');
+  assert.equal(content.content[0].content[0].text, 'For {{client.name}} and {{nope}}');
+  assert.deepEqual(content.content[1].content, [text('project = "Spring Launch"')]);
+});
+
+test('the starter templates say which of client and project they need', () => {
+  const uses = DEFAULT_TEMPLATES.map(t => {
+    const template = { title: t.title, content: markdownToTiptap(t.markdown) };
+    return [t.id, templateUses(template, 'client'), templateUses(template, 'project')];
+  });
+  assert.deepEqual(uses, [
+    ['template-client-onboarding', true, false],
+    ['template-call-recap', true, false],
+    ['template-workshop-outline', false, true],
+    ['template-ad-script', false, true],
+  ]);
+  assert.deepEqual(templateVariables({ title: '{{today}} {{client.name}} {{today}}' }), ['today', 'client.name']);
+});
@@ -0,0 +1,207 @@
+// test/llm-client.test.js — Providers, retries and the mock in js/services/llm-client.js
+// ──────────────────────────────────────────────────────────────────────
+//
+// Run: node --experimental-default-type=module --test test/
+//
+// Nothing here reaches the network: LLM_PROVIDER=mock forces the mock
+// provider, and the tests that exercise a real provider's request and
+// response handling unset it and stub `fetch`.
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  complete, completeJSON, parseJSONResponse, resolveModel, setMockResponse,
+} from '../js/services/llm-client.js';
+
+const realFetch = globalThis.fetch;
+let requests;
+
+// Each call takes the next reply: a Response, or a function of the request
+function stubFetch(...replies) {
+  globalThis.fetch = async (url, init) => {
+    const request = { url, headers: init.headers, body: JSON.parse(init.body), signal: init.signal };
+    requests.push(request);
+    const reply = replies.shift();
+    if (!reply) throw new Error(`unexpected request to ${url}`);
+    return typeof reply === 'function' ? reply(request) : reply;
+  };
+}
+
+const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+
+const sse = events => new Response(
+  events.map(e => `data: ${typeof e === 'string' ? e : JSON.stringify(e)}\n\n`).join(''),
+  { headers: { 'content-type': 'text/event-stream' } });
+
+beforeEach(() => {
+  requests = [];
+  process.env.LLM_PROVIDER = 'mock';
+  process.env.ANTHROPIC_API_KEY = 'test-anthropic';
+  process.env.OPENAI_API_KEY = 'test-openai';
+  process.env.LOCAL_LLM_URL = 'http://127.0.0.1:9999/v1/';
+  stubFetch(); // any request fails the test
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  for (const name of ['LLM_PROVIDER', 'ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'LOCAL_LLM_URL']) delete process.env[name];
+  setMockResponse('chat', null);
+});
+
+// ── Mock provider ────────────────────────────────────────────────────
+
+test('the mock answers every feature offline, streaming word by word', async () => {
+  assert.deepEqual(resolveModel('daily-ideas'), { provider: 'mock', model: 'gpt-4.1-mini' });
+
+  const ideas = await completeJSON({ feature: 'daily-ideas', messages: [{ role: 'user', content: 'Ideas?' }] });
+  assert.equal(ideas.ideas[0].title, 'Mock idea');
+
+  const deltas = [];
+  const reply = await complete({
+    feature: 'chat',
+    messages: [{ role: 'user', content: 'Hello there friend' }],
+    stream: true,
+    onDelta: text => deltas.push(text),
+  });
+  assert.equal(reply.text, '[mock claude-opus-4-6] Hello there friend');
+  assert.equal(reply.provider, 'mock');
+  assert.equal(reply.stopReason, 'end_turn');
+  assert.deepEqual(deltas.slice(0, 2), ['[mock ', '[mock claude-opus-4-6] ']);
+  assert.equal(deltas.at(-1), reply.text);
+  assert.equal(requests.length, 0);
+});
+
+test('a mock handler can stand in for a tool call', async () => {
+  setMockResponse('chat', req => ({
+    blocks: [{ type: 'tool_use', id: 'tu_1', name: 'get_funnel_stats', input: { range: req.messages.length > 1 ? '7d' : '30d' } }],
+  }));
+  const reply = await complete({ feature: 'chat', messages: [{ role: 'user', content: 'Funnels?' }] });
+  assert.equal(reply.stopReason, 'tool_use');
+  assert.deepEqual(reply.blocks[0].input, { range: '30d' });
+
+  setMockResponse('chat', null);
+  assert.match((await complete({ feature: 'chat', messages: [{ role: 'user', content: 'Hi' }] })).text, /^\[mock /);
+});
+
+// ── JSON ─────────────────────────────────────────────────────────────
+
+test('JSON is found in fences and prose, and anything else throws', () => {
+  assert.deepEqual(parseJSONResponse('{"a":1}'), { a: 1 });
+  assert.deepEqual(parseJSONResponse('Here you go:\n```json\n{"a": [1, 2]}\n```\nEnjoy'), { a: [1, 2] });
+  assert.deepEqual(parseJSONResponse('Sure! {"ok": true} — done.'), { ok: true });
+  assert.deepEqual(parseJSONResponse('List: [1, 2, 3]'), [1, 2, 3]);
+  assert.throws(() => parseJSONResponse('no json here'), /did not return valid JSON/);
+});
+
+// ── Providers ────────────────────────────────────────────────────────
+
+test('OpenAI requests get translated messages and tools, and tool calls come back as blocks', async () => {
+  delete process.env.LLM_PROVIDER;
+  stubFetch(json({
+    choices: [{
+      finish_reason: 'tool_calls',
+      message: { content: null, tool_calls: [{ id: 'call_2', function: { name: 'lookup', arguments: '{"q":"acme"}' } }] },
+    }],
+    usage: { prompt_tokens: 12, completion_tokens: 3 },
+  }));
+
+  const reply = await complete({
+    feature: 'daily-ideas',
+    system: 'Be brief.',
+    messages: [
+      { role: 'user', content: 'Find Acme' },
+      { role: 'assistant', content: [{ type: 'text', text: 'Looking' }, { type: 'tool_use', id: 'call_1', name: 'lookup', input: { q: 'a' } }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_1', content: 'nothing' }, { type: 'text', text: 'Try again' }] },
+    ],
+    tools: [{ name: 'lookup', description: 'Looks things up', input_schema: { type: 'object' } }],
+    json: true,
+  });
+
+  const [request] = requests;
+  assert.equal(request.url, 'https://api.openai.com/v1/chat/completions');
+  assert.equal(request.headers.Authorization, 'Bearer test-openai');
+  assert.deepEqual(request.body.response_format, { type: 'json_object' });
+  assert.deepEqual(request.body.messages, [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Find Acme' },
+    { role: 'assistant', content: 'Looking', tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{"q":"a"}' } }] },
+    { role: 'tool', tool_call_id: 'call_1', content: 'nothing' },
+    { role: 'user', content: 'Try again' },
+  ]);
+  assert.deepEqual(request.body.tools, [{ type: 'function', function: { name: 'lookup', description: 'Looks things up', parameters: { type: 'object' } } }]);
+
+  assert.equal(reply.stopReason, 'tool_use');
+  assert.deepEqual(reply.blocks, [{ type: 'tool_use', id: 'call_2', name: 'lookup', input: { q: 'acme' } }]);
+  assert.deepEqual(reply.usage, { prompt_tokens: 12, completion_tokens: 3 });
+});
+
+test('local models use the OpenAI format against the configured server', async () => {
+  delete process.env.LLM_PROVIDER;
+  stubFetch(json({ choices: [{ finish_reason: 'stop', message: { content: 'Hi from llama' } }] }));
+  const reply = await complete({ feature: 'chat', model: 'local:llama3.1', messages: [{ role: 'user', content: 'Hi' }] });
+  assert.equal(requests[0].url, 'http://127.0.0.1:9999/v1/chat/completions');
+  assert.equal(requests[0].body.model, 'llama3.1');
+  assert.deepEqual([reply.provider, reply.text, reply.stopReason], ['local', 'Hi from llama', 'end_turn']);
+});
+
+test('Anthropic streams build text and tool_use blocks', async () => {
+  delete process.env.LLM_PROVIDER;
+  stubFetch(sse([
+    { type: 'message_start', message: { usage: { input_tokens: 9 } } },
+    { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Checking ' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'now' } },
+    { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'tu_1', name: 'lookup' } },
+    { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"q":' } },
+    { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"acme"}' } },
+    { type: 'content_block_stop', index: 1 },
+    { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 7 } },
+  ]));
+
+  const deltas = [];
+  const reply = await complete({
+    feature: 'chat', messages: [{ role: 'user', content: 'Find Acme' }], stream: true, onDelta: t => deltas.push(t),
+  });
+  assert.equal(requests[0].url, 'https://api.anthropic.com/v1/messages');
+  assert.equal(requests[0].headers['x-api-key'], 'test-anthropic');
+  assert.equal(requests[0].body.stream, true);
+  assert.deepEqual(deltas, ['Checking ', 'Checking now']);
+  assert.deepEqual(reply.blocks, [
+    { type: 'text', text: 'Checking now' },
+    { type: 'tool_use', id: 'tu_1', name: 'lookup', input: { q: 'acme' } },
+  ]);
+  assert.equal(reply.stopReason, 'tool_use');
+  assert.deepEqual(reply.usage, { input_tokens: 9, output_tokens: 7 });
+});
+
+// ── Transport ────────────────────────────────────────────────────────
+
+test('a 409 is retried after a backoff; a 400 fails at once', async () => {
+  delete process.env.LLM_PROVIDER;
+  const answer = json({ content: [{ type: 'text', text: 'ok' }], stop_reason: 'end_turn' });
+  stubFetch(json({ error: 'conflict' }, 409), answer);
+  const started = Date.now();
+  const reply = await complete({ feature: 'chat', messages: [{ role: 'user', content: 'Hi' }] });
+  assert.equal(reply.text, 'ok');
+  assert.equal(requests.length, 2);
+  assert.ok(Date.now() - started >= 800, 'waited for the backoff');
+
+  requests = [];
+  stubFetch(json({ error: 'bad request' }, 400));
+  await assert.rejects(
+    complete({ feature: 'chat', messages: [{ role: 'user', content: 'Hi' }] }),
+    err => err.status === 400 && /API error 400/.test(err.message));
+  assert.equal(requests.length, 1);
+});
+
+test('a request that takes too long fails with a TimeoutError', async () => {
+  delete process.env.LLM_PROVIDER;
+  const hang = ({ signal }) => new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+  });
+  stubFetch(hang);
+  await assert.rejects(
+    complete({ feature: 'chat', messages: [{ role: 'user', content: 'Hi' }], timeoutMs: 30, retries: 0 }),
+    { name: 'TimeoutError', message: /timed out/ });
+});
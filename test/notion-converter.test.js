@@ -0,0 +1,233 @@
+// test/notion-converter.test.js — Round-trip fixtures for js/notion-converter.js
+// ──────────────────────────────────────────────────────────────────────
+//
+// Run: node --experimental-default-type=module --test test/
+// (Node 22.12+ picks up the ES modules without the flag.)
+//
+// fixtures/notion/*.json are block trees as api/notion-blocks.js reads them
+// from Notion ({ blocks, lossy }); fixtures/tiptap/*.json are block editor
+// docs ({ doc }). Every fixture must come back unchanged from a second
+// Notion → Tiptap → Notion pass, and every Notion block not listed in
+// `lossy` (id → reason) must survive the first one. A per-block-type
+// fidelity table is printed at the end.
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { isDeepStrictEqual } from 'node:util';
+import { notionBlocksToTiptap, tiptapToNotionBlocks } from '../js/notion-converter.js';
+
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+
+function loadFixtures(dir) {
+  const url = new URL(`${dir}/`, FIXTURES);
+  return readdirSync(url)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => ({ name, ...JSON.parse(readFileSync(new URL(name, url), 'utf8')) }));
+}
+
+const roundTrip = blocks => tiptapToNotionBlocks(notionBlocksToTiptap(blocks));
+
+// ── Normalising ──────────────────────────────────────────────────────
+// Notion returns blocks with ids, timestamps and `children` on the block;
+// the converter builds request blocks with `children` inside the type
+// object and every annotation spelled out. Both reduce to
+// { type, data, children } with only what the page shows.
+
+const RICH_TEXT_KEYS = ['rich_text', 'caption'];
+const BLOCK_DEFAULTS = { color: 'default', is_toggleable: false };
+
+function normalizeRichText(richText = []) {
+  const segments = [];
+  for (const segment of richText) {
+    const text = segment.plain_text ?? segment.text?.content ?? '';
+    const annotations = Object.fromEntries(Object.entries(segment.annotations || {})
+      .filter(([key, value]) => key === 'color' ? value !== 'default' : value));
+    // A page mention is its page; Notion fills in the title and link itself
+    if (segment.type === 'mention' && segment.mention?.page) {
+      segments.push({ mention: segment.mention.page.id, annotations });
+      continue;
+    }
+    const href = segment.href ?? segment.text?.link?.url ?? null;
+    const last = segments[segments.length - 1];
+    // Notion splits runs arbitrarily; neighbours with the same styling are one run
+    if (last && !last.mention && last.href === href && isDeepStrictEqual(last.annotations, annotations)) {
+      last.text += text;
+    } else if (text) {
+      segments.push({ text, annotations, href });
+    }
+  }
+  return segments;
+}
+
+function normalizeData(type, data = {}) {
+  const out = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (key === 'children' || BLOCK_DEFAULTS[key] === value) continue;
+    if (RICH_TEXT_KEYS.includes(key)) {
+      const segments = normalizeRichText(value);
+      if (segments.length || key === 'rich_text') out[key] = segments;
+    } else if (type === 'table_row' && key === 'cells') {
+      out.cells = value.map(cell => normalizeRichText(cell));
+    } else if (key !== 'expiry_time') {
+      out[key] = value && typeof value === 'object' && !Array.isArray(value) ? normalizeData(key, value) : value;
+    }
+  }
+  return out;
+}
+
+function normalize(block) {
+  const children = block.children || block[block.type]?.children || [];
+  return {
+    id: block.id || null,
+    type: block.type,
+    data: normalizeData(block.type, block[block.type]),
+    children: children.map(normalize),
+  };
+}
+
+const strip = ({ id, ...block }) => ({ ...block, children: block.children.map(strip) });
+
+// Tiptap JSON as plain data, with mark order ignored
+function normalizeDoc(node) {
+  const out = JSON.parse(JSON.stringify(node));
+  const walk = (n) => {
+    if (n.marks) n.marks.sort((a, b) => a.type.localeCompare(b.type));
+    (n.content || []).forEach(walk);
+    (n.attrs?.caption || []).forEach(walk);
+  };
+  walk(out);
+  return out;
+}
+
+// ── Fidelity ─────────────────────────────────────────────────────────
+// Blocks are matched in order; a block whose type doesn't line up is
+// 'changed' when something else took its place and 'dropped' otherwise.
+// A block is 'exact' when its own data and its number of children match.
+
+const fidelity = new Map(); // type → { total, exact, changed, dropped }
+
+function record(type, outcome) {
+  if (!fidelity.has(type)) fidelity.set(type, { total: 0, exact: 0, changed: 0, dropped: 0 });
+  const row = fidelity.get(type);
+  row.total++;
+  row[outcome]++;
+}
+
+// Returns [{ id, type, outcome, path, parents }] for every input block;
+// `parents` are the ids of the blocks it sits in
+function compareBlocks(inputs, outputs, path = '', parents = []) {
+  const results = [];
+  const add = (block, outcome, at) => results.push({ id: block.id, type: block.type, outcome, path: at, parents });
+  const dropAll = (blocks, at, within) => blocks.forEach((block, i) => {
+    results.push({ id: block.id, type: block.type, outcome: 'dropped', path: `${at}${i}`, parents: within });
+    dropAll(block.children, `${at}${i}.`, [...within, block.id]);
+  });
+
+  let j = 0;
+  inputs.forEach((input, i) => {
+    const at = `${path}${i}`;
+    const within = [...parents, input.id];
+    const output = outputs[j];
+    if (output?.type === input.type) {
+      const exact = isDeepStrictEqual(input.data, output.data) && input.children.length === output.children.length;
+      add(input, exact ? 'exact' : 'changed', at);
+      results.push(...compareBlocks(input.children, output.children, `${at}.`, within));
+      j++;
+    } else if (output && output.type !== inputs[i + 1]?.type) {
+      add(input, 'changed', at);
+      dropAll(input.children, `${at}.`, within);
+      j++;
+    } else {
+      add(input, 'dropped', at);
+      dropAll(input.children, `${at}.`, within);
+    }
+  });
+  return results;
+}
+
+after(() => {
+  const row = (type, ...counts) => type.padEnd(20) + counts.map(n => String(n).padStart(9)).join('');
+  const lines = [...fidelity]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([type, r]) => row(type, r.total, r.exact, r.changed, r.dropped, `${Math.round(r.exact / r.total * 100)}%`));
+  console.log(['', 'Notion → Tiptap → Notion fidelity',
+    row('block type', 'total', 'exact', 'changed', 'dropped', 'fidelity'), ...lines, ''].join('\n'));
+});
+
+// ── Notion fixtures ──────────────────────────────────────────────────
+
+for (const fixture of loadFixtures('notion')) {
+  test(`notion/${fixture.name}: ${fixture.description}`, async (t) => {
+    const input = fixture.blocks.map(normalize);
+    const once = roundTrip(fixture.blocks);
+    const results = compareBlocks(input, once.map(normalize));
+    results.forEach(r => record(r.type, r.outcome));
+
+    // Children of a lossy block go with it
+    const excused = r => [r.id, ...r.parents].some(id => fixture.lossy?.[id]);
+
+    await t.test('blocks survive the round trip', () => {
+      const lost = results.filter(r => r.outcome !== 'exact' && !excused(r));
+      assert.deepEqual(lost, [], `blocks changed or dropped: ${lost.map(r => `${r.type} at ${r.path}`).join(', ')}`);
+    });
+
+    await t.test('lossy entries are still lossy', () => {
+      // A listed block that now round-trips means the list is out of date
+      const fixed = results.filter(r => r.outcome === 'exact' && fixture.lossy?.[r.id]);
+      assert.deepEqual(fixed.map(r => r.id), []);
+    });
+
+    await t.test('a second pass is stable', () => {
+      assert.deepEqual(roundTrip(once).map(normalize).map(strip), once.map(normalize).map(strip));
+    });
+  });
+}
+
+// ── Tiptap fixtures ──────────────────────────────────────────────────
+
+for (const fixture of loadFixtures('tiptap')) {
+  test(`tiptap/${fixture.name}: ${fixture.description}`, async (t) => {
+    const blocks = tiptapToNotionBlocks(fixture.doc);
+
+    await t.test('the doc comes back from Notion unchanged', () => {
+      assert.deepEqual(normalizeDoc(notionBlocksToTiptap(blocks)), normalizeDoc(fixture.doc));
+    });
+
+    await t.test('a second pass is stable', () => {
+      assert.deepEqual(roundTrip(blocks).map(normalize).map(strip), blocks.map(normalize).map(strip));
+    });
+  });
+}
+
+// ── Rich text ────────────────────────────────────────────────────────
+
+test('every Notion color maps to a CSS color and back', () => {
+  const colors = ['gray', 'brown', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'red'];
+  for (const color of [...colors, ...colors.map(c => `${c}_background`)]) {
+    const block = {
+      type: 'paragraph',
+      paragraph: { rich_text: [{ type: 'text', plain_text: color, annotations: { color } }] },
+    };
+    const [out] = roundTrip([block]);
+    assert.equal(out.paragraph.rich_text[0].annotations.color, color);
+  }
+});
+
+test('newlines in code blocks stay in the text', () => {
+  const code = 'a\n\nb';
+  const doc = notionBlocksToTiptap([{ type: 'code', code: { language: 'python', rich_text: [{ plain_text: code }] } }]);
+  assert.deepEqual(doc.content[0].content, [{ type: 'text', text: code }]);
+});
+
+// ── Files ────────────────────────────────────────────────────────────
+
+test('images and attachments without a web URL stay out of Notion', () => {
+  const blocks = tiptapToNotionBlocks({ type: 'doc', content: [
+    { type: 'image', attrs: { src: 'data:image/png;base64,iVBORw==', alt: 'Pasted offline' } },
+    { type: 'attachment', attrs: { src: 'upload:k3j9x2', name: 'deck.key', size: 1024, mimeType: null, caption: [] } },
+    { type: 'paragraph', content: [{ type: 'text', text: 'Kept' }] },
+  ] });
+  assert.deepEqual(blocks.map(b => b.type), ['paragraph']);
+});
@@ -0,0 +1,92 @@
+// test/sync-outbox.test.js — Replay order and retries in js/services/sync-outbox.js
+// ──────────────────────────────────────────────────────────────────────
+//
+// Run: node --experimental-default-type=module --test test/
+//
+// Node has no IndexedDB, so the queue runs in memory here.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  registerOutboxHandler, queueSync, hasPendingSync, getPendingSyncCount, backoffDelay,
+  getFailedSyncCount, retryFailedSync
+} from '../js/services/sync-outbox.js';
+
+async function until(condition, timeout = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('timed out');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('entries replay in order and a key queued again replaces its entry', async () => {
+  const sent = [];
+  registerOutboxHandler('save', 'supabase', async ({ n }) => { sent.push(n); return true; });
+  queueSync('save', 'doc:a', { n: 1 });
+  queueSync('save', 'doc:b', { n: 2 });
+  queueSync('save', 'doc:a', { n: 3 });
+  await until(() => getPendingSyncCount() === 0);
+  assert.deepEqual(sent, [2, 3]);
+});
+
+test('a failed write holds back its target until a retry gets it through', async () => {
+  let online = false;
+  const sent = [];
+  registerOutboxHandler('flaky', 'supabase', async () => { sent.push('flaky'); return online; });
+  registerOutboxHandler('after', 'supabase', async () => { sent.push('after'); return true; });
+  registerOutboxHandler('notion', 'notion', async () => { sent.push('notion'); return true; });
+  queueSync('flaky', 'folders', {});
+  queueSync('after', 'folder:x', {});
+  queueSync('notion', 'notion:a', {});
+
+  await until(() => sent.includes('notion') && sent.includes('flaky'));
+  assert.ok(!sent.includes('after'));
+  assert.ok(hasPendingSync('supabase'));
+  assert.ok(!hasPendingSync('notion'));
+
+  online = true;
+  await until(() => getPendingSyncCount() === 0);
+  assert.deepEqual(sent.filter(s => s !== 'notion'), ['flaky', 'flaky', 'after']);
+});
+
+test('a write that keeps failing is kept as failed and stops holding back its target', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  t.mock.method(console, 'warn', () => {});
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+  let attempts = 0;
+  let online = false;
+  const sent = [];
+  registerOutboxHandler('stuck', 'notion', async () => { attempts++; return online; });
+  registerOutboxHandler('later', 'notion', async ({ n }) => { sent.push(n); return true; });
+
+  queueSync('stuck', 'notion:stuck', {});
+  for (let i = 0; i < 20 && !getFailedSyncCount(); i++) {
+    await settle();
+    t.mock.timers.tick(6 * 60_000);
+  }
+  assert.equal(attempts, 12);
+  assert.equal(getFailedSyncCount(), 1);
+  assert.equal(getPendingSyncCount(), 0);
+  assert.ok(!hasPendingSync('notion'));
+
+  queueSync('later', 'notion:later', { n: 1 });
+  await settle();
+  assert.deepEqual(sent, [1]);
+  assert.equal(getFailedSyncCount(), 1, 'still kept');
+
+  online = true;
+  retryFailedSync();
+  await settle();
+  assert.equal(attempts, 13);
+  assert.equal(getFailedSyncCount(), 0);
+  assert.equal(getPendingSyncCount(), 0);
+});
+
+test('backoff doubles from 2s up to 5 minutes, with jitter', () => {
+  const middle = () => 0.5;
+  assert.equal(backoffDelay(1, middle), 2000);
+  assert.equal(backoffDelay(3, middle), 8000);
+  assert.equal(backoffDelay(30, middle), 300000);
+  assert.equal(backoffDelay(1, () => 0), 1600);
+});
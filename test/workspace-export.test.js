@@ -0,0 +1,109 @@
+// test/workspace-export.test.js — Markdown / static-site exports in js/workspace-export.js
+// ──────────────────────────────────────────────────────────────────────
+//
+// Run: node --experimental-default-type=module --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { markdownToTiptap, tiptapToMarkdown } from '../js/markdown-converter.js';
+import { buildMarkdownExport, buildStaticSite, exportScope } from '../js/workspace-export.js';
+import { planImport } from '../js/workspace-import.js';
+
+const PNG = 'data:image/png;base64,iVBORw==';
+
+const folders = [
+  { id: 'ops', name: 'Ops', parentId: null, order: 0, type: 'divider' },
+  { id: 'sops', name: 'SOPs', parentId: 'ops', order: 0, type: 'folder' },
+  { id: 'onboarding', name: 'Onboarding', parentId: 'sops', order: 0, type: 'folder' },
+  { id: 'ideas', name: 'Ideas', parentId: null, order: 1, type: 'folder' },
+];
+
+const docs = [
+  {
+    id: 'doc-a', title: 'Refunds: "how to"', folder: 'sops',
+    createdAt: '2026-01-02T00:00:00.000Z', updatedAt: '2026-03-04T00:00:00.000Z',
+    content: {
+      type: 'doc',
+      content: [
+        { type: 'paragraph', content: [
+          { type: 'text', text: 'Read ' },
+          { type: 'mention', attrs: { kind: 'doc', id: 'doc-b', label: 'First day' } },
+          { type: 'text', text: ' and ' },
+          { type: 'mention', attrs: { kind: 'client', id: 'c1', label: 'Acme' } },
+        ] },
+        { type: 'image', attrs: { src: PNG, alt: 'Flow' } },
+      ],
+    },
+  },
+  {
+    id: 'doc-b', title: 'First day', folder: 'onboarding',
+    createdAt: '2026-01-05T00:00:00.000Z', updatedAt: '2026-01-05T00:00:00.000Z',
+    content: markdownToTiptap('Welcome'),
+  },
+  { id: 'doc-c', title: 'Someday', folder: 'ideas', content: markdownToTiptap('Later') },
+];
+
+test('Markdown written from a doc reads back as the same doc', () => {
+  const markdown = [
+    '# Plan', '',
+    'Some **bold _both_** and ~~gone~~ with `code` and [a **link**](https://x.com).', 'Second line', '',
+    '- one', '  - nested', '- two', '', '1. first', '2. second', '', '- [x] done', '- [ ] todo', '',
+    '> quote', '', '```js', 'const a = 1;', '```', '', '| A | B |', '| --- | --- |', '| 1 | 2 |', '',
+    '![alt](img.png "t")',
+  ].join('\n');
+  const doc = markdownToTiptap(markdown);
+  assert.deepEqual(markdownToTiptap(tiptapToMarkdown(doc)), doc);
+
+  const spaced = { type: 'doc', content: [{ type: 'paragraph', content: [
+    { type: 'text', text: 'bold ', marks: [{ type: 'bold' }] },
+    { type: 'text', text: 'plain' },
+  ] }] };
+  assert.equal(tiptapToMarkdown(spaced), '**bold** plain\n');
+});
+
+test('a folder exports with its subfolders as directories, images as files and mentions as links', () => {
+  assert.deepEqual(exportScope(folders, docs, 'ops').docs.map(d => d.id), ['doc-a', 'doc-b']);
+
+  const files = buildMarkdownExport({ folders, docs, folderId: 'ops' });
+  assert.deepEqual(files.map(f => f.path), [
+    'SOPs/Onboarding/First day.md',
+    'SOPs/Refunds- -how to-.md',
+    'SOPs/images/Refunds- -how to- 1.png',
+  ]);
+  const refunds = files[1].text;
+  assert.match(refunds, /^---\ntitle: "Refunds: \\"how to\\""\ncreated: 2026-01-02T00:00:00.000Z\nupdated: 2026-03-04T00:00:00.000Z\n---\n/);
+  assert.match(refunds, /Read \[First day\]\(Onboarding\/First%20day\.md\) and @Acme/);
+  assert.match(refunds, /!\[Flow\]\(images\/Refunds-%20-how%20to-%201\.png\)/);
+  assert.deepEqual([...files[2].bytes], [137, 80, 78, 71]);
+});
+
+test('an export imports back with the same titles, folders, links and images', () => {
+  const files = buildMarkdownExport({ folders, docs, folderId: 'ops' });
+  let n = 0;
+  const plan = planImport(files, { folders: [], destination: 'ops', newDocId: () => `new-${++n}` });
+  const byTitle = Object.fromEntries(plan.docs.map(d => [d.doc.title, d.doc]));
+
+  assert.deepEqual(Object.keys(byTitle).sort(), ['First day', 'Refunds: "how to"']);
+  assert.deepEqual(plan.folders.map(f => f.name), ['SOPs', 'Onboarding']);
+  const refunds = byTitle['Refunds: "how to"'];
+  assert.equal(refunds.updatedAt, '2026-03-04T00:00:00.000Z');
+  assert.deepEqual(refunds.content.content[0].content[1].attrs, {
+    kind: 'doc', id: byTitle['First day'].id, label: 'First day', notionPageId: null,
+  });
+  assert.equal(refunds.content.content[1].attrs.src, PNG);
+});
+
+test('a static site has a page per doc, the folders as navigation and linked mentions', () => {
+  const files = buildStaticSite({ folders, docs, title: 'Handbook', now: new Date('2026-10-19T12:00:00Z') });
+  const byPath = Object.fromEntries(files.map(f => [f.path, f]));
+  assert.deepEqual(Object.keys(byPath).sort(), [
+    'first-day.html', 'images/refunds-how-to-1.png', 'index.html', 'refunds-how-to.html', 'someday.html', 'style.css',
+  ]);
+
+  const page = byPath['refunds-how-to.html'].text;
+  assert.match(page, /<title>Refunds: &quot;how to&quot; · Handbook<\/title>/);
+  assert.match(page, /<a href="\.\/first-day\.html">First day<\/a> and <span class="mention mention-client">@Acme<\/span>/);
+  assert.match(page, /<img src="\.\/images\/refunds-how-to-1\.png" alt="Flow">/);
+  assert.match(page, /<div class="folder">Ops<\/div><ul><li><div class="folder">SOPs<\/div><ul><li><a href="\.\/refunds-how-to\.html" class="current">/);
+  assert.match(byPath['index.html'].text, /3 pages · Published Oct 19, 2026/);
+});
@@ -0,0 +1,85 @@
+// test/workspace-import.test.js — Import planning in js/workspace-import.js
+// ──────────────────────────────────────────────────────────────────────
+//
+// Run: node --experimental-default-type=module --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planImport, parseFrontMatter, cleanName } from '../js/workspace-import.js';
+
+const ID = '0123456789abcdef0123456789abcdef';
+const SUB_ID = 'fedcba9876543210fedcba9876543210';
+const folders = [
+  { id: 'content', name: 'Content', parentId: null, order: 0, type: 'divider' },
+  { id: 'ideas', name: 'Ideas', parentId: 'content', order: 0, type: 'folder' },
+  { id: 'launch', name: 'Launch', parentId: null, order: 1, type: 'folder' },
+];
+
+function plan(files, extra = {}) {
+  let n = 0;
+  return planImport(files, {
+    folders, destination: 'ideas', newDocId: () => `doc-${++n}`, now: new Date('2026-10-19T12:00:00Z'), ...extra,
+  });
+}
+
+test('front matter gives the title and dates; a leading H1 is the title otherwise', () => {
+  assert.deepEqual(parseFrontMatter('---\ntitle: "Q3 plan"\ndate: 2026-07-01\n---\nBody').data, { title: 'Q3 plan', date: '2026-07-01' });
+  assert.equal(cleanName(`Roadmap ${ID}.md`), 'Roadmap');
+
+  const { docs } = plan([
+    { path: 'q3.md', text: '---\ntitle: Q3 plan\ndate: 2026-07-01\n---\n# Q3 plan\n\nShip it' },
+    { path: 'notes.md', text: '# Call notes\n\nHello' },
+    { path: 'loose.md', text: 'No heading' },
+  ]);
+  const byPath = Object.fromEntries(docs.map(d => [d.path, d.doc]));
+  assert.equal(byPath['q3.md'].title, 'Q3 plan');
+  assert.equal(byPath['q3.md'].createdAt, '2026-07-01T00:00:00.000Z');
+  assert.equal(byPath['q3.md'].content.content[0].type, 'paragraph');
+  assert.equal(byPath['notes.md'].title, 'Call notes');
+  assert.equal(byPath['loose.md'].title, 'loose');
+  assert.ok(docs.every(d => d.doc.folder === 'ideas'));
+});
+
+test('a Notion export keeps its hierarchy, links and images', () => {
+  const root = `Export-1f2e3d4c/Roadmap ${ID}`;
+  const png = new Uint8Array([137, 80, 78, 71]);
+  const { folders: created, docs, warnings, skipped } = plan([
+    { path: `${root}.md`, text: `# Roadmap\n\nSee [Launch **plan**](Roadmap%20${ID}/Launch%20${SUB_ID}.md)\n\n![](Roadmap%20${ID}/shot.png)\n\n![](Roadmap%20${ID}/gone.png)` },
+    { path: `${root}/Launch ${SUB_ID}.md`, text: '# Launch\n\nDetails' },
+    { path: `${root}/shot.png`, bytes: png },
+    { path: `${root}/Tasks ${SUB_ID}.csv`, text: 'a,b' },
+  ]);
+
+  assert.deepEqual(created, [{ id: 'roadmap', name: 'Roadmap', parentId: 'ideas', order: 0, type: 'folder' }]);
+  const [roadmap, launch] = docs.map(d => d.doc);
+  assert.equal(roadmap.folder, 'ideas');
+  assert.equal(launch.folder, 'roadmap');
+
+  const [para, image, missing] = roadmap.content.content;
+  assert.deepEqual(para.content, [
+    { type: 'text', text: 'See ' },
+    { type: 'mention', attrs: { kind: 'doc', id: launch.id, label: 'Launch', notionPageId: null } },
+  ]);
+  assert.equal(image.attrs.src, 'data:image/png;base64,iVBORw==');
+  assert.equal(missing.attrs.src, `Roadmap%20${ID}/gone.png`);
+  assert.equal(docs[0].images, 1);
+  assert.equal(warnings.length, 1);
+  assert.deepEqual(skipped.map(s => s.path), [`Roadmap ${ID}/Tasks ${SUB_ID}.csv`]);
+});
+
+test('folders that already exist are reused and new ids stay unique', () => {
+  const { folders: created, docs } = plan([
+    { path: 'Launch/a.md', text: 'A' },
+    { path: 'Other/Launch/b.md', text: 'B' },
+  ], { destination: null });
+  assert.equal(docs[0].doc.folder, 'launch');
+  assert.deepEqual(created.map(f => [f.id, f.parentId]), [['other', null], ['launch-2', 'other']]);
+  assert.equal(docs[1].doc.folder, 'launch-2');
+});
+
+test('HTML goes through the converter passed in', () => {
+  const { docs } = plan([{ path: 'export/Doc.html', text: '<p>x</p>' }], {
+    htmlToDoc: () => ({ title: 'From HTML', content: { type: 'doc', content: [{ type: 'paragraph' }] } }),
+  });
+  assert.equal(docs[0].doc.title, 'From HTML');
+});